@@ -1 +1,1641 @@
+const crypto = require('crypto');
+const KeywordExtractor = require('../services/keywordExtractor');
+const EntityExtractor = require('../services/entityExtractor');
+const SynonymDictionary = require('../services/synonymDictionary');
+const PiiRedactor = require('../services/piiRedactor');
+const ConversationContext = require('../services/conversationContext');
+const DuplicateDetector = require('../services/duplicateDetector');
+const { createEmbeddingProvider, cosineSimilarity } = require('../services/embeddingProvider');
+const defaultLogger = require('../services/logger');
+const defaultMetrics = require('../services/metrics');
+const { createStorage } = require('./storage');
+const { toTimestamp, timestampIn, parseTimestamp } = require('./storage/timestamp');
+const { InvalidSearchQueryError } = require('./storage/errors');
 
+// Пространство имен по умолчанию для данных без явного арендатора
+const DEFAULT_TENANT = 'default';
+
+// Политики вытеснения: lru — давно не использованные, lfu — редко используемые, age — самые старые
+const EVICTION_POLICIES = ['lru', 'lfu', 'age'];
+
+// Действия групповой инвалидации: expire — истечение срока действия, delete — удаление
+const INVALIDATION_ACTIONS = ['expire', 'delete'];
+
+// Изменение превращает запрос разговора в запрос, уже сохраненный в другом разговоре
+class QueryConflictError extends Error {
+    constructor(conversationId) {
+        super('Разговор с таким запросом уже существует');
+        this.name = 'QueryConflictError';
+        this.status = 409;
+        this.code = 'query_conflict';
+        this.conversationId = conversationId;
+    }
+}
+
+// Слово или фраза уже есть в словаре синонимов арендатора
+class SynonymConflictError extends Error {
+    constructor(synonymId) {
+        super('Такая фраза уже есть в словаре синонимов');
+        this.name = 'SynonymConflictError';
+        this.status = 409;
+        this.code = 'synonym_exists';
+        this.synonymId = synonymId;
+    }
+}
+
+// В кэше уже есть почти такой же вопрос, а сохранение похожих запрещено (DUPLICATE_BLOCK_SAVES)
+class DuplicateConversationError extends Error {
+    constructor(conversationId, similarity) {
+        super('В кэше уже есть похожий вопрос');
+        this.name = 'DuplicateConversationError';
+        this.status = 409;
+        this.code = 'duplicate_conversation';
+        this.conversationId = conversationId;
+        this.similarity = similarity;
+    }
+}
+
+// Ответ содержит персональные данные, а PII_REJECT_ANSWERS запрещает кэшировать такие ответы
+class PiiRejectedError extends Error {
+    constructor(types) {
+        super(`Ответ содержит персональные данные (${types.join(', ')}) и не сохраняется в общий кэш`);
+        this.name = 'PiiRejectedError';
+        this.status = 422;
+        this.code = 'pii_in_response';
+        this.types = types;
+    }
+}
+
+// Логика кэша поверх хранилища: хэширование, ранжирование, TTL, оценки и ключи.
+// Хранилище выбирается параметром storage или переменной STORAGE_BACKEND.
+// Записи журнала, сделанные при обработке HTTP-запроса, получают его requestId из контекста журнала
+class DatabaseManager {
+    constructor(options = {}) {
+        this.logger = options.logger || defaultLogger;
+        this.metrics = options.metrics || defaultMetrics;
+        this.storage = options.storage || createStorage(options);
+        this.keywordExtractor = new KeywordExtractor();
+        this.conversationContext = new ConversationContext(this.keywordExtractor);
+        this.entityExtractor = new EntityExtractor();
+        this.embeddingProvider = options.embeddingProvider !== undefined
+            ? options.embeddingProvider
+            : createEmbeddingProvider();
+        // Время жизни записей в секундах: по умолчанию и по категории из metadata.category
+        this.defaultTtl = parseInt(options.defaultTtl ?? process.env.CACHE_DEFAULT_TTL ?? 0);
+        this.ttlByCategory = options.ttlByCategory || JSON.parse(process.env.CACHE_TTL_BY_CATEGORY || '{}');
+        // Влияние оценок пользователей на ранжирование и порог карантина
+        this.feedback = {
+            rankWeight: parseFloat(options.feedbackRankWeight ?? process.env.FEEDBACK_RANK_WEIGHT ?? 0.2),
+            minVotes: parseInt(options.feedbackMinVotes ?? process.env.FEEDBACK_MIN_VOTES ?? 3),
+            quarantineThreshold: parseFloat(options.feedbackQuarantineThreshold ?? process.env.FEEDBACK_QUARANTINE_THRESHOLD ?? 0.3),
+            // key — один голос на вызывающего (API-ключ или адрес); user — на userId или sessionId
+            // в пределах вызывающего, когда ключ принадлежит доверенному сервису с многими пользователями
+            voterBy: options.feedbackVoterBy ?? process.env.FEEDBACK_VOTER_BY ?? 'key'
+        };
+        // Веса сигналов гибридного ранжирования
+        this.matchWeights = {
+            keyword: parseFloat(options.keywordWeight ?? process.env.MATCH_KEYWORD_WEIGHT ?? 0.5),
+            semantic: parseFloat(options.semanticWeight ?? process.env.MATCH_SEMANTIC_WEIGHT ?? 0.5)
+        };
+        // Сколько эмбеддингов сравнивается с запросом: лучшие кандидаты по ключевым словам
+        // и столько же самых востребованных разговоров (перефразировки без общих слов)
+        this.semanticCandidates = parseInt(options.semanticCandidates ?? process.env.MATCH_SEMANTIC_CANDIDATES ?? 200);
+        // Отклонение похожих ответов, числовые значения которых противоречат запросу
+        this.matchEntities = (options.matchEntities ?? process.env.MATCH_ENTITIES ?? 'true') !== 'false';
+        // Словари синонимов по арендаторам; через SYNONYMS_CACHE_TTL секунд словарь перечитывается,
+        // чтобы изменения, сделанные другим экземпляром сервера, тоже вступали в силу
+        this.synonymsCacheTtl = parseInt(options.synonymsCacheTtl ?? process.env.SYNONYMS_CACHE_TTL ?? 60);
+        this.synonymCache = new Map();
+        // Персональные данные заменяются заглушками до записи в общий кэш
+        this.piiRedactor = options.piiRedactor || new PiiRedactor();
+        // Почти одинаковые вопросы с разными query_hash; при blockDuplicates новый вопрос,
+        // похожий на уже сохраненный, не сохраняется
+        this.duplicateDetector = new DuplicateDetector(this.entityExtractor, options);
+        this.blockDuplicates = String(options.blockDuplicates ?? process.env.DUPLICATE_BLOCK_SAVES ?? 'false') === 'true';
+        // Признак готовности для проверки /readyz: хранилище подготовлено и еще не закрыто
+        this.isReady = false;
+        this.ready = this.initDatabase(options.migrate !== false);
+    }
+
+    // Подготовка хранилища и применение миграций; сервер начинает принимать запросы
+    // только после их завершения. При migrate: false схема не меняется (например, для CLI миграций)
+    async initDatabase(migrate = true) {
+        await this.storage.init({ migrate });
+        this.isReady = true;
+        this.logger.info('База данных успешно инициализирована');
+    }
+
+    // Заполнение полнотекстового индекса; при full = true индекс строится заново
+    async rebuildSearchIndex(full = true) {
+        return { conversations: await this.storage.rebuildSearchIndex(full) };
+    }
+
+    // Генерация хэша для запроса; уточняющий вопрос хэшируется вместе с отпечатком контекста.
+    // query_hash уникален во всей таблице, поэтому хэш арендатора, кроме основного, включает его имя
+    generateQueryHash(query, contextHash = null, tenant = DEFAULT_TENANT) {
+        const normalizedQuery = query.toLowerCase().trim();
+        let key = contextHash ? `${normalizedQuery}\n${contextHash}` : normalizedQuery;
+        if (tenant !== DEFAULT_TENANT) {
+            key = `${tenant}\n${key}`;
+        }
+        return crypto.createHash('md5').update(key).digest('hex');
+    }
+
+    // Отпечаток предыдущих реплик; null для самостоятельного вопроса
+    resolveContext(query, context = []) {
+        return this.conversationContext.resolve(query, context);
+    }
+
+    // Разговор по хэшу запроса или по хэшу псевдонима — формулировки, объединенной с разговором.
+    // Возвращает { conversation, alias } (alias — null, если хэш принадлежит самому разговору) или null
+    async lookupQueryHash(queryHash, { servable = false } = {}) {
+        const conversation = await this.storage.findByQueryHash(queryHash, { servable });
+        if (conversation) {
+            return { conversation, alias: null };
+        }
+
+        const alias = await this.storage.findAliasByHash(queryHash);
+        if (!alias) {
+            return null;
+        }
+        const [target] = await this.storage.getConversations([alias.conversation_id], alias.tenant, { servable });
+        return target ? { conversation: target, alias } : null;
+    }
+
+    // Определение языка текста
+    detectLanguage(text) {
+        return this.keywordExtractor.detectLanguage(text);
+    }
+
+    // Извлечение ключевых слов из текста. Числа и единицы измерения заменяются
+    // нормализованными сущностями: "16а" и "16 ампер" дают одно ключевое слово 16A.
+    // Словарь синонимов, если передан, приводит слова к каноническим терминам
+    extractKeywords(text, synonyms = null) {
+        text = this.piiRedactor.stripPlaceholders(text);
+        const words = this.keywordExtractor.extract(synonyms ? synonyms.apply(text) : text)
+            .filter(keyword => !/^\d/.test(keyword) && this.entityExtractor.normalizeUnit(keyword) === null);
+        const entities = this.extractEntities(text).map(entity => this.entityExtractor.key(entity));
+        return [...new Set([...words, ...entities])];
+    }
+
+    // Ключевые слова текста с учетом словаря синонимов арендатора
+    async keywordsFor(text, tenant = DEFAULT_TENANT) {
+        return this.extractKeywords(text, await this.synonymDictionary(tenant));
+    }
+
+    // Числовые значения с единицами измерения: [{ value, unit }]
+    extractEntities(text) {
+        return this.entityExtractor.extract(text);
+    }
+
+    // Приведение списка величин ответа (названия или единицы: "current", "A", "мм2") к названиям величин;
+    // null, если какая-то величина неизвестна
+    resolveDependsOn(dependsOn = []) {
+        const dimensions = dependsOn.map(name => this.entityExtractor.resolveDimension(name));
+        return dimensions.includes(null) ? null : [...new Set(dimensions)];
+    }
+
+    // Значение колонки depends_on; пустой список хранится как NULL
+    serializeDependsOn(dependsOn = []) {
+        return dependsOn.length > 0 ? JSON.stringify(this.resolveDependsOn(dependsOn)) : null;
+    }
+
+    // Ключевые слова с весами: первые слова важнее
+    weighKeywords(keywords) {
+        return keywords.map((keyword, index) => ({ keyword, weight: 1.0 - (index * 0.1) }));
+    }
+
+    // Теги в нижнем регистре без повторов
+    normalizeTags(tags = []) {
+        return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    // Условия на metadata кандидата: { ключ: значение или список допустимых значений } ->
+    // { ключ: [значения строками] }. Числа сравниваются как строки, поэтому 3 и "3" равны
+    normalizeMetadataConstraints(metadata = {}) {
+        return Object.fromEntries(Object.entries(metadata).map(([key, value]) =>
+            [key, (Array.isArray(value) ? value : [value]).map(String)]));
+    }
+
+    // Запись подходит, если каждое поле metadata из условий задано и входит в список допустимых значений
+    isMetadataCompatible(row, constraints) {
+        const entries = Object.entries(constraints);
+        if (entries.length === 0) {
+            return true;
+        }
+
+        const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+        return entries.every(([key, values]) =>
+            metadata[key] !== undefined && metadata[key] !== null && values.includes(String(metadata[key])));
+    }
+
+    // Время жизни записи: явное значение, затем значение для категории, затем общее.
+    // 0 означает запись без срока действия
+    resolveTtl(metadata = {}, ttl) {
+        if (ttl !== undefined && ttl !== null) {
+            return ttl;
+        }
+        if (metadata.category && this.ttlByCategory[metadata.category] !== undefined) {
+            return this.ttlByCategory[metadata.category];
+        }
+        return this.defaultTtl;
+    }
+
+    // Замена персональных данных в запросе и ответе заглушками. Возвращает очищенные тексты
+    // и найденные типы данных по полям для журнала. Ответ с персональными данными при
+    // PII_REJECT_ANSWERS не сохраняется: отказ записывается в журнал (кроме dryRun) и выбрасывается
+    async redactEntry({ query, response }, { conversationId = null, tenant = DEFAULT_TENANT, source, actor = null, dryRun = false }) {
+        const result = { findings: [] };
+
+        for (const [field, text] of Object.entries({ query, response })) {
+            if (text === undefined) continue;
+            const { text: redacted, counts } = this.piiRedactor.redact(text);
+            result[field] = redacted;
+            for (const [type, count] of Object.entries(counts)) {
+                result.findings.push({ field, pii_type: type, count });
+            }
+        }
+
+        const answerTypes = result.findings.filter(finding => finding.field === 'response').map(finding => finding.pii_type);
+        if (this.piiRedactor.rejectAnswers && answerTypes.length > 0) {
+            if (!dryRun) {
+                await this.auditRedactions(result.findings, { conversationId, tenant, action: 'rejected', source, actor });
+            }
+            throw new PiiRejectedError(answerTypes);
+        }
+
+        return result;
+    }
+
+    // Запись в журнал удаления персональных данных; значения не сохраняются, только типы и число замен
+    async auditRedactions(findings, { conversationId = null, tenant = DEFAULT_TENANT, action = 'redacted', source, actor = null }) {
+        if (findings.length === 0) return;
+
+        await this.storage.insertRedactions(findings.map(finding => ({
+            ...finding,
+            tenant,
+            conversation_id: conversationId,
+            action,
+            source,
+            actor
+        })));
+    }
+
+    // Журнал удаления персональных данных арендатора
+    async listRedactions({ tenant = DEFAULT_TENANT, conversationId = null, limit = 50, offset = 0 } = {}) {
+        return this.storage.listRedactions({ tenant, conversationId, limit, offset });
+    }
+
+    // Сохранение разговора в кэш. Персональные данные в запросе и ответе заменяются заглушками.
+    // options.context — предыдущие реплики диалога, options.ttl — время жизни в секундах,
+    // options.tenant — пространство имен арендатора, options.dependsOn — величины, от которых
+    // зависит ответ: похожий запрос без тех же значений этих величин ответ не получит,
+    // options.tags — теги для групповой инвалидации (без tags у существующей записи теги не меняются),
+    // options.editedBy — API-ключ автора для истории версий, options.blockDuplicates — отказ
+    // (DuplicateConversationError), если похожий вопрос уже сохранен (по умолчанию DUPLICATE_BLOCK_SAVES)
+    async saveConversation(userQuery, aiResponse, userId = null, sessionId = null, metadata = {}, options = {}) {
+        const { context = [], ttl, tenant = DEFAULT_TENANT, dependsOn = [], tags, editedBy = null } = options;
+        const blockDuplicates = options.blockDuplicates ?? this.blockDuplicates;
+        const redacted = await this.redactEntry({ query: userQuery, response: aiResponse }, {
+            tenant,
+            source: 'save',
+            actor: editedBy
+        });
+        userQuery = redacted.query;
+        aiResponse = redacted.response;
+        const expiresIn = this.resolveTtl(metadata, ttl);
+        const contextInfo = this.resolveContext(userQuery, context);
+        const queryHash = this.generateQueryHash(userQuery, contextInfo && contextInfo.hash, tenant);
+        const keywords = this.weighKeywords(await this.keywordsFor(userQuery, tenant));
+
+        if (blockDuplicates && !(await this.lookupQueryHash(queryHash))) {
+            const duplicate = await this.findNearDuplicate(keywords.map(entry => entry.keyword), {
+                tenant,
+                contextHash: contextInfo ? contextInfo.hash : null,
+                entities: this.extractEntities(userQuery),
+                dependsOn: this.resolveDependsOn(dependsOn) || []
+            });
+            if (duplicate) {
+                throw new DuplicateConversationError(duplicate.id, duplicate.similarity);
+            }
+        }
+
+        const embedding = await this.embedText(userQuery);
+
+        return this.storage.transaction(async () => {
+            // Разговор с тем же хэшем обновляется на месте: идентификатор и счетчик использования
+            // сохраняются, прежний ответ уходит в историю версий, карантин снимается.
+            // Формулировка, объединенная с другим разговором, обновляет его ответ, но не запрос
+            const found = await this.lookupQueryHash(queryHash);
+            if (found) {
+                const existing = found.conversation;
+                await this.reviseConversation(existing, {
+                    ...(!found.alias && { user_query: userQuery }),
+                    ai_response: aiResponse,
+                    metadata: JSON.stringify(metadata),
+                    depends_on: this.serializeDependsOn(dependsOn),
+                    status: 'active',
+                    quarantined_at: null,
+                    expires_at: expiresIn > 0 ? timestampIn(expiresIn) : null
+                }, { change: 'save', editedBy, embedding: found.alias ? null : embedding });
+                if (tags !== undefined) {
+                    await this.storage.replaceTags(existing.id, this.normalizeTags(tags));
+                }
+                await this.auditRedactions(redacted.findings, { conversationId: existing.id, tenant, source: 'save', actor: editedBy });
+                return existing.id;
+            }
+
+            const conversationId = require('uuid').v4();
+            await this.storage.insertConversation({
+                id: conversationId,
+                user_query: userQuery,
+                ai_response: aiResponse,
+                query_hash: queryHash,
+                user_id: userId,
+                session_id: sessionId,
+                metadata: JSON.stringify(metadata),
+                language: this.detectLanguage(userQuery),
+                context_hash: contextInfo ? contextInfo.hash : null,
+                context_keywords: contextInfo ? JSON.stringify(contextInfo.keywords) : null,
+                entities: JSON.stringify(this.extractEntities(userQuery)),
+                depends_on: this.serializeDependsOn(dependsOn),
+                tenant,
+                expires_at: expiresIn > 0 ? timestampIn(expiresIn) : null
+            }, keywords, embedding);
+            await this.storage.replaceTags(conversationId, this.normalizeTags(tags));
+            await this.auditRedactions(redacted.findings, { conversationId, tenant, source: 'save', actor: editedBy });
+            return conversationId;
+        });
+    }
+
+    // Новая версия разговора: текущее состояние записывается в историю, затем применяются
+    // колонки fields. Новый текст запроса пересчитывает хэш, ключевые слова, сущности и язык,
+    // новый ответ сбрасывает оценки прежнего. Вызывается внутри транзакции
+    async reviseConversation(current, fields, { change, editedBy = null, embedding = null }) {
+        await this.storage.insertVersion({
+            conversation_id: current.id,
+            version: current.version,
+            user_query: current.user_query,
+            ai_response: current.ai_response,
+            metadata: current.metadata,
+            depends_on: current.depends_on,
+            change_type: change,
+            changed_by: editedBy
+        });
+
+        const update = { ...fields, version: current.version + 1 };
+
+        if (fields.user_query !== undefined && fields.user_query !== current.user_query) {
+            const queryHash = this.generateQueryHash(fields.user_query, current.context_hash, current.tenant);
+            const duplicate = await this.lookupQueryHash(queryHash);
+            if (duplicate && duplicate.conversation.id !== current.id) {
+                throw new QueryConflictError(duplicate.conversation.id);
+            }
+            // Запросом разговора становится одна из его же формулировок: псевдоним больше не нужен
+            if (duplicate && duplicate.alias) {
+                await this.storage.deleteAlias(duplicate.alias.id);
+            }
+
+            Object.assign(update, {
+                query_hash: queryHash,
+                language: this.detectLanguage(fields.user_query),
+                entities: JSON.stringify(this.extractEntities(fields.user_query))
+            });
+            await this.storage.replaceKeywords(
+                current.id,
+                this.weighKeywords(await this.keywordsFor(fields.user_query, current.tenant))
+            );
+        }
+        if (embedding) {
+            await this.storage.storeEmbedding(current.id, embedding);
+        }
+
+        if (fields.ai_response !== undefined && fields.ai_response !== current.ai_response) {
+            Object.assign(update, { feedback_up: 0, feedback_down: 0 });
+            await this.storage.deleteFeedback(current.id);
+        }
+
+        await this.storage.updateConversation(current.id, update);
+    }
+
+    // Правка разговора арендатора: запрос, ответ, metadata, зависимые величины и теги.
+    // Возвращает обновленный разговор или null, если он не найден
+    async editConversation(conversationId, { query, response, metadata, dependsOn, tags }, { tenant = DEFAULT_TENANT, editedBy = null } = {}) {
+        const redacted = await this.redactEntry({ query, response }, { conversationId, tenant, source: 'edit', actor: editedBy });
+        ({ query, response } = redacted);
+        const embedding = query !== undefined ? await this.embedText(query) : null;
+
+        const edited = await this.storage.transaction(async () => {
+            const current = await this.storage.getConversation(conversationId, tenant);
+            if (!current) {
+                return false;
+            }
+
+            const fields = {};
+            if (query !== undefined) fields.user_query = query;
+            if (response !== undefined) fields.ai_response = response;
+            if (metadata !== undefined) fields.metadata = JSON.stringify(metadata);
+            if (dependsOn !== undefined) fields.depends_on = this.serializeDependsOn(dependsOn);
+
+            await this.reviseConversation(current, fields, { change: 'edit', editedBy, embedding });
+            if (tags !== undefined) {
+                await this.storage.replaceTags(conversationId, this.normalizeTags(tags));
+            }
+            await this.auditRedactions(redacted.findings, { conversationId, tenant, source: 'edit', actor: editedBy });
+            return true;
+        });
+
+        return edited ? this.getConversation(conversationId, tenant) : null;
+    }
+
+    // Версии разговора, начиная с текущей; null, если разговор не найден.
+    // created_at версии — момент, когда она стала текущей
+    async listVersions(conversationId, tenant = DEFAULT_TENANT) {
+        const current = await this.storage.getConversation(conversationId, tenant);
+        if (!current) {
+            return null;
+        }
+
+        const history = await this.storage.listVersions(conversationId);
+        const startedAt = index => (history[index] ? history[index].replaced_at : current.created_at);
+        const format = row => ({
+            version: row.version,
+            user_query: row.user_query,
+            ai_response: row.ai_response,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {},
+            depends_on: row.depends_on ? JSON.parse(row.depends_on) : []
+        });
+
+        return [
+            { ...format(current), current: true, created_at: startedAt(0) },
+            ...history.map((row, index) => ({
+                ...format(row),
+                current: false,
+                created_at: startedAt(index + 1),
+                replaced_at: row.replaced_at,
+                change_type: row.change_type,
+                changed_by: row.changed_by
+            }))
+        ];
+    }
+
+    // Откат к прежней версии: ее содержимое становится новой версией, история не теряется.
+    // Возвращает обновленный разговор или null, если разговор или версия не найдены
+    async rollbackConversation(conversationId, version, { tenant = DEFAULT_TENANT, editedBy = null } = {}) {
+        const current = await this.storage.getConversation(conversationId, tenant);
+        if (!current) {
+            return null;
+        }
+        if (version === current.version) {
+            return this.getConversation(conversationId, tenant);
+        }
+
+        const target = await this.storage.getVersion(conversationId, version);
+        if (!target) {
+            return null;
+        }
+
+        const embedding = target.user_query !== current.user_query ? await this.embedText(target.user_query) : null;
+
+        await this.storage.transaction(async () => {
+            const latest = await this.storage.getConversation(conversationId, tenant);
+            await this.reviseConversation(latest, {
+                user_query: target.user_query,
+                ai_response: target.ai_response,
+                metadata: target.metadata,
+                depends_on: target.depends_on
+            }, { change: 'rollback', editedBy, embedding });
+        });
+
+        return this.getConversation(conversationId, tenant);
+    }
+
+    // Вычисление эмбеддинга; при сбое провайдера поиск работает только по ключевым словам
+    async embedText(text) {
+        if (!this.embeddingProvider) return null;
+
+        try {
+            return {
+                model: this.embeddingProvider.model,
+                vector: await this.embeddingProvider.embed(text)
+            };
+        } catch (error) {
+            this.logger.error('Ошибка вычисления эмбеддинга', { error });
+            return null;
+        }
+    }
+
+    // Перестроение ключевых слов, сущностей и языка сохраненных разговоров арендатора
+    // (без tenant — всех арендаторов) и ключевых слов их псевдонимов, например после изменения
+    // словаря синонимов
+    async reindexKeywords({ tenant = null } = {}) {
+        return this.storage.transaction(async () => {
+            const conversations = await this.storage.listQueries(tenant);
+            let keywordCount = 0;
+
+            for (const conversation of conversations) {
+                const keywords = await this.keywordsFor(conversation.user_query, conversation.tenant);
+
+                await this.storage.replaceKeywords(conversation.id, this.weighKeywords(keywords));
+                await this.storage.updateConversation(conversation.id, {
+                    language: this.detectLanguage(conversation.user_query),
+                    entities: JSON.stringify(this.extractEntities(conversation.user_query))
+                });
+                keywordCount += keywords.length;
+            }
+
+            const aliases = await this.storage.listAliasQueries(tenant);
+            for (const alias of aliases) {
+                const keywords = await this.keywordsFor(alias.user_query, alias.tenant);
+                await this.storage.replaceAliasKeywords(alias.id, this.weighKeywords(keywords));
+                keywordCount += keywords.length;
+            }
+
+            return { conversations: conversations.length, aliases: aliases.length, keywords: keywordCount };
+        });
+    }
+
+    // Вычисление эмбеддингов для разговоров, у которых нет вектора текущей модели
+    async reindexEmbeddings() {
+        if (!this.embeddingProvider) {
+            return { conversations: 0 };
+        }
+
+        const model = this.embeddingProvider.model;
+        const conversations = await this.storage.findMissingEmbeddings(model);
+
+        let embedded = 0;
+        for (const conversation of conversations) {
+            const embedding = await this.embedText(conversation.user_query);
+            if (!embedding) continue;
+
+            await this.storage.storeEmbedding(conversation.id, embedding);
+            embedded++;
+        }
+
+        return { conversations: embedded, model };
+    }
+
+    // Поиск похожих разговоров с записью обращения в журнал и метрики: попадание или промах,
+    // тип совпадения и задержка.
+    // options.context — предыдущие реплики диалога, options.tenant — пространство имен арендатора,
+    // options.metadata — условия на metadata кандидатов: { model: 'gpt-4o', lang: ['ru', 'en'] }
+    async findSimilarConversations(query, limit = 5, minSimilarity = 0.3, options = {}) {
+        const { tenant = DEFAULT_TENANT, userId = null, sessionId = null } = options;
+        const startedAt = process.hrtime.bigint();
+
+        const results = await this.matchConversations(query, limit, minSimilarity, options);
+
+        const bestMatch = results[0];
+        results.forEach(row => {
+            this.updateUsageCount(row.id, userId, sessionId);
+        });
+        if (bestMatch) {
+            this.metrics.cacheLookups.inc({ result: 'hit', match_type: bestMatch.matchType });
+            this.metrics.cacheSimilarity.observe({ match_type: bestMatch.matchType }, bestMatch.similarity);
+        } else {
+            this.metrics.cacheLookups.inc({ result: 'miss' });
+        }
+        // Текст вопроса в журнал не пишется: в нем бывают персональные данные
+        this.logger.debug('Поиск в кэше', {
+            tenant,
+            result: bestMatch ? 'hit' : 'miss',
+            ...(bestMatch && { matchType: bestMatch.matchType, similarity: bestMatch.similarity }),
+            results: results.length
+        });
+        this.logLookup({
+            tenant,
+            query,
+            match: bestMatch,
+            latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+            userId,
+            sessionId
+        });
+
+        return results;
+    }
+
+    // Кандидаты для запроса с оценками без порога сходства: для проверки запроса в панели
+    // управления, поэтому обращение не попадает в журнал и не меняет счетчики использования
+    async explainQuery(query, { limit = 10, context = [], tenant = DEFAULT_TENANT, metadata = {} } = {}) {
+        return this.matchConversations(query, limit, 0, { context, tenant, metadata });
+    }
+
+    async matchConversations(query, limit, minSimilarity, options) {
+        const { context = [], tenant = DEFAULT_TENANT } = options;
+        const constraints = this.normalizeMetadataConstraints(options.metadata);
+        // Сохраненные запросы очищены от персональных данных, поэтому и поиск идет по очищенному
+        query = this.piiRedactor.redact(query).text;
+        const contextInfo = this.resolveContext(query, context);
+        const queryEntities = this.extractEntities(query);
+
+        // Сначала проверяем точное совпадение по хэшу: с тем же контекстом, затем без контекста.
+        // Совпадение с псевдонимом отдает ответ разговора, с которым объединена формулировка.
+        // Точное совпадение с неподходящей metadata не отдается, но поиск похожих продолжается
+        const hashes = [this.generateQueryHash(query, null, tenant)];
+        if (contextInfo) {
+            hashes.unshift(this.generateQueryHash(query, contextInfo.hash, tenant));
+        }
+
+        let exactMatch = null;
+        for (const queryHash of hashes) {
+            const found = await this.lookupQueryHash(queryHash, { servable: true });
+            if (found && found.conversation.tenant === tenant && this.isMetadataCompatible(found.conversation, constraints)) {
+                exactMatch = found;
+                break;
+            }
+        }
+
+        if (exactMatch) {
+            const row = exactMatch.conversation;
+            return [{
+                ...row,
+                similarity: 1.0,
+                quality: this.answerQuality(row),
+                matchType: 'exact',
+                matchSignal: exactMatch.alias ? 'alias' : 'exact',
+                scores: { keyword: 1.0, semantic: 1.0 }
+            }];
+        }
+
+        const keywordScores = await this.scoreByKeywords(query, tenant);
+        const semanticScores = await this.scoreByEmbeddings(query, tenant, keywordScores);
+
+        // Без эмбеддингов ранжируем только по ключевым словам
+        const weights = semanticScores
+            ? this.matchWeights
+            : { keyword: 1.0, semantic: 0.0 };
+        const totalWeight = (weights.keyword + weights.semantic) || 1;
+
+        const candidateIds = new Set([
+            ...keywordScores.keys(),
+            ...(semanticScores ? semanticScores.keys() : [])
+        ]);
+
+        const ranked = [];
+        for (const id of candidateIds) {
+            const keyword = keywordScores.get(id) || 0;
+            const semantic = semanticScores ? (semanticScores.get(id) || 0) : 0;
+            const keywordPart = weights.keyword * keyword;
+            const semanticPart = weights.semantic * semantic;
+            const similarity = (keywordPart + semanticPart) / totalWeight;
+
+            if (similarity < minSimilarity) continue;
+
+            let matchSignal = 'hybrid';
+            if (keywordPart === 0) matchSignal = 'semantic';
+            else if (semanticPart === 0) matchSignal = 'keyword';
+
+            ranked.push({ id, similarity, matchSignal, scores: { keyword, semantic } });
+        }
+
+        if (ranked.length === 0) {
+            return [];
+        }
+
+        const rows = await this.storage.getConversations(
+            ranked.map(candidate => candidate.id),
+            tenant,
+            { servable: true }
+        );
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+
+        return ranked
+            .filter(candidate => rowsById.has(candidate.id))
+            .filter(candidate => this.isMetadataCompatible(rowsById.get(candidate.id), constraints))
+            .filter(candidate => this.isContextCompatible(rowsById.get(candidate.id), contextInfo))
+            .filter(candidate => this.isEntityCompatible(rowsById.get(candidate.id), queryEntities))
+            .map(candidate => {
+                const row = rowsById.get(candidate.id);
+                const quality = this.answerQuality(row);
+                return {
+                    ...row,
+                    similarity: candidate.similarity,
+                    quality,
+                    // Хорошо оцененные ответы поднимаются выше, плохо оцененные опускаются
+                    rankScore: candidate.similarity + this.feedback.rankWeight * (quality - 0.5),
+                    matchType: 'similar',
+                    matchSignal: candidate.matchSignal,
+                    scores: candidate.scores
+                };
+            })
+            .sort((a, b) => b.rankScore - a.rankScore || b.usage_count - a.usage_count)
+            .slice(0, limit);
+    }
+
+    // Качество ответа по оценкам пользователей (сглаживание Лапласа): 0.5 без оценок
+    answerQuality(row) {
+        const up = row.feedback_up || 0;
+        const down = row.feedback_down || 0;
+        return (up + 1) / (up + down + 2);
+    }
+
+    // Уточняющий вопрос из кэша подходит только при совместимом контексте
+    isContextCompatible(row, contextInfo) {
+        if (!row.context_hash) {
+            return true;
+        }
+
+        return this.conversationContext.isCompatible(contextInfo, {
+            hash: row.context_hash,
+            keywords: row.context_keywords ? JSON.parse(row.context_keywords) : []
+        });
+    }
+
+    // Похожий ответ не подходит, если числовые значения запроса ему противоречат:
+    // "кабель 2.5 мм на 16А" и "кабель 6 мм на 32А" совпадают по словам, но не по сути.
+    // Для записей, сохраненных до появления сущностей, они извлекаются из текста запроса
+    isEntityCompatible(row, queryEntities) {
+        if (!this.matchEntities) {
+            return true;
+        }
+
+        const entities = row.entities ? JSON.parse(row.entities) : this.extractEntities(row.user_query);
+        const dependsOn = row.depends_on ? JSON.parse(row.depends_on) : [];
+        return this.entityExtractor.conflicts(queryEntities, entities, dependsOn).length === 0;
+    }
+
+    // Оценка по совпадению ключевых слов: id разговора -> доля весов совпавших слов
+    async scoreByKeywords(query, tenant = DEFAULT_TENANT) {
+        const queryKeywords = await this.keywordsFor(query, tenant);
+        if (queryKeywords.length === 0) {
+            return new Map();
+        }
+
+        const weights = await this.storage.keywordWeights(queryKeywords, tenant);
+        return new Map([...weights].map(([id, weight]) => [id, weight / queryKeywords.length]));
+    }
+
+    // Оценка по косинусному сходству эмбеддингов; null, если эмбеддинги недоступны.
+    // Векторы всей базы не загружаются: сравниваются только лучшие кандидаты по ключевым словам
+    // и самые востребованные разговоры арендатора, не более semanticCandidates каждых
+    async scoreByEmbeddings(query, tenant = DEFAULT_TENANT, keywordScores = new Map()) {
+        const embedding = await this.embedText(query);
+        if (!embedding) {
+            return null;
+        }
+
+        const ids = [...keywordScores]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.semanticCandidates)
+            .map(([id]) => id);
+        const embeddings = await this.storage.listEmbeddings(embedding.model, tenant, {
+            ids,
+            popular: this.semanticCandidates
+        });
+
+        const scores = new Map();
+        for (const { conversationId, vector } of embeddings) {
+            const similarity = cosineSimilarity(embedding.vector, vector);
+            if (similarity > 0) {
+                scores.set(conversationId, similarity);
+            }
+        }
+
+        return scores;
+    }
+
+    // Разбор пользовательской строки поиска на группы условий: группы объединяются через OR,
+    // термы внутри группы — через AND. Терм — слово или фраза в кавычках, слово со звездочкой — префикс
+    parseSearchQuery(text) {
+        const groups = [[]];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        const words = value => value.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const current = groups[groups.length - 1];
+
+            if (match[1] !== undefined) {
+                const phrase = words(match[1]);
+                if (phrase.length > 0) current.push({ words: phrase, prefix: false });
+                continue;
+            }
+
+            const token = match[2];
+            if (token === 'OR') {
+                if (current.length > 0) groups.push([]);
+                continue;
+            }
+
+            const term = words(token);
+            if (term.length > 0) current.push({ words: term, prefix: token.endsWith('*') });
+        }
+
+        return groups.filter(group => group.length > 0);
+    }
+
+    // Полнотекстовый поиск по запросам и ответам с ранжированием, сниппетами, фильтрами и курсором
+    async searchConversations({
+        text,
+        tenant = DEFAULT_TENANT,
+        userId,
+        sessionId,
+        from,
+        to,
+        metadata = {},
+        limit = 10,
+        cursor = null
+    }) {
+        const groups = this.parseSearchQuery(text);
+        if (groups.length === 0) {
+            return { results: [], nextCursor: null };
+        }
+
+        const rows = await this.storage.searchConversations({
+            groups,
+            tenant,
+            userId,
+            sessionId,
+            from: from ? toTimestamp(new Date(from)) : null,
+            to: to ? toTimestamp(new Date(to)) : null,
+            metadata,
+            limit: limit + 1,
+            cursor
+        });
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return {
+            results: page.map(row => ({
+                ...row,
+                metadata: row.metadata ? JSON.parse(row.metadata) : {}
+            })),
+            nextCursor: rows.length > limit ? { score: last.score, id: last.id } : null
+        };
+    }
+
+    // Обновление счетчика использования и статистики доступа; ошибка не влияет на ответ
+    updateUsageCount(conversationId, userId = null, sessionId = null) {
+        this.storage.recordUsage(conversationId, userId, sessionId).catch(err => {
+            this.logger.error('Ошибка обновления счетчика использования', { error: err, conversationId });
+        });
+    }
+
+    // Запись обращения к кэшу в журнал; ошибка записи не влияет на ответ
+    logLookup({ tenant = DEFAULT_TENANT, query, match = null, latencyMs, userId = null, sessionId = null }) {
+        // Журнал обращений виден в аналитике, поэтому запрос записывается без персональных данных
+        query = this.piiRedactor.redact(query).text;
+        // Словарь синонимов уже загружен при поиске; промахи группируются по каноническим терминам
+        const synonyms = this.synonymCache.get(tenant);
+        const queryKeywords = [...new Set(this.extractKeywords(query, synonyms && synonyms.dictionary))].sort().join(' ');
+
+        this.storage.recordLookup({
+            tenant,
+            query,
+            queryKeywords,
+            hit: Boolean(match),
+            conversationId: match ? match.id : null,
+            matchType: match ? match.matchType : null,
+            matchSignal: match ? match.matchSignal : null,
+            similarity: match ? match.similarity : null,
+            latencyMs: Math.round(latencyMs * 100) / 100,
+            userId,
+            sessionId
+        }).catch(err => {
+            this.logger.error('Ошибка записи журнала обращений', { error: err });
+        });
+    }
+
+    // Аналитика обращений арендатора за период: доля попаданий по часам или дням,
+    // самые частые промахи (сгруппированные по ключевым словам) и распределение сходства попаданий
+    async getCacheAnalytics({ tenant = DEFAULT_TENANT, from, to, interval = 'day', top = 20 } = {}) {
+        const { totals, timeline, topMissed, distribution, byMatchType } = await this.storage.lookupAnalytics({
+            tenant,
+            from: from ? toTimestamp(new Date(from)) : null,
+            to: to ? toTimestamp(new Date(to)) : null,
+            interval,
+            top
+        });
+
+        const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+        const counts = new Map(distribution.map(row => [row.bucket, row.count]));
+
+        return {
+            interval,
+            from: from || null,
+            to: to || null,
+            totals: {
+                lookups: totals.lookups,
+                hits: totals.hits,
+                misses: totals.lookups - totals.hits,
+                hitRate: totals.lookups ? round(totals.hits / totals.lookups) : null,
+                avgLatencyMs: round(totals.avg_latency, 2)
+            },
+            hitRate: timeline.map(row => ({
+                bucket: row.bucket,
+                lookups: row.lookups,
+                hits: row.hits,
+                misses: row.lookups - row.hits,
+                hitRate: round(row.hits / row.lookups),
+                avgLatencyMs: round(row.avg_latency, 2)
+            })),
+            topMissed: topMissed.map(row => ({
+                keywords: row.normalized,
+                misses: row.misses,
+                variants: row.variants,
+                example: row.example,
+                lastSeen: row.last_seen
+            })),
+            similarityDistribution: Array.from({ length: 10 }, (_, index) => ({
+                min: index / 10,
+                max: (index + 1) / 10,
+                count: counts.get(index) || 0
+            })),
+            hitsByMatchType: byMatchType.map(row => ({
+                matchType: row.match_type,
+                matchSignal: row.match_signal,
+                count: row.count,
+                avgSimilarity: round(row.avg_similarity)
+            }))
+        };
+    }
+
+    // Удаление записей журнала обращений старше указанного срока
+    async purgeLookupLog(retentionDays) {
+        if (!(retentionDays > 0)) {
+            return 0;
+        }
+
+        return this.storage.purgeLookups(timestampIn(-retentionDays * 24 * 3600));
+    }
+
+    // Получение статистики кэша арендатора
+    async getCacheStats(tenant = DEFAULT_TENANT) {
+        const stats = await this.storage.getStats(tenant);
+
+        return {
+            totalConversations: stats.conversations,
+            totalKeywords: stats.keywords,
+            totalAccesses: stats.accesses,
+            avgUsage: Math.round(stats.avgUsage * 100) / 100,
+            maxUsage: stats.maxUsage
+        };
+    }
+
+    // Очистка старых записей, которые ни разу не использовались повторно
+    async cleanupOldRecords(daysOld = 30, tenant = DEFAULT_TENANT) {
+        return this.storage.transaction(async () => {
+            const ids = await this.storage.findStaleIds({
+                tenant,
+                createdBefore: timestampIn(-parseInt(daysOld) * 24 * 3600),
+                maxUsage: 1
+            });
+            return this.storage.deleteConversations(ids);
+        });
+    }
+
+    // Удаление одного разговора арендатора вместе со связанными записями
+    async deleteConversation(conversationId, tenant = DEFAULT_TENANT) {
+        return this.storage.transaction(async () => {
+            const row = await this.storage.getConversation(conversationId, tenant);
+            return row ? this.storage.deleteConversations([row.id]) : 0;
+        });
+    }
+
+    // Разговор арендатора по идентификатору вместе с ключевыми словами, тегами и псевдонимами
+    async getConversation(conversationId, tenant = DEFAULT_TENANT) {
+        const conversation = await this.storage.getConversation(conversationId, tenant);
+        if (!conversation) {
+            return null;
+        }
+
+        const keywords = await this.storage.getKeywords([conversationId]);
+        const tags = await this.storage.getTags([conversationId]);
+        const aliases = await this.storage.listAliases([conversationId]);
+        return {
+            ...conversation,
+            entities: conversation.entities ? JSON.parse(conversation.entities) : this.extractEntities(conversation.user_query),
+            depends_on: conversation.depends_on ? JSON.parse(conversation.depends_on) : [],
+            keywords: keywords.get(conversationId),
+            tags: tags.get(conversationId),
+            aliases: aliases.get(conversationId).map(alias => ({
+                id: alias.id,
+                user_query: alias.user_query,
+                usage_count: alias.usage_count,
+                merged_at: alias.merged_at,
+                merged_by: alias.merged_by
+            }))
+        };
+    }
+
+    // Групповая инвалидация: разговоры арендатора с любым из тегов, metadata которых подходит
+    // под условия (как в поиске). action: expire — срок действия истекает сейчас, и записи
+    // удалит плановая очистка; delete — удаление сразу. При dryRun только подсчет
+    async invalidateConversations({ tenant = DEFAULT_TENANT, tags = [], metadata = {}, action = 'expire', dryRun = false }) {
+        if (!INVALIDATION_ACTIONS.includes(action)) {
+            throw new Error(`Неизвестное действие инвалидации: ${action}`);
+        }
+
+        return this.storage.transaction(async () => {
+            const ids = await this.storage.findInvalidationIds({
+                tenant,
+                tags: this.normalizeTags(tags),
+                metadata: this.normalizeMetadataConstraints(metadata)
+            });
+
+            if (dryRun || ids.length === 0) {
+                return { matched: ids.length, affected: 0 };
+            }
+
+            if (action === 'delete') {
+                return { matched: ids.length, affected: await this.storage.deleteConversations(ids) };
+            }
+
+            const expiresAt = toTimestamp();
+            for (const id of ids) {
+                await this.storage.updateConversation(id, { expires_at: expiresAt });
+            }
+            return { matched: ids.length, affected: ids.length };
+        });
+    }
+
+    // История разговоров арендатора с фильтрами по пользователю и сессии
+    async getHistory({ tenant = DEFAULT_TENANT, userId, sessionId, limit = 50, offset = 0 } = {}) {
+        const rows = await this.storage.listConversations({ tenant, userId, sessionId, limit, offset });
+
+        return rows.map(row => ({
+            id: row.id,
+            user_query: row.user_query,
+            ai_response: row.ai_response,
+            created_at: row.created_at,
+            usage_count: row.usage_count,
+            query_hash: row.query_hash,
+            version: row.version
+        }));
+    }
+
+    // Голосующий: userId и sessionId приходят от клиента, поэтому голос вызывающего (caller: API-ключ
+    // или адрес) делится по ним только при FEEDBACK_VOTER_BY=user и только внутри этого вызывающего.
+    // Без caller (бот Telegram, где пользователь подтвержден) голос один на пользователя или сессию
+    voterOf({ userId, sessionId, caller }) {
+        const own = userId ? `user:${userId}` : sessionId ? `session:${sessionId}` : null;
+        if (!caller) {
+            return own;
+        }
+        return this.feedback.voterBy === 'user' && own ? `${caller}:${own}` : caller;
+    }
+
+    // Оценка ответа пользователем (rating: up или down). Ответ, качество которого
+    // упало ниже порога при достаточном числе оценок, уходит в карантин.
+    // Голос один на голосующего (voterOf); повторная оценка заменяет прежнюю
+    async recordFeedback(conversationId, { rating, comment = null, userId = null, sessionId = null, caller = null, tenant = DEFAULT_TENANT }) {
+        return this.storage.transaction(async () => {
+            const conversation = await this.storage.getConversation(conversationId, tenant);
+            if (!conversation) {
+                return null;
+            }
+
+            await this.storage.addFeedback(conversationId, {
+                rating: rating === 'up' ? 1 : -1,
+                comment,
+                userId,
+                sessionId,
+                voter: this.voterOf({ userId, sessionId, caller })
+            });
+
+            const row = await this.storage.getConversation(conversationId);
+            const quality = this.answerQuality(row);
+            const votes = row.feedback_up + row.feedback_down;
+
+            let status = row.status;
+            if (status === 'active' && votes >= this.feedback.minVotes && quality < this.feedback.quarantineThreshold) {
+                await this.storage.updateConversation(conversationId, {
+                    status: 'quarantined',
+                    quarantined_at: toTimestamp()
+                });
+                status = 'quarantined';
+            }
+
+            return {
+                feedbackUp: row.feedback_up,
+                feedbackDown: row.feedback_down,
+                quality,
+                status
+            };
+        });
+    }
+
+    // Ответы в карантине с последними отрицательными комментариями
+    async listQuarantined({ tenant = DEFAULT_TENANT, limit = 50, offset = 0 } = {}) {
+        const rows = await this.storage.listConversations({
+            tenant,
+            status: 'quarantined',
+            order: 'quarantined',
+            limit,
+            offset
+        });
+
+        const result = [];
+        for (const row of rows) {
+            result.push({
+                id: row.id,
+                user_query: row.user_query,
+                ai_response: row.ai_response,
+                feedback_up: row.feedback_up,
+                feedback_down: row.feedback_down,
+                quarantined_at: row.quarantined_at,
+                usage_count: row.usage_count,
+                created_at: row.created_at,
+                quality: this.answerQuality(row),
+                comments: await this.storage.getNegativeComments(row.id, 5)
+            });
+        }
+
+        return result;
+    }
+
+    // Возврат ответа из карантина; замененный текст становится новой версией,
+    // оценки старого ответа сбрасываются
+    async restoreConversation(conversationId, { tenant = DEFAULT_TENANT, response = null, editedBy = null } = {}) {
+        // Отказ записывается в журнал вне транзакции, чтобы его не откатило исключение
+        const redacted = response !== null
+            ? await this.redactEntry({ response }, { conversationId, tenant, source: 'replace', actor: editedBy })
+            : null;
+
+        return this.storage.transaction(async () => {
+            const row = await this.storage.getConversation(conversationId, tenant);
+            if (!row || row.status !== 'quarantined') {
+                return 0;
+            }
+
+            const fields = { status: 'active', quarantined_at: null };
+            if (response === null) {
+                return this.storage.updateConversation(conversationId, fields);
+            }
+
+            await this.reviseConversation(row, { ...fields, ai_response: redacted.response }, { change: 'replace', editedBy });
+            await this.auditRedactions(redacted.findings, { conversationId, tenant, source: 'replace', actor: editedBy });
+            return 1;
+        });
+    }
+
+    // Запись разговора для DuplicateDetector
+    duplicateEntry(row, keywords) {
+        return {
+            id: row.id,
+            keywords,
+            context_hash: row.context_hash,
+            entities: row.entities ? JSON.parse(row.entities) : this.extractEntities(row.user_query),
+            depends_on: row.depends_on ? JSON.parse(row.depends_on) : [],
+            usage_count: row.usage_count,
+            created_at: row.created_at
+        };
+    }
+
+    // Самый похожий сохраненный разговор арендатора для нового вопроса: сравнивается и запрос
+    // разговора, и объединенные с ним формулировки. Возвращает { id, similarity } или null
+    async findNearDuplicate(keywords, { tenant = DEFAULT_TENANT, contextHash = null, entities = [], dependsOn = [] } = {}) {
+        if (keywords.length === 0) {
+            return null;
+        }
+
+        const weights = await this.storage.keywordWeights(keywords, tenant);
+        const rows = await this.storage.getConversations([...weights.keys()], tenant, { servable: true });
+        const ids = rows.map(row => row.id);
+        const ownKeywords = await this.storage.getKeywords(ids);
+        const aliases = await this.storage.listAliases(ids);
+        const aliasKeywords = await this.storage.getAliasKeywords([...aliases.values()].flat().map(alias => alias.id));
+
+        const entry = { keywords, context_hash: contextHash, entities, depends_on: dependsOn };
+        let best = null;
+        for (const row of rows) {
+            const candidate = this.duplicateEntry(row, ownKeywords.get(row.id).map(item => item.keyword));
+            if (!this.duplicateDetector.isCompatible(entry, candidate)) continue;
+
+            const phrasings = [candidate.keywords, ...aliases.get(row.id).map(alias => aliasKeywords.get(alias.id))];
+            const similarity = Math.max(...phrasings.map(phrasing => this.duplicateDetector.similarity(keywords, phrasing)));
+            if (similarity >= this.duplicateDetector.minSimilarity && (!best || similarity > best.similarity)) {
+                best = { id: row.id, similarity: Math.round(similarity * 1e4) / 1e4 };
+            }
+        }
+
+        return best;
+    }
+
+    // Поиск групп похожих разговоров арендатора (без tenant — всех арендаторов); найденные группы
+    // заменяют прежние. Идентификатор группы зависит только от ее состава, поэтому повторный поиск
+    // без изменений в кэше оставляет те же идентификаторы
+    async scanDuplicates({ tenant = null } = {}) {
+        const rows = await this.storage.listDuplicateCandidates(tenant);
+        const keywords = await this.storage.getKeywords(rows.map(row => row.id));
+
+        const byTenant = new Map();
+        for (const row of rows) {
+            if (!byTenant.has(row.tenant)) byTenant.set(row.tenant, []);
+            byTenant.get(row.tenant).push(this.duplicateEntry(row, keywords.get(row.id).map(item => item.keyword)));
+        }
+
+        const clusters = [];
+        for (const [rowTenant, entries] of byTenant) {
+            for (const cluster of this.duplicateDetector.cluster(entries)) {
+                const memberIds = cluster.members.map(member => member.id).sort();
+                clusters.push({
+                    id: crypto.createHash('md5').update(`${rowTenant}:${memberIds.join(',')}`).digest('hex'),
+                    tenant: rowTenant,
+                    canonical_id: cluster.canonicalId,
+                    members: cluster.members.map(member => ({
+                        conversation_id: member.id,
+                        similarity: Math.round(member.similarity * 1e4) / 1e4
+                    }))
+                });
+            }
+        }
+
+        await this.storage.replaceDuplicateClusters(tenant, clusters);
+        return {
+            clusters: clusters.length,
+            conversations: clusters.reduce((sum, cluster) => sum + cluster.members.length, 0)
+        };
+    }
+
+    // Группы вместе с разговорами; разговоры, удаленные после поиска, пропускаются
+    async describeClusters(clusters, tenant) {
+        const members = await this.storage.getDuplicateClusterMembers(clusters.map(cluster => cluster.id));
+        const ids = [...new Set([...members.values()].flat().map(member => member.conversation_id))];
+        const rows = new Map((await this.storage.getConversations(ids, tenant)).map(row => [row.id, row]));
+        const aliases = await this.storage.listAliases(ids);
+
+        return clusters.map(cluster => {
+            const conversations = members.get(cluster.id)
+                .filter(member => rows.has(member.conversation_id))
+                .map(member => {
+                    const row = rows.get(member.conversation_id);
+                    return {
+                        id: row.id,
+                        user_query: row.user_query,
+                        ai_response: row.ai_response,
+                        status: row.status,
+                        usage_count: row.usage_count,
+                        quality: this.answerQuality(row),
+                        similarity: member.similarity,
+                        aliases: aliases.get(row.id).length,
+                        created_at: row.created_at
+                    };
+                });
+
+            return {
+                id: cluster.id,
+                canonical_id: cluster.canonical_id,
+                size: conversations.length,
+                usage_count: conversations.reduce((sum, conversation) => sum + conversation.usage_count, 0),
+                created_at: cluster.created_at,
+                conversations
+            };
+        });
+    }
+
+    // Найденные группы похожих разговоров арендатора, крупные первыми
+    async listDuplicateClusters({ tenant = DEFAULT_TENANT, limit = 50, offset = 0 } = {}) {
+        const clusters = await this.storage.listDuplicateClusters({ tenant, limit, offset });
+        return this.describeClusters(clusters, tenant);
+    }
+
+    async getDuplicateCluster(clusterId, tenant = DEFAULT_TENANT) {
+        const cluster = await this.storage.getDuplicateCluster(clusterId, tenant);
+        if (!cluster) {
+            return null;
+        }
+
+        const [described] = await this.describeClusters([cluster], tenant);
+        return described;
+    }
+
+    // Объединение похожих разговоров в канонический: их запросы становятся псевдонимами, которые
+    // по-прежнему находятся точным и нечетким поиском, счетчики использования складываются, теги
+    // объединяются. response заменяет ответ канонического разговора новой версией.
+    // Возвращает { conversation, merged } или null, если канонический разговор не найден
+    async mergeConversations(canonicalId, duplicateIds, { tenant = DEFAULT_TENANT, response = null, editedBy = null } = {}) {
+        // Отказ записывается в журнал вне транзакции, чтобы его не откатило исключение
+        const redacted = response !== null
+            ? await this.redactEntry({ response }, { conversationId: canonicalId, tenant, source: 'merge', actor: editedBy })
+            : null;
+
+        const merged = await this.storage.transaction(async () => {
+            const canonical = await this.storage.getConversation(canonicalId, tenant);
+            if (!canonical) {
+                return null;
+            }
+
+            const duplicates = (await this.storage.getConversations(duplicateIds, tenant))
+                .filter(row => row.id !== canonical.id);
+            const duplicateKeywords = await this.storage.getKeywords(duplicates.map(row => row.id));
+            const tags = await this.storage.getTags([canonical.id, ...duplicates.map(row => row.id)]);
+
+            let usageCount = canonical.usage_count;
+            for (const duplicate of duplicates) {
+                await this.storage.reassignAliasesAndUsage(duplicate.id, canonical.id);
+                await this.storage.deleteConversations([duplicate.id]);
+                await this.storage.insertAlias({
+                    id: require('uuid').v4(),
+                    conversation_id: canonical.id,
+                    tenant,
+                    user_query: duplicate.user_query,
+                    query_hash: duplicate.query_hash,
+                    usage_count: duplicate.usage_count,
+                    merged_by: editedBy
+                }, duplicateKeywords.get(duplicate.id));
+                usageCount += duplicate.usage_count;
+            }
+
+            await this.storage.updateConversation(canonical.id, { usage_count: usageCount });
+            await this.storage.replaceTags(canonical.id, this.normalizeTags([...tags.values()].flat()));
+
+            if (redacted) {
+                await this.reviseConversation(canonical, { ai_response: redacted.response }, { change: 'merge', editedBy });
+                await this.auditRedactions(redacted.findings, { conversationId: canonical.id, tenant, source: 'merge', actor: editedBy });
+            }
+
+            return duplicates.length;
+        });
+
+        if (merged === null) {
+            return null;
+        }
+        return { conversation: await this.getConversation(canonicalId, tenant), merged };
+    }
+
+    // Постраничный обход разговоров арендатора вместе с ключевыми словами и тегами (для экспорта)
+    async *iterateConversations(tenant = DEFAULT_TENANT, batchSize = 200) {
+        let lastId = '';
+
+        while (true) {
+            const rows = await this.storage.pageConversations(tenant, lastId, batchSize);
+            if (rows.length === 0) {
+                return;
+            }
+
+            const keywords = await this.storage.getKeywords(rows.map(row => row.id));
+            const tags = await this.storage.getTags(rows.map(row => row.id));
+
+            for (const row of rows) {
+                row.keywords = keywords.get(row.id);
+                row.tags = tags.get(row.id);
+                yield row;
+            }
+
+            lastId = rows[rows.length - 1].id;
+        }
+    }
+
+    // Импорт одной записи с учетом дубликатов по query_hash.
+    // mode: skip — оставить существующую, overwrite — заменить, merge — сохранить ответ,
+    // сложить счетчики использования и дополнить metadata и теги. При dryRun ничего не записывается.
+    // Возвращает действие: inserted, skipped, overwritten или merged
+    // seenHashes — хэши запросов, уже встреченных в файле: при dryRun в базе их еще нет,
+    // но настоящая загрузка обработает повтор как существующую запись
+    async importConversation(record, { tenant = DEFAULT_TENANT, mode = 'skip', dryRun = false, seenHashes = null } = {}) {
+        const dependsOn = this.resolveDependsOn(record.dependsOn || []);
+        if (!dependsOn) {
+            throw new Error(`Неизвестная величина в dependsOn: ${record.dependsOn.join(', ')}`);
+        }
+
+        // Даты сравниваются со временем хранилища как строки, поэтому приводятся к его формату
+        const dates = {};
+        for (const field of ['createdAt', 'expiresAt', 'quarantinedAt']) {
+            dates[field] = record[field] ? parseTimestamp(record[field]) : null;
+            if (record[field] && !dates[field]) {
+                throw new Error(`Некорректная дата в ${field}: ${record[field]}`);
+            }
+        }
+
+        const redacted = await this.redactEntry({ query: record.query, response: record.response }, { tenant, source: 'import', dryRun });
+        record = { ...record, ...dates, query: redacted.query, response: redacted.response };
+
+        // Формулировка, объединенная с другим разговором: skip и merge относятся к нему,
+        // overwrite снова делает ее самостоятельным разговором
+        const queryHash = this.generateQueryHash(record.query, record.contextHash || null, tenant);
+        const found = await this.lookupQueryHash(queryHash);
+        const replacedAlias = found && found.alias && mode === 'overwrite' ? found.alias : null;
+        const existing = found && !replacedAlias ? found.conversation : null;
+        const seenInFile = dryRun && seenHashes !== null && seenHashes.has(queryHash);
+        if (seenHashes !== null) {
+            seenHashes.add(queryHash);
+        }
+
+        const action = !found && !seenInFile ? 'inserted' : { skip: 'skipped', overwrite: 'overwritten', merge: 'merged' }[mode];
+        if (dryRun || action === 'skipped') {
+            return action;
+        }
+
+        // Ключевые слова из файла могли содержать удаленные из запроса данные
+        const keywords = record.keywords && record.keywords.length > 0 && !redacted.findings.some(finding => finding.field === 'query')
+            ? record.keywords
+            : this.weighKeywords(await this.keywordsFor(record.query, tenant));
+        const embedding = action === 'merged' ? null : await this.embedText(record.query);
+
+        await this.storage.transaction(async () => {
+            if (action === 'merged') {
+                const current = await this.storage.getConversation(existing.id);
+                const metadata = { ...record.metadata, ...(current.metadata ? JSON.parse(current.metadata) : {}) };
+                await this.storage.updateConversation(current.id, {
+                    usage_count: current.usage_count + (record.usageCount || 0),
+                    metadata: JSON.stringify(metadata)
+                });
+                const currentTags = (await this.storage.getTags([current.id])).get(current.id);
+                await this.storage.replaceTags(current.id, this.normalizeTags([...currentTags, ...(record.tags || [])]));
+                return;
+            }
+
+            if (replacedAlias) {
+                await this.storage.deleteAlias(replacedAlias.id);
+            }
+
+            let conversationId = existing ? existing.id : record.id;
+            if (existing) {
+                await this.storage.deleteConversations([existing.id]);
+            } else if (!conversationId || await this.storage.getConversation(conversationId)) {
+                conversationId = require('uuid').v4();
+            }
+
+            await this.storage.insertConversation({
+                id: conversationId,
+                user_query: record.query,
+                ai_response: record.response,
+                query_hash: queryHash,
+                user_id: record.userId || null,
+                session_id: record.sessionId || null,
+                metadata: JSON.stringify(record.metadata || {}),
+                language: record.language || this.detectLanguage(record.query),
+                context_hash: record.contextHash || null,
+                context_keywords: record.contextKeywords ? JSON.stringify(record.contextKeywords) : null,
+                entities: JSON.stringify(this.extractEntities(record.query)),
+                depends_on: dependsOn.length > 0 ? JSON.stringify(dependsOn) : null,
+                tenant,
+                expires_at: record.expiresAt || null,
+                usage_count: record.usageCount || 1,
+                created_at: record.createdAt || null
+            }, keywords, embedding);
+            if (record.status === 'quarantined') {
+                await this.storage.updateConversation(conversationId, {
+                    status: 'quarantined',
+                    quarantined_at: record.quarantinedAt || toTimestamp()
+                });
+            }
+            await this.storage.replaceTags(conversationId, this.normalizeTags(record.tags));
+            await this.auditRedactions(redacted.findings, { conversationId, tenant, source: 'import' });
+        });
+
+        return action;
+    }
+
+    // Словарь синонимов арендатора из кэша; загружается при первом обращении и после истечения срока
+    async synonymDictionary(tenant = DEFAULT_TENANT) {
+        const cached = this.synonymCache.get(tenant);
+        if (cached && Date.now() - cached.loadedAt < this.synonymsCacheTtl * 1000) {
+            return cached.dictionary;
+        }
+
+        const dictionary = new SynonymDictionary(this.keywordExtractor, await this.storage.listSynonyms(tenant));
+        this.synonymCache.set(tenant, { dictionary, loadedAt: Date.now() });
+        return dictionary;
+    }
+
+    // Фраза словаря в нижнем регистре с одиночными пробелами
+    normalizePhrase(text) {
+        return text.toLowerCase().replace(/ё/g, 'е').trim().replace(/\s+/g, ' ');
+    }
+
+    async listSynonyms(tenant = DEFAULT_TENANT) {
+        return this.storage.listSynonyms(tenant);
+    }
+
+    // Добавление слова или фразы с каноническим термином. Уже сохраненные разговоры
+    // начнут учитывать изменение после переиндексации
+    async addSynonym({ tenant = DEFAULT_TENANT, phrase, canonical }) {
+        const row = {
+            id: require('uuid').v4(),
+            tenant,
+            phrase: this.normalizePhrase(phrase),
+            canonical: this.normalizePhrase(canonical)
+        };
+
+        await this.storage.transaction(async () => {
+            const existing = (await this.storage.listSynonyms(tenant)).find(synonym => synonym.phrase === row.phrase);
+            if (existing) {
+                throw new SynonymConflictError(existing.id);
+            }
+            await this.storage.insertSynonym(row);
+        });
+
+        this.synonymCache.delete(tenant);
+        return row;
+    }
+
+    // Изменение записи словаря; null, если запись не найдена
+    async updateSynonym(id, { tenant = DEFAULT_TENANT, phrase, canonical }) {
+        const updated = await this.storage.transaction(async () => {
+            const synonyms = await this.storage.listSynonyms(tenant);
+            const current = synonyms.find(synonym => synonym.id === id);
+            if (!current) {
+                return null;
+            }
+
+            const fields = {
+                phrase: phrase !== undefined ? this.normalizePhrase(phrase) : current.phrase,
+                canonical: canonical !== undefined ? this.normalizePhrase(canonical) : current.canonical
+            };
+            const duplicate = synonyms.find(synonym => synonym.phrase === fields.phrase && synonym.id !== id);
+            if (duplicate) {
+                throw new SynonymConflictError(duplicate.id);
+            }
+
+            await this.storage.updateSynonym(id, tenant, fields);
+            return { ...current, ...fields };
+        });
+
+        this.synonymCache.delete(tenant);
+        return updated;
+    }
+
+    async deleteSynonym(id, tenant = DEFAULT_TENANT) {
+        const deleted = await this.storage.deleteSynonym(id, tenant);
+        this.synonymCache.delete(tenant);
+        return deleted;
+    }
+
+    // Хэш API-ключа: ключи случайные и длинные, поэтому достаточно SHA-256
+    hashApiKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    // Выпуск API-ключа; открытое значение возвращается только здесь
+    async createApiKey({ tenant = DEFAULT_TENANT, role, name = null }) {
+        const key = `eab_${crypto.randomBytes(24).toString('base64url')}`;
+        const id = require('uuid').v4();
+
+        await this.storage.insertApiKey({
+            id,
+            key_hash: this.hashApiKey(key),
+            key_prefix: key.slice(0, 8),
+            tenant,
+            role,
+            name
+        });
+
+        return { id, key, tenant, role, name };
+    }
+
+    // Действующий ключ по открытому значению
+    async findApiKey(key) {
+        return this.storage.findApiKeyByHash(this.hashApiKey(key));
+    }
+
+    touchApiKey(keyId) {
+        this.storage.touchApiKey(keyId).catch(err => {
+            this.logger.error('Ошибка обновления времени использования ключа', { error: err, keyId });
+        });
+    }
+
+    async listApiKeys(tenant) {
+        return this.storage.listApiKeys(tenant);
+    }
+
+    async revokeApiKey(keyId, tenant) {
+        return this.storage.revokeApiKey(keyId, tenant);
+    }
+
+    // Удаление записей с истекшим сроком действия
+    async purgeExpired() {
+        return this.storage.transaction(async () => {
+            const ids = await this.storage.findExpiredIds();
+            return this.storage.deleteConversations(ids);
+        });
+    }
+
+    // Удаление записей, оставшихся от разговоров, удаленных до включения внешних ключей
+    async purgeOrphans() {
+        return this.storage.purgeOrphans();
+    }
+
+    // Вытеснение записей сверх лимитов по количеству и объему в порядке политики
+    async enforceLimits({ maxEntries = 0, maxBytes = 0, policy = 'lru' } = {}) {
+        if (!EVICTION_POLICIES.includes(policy)) {
+            throw new Error(`Неизвестная политика вытеснения: ${policy}`);
+        }
+
+        return this.storage.transaction(async () => {
+            const ids = await this.storage.findEvictionCandidates({ maxEntries, maxBytes, policy });
+            return this.storage.deleteConversations(ids);
+        });
+    }
+
+    // Закрытие соединения с хранилищем
+    async close() {
+        this.isReady = false;
+        try {
+            await this.storage.close();
+            this.logger.info('Соединение с базой данных закрыто');
+        } catch (err) {
+            this.logger.error('Ошибка закрытия базы данных', { error: err });
+        }
+    }
+}
+
+module.exports = DatabaseManager;
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
+module.exports.QueryConflictError = QueryConflictError;
+module.exports.SynonymConflictError = SynonymConflictError;
+module.exports.PiiRejectedError = PiiRejectedError;
+module.exports.DuplicateConversationError = DuplicateConversationError;
+module.exports.InvalidSearchQueryError = InvalidSearchQueryError;
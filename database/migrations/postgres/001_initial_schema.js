@@ -0,0 +1,152 @@
+// Схема PostgreSQL, соответствующая миграциям SQLite 001–007.
+// Время хранится в UTC без часового пояса, metadata — JSON в тексте (фильтры приводят его к jsonb),
+// полнотекстовый индекс — генерируемая колонка tsvector с весами A (запрос) и B (ответ)
+const NOW = "(now() AT TIME ZONE 'utc')";
+
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversations (
+                id TEXT PRIMARY KEY,
+                user_query TEXT NOT NULL,
+                ai_response TEXT NOT NULL,
+                created_at TIMESTAMP(0) DEFAULT ${NOW},
+                updated_at TIMESTAMP(0) DEFAULT ${NOW},
+                query_hash TEXT NOT NULL UNIQUE,
+                similarity_score DOUBLE PRECISION DEFAULT 0.0,
+                usage_count INTEGER DEFAULT 1,
+                user_id TEXT,
+                session_id TEXT,
+                metadata TEXT,
+                language TEXT,
+                context_hash TEXT,
+                context_keywords TEXT,
+                expires_at TIMESTAMP(0),
+                last_accessed_at TIMESTAMP(0),
+                tenant TEXT NOT NULL DEFAULT 'default',
+                status TEXT NOT NULL DEFAULT 'active',
+                feedback_up INTEGER NOT NULL DEFAULT 0,
+                feedback_down INTEGER NOT NULL DEFAULT 0,
+                quarantined_at TIMESTAMP(0),
+                search_vector tsvector GENERATED ALWAYS AS (
+                    setweight(to_tsvector('simple', user_query), 'A') ||
+                    setweight(to_tsvector('simple', ai_response), 'B')
+                ) STORED
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS query_keywords (
+                id BIGSERIAL PRIMARY KEY,
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                keyword TEXT NOT NULL,
+                weight DOUBLE PRECISION DEFAULT 1.0
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS usage_stats (
+                id BIGSERIAL PRIMARY KEY,
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                accessed_at TIMESTAMP(0) DEFAULT ${NOW},
+                user_id TEXT,
+                session_id TEXT
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_embeddings (
+                conversation_id TEXT PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+                model TEXT NOT NULL,
+                dimensions INTEGER NOT NULL,
+                vector BYTEA NOT NULL,
+                created_at TIMESTAMP(0) DEFAULT ${NOW}
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT NOT NULL,
+                tenant TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('read', 'write', 'admin')),
+                name TEXT,
+                created_at TIMESTAMP(0) DEFAULT ${NOW},
+                last_used_at TIMESTAMP(0),
+                revoked_at TIMESTAMP(0)
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS answer_feedback (
+                id BIGSERIAL PRIMARY KEY,
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                rating INTEGER NOT NULL CHECK (rating IN (1, -1)),
+                comment TEXT,
+                user_id TEXT,
+                session_id TEXT,
+                created_at TIMESTAMP(0) DEFAULT ${NOW}
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS cache_lookups (
+                id BIGSERIAL PRIMARY KEY,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                query TEXT NOT NULL,
+                query_keywords TEXT NOT NULL DEFAULT '',
+                hit INTEGER NOT NULL,
+                conversation_id TEXT,
+                match_type TEXT,
+                match_signal TEXT,
+                similarity DOUBLE PRECISION,
+                latency_ms DOUBLE PRECISION NOT NULL,
+                user_id TEXT,
+                session_id TEXT,
+                created_at TIMESTAMP(0) DEFAULT ${NOW}
+            )
+        `);
+
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_usage_count ON conversations(usage_count)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_expires_at ON conversations(expires_at)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_tenant ON conversations(tenant)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_search ON conversations USING GIN (search_vector)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_keywords_keyword ON query_keywords(keyword)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_keywords_conversation_id ON query_keywords(conversation_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_usage_stats_conversation_id ON usage_stats(conversation_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_usage_stats_accessed_at ON usage_stats(accessed_at)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_embeddings_model ON conversation_embeddings(model)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_answer_feedback_conversation_id ON answer_feedback(conversation_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_cache_lookups_tenant_created_at ON cache_lookups(tenant, created_at)');
+
+        await db.dbRun(`
+            CREATE OR REPLACE FUNCTION update_conversations_timestamp() RETURNS trigger AS $$
+            BEGIN
+                NEW.updated_at = ${NOW};
+                RETURN NEW;
+            END
+            $$ LANGUAGE plpgsql
+        `);
+        await db.dbRun('DROP TRIGGER IF EXISTS update_conversations_timestamp ON conversations');
+        await db.dbRun(`
+            CREATE TRIGGER update_conversations_timestamp
+                BEFORE UPDATE ON conversations
+                FOR EACH ROW EXECUTE FUNCTION update_conversations_timestamp()
+        `);
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS cache_lookups');
+        await db.dbRun('DROP TABLE IF EXISTS answer_feedback');
+        await db.dbRun('DROP TABLE IF EXISTS api_keys');
+        await db.dbRun('DROP TABLE IF EXISTS conversation_embeddings');
+        await db.dbRun('DROP TABLE IF EXISTS usage_stats');
+        await db.dbRun('DROP TABLE IF EXISTS query_keywords');
+        await db.dbRun('DROP TABLE IF EXISTS conversations');
+        await db.dbRun('DROP FUNCTION IF EXISTS update_conversations_timestamp()');
+    }
+};
@@ -0,0 +1,32 @@
+// Корзины токенов ограничения частоты и счетчики квот (см. миграцию SQLite 008)
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+                caller TEXT NOT NULL,
+                route_group TEXT NOT NULL,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                tokens DOUBLE PRECISION NOT NULL,
+                updated_at DOUBLE PRECISION NOT NULL,
+                PRIMARY KEY (caller, route_group)
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS usage_counters (
+                caller TEXT NOT NULL,
+                counter TEXT NOT NULL,
+                period TEXT NOT NULL,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (caller, counter, period)
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_usage_counters_tenant_period ON usage_counters(tenant, period)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS usage_counters');
+        await db.dbRun('DROP TABLE IF EXISTS rate_limit_buckets');
+    }
+};
@@ -0,0 +1,12 @@
+// Числовые сущности запроса и величины, от которых зависит ответ (см. миграцию SQLite 009)
+module.exports = {
+    async up(db) {
+        await db.dbRun('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS entities TEXT');
+        await db.dbRun('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS depends_on TEXT');
+    },
+
+    async down(db) {
+        await db.dbRun('ALTER TABLE conversations DROP COLUMN IF EXISTS depends_on');
+        await db.dbRun('ALTER TABLE conversations DROP COLUMN IF EXISTS entities');
+    }
+};
@@ -0,0 +1,29 @@
+// Номер текущей версии разговора и история прежних версий (см. миграцию SQLite 010)
+const NOW = "(now() AT TIME ZONE 'utc')";
+
+module.exports = {
+    async up(db) {
+        await db.dbRun('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1');
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_versions (
+                id BIGSERIAL PRIMARY KEY,
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                version INTEGER NOT NULL,
+                user_query TEXT NOT NULL,
+                ai_response TEXT NOT NULL,
+                metadata TEXT,
+                depends_on TEXT,
+                change_type TEXT NOT NULL,
+                changed_by TEXT,
+                replaced_at TIMESTAMP(0) DEFAULT ${NOW},
+                UNIQUE (conversation_id, version)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS conversation_versions');
+        await db.dbRun('ALTER TABLE conversations DROP COLUMN IF EXISTS version');
+    }
+};
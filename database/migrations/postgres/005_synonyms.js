@@ -0,0 +1,22 @@
+// Словарь синонимов арендатора (см. миграцию SQLite 011)
+const NOW = "(now() AT TIME ZONE 'utc')";
+
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS synonyms (
+                id TEXT PRIMARY KEY,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                phrase TEXT NOT NULL,
+                canonical TEXT NOT NULL,
+                created_at TIMESTAMP(0) DEFAULT ${NOW},
+                updated_at TIMESTAMP(0) DEFAULT ${NOW},
+                UNIQUE (tenant, phrase)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS synonyms');
+    }
+};
@@ -0,0 +1,27 @@
+// Журнал удаления персональных данных (см. миграцию SQLite 012)
+const NOW = "(now() AT TIME ZONE 'utc')";
+
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS pii_redactions (
+                id BIGSERIAL PRIMARY KEY,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                conversation_id TEXT,
+                field TEXT NOT NULL,
+                pii_type TEXT NOT NULL,
+                count INTEGER NOT NULL DEFAULT 1,
+                action TEXT NOT NULL,
+                source TEXT NOT NULL,
+                actor TEXT,
+                created_at TIMESTAMP(0) DEFAULT ${NOW}
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_pii_redactions_tenant ON pii_redactions(tenant, created_at)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_pii_redactions_conversation ON pii_redactions(conversation_id)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS pii_redactions');
+    }
+};
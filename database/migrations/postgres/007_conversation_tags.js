@@ -0,0 +1,17 @@
+// Теги разговоров для групповой инвалидации (см. миграцию SQLite 013)
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_tags (
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (conversation_id, tag)
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversation_tags_tag ON conversation_tags(tag)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS conversation_tags');
+    }
+};
@@ -0,0 +1,55 @@
+// Псевдонимы объединенных разговоров и группы похожих разговоров (см. миграцию SQLite 014)
+const NOW = "(now() AT TIME ZONE 'utc')";
+
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_aliases (
+                id TEXT PRIMARY KEY,
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                user_query TEXT NOT NULL,
+                query_hash TEXT NOT NULL UNIQUE,
+                usage_count INTEGER NOT NULL DEFAULT 0,
+                merged_at TIMESTAMP(0) DEFAULT ${NOW},
+                merged_by TEXT
+            )
+        `);
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS alias_keywords (
+                id BIGSERIAL PRIMARY KEY,
+                alias_id TEXT NOT NULL REFERENCES conversation_aliases(id) ON DELETE CASCADE,
+                keyword TEXT NOT NULL,
+                weight DOUBLE PRECISION DEFAULT 1.0
+            )
+        `);
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS duplicate_clusters (
+                id TEXT PRIMARY KEY,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                canonical_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                created_at TIMESTAMP(0) DEFAULT ${NOW}
+            )
+        `);
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS duplicate_cluster_members (
+                cluster_id TEXT NOT NULL REFERENCES duplicate_clusters(id) ON DELETE CASCADE,
+                conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                similarity DOUBLE PRECISION NOT NULL,
+                PRIMARY KEY (cluster_id, conversation_id)
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversation_aliases_conversation_id ON conversation_aliases(conversation_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_alias_keywords_keyword ON alias_keywords(keyword)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_alias_keywords_alias_id ON alias_keywords(alias_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_duplicate_clusters_tenant ON duplicate_clusters(tenant)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_duplicate_cluster_members_conversation_id ON duplicate_cluster_members(conversation_id)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS duplicate_cluster_members');
+        await db.dbRun('DROP TABLE IF EXISTS duplicate_clusters');
+        await db.dbRun('DROP TABLE IF EXISTS alias_keywords');
+        await db.dbRun('DROP TABLE IF EXISTS conversation_aliases');
+    }
+};
@@ -0,0 +1,30 @@
+// Один голос на пользователя в оценках ответов (см. миграцию SQLite 015)
+module.exports = {
+    async up(db) {
+        await db.dbRun('ALTER TABLE answer_feedback ADD COLUMN IF NOT EXISTS voter TEXT');
+        await db.dbRun(`
+            UPDATE answer_feedback
+            SET voter = COALESCE('user:' || user_id, 'session:' || session_id)
+            WHERE voter IS NULL
+        `);
+
+        await db.dbRun(`
+            DELETE FROM answer_feedback
+            WHERE voter IS NOT NULL AND id NOT IN (
+                SELECT MAX(id) FROM answer_feedback WHERE voter IS NOT NULL GROUP BY conversation_id, voter
+            )
+        `);
+        await db.dbRun(`
+            UPDATE conversations SET
+                feedback_up = (SELECT COUNT(*) FROM answer_feedback f WHERE f.conversation_id = conversations.id AND f.rating > 0),
+                feedback_down = (SELECT COUNT(*) FROM answer_feedback f WHERE f.conversation_id = conversations.id AND f.rating < 0)
+        `);
+
+        await db.dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_answer_feedback_voter ON answer_feedback(conversation_id, voter)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP INDEX IF EXISTS idx_answer_feedback_voter');
+        await db.dbRun('ALTER TABLE answer_feedback DROP COLUMN IF EXISTS voter');
+    }
+};
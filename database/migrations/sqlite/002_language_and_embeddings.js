@@ -0,0 +1,25 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Язык запроса и эмбеддинги для гибридного ранжирования (вектор Float32 в BLOB)
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'conversations', 'language', 'TEXT');
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_embeddings (
+                conversation_id TEXT PRIMARY KEY,
+                model TEXT NOT NULL,
+                dimensions INTEGER NOT NULL,
+                vector BLOB NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_embeddings_model ON conversation_embeddings(model)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS conversation_embeddings');
+        await dropColumn(db, 'conversations', 'language');
+    }
+};
@@ -0,0 +1,52 @@
+// Полнотекстовый индекс по запросам и ответам с триггерами синхронизации
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+                conversation_id UNINDEXED,
+                user_query,
+                ai_response,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TRIGGER IF NOT EXISTS conversations_fts_insert
+                AFTER INSERT ON conversations
+                BEGIN
+                    INSERT INTO conversations_fts (conversation_id, user_query, ai_response)
+                    VALUES (NEW.id, NEW.user_query, NEW.ai_response);
+                END
+        `);
+        await db.dbRun(`
+            CREATE TRIGGER IF NOT EXISTS conversations_fts_delete
+                AFTER DELETE ON conversations
+                BEGIN
+                    DELETE FROM conversations_fts WHERE conversation_id = OLD.id;
+                END
+        `);
+        await db.dbRun(`
+            CREATE TRIGGER IF NOT EXISTS conversations_fts_update
+                AFTER UPDATE OF user_query, ai_response ON conversations
+                BEGIN
+                    DELETE FROM conversations_fts WHERE conversation_id = OLD.id;
+                    INSERT INTO conversations_fts (conversation_id, user_query, ai_response)
+                    VALUES (NEW.id, NEW.user_query, NEW.ai_response);
+                END
+        `);
+
+        // Разговоры, сохраненные до появления индекса
+        await db.dbRun(`
+            INSERT INTO conversations_fts (conversation_id, user_query, ai_response)
+            SELECT id, user_query, ai_response FROM conversations
+            WHERE id NOT IN (SELECT conversation_id FROM conversations_fts)
+        `);
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TRIGGER IF EXISTS conversations_fts_update');
+        await db.dbRun('DROP TRIGGER IF EXISTS conversations_fts_delete');
+        await db.dbRun('DROP TRIGGER IF EXISTS conversations_fts_insert');
+        await db.dbRun('DROP TABLE IF EXISTS conversations_fts');
+    }
+};
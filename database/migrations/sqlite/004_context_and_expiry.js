@@ -0,0 +1,20 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Отпечаток контекста уточняющих вопросов, срок действия и время последнего попадания
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'conversations', 'context_hash', 'TEXT');
+        await addColumn(db, 'conversations', 'context_keywords', 'TEXT'); // JSON-массив ключевых слов контекста
+        await addColumn(db, 'conversations', 'expires_at', 'DATETIME'); // NULL — бессрочно
+        await addColumn(db, 'conversations', 'last_accessed_at', 'DATETIME');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_expires_at ON conversations(expires_at)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP INDEX IF EXISTS idx_conversations_expires_at');
+        await dropColumn(db, 'conversations', 'last_accessed_at');
+        await dropColumn(db, 'conversations', 'expires_at');
+        await dropColumn(db, 'conversations', 'context_keywords');
+        await dropColumn(db, 'conversations', 'context_hash');
+    }
+};
@@ -0,0 +1,31 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Арендаторы и API-ключи: хранится только SHA-256 ключа,
+// key_prefix — начало ключа для опознания в списках
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'conversations', 'tenant', "TEXT NOT NULL DEFAULT 'default'");
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_tenant ON conversations(tenant)');
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT NOT NULL,
+                tenant TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('read', 'write', 'admin')),
+                name TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                revoked_at DATETIME
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS api_keys');
+        await db.dbRun('DROP INDEX IF EXISTS idx_conversations_tenant');
+        await dropColumn(db, 'conversations', 'tenant');
+    }
+};
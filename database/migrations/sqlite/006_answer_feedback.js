@@ -0,0 +1,36 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Оценки ответов пользователями и карантин плохо оцененных ответов
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'conversations', 'status', "TEXT NOT NULL DEFAULT 'active'"); // active или quarantined
+        await addColumn(db, 'conversations', 'feedback_up', 'INTEGER NOT NULL DEFAULT 0');
+        await addColumn(db, 'conversations', 'feedback_down', 'INTEGER NOT NULL DEFAULT 0');
+        await addColumn(db, 'conversations', 'quarantined_at', 'DATETIME');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status)');
+
+        // rating: 1 — полезно, -1 — неверно
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS answer_feedback (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                conversation_id TEXT NOT NULL,
+                rating INTEGER NOT NULL CHECK (rating IN (1, -1)),
+                comment TEXT,
+                user_id TEXT,
+                session_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_answer_feedback_conversation_id ON answer_feedback(conversation_id)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS answer_feedback');
+        await db.dbRun('DROP INDEX IF EXISTS idx_conversations_status');
+        await dropColumn(db, 'conversations', 'quarantined_at');
+        await dropColumn(db, 'conversations', 'feedback_down');
+        await dropColumn(db, 'conversations', 'feedback_up');
+        await dropColumn(db, 'conversations', 'status');
+    }
+};
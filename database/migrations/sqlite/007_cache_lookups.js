@@ -0,0 +1,28 @@
+// Журнал всех обращений к кэшу: попадания и промахи.
+// query_keywords — отсортированные ключевые слова запроса для группировки промахов
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS cache_lookups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                query TEXT NOT NULL,
+                query_keywords TEXT NOT NULL DEFAULT '',
+                hit INTEGER NOT NULL,
+                conversation_id TEXT,
+                match_type TEXT,
+                match_signal TEXT,
+                similarity REAL,
+                latency_ms REAL NOT NULL,
+                user_id TEXT,
+                session_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_cache_lookups_tenant_created_at ON cache_lookups(tenant, created_at)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS cache_lookups');
+    }
+};
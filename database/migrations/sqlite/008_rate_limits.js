@@ -0,0 +1,34 @@
+// Состояние ограничений частоты и квот, которое должно переживать перезапуск:
+// rate_limit_buckets — корзины токенов (updated_at — время последнего списания в мс),
+// usage_counters — счетчики сохранений и запросов к модели за сутки (day:ГГГГ-ММ-ДД) и месяц (month:ГГГГ-ММ)
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+                caller TEXT NOT NULL,
+                route_group TEXT NOT NULL,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                tokens REAL NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (caller, route_group)
+            )
+        `);
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS usage_counters (
+                caller TEXT NOT NULL,
+                counter TEXT NOT NULL,
+                period TEXT NOT NULL,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (caller, counter, period)
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_usage_counters_tenant_period ON usage_counters(tenant, period)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS usage_counters');
+        await db.dbRun('DROP TABLE IF EXISTS rate_limit_buckets');
+    }
+};
@@ -0,0 +1,14 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Числовые сущности запроса и величины, от которых зависит ответ
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'conversations', 'entities', 'TEXT'); // JSON-массив { value, unit }
+        await addColumn(db, 'conversations', 'depends_on', 'TEXT'); // JSON-массив величин
+    },
+
+    async down(db) {
+        await dropColumn(db, 'conversations', 'depends_on');
+        await dropColumn(db, 'conversations', 'entities');
+    }
+};
@@ -0,0 +1,32 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Номер текущей версии разговора и история прежних версий.
+// Строка истории — версия до изменения: change_type — чем она заменена (save, edit, rollback, replace),
+// changed_by — API-ключ автора изменения
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'conversations', 'version', 'INTEGER NOT NULL DEFAULT 1');
+
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                conversation_id TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                user_query TEXT NOT NULL,
+                ai_response TEXT NOT NULL,
+                metadata TEXT,
+                depends_on TEXT,
+                change_type TEXT NOT NULL,
+                changed_by TEXT,
+                replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (conversation_id, version),
+                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS conversation_versions');
+        await dropColumn(db, 'conversations', 'version');
+    }
+};
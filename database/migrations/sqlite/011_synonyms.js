@@ -0,0 +1,21 @@
+// Словарь синонимов арендатора: слово или фраза (в нижнем регистре) и канонический термин,
+// которым она заменяется при построении ключевых слов
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS synonyms (
+                id TEXT PRIMARY KEY,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                phrase TEXT NOT NULL,
+                canonical TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (tenant, phrase)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS synonyms');
+    }
+};
@@ -0,0 +1,19 @@
+// Теги разговоров для групповой инвалидации: например, все ответы по версии каталога
+// или по устаревшей модели сбрасываются одним запросом
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_tags (
+                conversation_id TEXT NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (conversation_id, tag),
+                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversation_tags_tag ON conversation_tags(tag)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS conversation_tags');
+    }
+};
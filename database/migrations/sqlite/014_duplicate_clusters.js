@@ -0,0 +1,60 @@
+// Объединение почти одинаковых вопросов. Псевдоним — формулировка разговора, объединенного
+// с каноническим: по ее хэшу и ключевым словам по-прежнему находится канонический ответ.
+// Группы похожих разговоров находит фоновый поиск; canonical_id — предлагаемый канонический
+module.exports = {
+    async up(db) {
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS conversation_aliases (
+                id TEXT PRIMARY KEY,
+                conversation_id TEXT NOT NULL,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                user_query TEXT NOT NULL,
+                query_hash TEXT NOT NULL UNIQUE,
+                usage_count INTEGER NOT NULL DEFAULT 0,
+                merged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                merged_by TEXT,
+                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS alias_keywords (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                alias_id TEXT NOT NULL,
+                keyword TEXT NOT NULL,
+                weight REAL DEFAULT 1.0,
+                FOREIGN KEY (alias_id) REFERENCES conversation_aliases(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS duplicate_clusters (
+                id TEXT PRIMARY KEY,
+                tenant TEXT NOT NULL DEFAULT 'default',
+                canonical_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (canonical_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun(`
+            CREATE TABLE IF NOT EXISTS duplicate_cluster_members (
+                cluster_id TEXT NOT NULL,
+                conversation_id TEXT NOT NULL,
+                similarity REAL NOT NULL,
+                PRIMARY KEY (cluster_id, conversation_id),
+                FOREIGN KEY (cluster_id) REFERENCES duplicate_clusters(id) ON DELETE CASCADE,
+                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+            )
+        `);
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_conversation_aliases_conversation_id ON conversation_aliases(conversation_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_alias_keywords_keyword ON alias_keywords(keyword)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_alias_keywords_alias_id ON alias_keywords(alias_id)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_duplicate_clusters_tenant ON duplicate_clusters(tenant)');
+        await db.dbRun('CREATE INDEX IF NOT EXISTS idx_duplicate_cluster_members_conversation_id ON duplicate_cluster_members(conversation_id)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP TABLE IF EXISTS duplicate_cluster_members');
+        await db.dbRun('DROP TABLE IF EXISTS duplicate_clusters');
+        await db.dbRun('DROP TABLE IF EXISTS alias_keywords');
+        await db.dbRun('DROP TABLE IF EXISTS conversation_aliases');
+    }
+};
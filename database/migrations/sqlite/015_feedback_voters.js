@@ -0,0 +1,34 @@
+const { addColumn, dropColumn } = require('../../migrator');
+
+// Один голос на пользователя: voter — user:<userId>, session:<sessionId> или вызывающий
+// (API-ключ, адрес), повторная оценка заменяет прежнюю
+module.exports = {
+    async up(db) {
+        await addColumn(db, 'answer_feedback', 'voter', 'TEXT');
+        await db.dbRun(`
+            UPDATE answer_feedback
+            SET voter = COALESCE('user:' || user_id, 'session:' || session_id)
+            WHERE voter IS NULL
+        `);
+
+        // Из повторных оценок одного пользователя остается последняя, счетчики пересчитываются
+        await db.dbRun(`
+            DELETE FROM answer_feedback
+            WHERE voter IS NOT NULL AND id NOT IN (
+                SELECT MAX(id) FROM answer_feedback WHERE voter IS NOT NULL GROUP BY conversation_id, voter
+            )
+        `);
+        await db.dbRun(`
+            UPDATE conversations SET
+                feedback_up = (SELECT COUNT(*) FROM answer_feedback f WHERE f.conversation_id = conversations.id AND f.rating > 0),
+                feedback_down = (SELECT COUNT(*) FROM answer_feedback f WHERE f.conversation_id = conversations.id AND f.rating < 0)
+        `);
+
+        await db.dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_answer_feedback_voter ON answer_feedback(conversation_id, voter)');
+    },
+
+    async down(db) {
+        await db.dbRun('DROP INDEX IF EXISTS idx_answer_feedback_voter');
+        await dropColumn(db, 'answer_feedback', 'voter');
+    }
+};
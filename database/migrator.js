@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const defaultLogger = require('../services/logger');
+
+// Имя файла миграции: <номер>_<название>.js, например 003_full_text_search.js
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Добавление колонки SQLite, если ее еще нет: базы, обновленные до появления миграций,
+// уже могут содержать часть изменений
+async function addColumn(db, table, column, definition) {
+    const columns = await db.dbAll(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await db.dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+async function dropColumn(db, table, column) {
+    const columns = await db.dbAll(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) {
+        await db.dbRun(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+}
+
+// Последовательное применение и откат пронумерованных миграций хранилища.
+// Каждая миграция выполняется в отдельной транзакции вместе с записью в schema_migrations.
+// storage предоставляет dbRun, dbAll, transaction и withMigrationLock
+class Migrator {
+    constructor(storage, directory, logger = defaultLogger) {
+        this.storage = storage;
+        this.directory = directory;
+        this.logger = logger;
+    }
+
+    // Миграции из каталога в порядке номеров
+    load() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => file.match(MIGRATION_FILE))
+            .filter(Boolean)
+            .map(([file, version, name]) => {
+                const migration = require(path.join(this.directory, file));
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Миграция ${file} должна экспортировать функции up и down`);
+                }
+                return { version: parseInt(version), name, file: path.basename(file, '.js'), up: migration.up, down: migration.down };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migrations[index - 1].version === migration.version) {
+                throw new Error(`Повторяющийся номер миграции: ${migration.version}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    async ensureTable() {
+        await this.storage.dbRun(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async applied() {
+        await this.ensureTable();
+        const rows = await this.storage.dbAll('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    // Состояние всех известных миграций; примененные, но отсутствующие на диске, помечаются missing
+    async status() {
+        const applied = await this.applied();
+        const migrations = this.load();
+        const known = new Set(migrations.map(migration => migration.version));
+
+        const rows = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+        }));
+
+        for (const [version, row] of applied) {
+            if (!known.has(version)) {
+                rows.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+            }
+        }
+
+        return rows.sort((a, b) => a.version - b.version);
+    }
+
+    // Применение еще не примененных миграций до версии to включительно (по умолчанию — всех)
+    async up({ to = Infinity } = {}) {
+        // Несколько экземпляров сервиса не должны применять миграции одновременно
+        return this.storage.withMigrationLock(async () => {
+            const applied = await this.applied();
+            const pending = this.load().filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+            for (const migration of pending) {
+                await this.storage.transaction(async () => {
+                    await migration.up(this.storage);
+                    await this.storage.dbRun(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                });
+                this.logger.info('Применена миграция', { migration: migration.file });
+            }
+
+            return pending.map(migration => migration.version);
+        });
+    }
+
+    // Откат последних steps миграций или всех миграций с номером больше to
+    async rollback({ steps = 1, to } = {}) {
+        return this.storage.withMigrationLock(async () => {
+            const applied = [...(await this.applied()).keys()].sort((a, b) => b - a);
+            const targets = to !== undefined
+                ? applied.filter(version => version > to)
+                : applied.slice(0, steps);
+            const migrations = new Map(this.load().map(migration => [migration.version, migration]));
+
+            for (const version of targets) {
+                const migration = migrations.get(version);
+                if (!migration) {
+                    throw new Error(`Файл миграции ${version} не найден, откат невозможен`);
+                }
+
+                await this.storage.transaction(async () => {
+                    await migration.down(this.storage);
+                    await this.storage.dbRun('DELETE FROM schema_migrations WHERE version = ?', [version]);
+                });
+                this.logger.info('Откачена миграция', { migration: migration.file });
+            }
+
+            return targets;
+        });
+    }
+}
+
+module.exports = Migrator;
+module.exports.addColumn = addColumn;
+module.exports.dropColumn = dropColumn;
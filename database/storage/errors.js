@@ -0,0 +1,15 @@
+// Ошибки, общие для всех хранилищ: сервер различает их по code, а не по тексту ошибки драйвера
+
+// Поисковая строка не разбирается полнотекстовым индексом хранилища (FTS5 или tsquery)
+class InvalidSearchQueryError extends Error {
+    constructor(cause) {
+        super('Некорректный поисковый запрос');
+        this.name = 'InvalidSearchQueryError';
+        this.status = 400;
+        this.code = 'INVALID_SEARCH_QUERY';
+        this.details = cause.message;
+        this.cause = cause;
+    }
+}
+
+module.exports = { InvalidSearchQueryError };
@@ -0,0 +1,20 @@
+// Доступные хранилища; модули подключаются по требованию, чтобы драйвер
+// неиспользуемой базы не был обязательной зависимостью
+const BACKENDS = {
+    sqlite: () => require('./sqliteStorage'),
+    postgres: () => require('./postgresStorage'),
+    memory: () => require('./memoryStorage')
+};
+
+// Создание хранилища по options.backend или переменной STORAGE_BACKEND (по умолчанию sqlite)
+function createStorage(options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'sqlite').toLowerCase();
+    if (!BACKENDS[backend]) {
+        throw new Error(`Неизвестное хранилище: ${backend}. Допустимые значения: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    const Storage = BACKENDS[backend]();
+    return new Storage(options);
+}
+
+module.exports = { BACKENDS: Object.keys(BACKENDS), createStorage };
@@ -0,0 +1,915 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { toTimestamp } = require('./timestamp');
+
+// Порядок вытеснения для каждой политики: первыми идут кандидаты на удаление
+const EVICTION_ORDER = {
+    lru: (a, b) => compare(a.last_accessed_at || a.created_at, b.last_accessed_at || b.created_at) || compare(a.id, b.id),
+    lfu: (a, b) => a.usage_count - b.usage_count || EVICTION_ORDER.lru(a, b),
+    age: (a, b) => compare(a.created_at, b.created_at) || compare(a.id, b.id)
+};
+
+// Колонки разговора, которые можно менять через updateConversation
+const UPDATABLE_COLUMNS = [
+    'user_query', 'query_hash', 'ai_response', 'metadata', 'language', 'usage_count', 'status', 'quarantined_at',
+    'feedback_up', 'feedback_down', 'expires_at', 'entities', 'depends_on', 'version'
+];
+
+function compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// Объем записи в байтах
+function entrySize(row) {
+    return Buffer.byteLength(row.user_query) + Buffer.byteLength(row.ai_response) + Buffer.byteLength(row.metadata || '');
+}
+
+// Слова текста без регистра и диакритики, как в токенизаторе unicode61
+function tokenize(text) {
+    return (text || '').normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Термы поиска в той же нормализации, что и текст
+function normalizeGroups(groups) {
+    return groups.map(group => group.map(term => ({ ...term, words: term.words.flatMap(tokenize) })));
+}
+
+// Совпадение терма (слово или фраза, последнее слово может быть префиксом) в списке слов
+function countTerm(tokens, term) {
+    let count = 0;
+    for (let i = 0; i + term.words.length <= tokens.length; i++) {
+        const matches = term.words.every((word, offset) => {
+            const last = offset === term.words.length - 1;
+            return term.prefix && last ? tokens[i + offset].startsWith(word) : tokens[i + offset] === word;
+        });
+        if (matches) count++;
+    }
+    return count;
+}
+
+// Фрагмент текста вокруг первого совпадения с выделением совпавших слов
+function snippet(text, terms, size) {
+    const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+    const isMatch = (word) => {
+        const [token] = tokenize(word);
+        return terms.some(term => term.words.some((termWord, index) =>
+            (term.prefix && index === term.words.length - 1 ? token.startsWith(termWord) : token === termWord)));
+    };
+
+    const first = Math.max(0, words.findIndex(match => isMatch(match[0])));
+    const start = Math.max(0, Math.min(first, words.length - size));
+    const window = words.slice(start, start + size);
+    if (window.length === 0) return text;
+
+    let result = '';
+    let position = window[0].index;
+    for (const match of window) {
+        result += text.slice(position, match.index);
+        result += isMatch(match[0]) ? `<mark>${match[0]}</mark>` : match[0];
+        position = match.index + match[0].length;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = start + size < words.length ? '…' : '';
+    return prefix + result + suffix;
+}
+
+// Хранилище в памяти процесса для тестов и разработки; данные теряются при перезапуске
+class MemoryStorage {
+    constructor() {
+        this.state = {
+            conversations: new Map(),
+            keywords: new Map(),
+            tags: new Map(),
+            aliases: new Map(),
+            duplicateClusters: new Map(),
+            embeddings: new Map(),
+            usage: [],
+            lookups: [],
+            feedback: [],
+            versions: [],
+            synonyms: new Map(),
+            redactions: [],
+            apiKeys: new Map(),
+            rateBuckets: new Map(),
+            usageCounters: new Map()
+        };
+        this.queue = Promise.resolve();
+        this.transactions = new AsyncLocalStorage();
+    }
+
+    async init() {}
+
+    // Миграции не нужны: структура создается в конструкторе
+    migrator() {
+        return null;
+    }
+
+    // Транзакции выполняются по очереди; при ошибке состояние восстанавливается из снимка
+    async transaction(task) {
+        if (this.transactions.getStore()) {
+            return task();
+        }
+
+        const result = this.queue.then(() => this.transactions.run(true, async () => {
+            const snapshot = structuredClone(this.state);
+            try {
+                return await task();
+            } catch (error) {
+                this.state = snapshot;
+                throw error;
+            }
+        }));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // ---- Разговоры ----
+
+    isServable(row) {
+        return row.status === 'active' && (!row.expires_at || row.expires_at > toTimestamp());
+    }
+
+    async findByQueryHash(queryHash, { servable = false } = {}) {
+        for (const row of this.state.conversations.values()) {
+            if (row.query_hash === queryHash && (!servable || this.isServable(row))) {
+                return { ...row };
+            }
+        }
+        return null;
+    }
+
+    async getConversation(id, tenant = null) {
+        const row = this.state.conversations.get(id);
+        return row && (tenant === null || row.tenant === tenant) ? { ...row } : null;
+    }
+
+    async getConversations(ids, tenant, { servable = false } = {}) {
+        return ids
+            .map(id => this.state.conversations.get(id))
+            .filter(row => row && row.tenant === tenant && (!servable || this.isServable(row)))
+            .map(row => ({ ...row }));
+    }
+
+    async insertConversation(row, keywords = [], embedding = null) {
+        return this.transaction(async () => {
+            if (this.state.conversations.has(row.id)) {
+                throw new Error(`Разговор ${row.id} уже существует`);
+            }
+            if (await this.findByQueryHash(row.query_hash)) {
+                throw new Error('Разговор с таким query_hash уже существует');
+            }
+
+            const now = toTimestamp();
+            this.state.conversations.set(row.id, {
+                id: row.id,
+                user_query: row.user_query,
+                ai_response: row.ai_response,
+                created_at: row.created_at || now,
+                updated_at: now,
+                query_hash: row.query_hash,
+                similarity_score: 0,
+                usage_count: row.usage_count || 1,
+                user_id: row.user_id || null,
+                session_id: row.session_id || null,
+                metadata: row.metadata,
+                language: row.language || null,
+                context_hash: row.context_hash || null,
+                context_keywords: row.context_keywords || null,
+                entities: row.entities || null,
+                depends_on: row.depends_on || null,
+                expires_at: row.expires_at || null,
+                last_accessed_at: null,
+                tenant: row.tenant,
+                status: 'active',
+                feedback_up: 0,
+                feedback_down: 0,
+                quarantined_at: null,
+                version: 1
+            });
+
+            await this.replaceKeywords(row.id, keywords);
+            if (embedding) {
+                await this.storeEmbedding(row.id, embedding);
+            }
+        });
+    }
+
+    async updateConversation(id, fields) {
+        const row = this.state.conversations.get(id);
+        const columns = Object.keys(fields).filter(column => UPDATABLE_COLUMNS.includes(column));
+        if (!row || columns.length === 0) return 0;
+
+        columns.forEach(column => {
+            row[column] = fields[column];
+        });
+        row.updated_at = toTimestamp();
+        return 1;
+    }
+
+    // Удаление разговоров вместе со связанными записями
+    async deleteConversations(ids) {
+        return this.transaction(async () => {
+            const removed = new Set(ids.filter(id => this.state.conversations.delete(id)));
+
+            for (const id of removed) {
+                this.state.keywords.delete(id);
+                this.state.tags.delete(id);
+                this.state.embeddings.delete(id);
+            }
+            for (const [aliasId, alias] of this.state.aliases) {
+                if (removed.has(alias.conversation_id)) this.state.aliases.delete(aliasId);
+            }
+            for (const [clusterId, cluster] of this.state.duplicateClusters) {
+                if (removed.has(cluster.canonical_id)) {
+                    this.state.duplicateClusters.delete(clusterId);
+                } else {
+                    cluster.members = cluster.members.filter(member => !removed.has(member.conversation_id));
+                }
+            }
+            this.state.usage = this.state.usage.filter(entry => !removed.has(entry.conversation_id));
+            this.state.feedback = this.state.feedback.filter(entry => !removed.has(entry.conversation_id));
+            this.state.versions = this.state.versions.filter(entry => !removed.has(entry.conversation_id));
+
+            return removed.size;
+        });
+    }
+
+    async listConversations({ tenant, userId, sessionId, status, order = 'created', limit = 50, offset = 0 }) {
+        const column = order === 'quarantined' ? 'quarantined_at' : 'created_at';
+
+        return [...this.state.conversations.values()]
+            .filter(row => row.tenant === tenant
+                && (!userId || row.user_id === userId)
+                && (!sessionId || row.session_id === sessionId)
+                && (!status || row.status === status))
+            .sort((a, b) => compare(b[column] || '', a[column] || ''))
+            .slice(offset, offset + limit)
+            .map(row => ({ ...row }));
+    }
+
+    async pageConversations(tenant, afterId, limit) {
+        return [...this.state.conversations.values()]
+            .filter(row => row.tenant === tenant && row.id > afterId)
+            .sort((a, b) => compare(a.id, b.id))
+            .slice(0, limit)
+            .map(row => ({ ...row }));
+    }
+
+    async findStaleIds({ tenant, createdBefore, maxUsage }) {
+        return [...this.state.conversations.values()]
+            .filter(row => row.tenant === tenant && row.created_at < createdBefore && row.usage_count <= maxUsage)
+            .map(row => row.id);
+    }
+
+    async findExpiredIds() {
+        const now = toTimestamp();
+        return [...this.state.conversations.values()]
+            .filter(row => row.expires_at && row.expires_at <= now)
+            .map(row => row.id);
+    }
+
+    async findEvictionCandidates({ maxEntries = 0, maxBytes = 0, policy = 'lru' }) {
+        const rows = [...this.state.conversations.values()].sort(EVICTION_ORDER[policy]);
+        const ids = new Set();
+
+        if (maxEntries > 0 && rows.length > maxEntries) {
+            rows.slice(0, rows.length - maxEntries).forEach(row => ids.add(row.id));
+        }
+
+        if (maxBytes > 0) {
+            let excess = rows.reduce((total, row) => total + entrySize(row), 0) - maxBytes;
+            for (const row of rows) {
+                if (excess <= 0) break;
+                ids.add(row.id);
+                excess -= entrySize(row);
+            }
+        }
+
+        return [...ids];
+    }
+
+    // Связанные записи удаляются вместе с разговором, потерянных не бывает
+    async purgeOrphans() {
+        return 0;
+    }
+
+    // ---- Ключевые слова, эмбеддинги и полнотекстовый поиск ----
+
+    async replaceKeywords(id, keywords) {
+        this.state.keywords.set(id, keywords.map(({ keyword, weight }) => ({ keyword, weight })));
+    }
+
+    async getKeywords(ids) {
+        return new Map(ids.map(id => [id, (this.state.keywords.get(id) || []).map(keyword => ({ ...keyword }))]));
+    }
+
+    async listQueries(tenant = null) {
+        return [...this.state.conversations.values()]
+            .filter(row => tenant === null || row.tenant === tenant)
+            .map(row => ({ id: row.id, user_query: row.user_query, tenant: row.tenant }));
+    }
+
+    // Формулировки-псевдонимы считаются отдельно, разговор получает вес лучшей из своих формулировок
+    async keywordWeights(keywords, tenant) {
+        const wanted = new Set(keywords);
+        const weights = new Map();
+        const phrasings = [
+            ...this.state.keywords,
+            ...[...this.state.aliases.values()].map(alias => [alias.conversation_id, alias.keywords])
+        ];
+
+        for (const [id, entries] of phrasings) {
+            const row = this.state.conversations.get(id);
+            if (!row || row.tenant !== tenant) continue;
+
+            const weight = entries
+                .filter(entry => wanted.has(entry.keyword))
+                .reduce((total, entry) => total + entry.weight, 0);
+            if (entries.some(entry => wanted.has(entry.keyword))) {
+                weights.set(id, Math.max(weight, weights.get(id) ?? 0));
+            }
+        }
+
+        return weights;
+    }
+
+    async storeEmbedding(id, embedding) {
+        this.state.embeddings.set(id, { model: embedding.model, vector: Float32Array.from(embedding.vector) });
+    }
+
+    // Эмбеддинги указанных разговоров и popular самых востребованных разговоров арендатора
+    async listEmbeddings(model, tenant, { ids = [], popular = 0 } = {}) {
+        const popularIds = [...this.state.conversations.values()]
+            .filter(row => row.tenant === tenant)
+            .sort((a, b) => b.usage_count - a.usage_count)
+            .slice(0, popular)
+            .map(row => row.id);
+
+        const result = [];
+        for (const id of new Set([...ids, ...popularIds])) {
+            const row = this.state.conversations.get(id);
+            const embedding = this.state.embeddings.get(id);
+            if (row && embedding && row.tenant === tenant && embedding.model === model) {
+                result.push({ conversationId: id, vector: embedding.vector });
+            }
+        }
+        return result;
+    }
+
+    async findMissingEmbeddings(model) {
+        return [...this.state.conversations.values()]
+            .filter(row => {
+                const embedding = this.state.embeddings.get(row.id);
+                return !embedding || embedding.model !== model;
+            })
+            .map(row => ({ id: row.id, user_query: row.user_query }));
+    }
+
+    // Поиск выполняется по самим разговорам, отдельного индекса нет
+    async rebuildSearchIndex() {
+        return this.state.conversations.size;
+    }
+
+    // Простой полнотекстовый поиск: группы через OR, термы группы через AND.
+    // Совпадение в запросе весит вдвое больше, меньшее значение score — лучшее совпадение
+    async searchConversations({ groups, tenant, userId, sessionId, from, to, metadata = {}, limit, cursor = null }) {
+        const results = [];
+        groups = normalizeGroups(groups);
+
+        for (const row of this.state.conversations.values()) {
+            if (row.tenant !== tenant) continue;
+            if (userId && row.user_id !== userId) continue;
+            if (sessionId && row.session_id !== sessionId) continue;
+            if (from && row.created_at < from) continue;
+            if (to && row.created_at > to) continue;
+
+            const rowMetadata = row.metadata ? JSON.parse(row.metadata) : {};
+            if (Object.entries(metadata).some(([key, value]) => String(rowMetadata[key]) !== String(value))) continue;
+
+            const queryTokens = tokenize(row.user_query);
+            const responseTokens = tokenize(row.ai_response);
+            let best = null;
+
+            for (const group of groups) {
+                const counts = group.map(term => ({
+                    query: countTerm(queryTokens, term),
+                    response: countTerm(responseTokens, term)
+                }));
+                if (counts.some(count => count.query + count.response === 0)) continue;
+
+                const score = -counts.reduce((total, count) => total + 2 * count.query + count.response, 0);
+                best = best === null ? score : Math.min(best, score);
+            }
+            if (best === null) continue;
+            if (cursor && !(best > cursor.score || (best === cursor.score && row.id > cursor.id))) continue;
+
+            const terms = groups.flat();
+            results.push({
+                id: row.id,
+                user_query: row.user_query,
+                ai_response: row.ai_response,
+                user_id: row.user_id,
+                session_id: row.session_id,
+                metadata: row.metadata,
+                created_at: row.created_at,
+                usage_count: row.usage_count,
+                score: best,
+                query_snippet: snippet(row.user_query, terms, 12),
+                response_snippet: snippet(row.ai_response, terms, 24)
+            });
+        }
+
+        return results
+            .sort((a, b) => a.score - b.score || compare(a.id, b.id))
+            .slice(0, limit);
+    }
+
+    // ---- Теги ----
+
+    async replaceTags(id, tags) {
+        this.state.tags.set(id, [...tags]);
+    }
+
+    async getTags(ids) {
+        return new Map(ids.map(id => [id, [...(this.state.tags.get(id) || [])].sort()]));
+    }
+
+    // Разговоры арендатора с любым из тегов и значениями metadata из списков допустимых:
+    // metadata — { ключ: [значения строками] }. Пустые условия не ограничивают выборку
+    async findInvalidationIds({ tenant, tags = [], metadata = {} }) {
+        return [...this.state.conversations.values()]
+            .filter(row => {
+                if (row.tenant !== tenant) return false;
+                const rowTags = this.state.tags.get(row.id) || [];
+                if (tags.length > 0 && !rowTags.some(tag => tags.includes(tag))) return false;
+
+                const rowMetadata = row.metadata ? JSON.parse(row.metadata) : {};
+                return Object.entries(metadata).every(([key, values]) =>
+                    rowMetadata[key] !== undefined && rowMetadata[key] !== null && values.includes(String(rowMetadata[key])));
+            })
+            .map(row => row.id);
+    }
+
+    // ---- Псевдонимы ----
+
+    // Псевдоним без ключевых слов: они хранятся вместе с ним, но наружу отдаются отдельно
+    aliasRow({ keywords, ...alias }) {
+        return { ...alias };
+    }
+
+    async findAliasByHash(queryHash) {
+        for (const alias of this.state.aliases.values()) {
+            if (alias.query_hash === queryHash) {
+                return this.aliasRow(alias);
+            }
+        }
+        return null;
+    }
+
+    async insertAlias(row, keywords = []) {
+        if (await this.findAliasByHash(row.query_hash)) {
+            throw new Error('Псевдоним с таким query_hash уже существует');
+        }
+
+        this.state.aliases.set(row.id, {
+            id: row.id,
+            conversation_id: row.conversation_id,
+            tenant: row.tenant,
+            user_query: row.user_query,
+            query_hash: row.query_hash,
+            usage_count: row.usage_count || 0,
+            merged_at: toTimestamp(),
+            merged_by: row.merged_by || null,
+            keywords: []
+        });
+        await this.replaceAliasKeywords(row.id, keywords);
+    }
+
+    async replaceAliasKeywords(aliasId, keywords) {
+        const alias = this.state.aliases.get(aliasId);
+        if (alias) {
+            alias.keywords = keywords.map(({ keyword, weight }) => ({ keyword, weight }));
+        }
+    }
+
+    async listAliases(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+        for (const alias of this.state.aliases.values()) {
+            if (result.has(alias.conversation_id)) {
+                result.get(alias.conversation_id).push(this.aliasRow(alias));
+            }
+        }
+        return result;
+    }
+
+    async getAliasKeywords(aliasIds) {
+        return new Map(aliasIds.map(id => {
+            const alias = this.state.aliases.get(id);
+            return [id, alias ? alias.keywords.map(entry => entry.keyword) : []];
+        }));
+    }
+
+    async listAliasQueries(tenant = null) {
+        return [...this.state.aliases.values()]
+            .filter(alias => tenant === null || alias.tenant === tenant)
+            .map(alias => ({ id: alias.id, user_query: alias.user_query, tenant: alias.tenant }));
+    }
+
+    async deleteAlias(id) {
+        return this.state.aliases.delete(id) ? 1 : 0;
+    }
+
+    async reassignAliasesAndUsage(fromId, toId) {
+        for (const alias of this.state.aliases.values()) {
+            if (alias.conversation_id === fromId) alias.conversation_id = toId;
+        }
+        for (const entry of this.state.usage) {
+            if (entry.conversation_id === fromId) entry.conversation_id = toId;
+        }
+    }
+
+    // ---- Группы похожих разговоров ----
+
+    async listDuplicateCandidates(tenant = null) {
+        return [...this.state.conversations.values()]
+            .filter(row => (tenant === null || row.tenant === tenant) && this.isServable(row))
+            .map(row => ({
+                id: row.id,
+                tenant: row.tenant,
+                user_query: row.user_query,
+                context_hash: row.context_hash,
+                entities: row.entities,
+                depends_on: row.depends_on,
+                usage_count: row.usage_count,
+                created_at: row.created_at
+            }));
+    }
+
+    async replaceDuplicateClusters(tenant, clusters) {
+        for (const [id, cluster] of this.state.duplicateClusters) {
+            if (tenant === null || cluster.tenant === tenant) this.state.duplicateClusters.delete(id);
+        }
+
+        const now = toTimestamp();
+        for (const cluster of clusters) {
+            this.state.duplicateClusters.set(cluster.id, {
+                id: cluster.id,
+                tenant: cluster.tenant,
+                canonical_id: cluster.canonical_id,
+                created_at: now,
+                members: cluster.members.map(({ conversation_id, similarity }) => ({ conversation_id, similarity }))
+            });
+        }
+    }
+
+    // Группа без участников и размер вместо списка; группы из одного разговора не отдаются
+    clusterRow({ members, ...cluster }) {
+        return members.length > 1 ? { ...cluster, size: members.length } : null;
+    }
+
+    async listDuplicateClusters({ tenant, limit = 50, offset = 0 }) {
+        return [...this.state.duplicateClusters.values()]
+            .filter(cluster => cluster.tenant === tenant)
+            .map(cluster => this.clusterRow(cluster))
+            .filter(Boolean)
+            .sort((a, b) => b.size - a.size || compare(a.id, b.id))
+            .slice(offset, offset + limit);
+    }
+
+    async getDuplicateCluster(id, tenant) {
+        const cluster = this.state.duplicateClusters.get(id);
+        return cluster && cluster.tenant === tenant ? this.clusterRow(cluster) : null;
+    }
+
+    async getDuplicateClusterMembers(clusterIds) {
+        return new Map(clusterIds.map(id => {
+            const cluster = this.state.duplicateClusters.get(id);
+            const members = cluster ? cluster.members.map(member => ({ ...member })) : [];
+            return [id, members.sort((a, b) => b.similarity - a.similarity || compare(a.conversation_id, b.conversation_id))];
+        }));
+    }
+
+    // ---- Использование, журнал обращений и статистика ----
+
+    async recordUsage(id, userId = null, sessionId = null) {
+        const row = this.state.conversations.get(id);
+        if (!row) return;
+
+        const now = toTimestamp();
+        row.usage_count++;
+        row.last_accessed_at = now;
+        this.state.usage.push({ conversation_id: id, accessed_at: now, user_id: userId, session_id: sessionId });
+    }
+
+    async recordLookup(entry) {
+        this.state.lookups.push({ ...entry, created_at: toTimestamp() });
+    }
+
+    async lookupAnalytics({ tenant, from, to, interval, top }) {
+        const entries = this.state.lookups.filter(entry => entry.tenant === tenant
+            && (!from || entry.created_at >= from)
+            && (!to || entry.created_at <= to));
+        const hits = entries.filter(entry => entry.hit);
+        const average = (list, key) => (list.length ? list.reduce((total, entry) => total + entry[key], 0) / list.length : null);
+
+        const groupBy = (list, keyOf) => {
+            const groups = new Map();
+            for (const entry of list) {
+                const key = keyOf(entry);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(entry);
+            }
+            return groups;
+        };
+
+        const bucketLength = interval === 'hour' ? 13 : 10;
+        const timeline = [...groupBy(entries, entry => entry.created_at.slice(0, bucketLength))]
+            .sort(([a], [b]) => compare(a, b))
+            .map(([bucket, list]) => ({
+                bucket: interval === 'hour' ? `${bucket}:00` : bucket,
+                lookups: list.length,
+                hits: list.filter(entry => entry.hit).length,
+                avg_latency: average(list, 'latencyMs')
+            }));
+
+        // Запросы без ключевых слов группируются по самому тексту
+        const topMissed = [...groupBy(entries.filter(entry => !entry.hit), entry => entry.queryKeywords || entry.query.trim().toLowerCase())]
+            .map(([normalized, list]) => ({
+                normalized,
+                misses: list.length,
+                variants: new Set(list.map(entry => entry.query)).size,
+                example: list.map(entry => entry.query).sort()[0],
+                last_seen: list.map(entry => entry.created_at).sort().pop()
+            }))
+            .sort((a, b) => b.misses - a.misses || compare(b.last_seen, a.last_seen))
+            .slice(0, top);
+
+        // Корзины шириной 0.1; сходство 1.0 попадает в последнюю
+        const distribution = [...groupBy(hits, entry => Math.min(Math.floor(entry.similarity * 10), 9))]
+            .map(([bucket, list]) => ({ bucket, count: list.length }));
+
+        const byMatchType = [...groupBy(hits, entry => `${entry.matchType}\n${entry.matchSignal}`)]
+            .map(([, list]) => ({
+                match_type: list[0].matchType,
+                match_signal: list[0].matchSignal,
+                count: list.length,
+                avg_similarity: average(list, 'similarity')
+            }))
+            .sort((a, b) => b.count - a.count);
+
+        return {
+            totals: { lookups: entries.length, hits: hits.length, avg_latency: average(entries, 'latencyMs') },
+            timeline,
+            topMissed,
+            distribution,
+            byMatchType
+        };
+    }
+
+    async purgeLookups(before) {
+        const count = this.state.lookups.length;
+        this.state.lookups = this.state.lookups.filter(entry => entry.created_at >= before);
+        return count - this.state.lookups.length;
+    }
+
+    async getStats(tenant) {
+        const rows = [...this.state.conversations.values()].filter(row => row.tenant === tenant);
+        const ids = new Set(rows.map(row => row.id));
+
+        return {
+            conversations: rows.length,
+            keywords: [...ids].reduce((total, id) => total + (this.state.keywords.get(id) || []).length, 0),
+            accesses: this.state.usage.filter(entry => ids.has(entry.conversation_id)).length,
+            avgUsage: rows.length ? rows.reduce((total, row) => total + row.usage_count, 0) / rows.length : null,
+            maxUsage: rows.length ? Math.max(...rows.map(row => row.usage_count)) : null
+        };
+    }
+
+    // ---- Оценки ответов ----
+
+    async addFeedback(id, { rating, comment = null, userId = null, sessionId = null, voter = null }) {
+        const row = this.state.conversations.get(id);
+        if (!row) return;
+
+        // Повторная оценка того же voter заменяет прежнюю
+        const previous = voter !== null
+            ? this.state.feedback.find(entry => entry.conversation_id === id && entry.voter === voter)
+            : null;
+        if (previous) {
+            this.state.feedback.splice(this.state.feedback.indexOf(previous), 1);
+            if (previous.rating > 0) row.feedback_up--;
+            else row.feedback_down--;
+        }
+
+        this.state.feedback.push({
+            conversation_id: id,
+            rating,
+            comment,
+            user_id: userId,
+            session_id: sessionId,
+            voter,
+            created_at: toTimestamp()
+        });
+        if (rating > 0) row.feedback_up++;
+        else row.feedback_down++;
+    }
+
+    async deleteFeedback(id) {
+        this.state.feedback = this.state.feedback.filter(entry => entry.conversation_id !== id);
+    }
+
+    async getNegativeComments(id, limit = 5) {
+        return this.state.feedback
+            .filter(entry => entry.conversation_id === id && entry.rating < 0 && entry.comment !== null)
+            .reverse()
+            .slice(0, limit)
+            .map(entry => ({ comment: entry.comment, created_at: entry.created_at }));
+    }
+
+    // ---- Версии разговоров ----
+
+    async insertVersion(row) {
+        if (this.state.versions.some(entry => entry.conversation_id === row.conversation_id && entry.version === row.version)) {
+            throw new Error(`Версия ${row.version} разговора ${row.conversation_id} уже существует`);
+        }
+
+        this.state.versions.push({
+            id: this.state.versions.length + 1,
+            conversation_id: row.conversation_id,
+            version: row.version,
+            user_query: row.user_query,
+            ai_response: row.ai_response,
+            metadata: row.metadata || null,
+            depends_on: row.depends_on || null,
+            change_type: row.change_type,
+            changed_by: row.changed_by || null,
+            replaced_at: toTimestamp()
+        });
+    }
+
+    async listVersions(id) {
+        return this.state.versions
+            .filter(entry => entry.conversation_id === id)
+            .sort((a, b) => b.version - a.version)
+            .map(entry => ({ ...entry }));
+    }
+
+    async getVersion(id, version) {
+        const entry = this.state.versions.find(item => item.conversation_id === id && item.version === version);
+        return entry ? { ...entry } : undefined;
+    }
+
+    // ---- Ограничения частоты и квоты ----
+
+    async getRateBucket(caller, group) {
+        const bucket = this.state.rateBuckets.get(`${caller}\n${group}`);
+        return bucket ? { tokens: bucket.tokens, updated_at: bucket.updated_at } : null;
+    }
+
+    async putRateBucket(caller, tenant, group, tokens, updatedAt) {
+        this.state.rateBuckets.set(`${caller}\n${group}`, { tenant, tokens, updated_at: updatedAt });
+    }
+
+    async getUsageCounters(caller, counter, periods) {
+        const counts = new Map();
+        for (const period of periods) {
+            const entry = this.state.usageCounters.get(`${caller}\n${counter}\n${period}`);
+            if (entry) counts.set(period, entry.count);
+        }
+        return counts;
+    }
+
+    async addUsageCounters(caller, tenant, counter, periods) {
+        for (const period of periods) {
+            const key = `${caller}\n${counter}\n${period}`;
+            const entry = this.state.usageCounters.get(key) || { caller, counter, period, tenant, count: 0 };
+            entry.count++;
+            this.state.usageCounters.set(key, entry);
+        }
+    }
+
+    async listUsageCounters(tenant, periods) {
+        return [...this.state.usageCounters.values()]
+            .filter(entry => entry.tenant === tenant && periods.includes(entry.period))
+            .sort((a, b) => compare(a.caller, b.caller) || compare(a.counter, b.counter) || compare(a.period, b.period))
+            .map(({ caller, counter, period, count }) => ({ caller, counter, period, count }));
+    }
+
+    async purgeRateLimits({ periods, idleBefore }) {
+        let deleted = 0;
+        for (const [key, entry] of this.state.usageCounters) {
+            if (!periods.includes(entry.period) && this.state.usageCounters.delete(key)) deleted++;
+        }
+        for (const [key, bucket] of this.state.rateBuckets) {
+            if (bucket.updated_at < idleBefore && this.state.rateBuckets.delete(key)) deleted++;
+        }
+        return deleted;
+    }
+
+    // ---- Журнал удаления персональных данных ----
+
+    async insertRedactions(rows) {
+        for (const row of rows) {
+            this.state.redactions.push({
+                id: this.state.redactions.length + 1,
+                tenant: row.tenant,
+                conversation_id: row.conversation_id || null,
+                field: row.field,
+                pii_type: row.pii_type,
+                count: row.count,
+                action: row.action,
+                source: row.source,
+                actor: row.actor || null,
+                created_at: toTimestamp()
+            });
+        }
+    }
+
+    async listRedactions({ tenant, conversationId = null, limit = 50, offset = 0 }) {
+        return this.state.redactions
+            .filter(row => row.tenant === tenant && (!conversationId || row.conversation_id === conversationId))
+            .reverse()
+            .slice(offset, offset + limit)
+            .map(row => ({ ...row }));
+    }
+
+    // ---- Синонимы ----
+
+    async listSynonyms(tenant) {
+        return [...this.state.synonyms.values()]
+            .filter(synonym => synonym.tenant === tenant)
+            .sort((a, b) => compare(a.canonical, b.canonical) || compare(a.phrase, b.phrase))
+            .map(synonym => ({ ...synonym }));
+    }
+
+    async insertSynonym(row) {
+        const duplicate = [...this.state.synonyms.values()]
+            .some(synonym => synonym.tenant === row.tenant && synonym.phrase === row.phrase);
+        if (duplicate) {
+            throw new Error(`Синоним ${row.phrase} уже существует`);
+        }
+
+        const now = toTimestamp();
+        this.state.synonyms.set(row.id, { ...row, created_at: now, updated_at: now });
+    }
+
+    async updateSynonym(id, tenant, { phrase, canonical }) {
+        const synonym = this.state.synonyms.get(id);
+        if (!synonym || synonym.tenant !== tenant) return 0;
+
+        Object.assign(synonym, { phrase, canonical, updated_at: toTimestamp() });
+        return 1;
+    }
+
+    async deleteSynonym(id, tenant) {
+        const synonym = this.state.synonyms.get(id);
+        if (!synonym || synonym.tenant !== tenant) return 0;
+
+        this.state.synonyms.delete(id);
+        return 1;
+    }
+
+    // ---- API-ключи ----
+
+    async insertApiKey(row) {
+        this.state.apiKeys.set(row.id, {
+            ...row,
+            created_at: toTimestamp(),
+            last_used_at: null,
+            revoked_at: null
+        });
+    }
+
+    async findApiKeyByHash(keyHash) {
+        for (const key of this.state.apiKeys.values()) {
+            if (key.key_hash === keyHash && !key.revoked_at) {
+                return { id: key.id, tenant: key.tenant, role: key.role, name: key.name };
+            }
+        }
+        return null;
+    }
+
+    async touchApiKey(id) {
+        const key = this.state.apiKeys.get(id);
+        if (key) key.last_used_at = toTimestamp();
+    }
+
+    async listApiKeys(tenant) {
+        return [...this.state.apiKeys.values()]
+            .filter(key => key.tenant === tenant)
+            .reverse()
+            .map(({ key_hash, ...key }) => key);
+    }
+
+    async revokeApiKey(id, tenant) {
+        const key = this.state.apiKeys.get(id);
+        if (!key || key.tenant !== tenant || key.revoked_at) return 0;
+        key.revoked_at = toTimestamp();
+        return 1;
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryStorage;
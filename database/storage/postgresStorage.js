@@ -0,0 +1,1030 @@
+const { Pool, types } = require('pg');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('../migrator');
+const QueryTimer = require('./queryTimer');
+const { InvalidSearchQueryError } = require('./errors');
+const { vectorToBuffer, bufferToVector } = require('../../services/embeddingProvider');
+
+const NOW = "(now() AT TIME ZONE 'utc')";
+
+// Условие для записей, которые можно отдавать из кэша: не просрочены и не в карантине
+const SERVABLE = `(expires_at IS NULL OR expires_at > ${NOW}) AND status = 'active'`;
+
+// Порядок вытеснения для каждой политики: первыми идут кандидаты на удаление
+const EVICTION_ORDER = {
+    lru: 'COALESCE(last_accessed_at, created_at) ASC, id ASC',
+    lfu: 'usage_count ASC, COALESCE(last_accessed_at, created_at) ASC, id ASC',
+    age: 'created_at ASC, id ASC'
+};
+
+// Объем записи в байтах
+const ENTRY_SIZE = 'octet_length(user_query) + octet_length(ai_response) + COALESCE(octet_length(metadata), 0)';
+
+// Колонки разговора, которые можно менять через updateConversation
+const UPDATABLE_COLUMNS = [
+    'user_query', 'query_hash', 'ai_response', 'metadata', 'language', 'usage_count', 'status', 'quarantined_at',
+    'feedback_up', 'feedback_down', 'expires_at', 'entities', 'depends_on', 'version'
+];
+
+// Ключ advisory-блокировки миграций
+const MIGRATION_LOCK = 4815162342;
+
+// TIMESTAMP без часового пояса отдается строкой 'YYYY-MM-DD HH:MM:SS', как в SQLite
+const TIMESTAMP_OID = 1114;
+const rowTypes = {
+    getTypeParser(oid, format) {
+        return oid === TIMESTAMP_OID ? (value => value) : types.getTypeParser(oid, format);
+    }
+};
+
+// Плейсхолдеры ? в запросах приводятся к $1, $2, ... PostgreSQL
+function toPositional(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// Хранилище на PostgreSQL: пул соединений, транзакция занимает отдельное соединение
+class PostgresStorage {
+    constructor(options = {}) {
+        this.pool = new Pool({
+            connectionString: options.connectionString || process.env.DATABASE_URL,
+            max: parseInt(options.poolMax ?? process.env.PG_POOL_MAX ?? 10),
+            types: rowTypes
+        });
+        // Соединение текущей транзакции для вложенных вызовов
+        this.transactions = new AsyncLocalStorage();
+        this.timer = new QueryTimer('postgres', options);
+    }
+
+    async init({ migrate = true } = {}) {
+        if (migrate) {
+            await this.migrator().up();
+        } else {
+            await this.dbGet('SELECT 1');
+        }
+    }
+
+    migrator() {
+        return new Migrator(this, path.join(__dirname, '..', 'migrations', 'postgres'), this.timer.logger);
+    }
+
+    // Несколько экземпляров сервиса могут стартовать одновременно: миграции применяет один
+    async withMigrationLock(task) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+            return await task();
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]).catch(() => {});
+            client.release();
+        }
+    }
+
+    // Запрос в соединении текущей транзакции или в свободном соединении пула
+    query(sql, params = []) {
+        const client = this.transactions.getStore() || this.pool;
+        return this.timer.time(sql, () => client.query(toPositional(sql), params));
+    }
+
+    async dbRun(sql, params = []) {
+        const result = await this.query(sql, params);
+        return { changes: result.rowCount };
+    }
+
+    async dbGet(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows[0];
+    }
+
+    async dbAll(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows;
+    }
+
+    // Выполнение в транзакции; вложенный вызов выполняется в уже открытой транзакции
+    async transaction(task) {
+        if (this.transactions.getStore()) {
+            return task();
+        }
+
+        const client = await this.pool.connect();
+        try {
+            return await this.transactions.run(client, async () => {
+                await client.query('BEGIN');
+                try {
+                    const result = await task();
+                    await client.query('COMMIT');
+                    return result;
+                } catch (error) {
+                    await client.query('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    // ---- Разговоры ----
+
+    async findByQueryHash(queryHash, { servable = false } = {}) {
+        const row = await this.dbGet(
+            `SELECT * FROM conversations WHERE query_hash = ?${servable ? ` AND ${SERVABLE}` : ''}`,
+            [queryHash]
+        );
+        return row || null;
+    }
+
+    // Разговор по идентификатору; без tenant — среди всех арендаторов
+    async getConversation(id, tenant = null) {
+        const row = tenant === null
+            ? await this.dbGet('SELECT * FROM conversations WHERE id = ?', [id])
+            : await this.dbGet('SELECT * FROM conversations WHERE id = ? AND tenant = ?', [id, tenant]);
+        return row || null;
+    }
+
+    async getConversations(ids, tenant, { servable = false } = {}) {
+        if (ids.length === 0) return [];
+
+        return this.dbAll(
+            `SELECT * FROM conversations WHERE id = ANY(?) AND tenant = ?${servable ? ` AND ${SERVABLE}` : ''}`,
+            [ids, tenant]
+        );
+    }
+
+    // Вставка разговора вместе с ключевыми словами и эмбеддингом
+    async insertConversation(row, keywords = [], embedding = null) {
+        return this.transaction(async () => {
+            await this.dbRun(`
+                INSERT INTO conversations
+                (id, user_query, ai_response, query_hash, user_id, session_id, metadata, language,
+                 context_hash, context_keywords, entities, depends_on, tenant, expires_at, usage_count, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?::timestamp, ${NOW}))
+            `, [
+                row.id,
+                row.user_query,
+                row.ai_response,
+                row.query_hash,
+                row.user_id || null,
+                row.session_id || null,
+                row.metadata,
+                row.language || null,
+                row.context_hash || null,
+                row.context_keywords || null,
+                row.entities || null,
+                row.depends_on || null,
+                row.tenant,
+                row.expires_at || null,
+                row.usage_count || 1,
+                row.created_at || null
+            ]);
+
+            await this.replaceKeywords(row.id, keywords);
+            if (embedding) {
+                await this.storeEmbedding(row.id, embedding);
+            }
+        });
+    }
+
+    async updateConversation(id, fields) {
+        const columns = Object.keys(fields).filter(column => UPDATABLE_COLUMNS.includes(column));
+        if (columns.length === 0) return 0;
+
+        const result = await this.dbRun(
+            `UPDATE conversations SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id]
+        );
+        return result.changes;
+    }
+
+    // Удаление разговоров; связанные записи удаляются каскадно по внешним ключам
+    async deleteConversations(ids) {
+        if (ids.length === 0) return 0;
+
+        const result = await this.dbRun('DELETE FROM conversations WHERE id = ANY(?)', [ids]);
+        return result.changes;
+    }
+
+    // Список разговоров арендатора: order — created (новые первыми) или quarantined
+    async listConversations({ tenant, userId, sessionId, status, order = 'created', limit = 50, offset = 0 }) {
+        const conditions = ['tenant = ?'];
+        const params = [tenant];
+
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+        if (sessionId) {
+            conditions.push('session_id = ?');
+            params.push(sessionId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        params.push(limit, offset);
+        return this.dbAll(`
+            SELECT * FROM conversations
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${order === 'quarantined' ? 'quarantined_at' : 'created_at'} DESC NULLS LAST LIMIT ? OFFSET ?
+        `, params);
+    }
+
+    // Страница разговоров арендатора после указанного идентификатора
+    async pageConversations(tenant, afterId, limit) {
+        return this.dbAll(
+            'SELECT * FROM conversations WHERE tenant = ? AND id > ? ORDER BY id LIMIT ?',
+            [tenant, afterId, limit]
+        );
+    }
+
+    // Идентификаторы разговоров, которые не использовались повторно и созданы раньше createdBefore
+    async findStaleIds({ tenant, createdBefore, maxUsage }) {
+        const rows = await this.dbAll(
+            'SELECT id FROM conversations WHERE created_at < ? AND usage_count <= ? AND tenant = ?',
+            [createdBefore, maxUsage, tenant]
+        );
+        return rows.map(row => row.id);
+    }
+
+    async findExpiredIds() {
+        const rows = await this.dbAll(
+            `SELECT id FROM conversations WHERE expires_at IS NOT NULL AND expires_at <= ${NOW}`
+        );
+        return rows.map(row => row.id);
+    }
+
+    // Кандидаты на вытеснение сверх лимитов по количеству и объему в порядке политики
+    async findEvictionCandidates({ maxEntries = 0, maxBytes = 0, policy = 'lru' }) {
+        const order = EVICTION_ORDER[policy];
+        const ids = new Set();
+
+        if (maxEntries > 0) {
+            const { total } = await this.dbGet('SELECT COUNT(*)::int AS total FROM conversations');
+            if (total > maxEntries) {
+                const rows = await this.dbAll(
+                    `SELECT id FROM conversations ORDER BY ${order} LIMIT ?`,
+                    [total - maxEntries]
+                );
+                rows.forEach(row => ids.add(row.id));
+            }
+        }
+
+        if (maxBytes > 0) {
+            const { total } = await this.dbGet(`SELECT COALESCE(SUM(${ENTRY_SIZE}), 0)::float8 AS total FROM conversations`);
+            if (total > maxBytes) {
+                // Вытесняем записи по порядку политики, пока не освободим превышение
+                const rows = await this.dbAll(`
+                    SELECT id FROM (
+                        SELECT id, ${ENTRY_SIZE} AS size,
+                               SUM(${ENTRY_SIZE}) OVER (ORDER BY ${order} ROWS UNBOUNDED PRECEDING) AS running
+                        FROM conversations
+                    ) sizes
+                    WHERE running - size < ?
+                `, [total - maxBytes]);
+                rows.forEach(row => ids.add(row.id));
+            }
+        }
+
+        return [...ids];
+    }
+
+    // Внешние ключи действуют с создания схемы, потерянных записей не бывает
+    async purgeOrphans() {
+        return 0;
+    }
+
+    // ---- Ключевые слова, эмбеддинги и полнотекстовый индекс ----
+
+    async replaceKeywords(id, keywords) {
+        return this.transaction(async () => {
+            await this.dbRun('DELETE FROM query_keywords WHERE conversation_id = ?', [id]);
+            if (keywords.length > 0) {
+                await this.dbRun(
+                    'INSERT INTO query_keywords (conversation_id, keyword, weight) SELECT ?, * FROM unnest(?::text[], ?::float8[])',
+                    [id, keywords.map(k => k.keyword), keywords.map(k => k.weight)]
+                );
+            }
+        });
+    }
+
+    // Ключевые слова разговоров: id разговора -> [{ keyword, weight }]
+    async getKeywords(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+        if (ids.length === 0) return result;
+
+        const rows = await this.dbAll(
+            'SELECT conversation_id, keyword, weight FROM query_keywords WHERE conversation_id = ANY(?) ORDER BY id',
+            [ids]
+        );
+        rows.forEach(row => result.get(row.conversation_id).push({ keyword: row.keyword, weight: row.weight }));
+
+        return result;
+    }
+
+    // Запросы всех разговоров (для переиндексации)
+    // Запросы разговоров для переиндексации; tenant null — всех арендаторов
+    async listQueries(tenant = null) {
+        return tenant === null
+            ? this.dbAll('SELECT id, user_query, tenant FROM conversations')
+            : this.dbAll('SELECT id, user_query, tenant FROM conversations WHERE tenant = ?', [tenant]);
+    }
+
+    // Сумма весов совпавших ключевых слов: id разговора -> вес. Формулировки-псевдонимы
+    // считаются отдельно, разговор получает вес лучшей из своих формулировок
+    async keywordWeights(keywords, tenant) {
+        const rows = await this.dbAll(`
+            SELECT id, MAX(weight) AS weight FROM (
+                SELECT k.conversation_id AS id, SUM(k.weight) AS weight
+                FROM query_keywords k
+                JOIN conversations c ON c.id = k.conversation_id
+                WHERE k.keyword = ANY(?) AND c.tenant = ?
+                GROUP BY k.conversation_id
+                UNION ALL
+                SELECT a.conversation_id AS id, SUM(k.weight) AS weight
+                FROM alias_keywords k
+                JOIN conversation_aliases a ON a.id = k.alias_id
+                WHERE k.keyword = ANY(?) AND a.tenant = ?
+                GROUP BY k.alias_id, a.conversation_id
+            ) phrasings
+            GROUP BY id
+        `, [keywords, tenant, keywords, tenant]);
+
+        return new Map(rows.map(row => [row.id, row.weight]));
+    }
+
+    async storeEmbedding(id, embedding) {
+        await this.dbRun(`
+            INSERT INTO conversation_embeddings (conversation_id, model, dimensions, vector)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (conversation_id) DO UPDATE
+            SET model = EXCLUDED.model, dimensions = EXCLUDED.dimensions, vector = EXCLUDED.vector, created_at = ${NOW}
+        `, [id, embedding.model, embedding.vector.length, vectorToBuffer(embedding.vector)]);
+    }
+
+    // Эмбеддинги указанных разговоров и popular самых востребованных разговоров арендатора
+    async listEmbeddings(model, tenant, { ids = [], popular = 0 } = {}) {
+        const rows = await this.dbAll(`
+            SELECT e.conversation_id, e.vector
+            FROM conversation_embeddings e
+            JOIN conversations c ON c.id = e.conversation_id
+            WHERE e.model = ? AND c.tenant = ?
+              AND (c.id = ANY(?)
+                   OR c.id IN (SELECT id FROM conversations WHERE tenant = ? ORDER BY usage_count DESC LIMIT ?))
+        `, [model, tenant, ids, tenant, popular]);
+
+        return rows.map(row => ({ conversationId: row.conversation_id, vector: bufferToVector(row.vector) }));
+    }
+
+    // Разговоры без эмбеддинга указанной модели
+    async findMissingEmbeddings(model) {
+        return this.dbAll(`
+            SELECT c.id, c.user_query
+            FROM conversations c
+            LEFT JOIN conversation_embeddings e ON e.conversation_id = c.id AND e.model = ?
+            WHERE e.conversation_id IS NULL
+        `, [model]);
+    }
+
+    // search_vector — генерируемая колонка и всегда актуальна; перестраивается только GIN-индекс
+    async rebuildSearchIndex(full = true) {
+        if (full) {
+            await this.dbRun('REINDEX INDEX idx_conversations_search');
+        }
+        const { total } = await this.dbGet('SELECT COUNT(*)::int AS total FROM conversations');
+        return total;
+    }
+
+    // tsquery из разобранных условий: группы через |, термы группы через &, слова фразы через <->
+    buildTsQuery(groups) {
+        return groups
+            .map(group => '(' + group
+                .map(term => term.words
+                    .map((word, index) => (term.prefix && index === term.words.length - 1 ? `${word}:*` : word))
+                    .join(' <-> '))
+                .join(' & ') + ')')
+            .join(' | ');
+    }
+
+    // Полнотекстовый поиск с ts_rank и сниппетами; score — ранг со знаком минус,
+    // чтобы меньшее значение, как и в других хранилищах, означало лучшее совпадение
+    async searchConversations({ groups, tenant, userId, sessionId, from, to, metadata = {}, limit, cursor = null }) {
+        // Параметр tsquery стоит в FROM и идет перед параметрами условий
+        const conditions = ['c.search_vector @@ q', 'c.tenant = ?'];
+        const params = [this.buildTsQuery(groups), tenant];
+
+        if (userId) {
+            conditions.push('c.user_id = ?');
+            params.push(userId);
+        }
+        if (sessionId) {
+            conditions.push('c.session_id = ?');
+            params.push(sessionId);
+        }
+        if (from) {
+            conditions.push('c.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('c.created_at <= ?');
+            params.push(to);
+        }
+        for (const [key, value] of Object.entries(metadata)) {
+            conditions.push('(c.metadata::jsonb ->> ?) = ?');
+            params.push(key, String(value));
+        }
+
+        // Веса {D, C, B, A}: запрос (A) весит вдвое больше ответа (B)
+        let query = `
+            SELECT * FROM (
+                SELECT c.id, c.user_query, c.ai_response, c.user_id, c.session_id, c.metadata,
+                       c.created_at, c.usage_count,
+                       -ts_rank('{0, 0, 0.5, 1}'::float4[], c.search_vector, q)::float8 AS score,
+                       ts_headline('simple', c.user_query, q,
+                           'StartSel=<mark>, StopSel=</mark>, MaxWords=12, MinWords=4') AS query_snippet,
+                       ts_headline('simple', c.ai_response, q,
+                           'StartSel=<mark>, StopSel=</mark>, MaxWords=24, MinWords=8') AS response_snippet
+                FROM conversations c, to_tsquery('simple', ?) q
+                WHERE ${conditions.join(' AND ')}
+            ) ranked
+        `;
+
+        if (cursor) {
+            query += ' WHERE score > ? OR (score = ? AND id > ?)';
+            params.push(cursor.score, cursor.score, cursor.id);
+        }
+
+        query += ' ORDER BY score ASC, id ASC LIMIT ?';
+        params.push(limit);
+
+        try {
+            return await this.dbAll(query, params);
+        } catch (error) {
+            // 42601 — синтаксическая ошибка; для to_tsquery она означает неразобранную поисковую строку
+            if (error.code === '42601' && /tsquery/.test(error.message)) {
+                throw new InvalidSearchQueryError(error);
+            }
+            throw error;
+        }
+    }
+
+    // ---- Теги ----
+
+    async replaceTags(id, tags) {
+        return this.transaction(async () => {
+            await this.dbRun('DELETE FROM conversation_tags WHERE conversation_id = ?', [id]);
+            if (tags.length > 0) {
+                await this.dbRun(
+                    'INSERT INTO conversation_tags (conversation_id, tag) SELECT ?, * FROM unnest(?::text[])',
+                    [id, tags]
+                );
+            }
+        });
+    }
+
+    // Теги разговоров: id разговора -> [тег]
+    async getTags(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+        if (ids.length === 0) return result;
+
+        const rows = await this.dbAll(
+            'SELECT conversation_id, tag FROM conversation_tags WHERE conversation_id = ANY(?) ORDER BY tag',
+            [ids]
+        );
+        rows.forEach(row => result.get(row.conversation_id).push(row.tag));
+
+        return result;
+    }
+
+    // Разговоры арендатора с любым из тегов и значениями metadata из списков допустимых:
+    // metadata — { ключ: [значения строками] }. Пустые условия не ограничивают выборку
+    async findInvalidationIds({ tenant, tags = [], metadata = {} }) {
+        const conditions = ['c.tenant = ?'];
+        const params = [tenant];
+
+        if (tags.length > 0) {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM conversation_tags t WHERE t.conversation_id = c.id AND t.tag = ANY(?)
+            )`);
+            params.push(tags);
+        }
+        for (const [key, values] of Object.entries(metadata)) {
+            conditions.push('(c.metadata::jsonb ->> ?) = ANY(?)');
+            params.push(key, values);
+        }
+
+        const rows = await this.dbAll(`SELECT c.id FROM conversations c WHERE ${conditions.join(' AND ')}`, params);
+        return rows.map(row => row.id);
+    }
+
+    // ---- Псевдонимы ----
+
+    async findAliasByHash(queryHash) {
+        const row = await this.dbGet('SELECT * FROM conversation_aliases WHERE query_hash = ?', [queryHash]);
+        return row || null;
+    }
+
+    async insertAlias(row, keywords = []) {
+        return this.transaction(async () => {
+            await this.dbRun(`
+                INSERT INTO conversation_aliases (id, conversation_id, tenant, user_query, query_hash, usage_count, merged_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [row.id, row.conversation_id, row.tenant, row.user_query, row.query_hash, row.usage_count || 0, row.merged_by || null]);
+            await this.replaceAliasKeywords(row.id, keywords);
+        });
+    }
+
+    async replaceAliasKeywords(aliasId, keywords) {
+        return this.transaction(async () => {
+            await this.dbRun('DELETE FROM alias_keywords WHERE alias_id = ?', [aliasId]);
+            if (keywords.length > 0) {
+                await this.dbRun(
+                    'INSERT INTO alias_keywords (alias_id, keyword, weight) SELECT ?, * FROM unnest(?::text[], ?::float8[])',
+                    [aliasId, keywords.map(k => k.keyword), keywords.map(k => k.weight)]
+                );
+            }
+        });
+    }
+
+    // Псевдонимы разговоров: id разговора -> [псевдоним], в порядке объединения
+    async listAliases(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+        if (ids.length === 0) return result;
+
+        const rows = await this.dbAll(
+            'SELECT * FROM conversation_aliases WHERE conversation_id = ANY(?) ORDER BY merged_at, id',
+            [ids]
+        );
+        rows.forEach(row => result.get(row.conversation_id).push(row));
+
+        return result;
+    }
+
+    // Ключевые слова псевдонимов: id псевдонима -> [ключевое слово]
+    async getAliasKeywords(aliasIds) {
+        const result = new Map(aliasIds.map(id => [id, []]));
+        if (aliasIds.length === 0) return result;
+
+        const rows = await this.dbAll(
+            'SELECT alias_id, keyword FROM alias_keywords WHERE alias_id = ANY(?) ORDER BY id',
+            [aliasIds]
+        );
+        rows.forEach(row => result.get(row.alias_id).push(row.keyword));
+
+        return result;
+    }
+
+    // Формулировки псевдонимов для переиндексации; tenant null — всех арендаторов
+    async listAliasQueries(tenant = null) {
+        return tenant === null
+            ? this.dbAll('SELECT id, user_query, tenant FROM conversation_aliases')
+            : this.dbAll('SELECT id, user_query, tenant FROM conversation_aliases WHERE tenant = ?', [tenant]);
+    }
+
+    async deleteAlias(id) {
+        const result = await this.dbRun('DELETE FROM conversation_aliases WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    // Перенос псевдонимов и истории обращений объединяемого разговора на канонический
+    async reassignAliasesAndUsage(fromId, toId) {
+        return this.transaction(async () => {
+            await this.dbRun('UPDATE conversation_aliases SET conversation_id = ? WHERE conversation_id = ?', [toId, fromId]);
+            await this.dbRun('UPDATE usage_stats SET conversation_id = ? WHERE conversation_id = ?', [toId, fromId]);
+        });
+    }
+
+    // ---- Группы похожих разговоров ----
+
+    // Разговоры, которые можно отдавать из кэша, для поиска похожих; tenant null — всех арендаторов
+    async listDuplicateCandidates(tenant = null) {
+        const columns = 'id, tenant, user_query, context_hash, entities, depends_on, usage_count, created_at';
+        return tenant === null
+            ? this.dbAll(`SELECT ${columns} FROM conversations WHERE ${SERVABLE}`)
+            : this.dbAll(`SELECT ${columns} FROM conversations WHERE tenant = ? AND ${SERVABLE}`, [tenant]);
+    }
+
+    // Замена найденных групп арендатора (tenant null — всех арендаторов) результатом нового поиска
+    async replaceDuplicateClusters(tenant, clusters) {
+        return this.transaction(async () => {
+            if (tenant === null) {
+                await this.dbRun('DELETE FROM duplicate_clusters');
+            } else {
+                await this.dbRun('DELETE FROM duplicate_clusters WHERE tenant = ?', [tenant]);
+            }
+
+            for (const cluster of clusters) {
+                await this.dbRun(
+                    'INSERT INTO duplicate_clusters (id, tenant, canonical_id) VALUES (?, ?, ?)',
+                    [cluster.id, cluster.tenant, cluster.canonical_id]
+                );
+                await this.dbRun(
+                    `INSERT INTO duplicate_cluster_members (cluster_id, conversation_id, similarity)
+                     SELECT ?, * FROM unnest(?::text[], ?::float8[])`,
+                    [
+                        cluster.id,
+                        cluster.members.map(member => member.conversation_id),
+                        cluster.members.map(member => member.similarity)
+                    ]
+                );
+            }
+        });
+    }
+
+    // Группы арендатора, в которых осталось больше одного разговора: сначала самые большие
+    async listDuplicateClusters({ tenant, limit = 50, offset = 0 }) {
+        return this.dbAll(`
+            SELECT d.id, d.tenant, d.canonical_id, d.created_at, COUNT(m.conversation_id)::int AS size
+            FROM duplicate_clusters d
+            JOIN duplicate_cluster_members m ON m.cluster_id = d.id
+            WHERE d.tenant = ?
+            GROUP BY d.id
+            HAVING COUNT(m.conversation_id) > 1
+            ORDER BY size DESC, d.id ASC LIMIT ? OFFSET ?
+        `, [tenant, limit, offset]);
+    }
+
+    async getDuplicateCluster(id, tenant) {
+        const row = await this.dbGet(`
+            SELECT d.id, d.tenant, d.canonical_id, d.created_at, COUNT(m.conversation_id)::int AS size
+            FROM duplicate_clusters d
+            JOIN duplicate_cluster_members m ON m.cluster_id = d.id
+            WHERE d.id = ? AND d.tenant = ?
+            GROUP BY d.id
+            HAVING COUNT(m.conversation_id) > 1
+        `, [id, tenant]);
+        return row || null;
+    }
+
+    // Участники групп: id группы -> [{ conversation_id, similarity }], самые похожие первыми
+    async getDuplicateClusterMembers(clusterIds) {
+        const result = new Map(clusterIds.map(id => [id, []]));
+        if (clusterIds.length === 0) return result;
+
+        const rows = await this.dbAll(`
+            SELECT cluster_id, conversation_id, similarity FROM duplicate_cluster_members
+            WHERE cluster_id = ANY(?)
+            ORDER BY similarity DESC, conversation_id ASC
+        `, [clusterIds]);
+        rows.forEach(row => result.get(row.cluster_id).push({ conversation_id: row.conversation_id, similarity: row.similarity }));
+
+        return result;
+    }
+
+    // ---- Использование, журнал обращений и статистика ----
+
+    async recordUsage(id, userId = null, sessionId = null) {
+        await this.transaction(async () => {
+            await this.dbRun(
+                `UPDATE conversations SET usage_count = usage_count + 1, last_accessed_at = ${NOW} WHERE id = ?`,
+                [id]
+            );
+            await this.dbRun(
+                'INSERT INTO usage_stats (conversation_id, user_id, session_id) VALUES (?, ?, ?)',
+                [id, userId, sessionId]
+            );
+        });
+    }
+
+    async recordLookup(entry) {
+        await this.dbRun(
+            `INSERT INTO cache_lookups
+                (tenant, query, query_keywords, hit, conversation_id, match_type, match_signal, similarity, latency_ms, user_id, session_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.tenant,
+                entry.query,
+                entry.queryKeywords,
+                entry.hit ? 1 : 0,
+                entry.conversationId,
+                entry.matchType,
+                entry.matchSignal,
+                entry.similarity,
+                entry.latencyMs,
+                entry.userId,
+                entry.sessionId
+            ]
+        );
+    }
+
+    // Агрегаты журнала обращений за период
+    async lookupAnalytics({ tenant, from, to, interval, top }) {
+        const bucketFormat = interval === 'hour' ? 'YYYY-MM-DD HH24:00' : 'YYYY-MM-DD';
+        const conditions = ['tenant = ?'];
+        const params = [tenant];
+
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('created_at <= ?');
+            params.push(to);
+        }
+        const where = conditions.join(' AND ');
+
+        const [totals, timeline, topMissed, distribution, byMatchType] = await Promise.all([
+            this.dbGet(
+                `SELECT COUNT(*)::int AS lookups, COALESCE(SUM(hit), 0)::int AS hits, AVG(latency_ms)::float8 AS avg_latency
+                 FROM cache_lookups WHERE ${where}`,
+                params
+            ),
+            this.dbAll(
+                `SELECT to_char(created_at, '${bucketFormat}') AS bucket, COUNT(*)::int AS lookups, SUM(hit)::int AS hits,
+                        AVG(latency_ms)::float8 AS avg_latency
+                 FROM cache_lookups WHERE ${where}
+                 GROUP BY bucket ORDER BY bucket`,
+                params
+            ),
+            // Запросы без ключевых слов группируются по самому тексту
+            this.dbAll(
+                `SELECT COALESCE(NULLIF(query_keywords, ''), LOWER(TRIM(query))) AS normalized,
+                        COUNT(*)::int AS misses, COUNT(DISTINCT query)::int AS variants, MIN(query) AS example,
+                        MAX(created_at) AS last_seen
+                 FROM cache_lookups WHERE ${where} AND hit = 0
+                 GROUP BY normalized ORDER BY misses DESC, last_seen DESC LIMIT ?`,
+                [...params, top]
+            ),
+            // Корзины шириной 0.1; сходство 1.0 попадает в последнюю
+            this.dbAll(
+                `SELECT LEAST(FLOOR(similarity * 10)::int, 9) AS bucket, COUNT(*)::int AS count
+                 FROM cache_lookups WHERE ${where} AND hit = 1
+                 GROUP BY bucket ORDER BY bucket`,
+                params
+            ),
+            this.dbAll(
+                `SELECT match_type, match_signal, COUNT(*)::int AS count, AVG(similarity)::float8 AS avg_similarity
+                 FROM cache_lookups WHERE ${where} AND hit = 1
+                 GROUP BY match_type, match_signal ORDER BY count DESC`,
+                params
+            )
+        ]);
+
+        return { totals, timeline, topMissed, distribution, byMatchType };
+    }
+
+    async purgeLookups(before) {
+        const result = await this.dbRun('DELETE FROM cache_lookups WHERE created_at < ?', [before]);
+        return result.changes;
+    }
+
+    async getStats(tenant) {
+        const [conversations, keywords, accesses] = await Promise.all([
+            this.dbGet(
+                `SELECT COUNT(*)::int AS total, AVG(usage_count)::float8 AS avg_usage, MAX(usage_count) AS max_usage
+                 FROM conversations WHERE tenant = ?`,
+                [tenant]
+            ),
+            this.dbGet(
+                'SELECT COUNT(*)::int AS total FROM query_keywords k JOIN conversations c ON c.id = k.conversation_id WHERE c.tenant = ?',
+                [tenant]
+            ),
+            this.dbGet(
+                'SELECT COUNT(*)::int AS total FROM usage_stats u JOIN conversations c ON c.id = u.conversation_id WHERE c.tenant = ?',
+                [tenant]
+            )
+        ]);
+
+        return {
+            conversations: conversations.total,
+            keywords: keywords.total,
+            accesses: accesses.total,
+            avgUsage: conversations.avg_usage,
+            maxUsage: conversations.max_usage
+        };
+    }
+
+    // ---- Оценки ответов ----
+
+    // Запись оценки и обновление счетчиков разговора (rating: 1 или -1)
+    async addFeedback(id, { rating, comment = null, userId = null, sessionId = null, voter = null }) {
+        await this.transaction(async () => {
+            // Строка голоса блокируется до конца транзакции, чтобы параллельная оценка того же
+            // voter не посчиталась дважды
+            const previous = voter !== null
+                ? await this.dbGet('SELECT id, rating FROM answer_feedback WHERE conversation_id = ? AND voter = ? FOR UPDATE', [id, voter])
+                : null;
+
+            if (previous) {
+                await this.dbRun(
+                    `UPDATE answer_feedback SET rating = ?, comment = ?, user_id = ?, session_id = ?, created_at = ${NOW} WHERE id = ?`,
+                    [rating, comment, userId, sessionId, previous.id]
+                );
+            } else {
+                await this.dbRun(
+                    'INSERT INTO answer_feedback (conversation_id, rating, comment, user_id, session_id, voter) VALUES (?, ?, ?, ?, ?, ?)',
+                    [id, rating, comment, userId, sessionId, voter]
+                );
+            }
+
+            const before = previous ? previous.rating : 0;
+            await this.dbRun(
+                'UPDATE conversations SET feedback_up = feedback_up + ?, feedback_down = feedback_down + ? WHERE id = ?',
+                [(rating > 0) - (before > 0), (rating < 0) - (before < 0), id]
+            );
+        });
+    }
+
+    async deleteFeedback(id) {
+        await this.dbRun('DELETE FROM answer_feedback WHERE conversation_id = ?', [id]);
+    }
+
+    // Последние отрицательные комментарии к ответу
+    async getNegativeComments(id, limit = 5) {
+        return this.dbAll(`
+            SELECT comment, created_at FROM answer_feedback
+            WHERE conversation_id = ? AND rating < 0 AND comment IS NOT NULL
+            ORDER BY created_at DESC, id DESC LIMIT ?
+        `, [id, limit]);
+    }
+
+    // ---- Версии разговоров ----
+
+    async insertVersion(row) {
+        await this.dbRun(`
+            INSERT INTO conversation_versions
+            (conversation_id, version, user_query, ai_response, metadata, depends_on, change_type, changed_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            row.conversation_id,
+            row.version,
+            row.user_query,
+            row.ai_response,
+            row.metadata || null,
+            row.depends_on || null,
+            row.change_type,
+            row.changed_by || null
+        ]);
+    }
+
+    // Прежние версии разговора, новые первыми
+    async listVersions(id) {
+        return this.dbAll('SELECT * FROM conversation_versions WHERE conversation_id = ? ORDER BY version DESC', [id]);
+    }
+
+    async getVersion(id, version) {
+        return this.dbGet('SELECT * FROM conversation_versions WHERE conversation_id = ? AND version = ?', [id, version]);
+    }
+
+    // ---- Ограничения частоты и квоты ----
+
+    async getRateBucket(caller, group) {
+        const row = await this.dbGet(
+            'SELECT tokens, updated_at FROM rate_limit_buckets WHERE caller = ? AND route_group = ? FOR UPDATE',
+            [caller, group]
+        );
+        return row || null;
+    }
+
+    async putRateBucket(caller, tenant, group, tokens, updatedAt) {
+        await this.dbRun(`
+            INSERT INTO rate_limit_buckets (caller, route_group, tenant, tokens, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (caller, route_group) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at
+        `, [caller, group, tenant, tokens, updatedAt]);
+    }
+
+    // Значения счетчика за периоды: период -> количество
+    async getUsageCounters(caller, counter, periods) {
+        const placeholders = periods.map(() => '?').join(',');
+        const rows = await this.dbAll(
+            `SELECT period, count FROM usage_counters WHERE caller = ? AND counter = ? AND period IN (${placeholders})`,
+            [caller, counter, ...periods]
+        );
+        return new Map(rows.map(row => [row.period, row.count]));
+    }
+
+    async addUsageCounters(caller, tenant, counter, periods) {
+        for (const period of periods) {
+            await this.dbRun(`
+                INSERT INTO usage_counters (caller, counter, period, tenant, count)
+                VALUES (?, ?, ?, ?, 1)
+                ON CONFLICT (caller, counter, period) DO UPDATE SET count = usage_counters.count + 1
+            `, [caller, counter, period, tenant]);
+        }
+    }
+
+    async listUsageCounters(tenant, periods) {
+        const placeholders = periods.map(() => '?').join(',');
+        return this.dbAll(
+            `SELECT caller, counter, period, count FROM usage_counters
+             WHERE tenant = ? AND period IN (${placeholders})
+             ORDER BY caller, counter, period`,
+            [tenant, ...periods]
+        );
+    }
+
+    // Удаление счетчиков вне текущих периодов и корзин, простаивающих с idleBefore (мс)
+    async purgeRateLimits({ periods, idleBefore }) {
+        return this.transaction(async () => {
+            const placeholders = periods.map(() => '?').join(',');
+            const counters = await this.dbRun(`DELETE FROM usage_counters WHERE period NOT IN (${placeholders})`, periods);
+            const buckets = await this.dbRun('DELETE FROM rate_limit_buckets WHERE updated_at < ?', [idleBefore]);
+            return counters.changes + buckets.changes;
+        });
+    }
+
+    // ---- Журнал удаления персональных данных ----
+
+    async insertRedactions(rows) {
+        for (const row of rows) {
+            await this.dbRun(`
+                INSERT INTO pii_redactions (tenant, conversation_id, field, pii_type, count, action, source, actor)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [row.tenant, row.conversation_id || null, row.field, row.pii_type, row.count, row.action, row.source, row.actor || null]);
+        }
+    }
+
+    // Записи журнала арендатора, новые первыми; с conversationId — только по одному разговору
+    async listRedactions({ tenant, conversationId = null, limit = 50, offset = 0 }) {
+        const conditions = ['tenant = ?'];
+        const params = [tenant];
+        if (conversationId) {
+            conditions.push('conversation_id = ?');
+            params.push(conversationId);
+        }
+
+        params.push(limit, offset);
+        return this.dbAll(`
+            SELECT * FROM pii_redactions
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+        `, params);
+    }
+
+    // ---- Синонимы ----
+
+    async listSynonyms(tenant) {
+        return this.dbAll(
+            'SELECT id, tenant, phrase, canonical, created_at, updated_at FROM synonyms WHERE tenant = ? ORDER BY canonical, phrase',
+            [tenant]
+        );
+    }
+
+    async insertSynonym(row) {
+        await this.dbRun(
+            'INSERT INTO synonyms (id, tenant, phrase, canonical) VALUES (?, ?, ?, ?)',
+            [row.id, row.tenant, row.phrase, row.canonical]
+        );
+    }
+
+    async updateSynonym(id, tenant, { phrase, canonical }) {
+        const result = await this.dbRun(
+            `UPDATE synonyms SET phrase = ?, canonical = ?, updated_at = ${NOW} WHERE id = ? AND tenant = ?`,
+            [phrase, canonical, id, tenant]
+        );
+        return result.changes;
+    }
+
+    async deleteSynonym(id, tenant) {
+        const result = await this.dbRun('DELETE FROM synonyms WHERE id = ? AND tenant = ?', [id, tenant]);
+        return result.changes;
+    }
+
+    // ---- API-ключи ----
+
+    async insertApiKey(row) {
+        await this.dbRun(
+            'INSERT INTO api_keys (id, key_hash, key_prefix, tenant, role, name) VALUES (?, ?, ?, ?, ?, ?)',
+            [row.id, row.key_hash, row.key_prefix, row.tenant, row.role, row.name]
+        );
+    }
+
+    // Действующий ключ по хэшу
+    async findApiKeyByHash(keyHash) {
+        const row = await this.dbGet(
+            'SELECT id, tenant, role, name FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+            [keyHash]
+        );
+        return row || null;
+    }
+
+    async touchApiKey(id) {
+        await this.dbRun(`UPDATE api_keys SET last_used_at = ${NOW} WHERE id = ?`, [id]);
+    }
+
+    async listApiKeys(tenant) {
+        return this.dbAll(`
+            SELECT id, key_prefix, tenant, role, name, created_at, last_used_at, revoked_at
+            FROM api_keys
+            WHERE tenant = ?
+            ORDER BY created_at DESC
+        `, [tenant]);
+    }
+
+    async revokeApiKey(id, tenant) {
+        const result = await this.dbRun(
+            `UPDATE api_keys SET revoked_at = ${NOW} WHERE id = ? AND tenant = ? AND revoked_at IS NULL`,
+            [id, tenant]
+        );
+        return result.changes;
+    }
+
+    close() {
+        return this.pool.end();
+    }
+}
+
+module.exports = PostgresStorage;
@@ -0,0 +1,32 @@
+const defaultMetrics = require('../../services/metrics');
+const defaultLogger = require('../../services/logger');
+
+// Замер запросов хранилища: гистограмма длительности по типу оператора и журнал медленных
+// запросов (DB_SLOW_QUERY_MS, 0 — не записывать). Запись о медленном запросе получает
+// requestId HTTP-запроса из контекста журнала. Параметры запроса не записываются
+class QueryTimer {
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.metrics = options.metrics || defaultMetrics;
+        this.logger = options.logger || defaultLogger;
+        this.slowQueryMs = parseFloat(options.slowQueryMs ?? process.env.DB_SLOW_QUERY_MS ?? 200);
+    }
+
+    async time(sql, task) {
+        const startedAt = process.hrtime.bigint();
+        try {
+            return await this.metrics.timeQuery(this.backend, sql, task);
+        } finally {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            if (this.slowQueryMs > 0 && durationMs >= this.slowQueryMs) {
+                this.logger.warn('Медленный запрос к базе данных', {
+                    backend: this.backend,
+                    durationMs: Math.round(durationMs * 100) / 100,
+                    sql: sql.replace(/\s+/g, ' ').trim().slice(0, 500)
+                });
+            }
+        }
+    }
+}
+
+module.exports = QueryTimer;
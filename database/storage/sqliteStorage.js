@@ -0,0 +1,1076 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('../migrator');
+const QueryTimer = require('./queryTimer');
+const { InvalidSearchQueryError } = require('./errors');
+const { vectorToBuffer, bufferToVector } = require('../../services/embeddingProvider');
+
+// Условие для записей, которые можно отдавать из кэша: не просрочены и не в карантине
+const SERVABLE = "(expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP) AND status = 'active'";
+
+// Порядок вытеснения для каждой политики: первыми идут кандидаты на удаление
+const EVICTION_ORDER = {
+    lru: 'COALESCE(last_accessed_at, created_at) ASC, id ASC',
+    lfu: 'usage_count ASC, COALESCE(last_accessed_at, created_at) ASC, id ASC',
+    age: 'created_at ASC, id ASC'
+};
+
+// Объем записи в байтах
+const ENTRY_SIZE = "LENGTH(CAST(user_query AS BLOB)) + LENGTH(CAST(ai_response AS BLOB)) + COALESCE(LENGTH(CAST(metadata AS BLOB)), 0)";
+
+// Колонки разговора, которые можно менять через updateConversation
+const UPDATABLE_COLUMNS = [
+    'user_query', 'query_hash', 'ai_response', 'metadata', 'language', 'usage_count', 'status', 'quarantined_at',
+    'feedback_up', 'feedback_down', 'expires_at', 'entities', 'depends_on', 'version'
+];
+
+// Хранилище на SQLite: одно соединение, записи выполняются последовательно
+class SqliteStorage {
+    constructor(options = {}) {
+        this.dbPath = options.path || process.env.SQLITE_PATH || './database/ai_cache.db';
+        this.db = new sqlite3.Database(this.dbPath);
+        this.writeQueue = Promise.resolve();
+        // Признак выполнения внутри транзакции для вложенных вызовов
+        this.transactions = new AsyncLocalStorage();
+        // Открыта ли транзакция на соединении: чтения извне ждут ее завершения
+        this.transactionOpen = false;
+        this.timer = new QueryTimer('sqlite', options);
+    }
+
+    // Включение внешних ключей и применение миграций
+    async init({ migrate = true } = {}) {
+        // Действует на соединение и не может быть изменен внутри транзакции
+        await this.dbRun('PRAGMA foreign_keys = ON');
+
+        if (migrate) {
+            await this.migrator().up();
+        }
+    }
+
+    migrator() {
+        return new Migrator(this, path.join(__dirname, '..', 'migrations', 'sqlite'), this.timer.logger);
+    }
+
+    // Миграции выполняются одним процессом, отдельная блокировка не нужна
+    withMigrationLock(task) {
+        return task();
+    }
+
+    // Промис-обертки над методами sqlite3 с замером длительности
+    dbRun(sql, params = []) {
+        return this.timer.time(sql, () => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        }));
+    }
+
+    dbGet(sql, params = []) {
+        return this.read(() => this.timer.time(sql, () => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        })));
+    }
+
+    dbAll(sql, params = []) {
+        return this.read(() => this.timer.time(sql, () => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        })));
+    }
+
+    // Соединение одно, поэтому чтение во время чужой транзакции увидело бы ее незафиксированные
+    // строки: такое чтение встает в очередь и выполняется после COMMIT или ROLLBACK
+    read(task) {
+        if (this.transactionOpen && !this.transactions.getStore()) {
+            return this.enqueueWrite(task);
+        }
+        return task();
+    }
+
+    // Последовательное выполнение записей: транзакции на одном соединении не должны пересекаться
+    enqueueWrite(task) {
+        const result = this.writeQueue.then(task);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // Выполнение в транзакции; вложенный вызов выполняется в уже открытой транзакции
+    async transaction(task) {
+        if (this.transactions.getStore()) {
+            return task();
+        }
+
+        return this.enqueueWrite(() => this.transactions.run(true, async () => {
+            this.transactionOpen = true;
+            try {
+                await this.dbRun('BEGIN TRANSACTION');
+                const result = await task();
+                await this.dbRun('COMMIT');
+                return result;
+            } catch (error) {
+                await this.dbRun('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                this.transactionOpen = false;
+            }
+        }));
+    }
+
+    // Одиночная запись вне транзакции тоже ждет своей очереди
+    write(sql, params) {
+        if (this.transactions.getStore()) {
+            return this.dbRun(sql, params);
+        }
+        return this.enqueueWrite(() => this.dbRun(sql, params));
+    }
+
+    // ---- Разговоры ----
+
+    async findByQueryHash(queryHash, { servable = false } = {}) {
+        const row = await this.dbGet(
+            `SELECT * FROM conversations WHERE query_hash = ?${servable ? ` AND ${SERVABLE}` : ''}`,
+            [queryHash]
+        );
+        return row || null;
+    }
+
+    // Разговор по идентификатору; без tenant — среди всех арендаторов
+    async getConversation(id, tenant = null) {
+        const row = tenant === null
+            ? await this.dbGet('SELECT * FROM conversations WHERE id = ?', [id])
+            : await this.dbGet('SELECT * FROM conversations WHERE id = ? AND tenant = ?', [id, tenant]);
+        return row || null;
+    }
+
+    async getConversations(ids, tenant, { servable = false } = {}) {
+        if (ids.length === 0) return [];
+
+        const placeholders = ids.map(() => '?').join(',');
+        return this.dbAll(
+            `SELECT * FROM conversations WHERE id IN (${placeholders}) AND tenant = ?${servable ? ` AND ${SERVABLE}` : ''}`,
+            [...ids, tenant]
+        );
+    }
+
+    // Вставка разговора вместе с ключевыми словами и эмбеддингом
+    async insertConversation(row, keywords = [], embedding = null) {
+        return this.transaction(async () => {
+            await this.dbRun(`
+                INSERT INTO conversations
+                (id, user_query, ai_response, query_hash, user_id, session_id, metadata, language,
+                 context_hash, context_keywords, entities, depends_on, tenant, expires_at, usage_count, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+            `, [
+                row.id,
+                row.user_query,
+                row.ai_response,
+                row.query_hash,
+                row.user_id || null,
+                row.session_id || null,
+                row.metadata,
+                row.language || null,
+                row.context_hash || null,
+                row.context_keywords || null,
+                row.entities || null,
+                row.depends_on || null,
+                row.tenant,
+                row.expires_at || null,
+                row.usage_count || 1,
+                row.created_at || null
+            ]);
+
+            await this.replaceKeywords(row.id, keywords);
+            if (embedding) {
+                await this.storeEmbedding(row.id, embedding);
+            }
+        });
+    }
+
+    async updateConversation(id, fields) {
+        const columns = Object.keys(fields).filter(column => UPDATABLE_COLUMNS.includes(column));
+        if (columns.length === 0) return 0;
+
+        const result = await this.write(
+            `UPDATE conversations SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id]
+        );
+        return result.changes;
+    }
+
+    // Удаление разговоров; ключевые слова, эмбеддинги, оценки и статистика
+    // удаляются каскадно по внешним ключам
+    async deleteConversations(ids) {
+        return this.transaction(async () => {
+            let deleted = 0;
+
+            for (let i = 0; i < ids.length; i += 500) {
+                const chunk = ids.slice(i, i + 500);
+                const placeholders = chunk.map(() => '?').join(',');
+
+                const result = await this.dbRun(`DELETE FROM conversations WHERE id IN (${placeholders})`, chunk);
+                deleted += result.changes;
+            }
+
+            return deleted;
+        });
+    }
+
+    // Список разговоров арендатора: order — created (новые первыми) или quarantined
+    async listConversations({ tenant, userId, sessionId, status, order = 'created', limit = 50, offset = 0 }) {
+        const conditions = ['tenant = ?'];
+        const params = [tenant];
+
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+        if (sessionId) {
+            conditions.push('session_id = ?');
+            params.push(sessionId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        params.push(limit, offset);
+        return this.dbAll(`
+            SELECT * FROM conversations
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${order === 'quarantined' ? 'quarantined_at' : 'created_at'} DESC LIMIT ? OFFSET ?
+        `, params);
+    }
+
+    // Страница разговоров арендатора после указанного идентификатора
+    async pageConversations(tenant, afterId, limit) {
+        return this.dbAll(
+            'SELECT * FROM conversations WHERE tenant = ? AND id > ? ORDER BY id LIMIT ?',
+            [tenant, afterId, limit]
+        );
+    }
+
+    // Идентификаторы разговоров, которые не использовались повторно и созданы раньше createdBefore
+    async findStaleIds({ tenant, createdBefore, maxUsage }) {
+        const rows = await this.dbAll(
+            'SELECT id FROM conversations WHERE created_at < ? AND usage_count <= ? AND tenant = ?',
+            [createdBefore, maxUsage, tenant]
+        );
+        return rows.map(row => row.id);
+    }
+
+    async findExpiredIds() {
+        const rows = await this.dbAll(
+            'SELECT id FROM conversations WHERE expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP'
+        );
+        return rows.map(row => row.id);
+    }
+
+    // Кандидаты на вытеснение сверх лимитов по количеству и объему в порядке политики
+    async findEvictionCandidates({ maxEntries = 0, maxBytes = 0, policy = 'lru' }) {
+        const order = EVICTION_ORDER[policy];
+        const ids = new Set();
+
+        if (maxEntries > 0) {
+            const { total } = await this.dbGet('SELECT COUNT(*) AS total FROM conversations');
+            if (total > maxEntries) {
+                const rows = await this.dbAll(
+                    `SELECT id FROM conversations ORDER BY ${order} LIMIT ?`,
+                    [total - maxEntries]
+                );
+                rows.forEach(row => ids.add(row.id));
+            }
+        }
+
+        if (maxBytes > 0) {
+            const { total } = await this.dbGet(`SELECT COALESCE(SUM(${ENTRY_SIZE}), 0) AS total FROM conversations`);
+            if (total > maxBytes) {
+                // Вытесняем записи по порядку политики, пока не освободим превышение
+                const rows = await this.dbAll(`
+                    SELECT id FROM (
+                        SELECT id, ${ENTRY_SIZE} AS size,
+                               SUM(${ENTRY_SIZE}) OVER (ORDER BY ${order} ROWS UNBOUNDED PRECEDING) AS running
+                        FROM conversations
+                    )
+                    WHERE running - size < ?
+                `, [total - maxBytes]);
+                rows.forEach(row => ids.add(row.id));
+            }
+        }
+
+        return [...ids];
+    }
+
+    // Удаление записей, оставшихся от разговоров, удаленных до включения внешних ключей
+    async purgeOrphans() {
+        return this.transaction(async () => {
+            let deleted = 0;
+            for (const table of [
+                'query_keywords', 'usage_stats', 'conversation_embeddings', 'answer_feedback', 'conversation_versions', 'conversation_tags',
+                'conversation_aliases', 'duplicate_cluster_members'
+            ]) {
+                const result = await this.dbRun(
+                    `DELETE FROM ${table} WHERE conversation_id NOT IN (SELECT id FROM conversations)`
+                );
+                deleted += result.changes;
+            }
+            return deleted;
+        });
+    }
+
+    // ---- Ключевые слова, эмбеддинги и полнотекстовый индекс ----
+
+    async replaceKeywords(id, keywords) {
+        return this.transaction(async () => {
+            await this.dbRun('DELETE FROM query_keywords WHERE conversation_id = ?', [id]);
+            for (const { keyword, weight } of keywords) {
+                await this.dbRun(
+                    'INSERT INTO query_keywords (conversation_id, keyword, weight) VALUES (?, ?, ?)',
+                    [id, keyword, weight]
+                );
+            }
+        });
+    }
+
+    // Ключевые слова разговоров: id разговора -> [{ keyword, weight }]
+    async getKeywords(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(',');
+            const rows = await this.dbAll(
+                `SELECT conversation_id, keyword, weight FROM query_keywords WHERE conversation_id IN (${placeholders}) ORDER BY id`,
+                chunk
+            );
+            rows.forEach(row => result.get(row.conversation_id).push({ keyword: row.keyword, weight: row.weight }));
+        }
+
+        return result;
+    }
+
+    // Запросы всех разговоров (для переиндексации)
+    // Запросы разговоров для переиндексации; tenant null — всех арендаторов
+    async listQueries(tenant = null) {
+        return tenant === null
+            ? this.dbAll('SELECT id, user_query, tenant FROM conversations')
+            : this.dbAll('SELECT id, user_query, tenant FROM conversations WHERE tenant = ?', [tenant]);
+    }
+
+    // Сумма весов совпавших ключевых слов: id разговора -> вес. Формулировки-псевдонимы
+    // считаются отдельно, разговор получает вес лучшей из своих формулировок
+    async keywordWeights(keywords, tenant) {
+        const placeholders = keywords.map(() => '?').join(',');
+        const rows = await this.dbAll(`
+            SELECT id, MAX(weight) AS weight FROM (
+                SELECT k.conversation_id AS id, SUM(k.weight) AS weight
+                FROM query_keywords k
+                JOIN conversations c ON c.id = k.conversation_id
+                WHERE k.keyword IN (${placeholders}) AND c.tenant = ?
+                GROUP BY k.conversation_id
+                UNION ALL
+                SELECT a.conversation_id AS id, SUM(k.weight) AS weight
+                FROM alias_keywords k
+                JOIN conversation_aliases a ON a.id = k.alias_id
+                WHERE k.keyword IN (${placeholders}) AND a.tenant = ?
+                GROUP BY k.alias_id
+            )
+            GROUP BY id
+        `, [...keywords, tenant, ...keywords, tenant]);
+
+        return new Map(rows.map(row => [row.id, row.weight]));
+    }
+
+    async storeEmbedding(id, embedding) {
+        await this.write(`
+            INSERT OR REPLACE INTO conversation_embeddings (conversation_id, model, dimensions, vector)
+            VALUES (?, ?, ?, ?)
+        `, [id, embedding.model, embedding.vector.length, vectorToBuffer(embedding.vector)]);
+    }
+
+    // Эмбеддинги указанных разговоров и popular самых востребованных разговоров арендатора
+    async listEmbeddings(model, tenant, { ids = [], popular = 0 } = {}) {
+        const placeholders = ids.map(() => '?').join(',');
+        const rows = await this.dbAll(`
+            SELECT e.conversation_id, e.vector
+            FROM conversation_embeddings e
+            JOIN conversations c ON c.id = e.conversation_id
+            WHERE e.model = ? AND c.tenant = ?
+              AND (c.id IN (${placeholders})
+                   OR c.id IN (SELECT id FROM conversations WHERE tenant = ? ORDER BY usage_count DESC LIMIT ?))
+        `, [model, tenant, ...ids, tenant, popular]);
+
+        return rows.map(row => ({ conversationId: row.conversation_id, vector: bufferToVector(row.vector) }));
+    }
+
+    // Разговоры без эмбеддинга указанной модели
+    async findMissingEmbeddings(model) {
+        return this.dbAll(`
+            SELECT c.id, c.user_query
+            FROM conversations c
+            LEFT JOIN conversation_embeddings e ON e.conversation_id = c.id AND e.model = ?
+            WHERE e.conversation_id IS NULL
+        `, [model]);
+    }
+
+    // Заполнение полнотекстового индекса; при full = true индекс строится заново
+    async rebuildSearchIndex(full = true) {
+        return this.transaction(async () => {
+            if (full) {
+                await this.dbRun('DELETE FROM conversations_fts');
+            }
+
+            const result = await this.dbRun(`
+                INSERT INTO conversations_fts (conversation_id, user_query, ai_response)
+                SELECT c.id, c.user_query, c.ai_response
+                FROM conversations c
+                WHERE c.id NOT IN (SELECT conversation_id FROM conversations_fts)
+            `);
+
+            return result.changes;
+        });
+    }
+
+    // Запрос FTS5 из разобранных условий: группы через OR, термы группы через AND
+    buildFtsQuery(groups) {
+        return groups
+            .map(group => group
+                .map(term => `"${term.words.join(' ')}"${term.prefix ? '*' : ''}`)
+                .join(' '))
+            .join(' OR ');
+    }
+
+    // Полнотекстовый поиск с BM25 и сниппетами; меньшее значение score — лучшее совпадение
+    async searchConversations({ groups, tenant, userId, sessionId, from, to, metadata = {}, limit, cursor = null }) {
+        const conditions = ['conversations_fts MATCH ?', 'c.tenant = ?'];
+        const params = [this.buildFtsQuery(groups), tenant];
+
+        if (userId) {
+            conditions.push('c.user_id = ?');
+            params.push(userId);
+        }
+        if (sessionId) {
+            conditions.push('c.session_id = ?');
+            params.push(sessionId);
+        }
+        if (from) {
+            conditions.push('c.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('c.created_at <= ?');
+            params.push(to);
+        }
+        for (const [key, value] of Object.entries(metadata)) {
+            conditions.push('json_extract(c.metadata, ?) = ?');
+            params.push(`$.${key}`, value);
+        }
+
+        // Запрос весит больше ответа
+        let query = `
+            SELECT * FROM (
+                SELECT c.id, c.user_query, c.ai_response, c.user_id, c.session_id, c.metadata,
+                       c.created_at, c.usage_count,
+                       bm25(conversations_fts, 0.0, 2.0, 1.0) AS score,
+                       snippet(conversations_fts, 1, '<mark>', '</mark>', '…', 12) AS query_snippet,
+                       snippet(conversations_fts, 2, '<mark>', '</mark>', '…', 24) AS response_snippet
+                FROM conversations_fts
+                JOIN conversations c ON c.id = conversations_fts.conversation_id
+                WHERE ${conditions.join(' AND ')}
+            )
+        `;
+
+        if (cursor) {
+            query += ' WHERE score > ? OR (score = ? AND id > ?)';
+            params.push(cursor.score, cursor.score, cursor.id);
+        }
+
+        query += ' ORDER BY score ASC, id ASC LIMIT ?';
+        params.push(limit);
+
+        try {
+            return await this.dbAll(query, params);
+        } catch (error) {
+            // Синтаксис MATCH проверяется только при выполнении запроса
+            if (error.code === 'SQLITE_ERROR' && /fts5|unterminated string/.test(error.message)) {
+                throw new InvalidSearchQueryError(error);
+            }
+            throw error;
+        }
+    }
+
+    // ---- Теги ----
+
+    async replaceTags(id, tags) {
+        return this.transaction(async () => {
+            await this.dbRun('DELETE FROM conversation_tags WHERE conversation_id = ?', [id]);
+            for (const tag of tags) {
+                await this.dbRun('INSERT INTO conversation_tags (conversation_id, tag) VALUES (?, ?)', [id, tag]);
+            }
+        });
+    }
+
+    // Теги разговоров: id разговора -> [тег]
+    async getTags(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(',');
+            const rows = await this.dbAll(
+                `SELECT conversation_id, tag FROM conversation_tags WHERE conversation_id IN (${placeholders}) ORDER BY tag`,
+                chunk
+            );
+            rows.forEach(row => result.get(row.conversation_id).push(row.tag));
+        }
+
+        return result;
+    }
+
+    // Разговоры арендатора с любым из тегов и значениями metadata из списков допустимых:
+    // metadata — { ключ: [значения строками] }. Пустые условия не ограничивают выборку
+    async findInvalidationIds({ tenant, tags = [], metadata = {} }) {
+        const conditions = ['c.tenant = ?'];
+        const params = [tenant];
+
+        if (tags.length > 0) {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM conversation_tags t
+                WHERE t.conversation_id = c.id AND t.tag IN (${tags.map(() => '?').join(',')})
+            )`);
+            params.push(...tags);
+        }
+        for (const [key, values] of Object.entries(metadata)) {
+            // Числа в JSON сравниваются как строки: 3 и "3" — одно значение
+            conditions.push(`CAST(json_extract(c.metadata, ?) AS TEXT) IN (${values.map(() => '?').join(',')})`);
+            params.push(`$.${key}`, ...values);
+        }
+
+        const rows = await this.dbAll(`SELECT c.id FROM conversations c WHERE ${conditions.join(' AND ')}`, params);
+        return rows.map(row => row.id);
+    }
+
+    // ---- Псевдонимы ----
+
+    async findAliasByHash(queryHash) {
+        const row = await this.dbGet('SELECT * FROM conversation_aliases WHERE query_hash = ?', [queryHash]);
+        return row || null;
+    }
+
+    async insertAlias(row, keywords = []) {
+        return this.transaction(async () => {
+            await this.dbRun(`
+                INSERT INTO conversation_aliases (id, conversation_id, tenant, user_query, query_hash, usage_count, merged_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [row.id, row.conversation_id, row.tenant, row.user_query, row.query_hash, row.usage_count || 0, row.merged_by || null]);
+            await this.replaceAliasKeywords(row.id, keywords);
+        });
+    }
+
+    async replaceAliasKeywords(aliasId, keywords) {
+        return this.transaction(async () => {
+            await this.dbRun('DELETE FROM alias_keywords WHERE alias_id = ?', [aliasId]);
+            for (const { keyword, weight } of keywords) {
+                await this.dbRun(
+                    'INSERT INTO alias_keywords (alias_id, keyword, weight) VALUES (?, ?, ?)',
+                    [aliasId, keyword, weight]
+                );
+            }
+        });
+    }
+
+    // Псевдонимы разговоров: id разговора -> [псевдоним], в порядке объединения
+    async listAliases(ids) {
+        const result = new Map(ids.map(id => [id, []]));
+
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(',');
+            const rows = await this.dbAll(
+                `SELECT * FROM conversation_aliases WHERE conversation_id IN (${placeholders}) ORDER BY merged_at, id`,
+                chunk
+            );
+            rows.forEach(row => result.get(row.conversation_id).push(row));
+        }
+
+        return result;
+    }
+
+    // Ключевые слова псевдонимов: id псевдонима -> [ключевое слово]
+    async getAliasKeywords(aliasIds) {
+        const result = new Map(aliasIds.map(id => [id, []]));
+
+        for (let i = 0; i < aliasIds.length; i += 500) {
+            const chunk = aliasIds.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(',');
+            const rows = await this.dbAll(
+                `SELECT alias_id, keyword FROM alias_keywords WHERE alias_id IN (${placeholders}) ORDER BY id`,
+                chunk
+            );
+            rows.forEach(row => result.get(row.alias_id).push(row.keyword));
+        }
+
+        return result;
+    }
+
+    // Формулировки псевдонимов для переиндексации; tenant null — всех арендаторов
+    async listAliasQueries(tenant = null) {
+        return tenant === null
+            ? this.dbAll('SELECT id, user_query, tenant FROM conversation_aliases')
+            : this.dbAll('SELECT id, user_query, tenant FROM conversation_aliases WHERE tenant = ?', [tenant]);
+    }
+
+    async deleteAlias(id) {
+        const result = await this.write('DELETE FROM conversation_aliases WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    // Перенос псевдонимов и истории обращений объединяемого разговора на канонический
+    async reassignAliasesAndUsage(fromId, toId) {
+        return this.transaction(async () => {
+            await this.dbRun('UPDATE conversation_aliases SET conversation_id = ? WHERE conversation_id = ?', [toId, fromId]);
+            await this.dbRun('UPDATE usage_stats SET conversation_id = ? WHERE conversation_id = ?', [toId, fromId]);
+        });
+    }
+
+    // ---- Группы похожих разговоров ----
+
+    // Разговоры, которые можно отдавать из кэша, для поиска похожих; tenant null — всех арендаторов
+    async listDuplicateCandidates(tenant = null) {
+        const columns = 'id, tenant, user_query, context_hash, entities, depends_on, usage_count, created_at';
+        return tenant === null
+            ? this.dbAll(`SELECT ${columns} FROM conversations WHERE ${SERVABLE}`)
+            : this.dbAll(`SELECT ${columns} FROM conversations WHERE tenant = ? AND ${SERVABLE}`, [tenant]);
+    }
+
+    // Замена найденных групп арендатора (tenant null — всех арендаторов) результатом нового поиска
+    async replaceDuplicateClusters(tenant, clusters) {
+        return this.transaction(async () => {
+            if (tenant === null) {
+                await this.dbRun('DELETE FROM duplicate_clusters');
+            } else {
+                await this.dbRun('DELETE FROM duplicate_clusters WHERE tenant = ?', [tenant]);
+            }
+
+            for (const cluster of clusters) {
+                await this.dbRun(
+                    'INSERT INTO duplicate_clusters (id, tenant, canonical_id) VALUES (?, ?, ?)',
+                    [cluster.id, cluster.tenant, cluster.canonical_id]
+                );
+                for (const member of cluster.members) {
+                    await this.dbRun(
+                        'INSERT INTO duplicate_cluster_members (cluster_id, conversation_id, similarity) VALUES (?, ?, ?)',
+                        [cluster.id, member.conversation_id, member.similarity]
+                    );
+                }
+            }
+        });
+    }
+
+    // Группы арендатора, в которых осталось больше одного разговора: сначала самые большие
+    async listDuplicateClusters({ tenant, limit = 50, offset = 0 }) {
+        return this.dbAll(`
+            SELECT d.id, d.tenant, d.canonical_id, d.created_at, COUNT(m.conversation_id) AS size
+            FROM duplicate_clusters d
+            JOIN duplicate_cluster_members m ON m.cluster_id = d.id
+            WHERE d.tenant = ?
+            GROUP BY d.id
+            HAVING COUNT(m.conversation_id) > 1
+            ORDER BY size DESC, d.id ASC LIMIT ? OFFSET ?
+        `, [tenant, limit, offset]);
+    }
+
+    async getDuplicateCluster(id, tenant) {
+        const row = await this.dbGet(`
+            SELECT d.id, d.tenant, d.canonical_id, d.created_at, COUNT(m.conversation_id) AS size
+            FROM duplicate_clusters d
+            JOIN duplicate_cluster_members m ON m.cluster_id = d.id
+            WHERE d.id = ? AND d.tenant = ?
+            GROUP BY d.id
+            HAVING COUNT(m.conversation_id) > 1
+        `, [id, tenant]);
+        return row || null;
+    }
+
+    // Участники групп: id группы -> [{ conversation_id, similarity }], самые похожие первыми
+    async getDuplicateClusterMembers(clusterIds) {
+        const result = new Map(clusterIds.map(id => [id, []]));
+        if (clusterIds.length === 0) return result;
+
+        const placeholders = clusterIds.map(() => '?').join(',');
+        const rows = await this.dbAll(`
+            SELECT cluster_id, conversation_id, similarity FROM duplicate_cluster_members
+            WHERE cluster_id IN (${placeholders})
+            ORDER BY similarity DESC, conversation_id ASC
+        `, clusterIds);
+        rows.forEach(row => result.get(row.cluster_id).push({ conversation_id: row.conversation_id, similarity: row.similarity }));
+
+        return result;
+    }
+
+    // ---- Использование, журнал обращений и статистика ----
+
+    async recordUsage(id, userId = null, sessionId = null) {
+        await this.transaction(async () => {
+            await this.dbRun(
+                'UPDATE conversations SET usage_count = usage_count + 1, last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
+            await this.dbRun(
+                'INSERT INTO usage_stats (conversation_id, user_id, session_id) VALUES (?, ?, ?)',
+                [id, userId, sessionId]
+            );
+        });
+    }
+
+    async recordLookup(entry) {
+        await this.write(
+            `INSERT INTO cache_lookups
+                (tenant, query, query_keywords, hit, conversation_id, match_type, match_signal, similarity, latency_ms, user_id, session_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.tenant,
+                entry.query,
+                entry.queryKeywords,
+                entry.hit ? 1 : 0,
+                entry.conversationId,
+                entry.matchType,
+                entry.matchSignal,
+                entry.similarity,
+                entry.latencyMs,
+                entry.userId,
+                entry.sessionId
+            ]
+        );
+    }
+
+    // Агрегаты журнала обращений за период
+    async lookupAnalytics({ tenant, from, to, interval, top }) {
+        const bucketFormat = interval === 'hour' ? '%Y-%m-%d %H:00' : '%Y-%m-%d';
+        const conditions = ['tenant = ?'];
+        const params = [tenant];
+
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('created_at <= ?');
+            params.push(to);
+        }
+        const where = conditions.join(' AND ');
+
+        const [totals, timeline, topMissed, distribution, byMatchType] = await Promise.all([
+            this.dbGet(
+                `SELECT COUNT(*) AS lookups, COALESCE(SUM(hit), 0) AS hits, AVG(latency_ms) AS avg_latency
+                 FROM cache_lookups WHERE ${where}`,
+                params
+            ),
+            this.dbAll(
+                `SELECT strftime('${bucketFormat}', created_at) AS bucket, COUNT(*) AS lookups, SUM(hit) AS hits,
+                        AVG(latency_ms) AS avg_latency
+                 FROM cache_lookups WHERE ${where}
+                 GROUP BY bucket ORDER BY bucket`,
+                params
+            ),
+            // Запросы без ключевых слов группируются по самому тексту
+            this.dbAll(
+                `SELECT COALESCE(NULLIF(query_keywords, ''), LOWER(TRIM(query))) AS normalized,
+                        COUNT(*) AS misses, COUNT(DISTINCT query) AS variants, MIN(query) AS example,
+                        MAX(created_at) AS last_seen
+                 FROM cache_lookups WHERE ${where} AND hit = 0
+                 GROUP BY normalized ORDER BY misses DESC, last_seen DESC LIMIT ?`,
+                [...params, top]
+            ),
+            // Корзины шириной 0.1; сходство 1.0 попадает в последнюю
+            this.dbAll(
+                `SELECT MIN(CAST(similarity * 10 AS INTEGER), 9) AS bucket, COUNT(*) AS count
+                 FROM cache_lookups WHERE ${where} AND hit = 1
+                 GROUP BY bucket ORDER BY bucket`,
+                params
+            ),
+            this.dbAll(
+                `SELECT match_type, match_signal, COUNT(*) AS count, AVG(similarity) AS avg_similarity
+                 FROM cache_lookups WHERE ${where} AND hit = 1
+                 GROUP BY match_type, match_signal ORDER BY count DESC`,
+                params
+            )
+        ]);
+
+        return { totals, timeline, topMissed, distribution, byMatchType };
+    }
+
+    async purgeLookups(before) {
+        const result = await this.write('DELETE FROM cache_lookups WHERE created_at < ?', [before]);
+        return result.changes;
+    }
+
+    async getStats(tenant) {
+        const [conversations, keywords, accesses] = await Promise.all([
+            this.dbGet(
+                'SELECT COUNT(*) AS total, AVG(usage_count) AS avg_usage, MAX(usage_count) AS max_usage FROM conversations WHERE tenant = ?',
+                [tenant]
+            ),
+            this.dbGet(
+                'SELECT COUNT(*) AS total FROM query_keywords k JOIN conversations c ON c.id = k.conversation_id WHERE c.tenant = ?',
+                [tenant]
+            ),
+            this.dbGet(
+                'SELECT COUNT(*) AS total FROM usage_stats u JOIN conversations c ON c.id = u.conversation_id WHERE c.tenant = ?',
+                [tenant]
+            )
+        ]);
+
+        return {
+            conversations: conversations.total,
+            keywords: keywords.total,
+            accesses: accesses.total,
+            avgUsage: conversations.avg_usage,
+            maxUsage: conversations.max_usage
+        };
+    }
+
+    // ---- Оценки ответов ----
+
+    // Запись оценки и обновление счетчиков разговора (rating: 1 или -1). Повторная оценка
+    // того же voter заменяет прежнюю, счетчики меняются на разницу
+    async addFeedback(id, { rating, comment = null, userId = null, sessionId = null, voter = null }) {
+        await this.transaction(async () => {
+            const previous = voter !== null
+                ? await this.dbGet('SELECT id, rating FROM answer_feedback WHERE conversation_id = ? AND voter = ?', [id, voter])
+                : null;
+
+            if (previous) {
+                await this.dbRun(
+                    'UPDATE answer_feedback SET rating = ?, comment = ?, user_id = ?, session_id = ?, created_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [rating, comment, userId, sessionId, previous.id]
+                );
+            } else {
+                await this.dbRun(
+                    'INSERT INTO answer_feedback (conversation_id, rating, comment, user_id, session_id, voter) VALUES (?, ?, ?, ?, ?, ?)',
+                    [id, rating, comment, userId, sessionId, voter]
+                );
+            }
+
+            const before = previous ? previous.rating : 0;
+            await this.dbRun(
+                'UPDATE conversations SET feedback_up = feedback_up + ?, feedback_down = feedback_down + ? WHERE id = ?',
+                [(rating > 0) - (before > 0), (rating < 0) - (before < 0), id]
+            );
+        });
+    }
+
+    async deleteFeedback(id) {
+        await this.write('DELETE FROM answer_feedback WHERE conversation_id = ?', [id]);
+    }
+
+    // Последние отрицательные комментарии к ответу
+    async getNegativeComments(id, limit = 5) {
+        return this.dbAll(`
+            SELECT comment, created_at FROM answer_feedback
+            WHERE conversation_id = ? AND rating < 0 AND comment IS NOT NULL
+            ORDER BY created_at DESC LIMIT ?
+        `, [id, limit]);
+    }
+
+    // ---- Версии разговоров ----
+
+    async insertVersion(row) {
+        await this.write(`
+            INSERT INTO conversation_versions
+            (conversation_id, version, user_query, ai_response, metadata, depends_on, change_type, changed_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            row.conversation_id,
+            row.version,
+            row.user_query,
+            row.ai_response,
+            row.metadata || null,
+            row.depends_on || null,
+            row.change_type,
+            row.changed_by || null
+        ]);
+    }
+
+    // Прежние версии разговора, новые первыми
+    async listVersions(id) {
+        return this.dbAll('SELECT * FROM conversation_versions WHERE conversation_id = ? ORDER BY version DESC', [id]);
+    }
+
+    async getVersion(id, version) {
+        return this.dbGet('SELECT * FROM conversation_versions WHERE conversation_id = ? AND version = ?', [id, version]);
+    }
+
+    // ---- Ограничения частоты и квоты ----
+
+    async getRateBucket(caller, group) {
+        const row = await this.dbGet(
+            'SELECT tokens, updated_at FROM rate_limit_buckets WHERE caller = ? AND route_group = ?',
+            [caller, group]
+        );
+        return row || null;
+    }
+
+    async putRateBucket(caller, tenant, group, tokens, updatedAt) {
+        await this.write(`
+            INSERT INTO rate_limit_buckets (caller, route_group, tenant, tokens, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (caller, route_group) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at
+        `, [caller, group, tenant, tokens, updatedAt]);
+    }
+
+    // Значения счетчика за периоды: период -> количество
+    async getUsageCounters(caller, counter, periods) {
+        const placeholders = periods.map(() => '?').join(',');
+        const rows = await this.dbAll(
+            `SELECT period, count FROM usage_counters WHERE caller = ? AND counter = ? AND period IN (${placeholders})`,
+            [caller, counter, ...periods]
+        );
+        return new Map(rows.map(row => [row.period, row.count]));
+    }
+
+    async addUsageCounters(caller, tenant, counter, periods) {
+        for (const period of periods) {
+            await this.write(`
+                INSERT INTO usage_counters (caller, counter, period, tenant, count)
+                VALUES (?, ?, ?, ?, 1)
+                ON CONFLICT (caller, counter, period) DO UPDATE SET count = usage_counters.count + 1
+            `, [caller, counter, period, tenant]);
+        }
+    }
+
+    async listUsageCounters(tenant, periods) {
+        const placeholders = periods.map(() => '?').join(',');
+        return this.dbAll(
+            `SELECT caller, counter, period, count FROM usage_counters
+             WHERE tenant = ? AND period IN (${placeholders})
+             ORDER BY caller, counter, period`,
+            [tenant, ...periods]
+        );
+    }
+
+    // Удаление счетчиков вне текущих периодов и корзин, простаивающих с idleBefore (мс)
+    async purgeRateLimits({ periods, idleBefore }) {
+        return this.transaction(async () => {
+            const placeholders = periods.map(() => '?').join(',');
+            const counters = await this.dbRun(`DELETE FROM usage_counters WHERE period NOT IN (${placeholders})`, periods);
+            const buckets = await this.dbRun('DELETE FROM rate_limit_buckets WHERE updated_at < ?', [idleBefore]);
+            return counters.changes + buckets.changes;
+        });
+    }
+
+    // ---- Журнал удаления персональных данных ----
+
+    async insertRedactions(rows) {
+        for (const row of rows) {
+            await this.write(`
+                INSERT INTO pii_redactions (tenant, conversation_id, field, pii_type, count, action, source, actor)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [row.tenant, row.conversation_id || null, row.field, row.pii_type, row.count, row.action, row.source, row.actor || null]);
+        }
+    }
+
+    // Записи журнала арендатора, новые первыми; с conversationId — только по одному разговору
+    async listRedactions({ tenant, conversationId = null, limit = 50, offset = 0 }) {
+        const conditions = ['tenant = ?'];
+        const params = [tenant];
+        if (conversationId) {
+            conditions.push('conversation_id = ?');
+            params.push(conversationId);
+        }
+
+        params.push(limit, offset);
+        return this.dbAll(`
+            SELECT * FROM pii_redactions
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+        `, params);
+    }
+
+    // ---- Синонимы ----
+
+    async listSynonyms(tenant) {
+        return this.dbAll(
+            'SELECT id, tenant, phrase, canonical, created_at, updated_at FROM synonyms WHERE tenant = ? ORDER BY canonical, phrase',
+            [tenant]
+        );
+    }
+
+    async insertSynonym(row) {
+        await this.write(
+            'INSERT INTO synonyms (id, tenant, phrase, canonical) VALUES (?, ?, ?, ?)',
+            [row.id, row.tenant, row.phrase, row.canonical]
+        );
+    }
+
+    async updateSynonym(id, tenant, { phrase, canonical }) {
+        const result = await this.write(
+            `UPDATE synonyms SET phrase = ?, canonical = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant = ?`,
+            [phrase, canonical, id, tenant]
+        );
+        return result.changes;
+    }
+
+    async deleteSynonym(id, tenant) {
+        const result = await this.write('DELETE FROM synonyms WHERE id = ? AND tenant = ?', [id, tenant]);
+        return result.changes;
+    }
+
+    // ---- API-ключи ----
+
+    async insertApiKey(row) {
+        await this.write(
+            'INSERT INTO api_keys (id, key_hash, key_prefix, tenant, role, name) VALUES (?, ?, ?, ?, ?, ?)',
+            [row.id, row.key_hash, row.key_prefix, row.tenant, row.role, row.name]
+        );
+    }
+
+    // Действующий ключ по хэшу
+    async findApiKeyByHash(keyHash) {
+        const row = await this.dbGet(
+            'SELECT id, tenant, role, name FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+            [keyHash]
+        );
+        return row || null;
+    }
+
+    async touchApiKey(id) {
+        await this.write('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    async listApiKeys(tenant) {
+        return this.dbAll(`
+            SELECT id, key_prefix, tenant, role, name, created_at, last_used_at, revoked_at
+            FROM api_keys
+            WHERE tenant = ?
+            ORDER BY created_at DESC
+        `, [tenant]);
+    }
+
+    async revokeApiKey(id, tenant) {
+        const result = await this.write(
+            'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant = ? AND revoked_at IS NULL',
+            [id, tenant]
+        );
+        return result.changes;
+    }
+
+    // Закрытие после записей, оставшихся в очереди: счетчиков использования и журнала обращений
+    async close() {
+        await this.writeQueue;
+        return new Promise((resolve, reject) => {
+            this.db.close((err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+}
+
+module.exports = SqliteStorage;
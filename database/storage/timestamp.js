@@ -0,0 +1,24 @@
+// Время в формате хранилищ: 'YYYY-MM-DD HH:MM:SS' по UTC, как CURRENT_TIMESTAMP в SQLite.
+// Строки в этом формате сравниваются лексикографически
+function toTimestamp(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Момент через seconds секунд от текущего (отрицательное значение — в прошлом)
+function timestampIn(seconds) {
+    return toTimestamp(new Date(Date.now() + seconds * 1000));
+}
+
+// Дата из внешних данных (импорт) в формате хранилищ; null, если это не дата ISO 8601.
+// Значение без часового пояса, как в самих хранилищах, считается временем по UTC
+function parseTimestamp(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}(?:$|[ T])/.test(value.trim())) {
+        return null;
+    }
+
+    const text = value.trim().replace(' ', 'T');
+    const date = new Date(/T[\d:.]+$/.test(text) ? `${text}Z` : text);
+    return isNaN(date.getTime()) ? null : toTimestamp(date);
+}
+
+module.exports = { toTimestamp, timestampIn, parseTimestamp };
@@ -0,0 +1,65 @@
+const { DEFAULT_TENANT } = require('../database/database');
+const logger = require('../services/logger');
+
+// Роли по возрастанию прав: каждая следующая включает предыдущие
+const ROLES = ['read', 'write', 'admin'];
+
+// Извлечение ключа из Authorization: Bearer <key> или X-API-Key
+const extractApiKey = (req) => {
+    const header = req.get('authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return req.get('x-api-key') || null;
+};
+
+// Аутентификация по API-ключу. Ключ определяет арендатора и роль запроса (req.auth).
+// При AUTH_ENABLED=false все запросы выполняются с правами администратора основного арендатора
+const createAuthMiddleware = (dbManager, options = {}) => {
+    const enabled = (options.enabled ?? process.env.AUTH_ENABLED ?? 'true') !== 'false';
+
+    return async (req, res, next) => {
+        if (!enabled) {
+            req.auth = { keyId: null, tenant: DEFAULT_TENANT, role: 'admin' };
+            return next();
+        }
+
+        const key = extractApiKey(req);
+        if (!key) {
+            return res.status(401).json({
+                error: 'Требуется API-ключ в заголовке Authorization: Bearer или X-API-Key'
+            });
+        }
+
+        try {
+            const apiKey = await dbManager.findApiKey(key);
+            if (!apiKey) {
+                return res.status(401).json({
+                    error: 'Недействительный или отозванный API-ключ'
+                });
+            }
+
+            dbManager.touchApiKey(apiKey.id);
+            req.auth = { keyId: apiKey.id, tenant: apiKey.tenant, role: apiKey.role };
+            next();
+        } catch (error) {
+            logger.error('Ошибка проверки API-ключа', { error });
+            res.status(500).json({
+                error: 'Ошибка проверки API-ключа',
+                details: error.message
+            });
+        }
+    };
+};
+
+// Проверка, что роль ключа не ниже требуемой
+const requireRole = (role) => (req, res, next) => {
+    if (!req.auth || ROLES.indexOf(req.auth.role) < ROLES.indexOf(role)) {
+        return res.status(403).json({
+            error: `Недостаточно прав: требуется роль ${role}`
+        });
+    }
+    next();
+};
+
+module.exports = { createAuthMiddleware, requireRole, ROLES };
@@ -0,0 +1,47 @@
+const logger = require('../services/logger');
+
+// Ответ 429 с Retry-After при превышении ограничения частоты или квоты
+const sendRateLimitError = (res, error) => {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(429).json({
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        limit: error.limit,
+        ...(error.group && { group: error.group }),
+        ...(error.counter && { counter: error.counter, period: error.period })
+    });
+};
+
+// Ограничение частоты запросов группы маршрутов для вызывающего (API-ключ, пользователь или IP).
+// Если хранилище счетчиков недоступно, запрос пропускается: ограничение не должно останавливать сервис
+const createRateLimit = (limiter) => (group) => async (req, res, next) => {
+    let result;
+    try {
+        result = await limiter.take(limiter.callerOf(req), req.auth.tenant, group);
+    } catch (error) {
+        logger.error('Ошибка проверки ограничения частоты запросов', { error });
+        return next();
+    }
+
+    if (result.limit !== null) {
+        res.set('X-RateLimit-Limit', String(result.limit));
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+    }
+
+    if (!result.allowed) {
+        return sendRateLimitError(res, {
+            message: `Слишком много запросов группы ${group}, повторите позже`,
+            code: 'rate_limited',
+            retryAfter: result.retryAfter,
+            limit: result.limit,
+            group
+        });
+    }
+
+    next();
+};
+
+module.exports = { createRateLimit, sendRateLimitError };
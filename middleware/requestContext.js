@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const defaultLogger = require('../services/logger');
+const defaultMetrics = require('../services/metrics');
+
+// Идентификатор запроса от балансировщика или клиента принимается, если он похож на идентификатор
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Служебные маршруты опрашиваются часто, поэтому в журнал они пишутся только на уровне debug
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Маршрут для метки метрик: шаблон пути Express (/api/cache/conversation/:id), а не сам путь,
+// чтобы число рядов не росло с каждым идентификатором
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Идентификатор запроса (X-Request-Id), метрики и запись в журнал по завершении ответа.
+// Обработчик запроса выполняется в контексте журнала, поэтому все записи, сделанные при его
+// обработке, включая DatabaseManager и хранилище, содержат requestId
+const createRequestContext = (options = {}) => {
+    const logger = options.logger || defaultLogger;
+    const metrics = options.metrics || defaultMetrics;
+
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+
+        const startedAt = process.hrtime.bigint();
+        metrics.httpInFlight.inc();
+
+        let finished = false;
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            metrics.httpInFlight.dec();
+
+            const route = routeOf(req);
+            const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            metrics.httpDuration.observe({ method: req.method, route }, durationSeconds);
+
+            // Путь без строки запроса: в ней бывают поисковые фразы пользователей
+            const entry = {
+                requestId: req.id,
+                method: req.method,
+                path: req.path,
+                route,
+                status: res.statusCode,
+                durationMs: Math.round(durationSeconds * 1e5) / 100,
+                // Клиент отключился раньше, чем ответ был отправлен целиком
+                ...(!res.writableFinished && { aborted: true })
+            };
+            if (QUIET_PATHS.includes(req.path)) {
+                logger.debug('HTTP-запрос', entry);
+            } else {
+                logger.info('HTTP-запрос', entry);
+            }
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+
+        logger.runWithContext({ requestId: req.id }, next);
+    };
+};
+
+module.exports = { createRequestContext };
@@ -0,0 +1,235 @@
+// Проверка параметров запроса по описанию OpenAPI (services/openapi.js). Поддерживается
+// подмножество JSON Schema, которое используется в описании: type, nullable, enum, minimum,
+// maximum, minLength, maxLength, pattern, format date-time, items, minItems, maxItems,
+// properties, required, additionalProperties, propertyNames, oneOf и ссылки $ref
+
+const TYPE_NAMES = {
+    string: 'строкой',
+    integer: 'целым числом',
+    number: 'числом',
+    boolean: 'логическим значением',
+    object: 'объектом',
+    array: 'массивом'
+};
+
+// Ответ 400 со списком ошибок: [{ in: 'body' | 'query' | 'path', name, message }]
+const sendValidationError = (res, errors) => {
+    res.status(400).json({
+        error: errors.map(error => `${error.name}: ${error.message}`).join('; '),
+        code: 'invalid_request',
+        errors
+    });
+};
+
+const matchesType = (value, type) => {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: return typeof value === type;
+    }
+};
+
+// Значения из строки запроса и пути всегда строки: числа и логические значения приводятся по схеме
+const coerce = (value, schema) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (schema.type === 'integer' || schema.type === 'number') {
+        return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+    if (schema.type === 'boolean') {
+        return value === 'true' ? true : value === 'false' ? false : value;
+    }
+    return value;
+};
+
+const childName = (name, key) => (typeof key === 'number' ? `${name}[${key}]` : name ? `${name}.${key}` : key);
+
+class SchemaValidator {
+    constructor(spec) {
+        this.spec = spec;
+        this.patterns = new Map();
+    }
+
+    resolve(schema) {
+        while (schema && schema.$ref) {
+            const path = schema.$ref.replace(/^#\//, '').split('/');
+            schema = path.reduce((node, key) => node[key], this.spec);
+        }
+        return schema;
+    }
+
+    pattern(source) {
+        if (!this.patterns.has(source)) {
+            this.patterns.set(source, new RegExp(source, 'u'));
+        }
+        return this.patterns.get(source);
+    }
+
+    // Ошибки значения относительно схемы: [{ name, message }]
+    validate(value, rawSchema, name) {
+        const schema = this.resolve(rawSchema);
+
+        if (value === null) {
+            return schema.nullable ? [] : [{ name, message: 'не может быть null' }];
+        }
+
+        if (schema.oneOf) {
+            const matching = schema.oneOf.filter(option => this.validate(value, option, name).length === 0);
+            if (matching.length !== 1) {
+                const variants = schema.oneOf.map(option => TYPE_NAMES[this.resolve(option).type]).join(' или ');
+                return [{ name, message: `должно быть ${variants} подходящего вида` }];
+            }
+            return [];
+        }
+
+        if (schema.type && !matchesType(value, schema.type)) {
+            return [{ name, message: `должно быть ${TYPE_NAMES[schema.type]}` }];
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [{ name, message: `должно быть одним из: ${schema.enum.join(', ')}` }];
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                return [{ name, message: `должно быть не меньше ${schema.minimum}` }];
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                return [{ name, message: `должно быть не больше ${schema.maximum}` }];
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return [{ name, message: schema.minLength === 1 ? 'не может быть пустым' : `должно быть не короче ${schema.minLength} символов` }];
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return [{ name, message: `должно быть не длиннее ${schema.maxLength} символов` }];
+            }
+            if (schema.pattern && !this.pattern(schema.pattern).test(value)) {
+                return [{ name, message: `не соответствует шаблону ${schema.pattern}` }];
+            }
+            if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+                return [{ name, message: 'должно быть датой в формате ISO 8601' }];
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return [{ name, message: `должно содержать не меньше ${schema.minItems} элементов` }];
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return [{ name, message: `должно содержать не больше ${schema.maxItems} элементов` }];
+            }
+            if (schema.items) {
+                return value.flatMap((item, index) => this.validate(item, schema.items, childName(name, index)));
+            }
+            return [];
+        }
+
+        if (matchesType(value, 'object')) {
+            return this.validateObject(value, schema, name);
+        }
+
+        return [];
+    }
+
+    validateObject(value, schema, name) {
+        const errors = [];
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ name: childName(name, key), message: 'обязательный параметр' });
+            }
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            const itemName = childName(name, key);
+
+            if (schema.propertyNames && this.validate(key, schema.propertyNames, itemName).length > 0) {
+                errors.push({ name: itemName, message: 'недопустимое имя поля' });
+                continue;
+            }
+            if (properties[key]) {
+                errors.push(...this.validate(item, properties[key], itemName));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ name: itemName, message: 'неизвестный параметр' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...this.validate(item, schema.additionalProperties, itemName));
+            }
+        }
+
+        return errors;
+    }
+}
+
+// Фабрика middleware проверки по operationId. Параметры строки запроса и пути приводятся к типам
+// из описания, поэтому обработчик получает числа и логические значения, а не строки
+const createValidator = (spec) => {
+    const validator = new SchemaValidator(spec);
+    const operations = new Map();
+
+    for (const methods of Object.values(spec.paths)) {
+        for (const operation of Object.values(methods)) {
+            operations.set(operation.operationId, {
+                parameters: (operation.parameters || []).map(parameter => validator.resolve(parameter)),
+                body: operation.requestBody && operation.requestBody.content['application/json'] && {
+                    required: operation.requestBody.required,
+                    schema: operation.requestBody.content['application/json'].schema
+                }
+            });
+        }
+    }
+
+    return (operationId) => {
+        const operation = operations.get(operationId);
+        if (!operation) {
+            throw new Error(`Операция ${operationId} не описана в OpenAPI`);
+        }
+
+        return (req, res, next) => {
+            const errors = [];
+            const sources = { query: req.query, path: req.params };
+
+            for (const parameter of operation.parameters) {
+                const source = sources[parameter.in];
+                const value = source[parameter.name];
+
+                if (value === undefined || value === '') {
+                    if (parameter.required) {
+                        errors.push({ in: parameter.in, name: parameter.name, message: 'обязательный параметр' });
+                    }
+                    continue;
+                }
+
+                const schema = validator.resolve(parameter.schema);
+                const coerced = coerce(value, schema);
+                const found = validator.validate(coerced, schema, parameter.name);
+                if (found.length > 0) {
+                    errors.push(...found.map(error => ({ in: parameter.in, ...error })));
+                } else {
+                    source[parameter.name] = coerced;
+                }
+            }
+
+            if (operation.body) {
+                // Без тела запроса body-parser оставляет пустой объект
+                const body = req.body === undefined ? {} : req.body;
+                errors.push(...validator.validate(body, operation.body.schema, '')
+                    .map(error => ({ in: 'body', ...error, name: error.name || 'body' })));
+            }
+
+            if (errors.length > 0) {
+                return sendValidationError(res, errors);
+            }
+            next();
+        };
+    };
+};
+
+module.exports = { createValidator, sendValidationError };
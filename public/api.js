@@ -0,0 +1,172 @@
+// Страница документации: методы API из /api/openapi.json, сгруппированные по разделам
+(() => {
+    const $ = selector => document.querySelector(selector);
+
+    const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function resolve(spec, node) {
+        while (node && node.$ref) {
+            node = node.$ref.replace(/^#\//, '').split('/').reduce((item, key) => item[key], spec);
+        }
+        return node || {};
+    }
+
+    // Краткая запись типа и ограничений схемы: "integer, 1…100, по умолчанию 10"
+    function describeSchema(spec, rawSchema) {
+        const schema = resolve(spec, rawSchema);
+        const parts = [];
+
+        if (schema.oneOf) {
+            parts.push(schema.oneOf.map(option => describeSchema(spec, option)).join(' | '));
+        } else if (schema.type === 'array') {
+            parts.push(`array of ${describeSchema(spec, schema.items)}`);
+        } else if (schema.type === 'object' && schema.properties) {
+            const fields = Object.keys(schema.properties).join(', ');
+            parts.push(`object { ${fields} }`);
+        } else {
+            parts.push(schema.format ? `${schema.type} (${schema.format})` : schema.type || 'any');
+        }
+
+        if (schema.nullable) parts.push('или null');
+        if (schema.enum) parts.push(`одно из: ${schema.enum.join(', ')}`);
+        if (schema.minimum !== undefined || schema.maximum !== undefined) {
+            parts.push(`${schema.minimum ?? '…'}…${schema.maximum ?? '…'}`);
+        }
+        if (schema.minLength > 1) parts.push(`от ${schema.minLength} символов`);
+        if (schema.minLength === 1) parts.push('непустая');
+        if (schema.maxLength !== undefined) parts.push(`до ${schema.maxLength} символов`);
+        if (schema.pattern) parts.push(`шаблон ${schema.pattern}`);
+        if (schema.default !== undefined) parts.push(`по умолчанию ${JSON.stringify(schema.default)}`);
+
+        return parts.join(', ');
+    }
+
+    function fieldsTable(rows) {
+        if (rows.length === 0) return '';
+        return `
+            <table class="table">
+                <thead><tr><th>Параметр</th><th>Где</th><th>Тип и ограничения</th><th>Описание</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td><code>${escapeHtml(row.name)}</code>${row.required ? ' <span class="required">*</span>' : ''}</td>
+                            <td>${escapeHtml(row.in)}</td>
+                            <td>${escapeHtml(row.type)}</td>
+                            <td>${escapeHtml(row.description)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function operationRows(spec, operation) {
+        const rows = (operation.parameters || []).map(raw => {
+            const parameter = resolve(spec, raw);
+            return {
+                name: parameter.name,
+                in: parameter.in,
+                required: parameter.required,
+                type: describeSchema(spec, parameter.schema),
+                description: parameter.description
+            };
+        });
+
+        const body = operation.requestBody;
+        const json = body && body.content['application/json'];
+        if (json) {
+            const schema = resolve(spec, json.schema);
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                rows.push({
+                    name,
+                    in: 'body',
+                    required: (schema.required || []).includes(name),
+                    type: describeSchema(spec, property),
+                    description: resolve(spec, property).description
+                });
+            }
+        } else if (body) {
+            rows.push({
+                name: 'body',
+                in: 'body',
+                required: body.required,
+                type: Object.keys(body.content).join(' или '),
+                description: ''
+            });
+        }
+
+        return rows;
+    }
+
+    function renderOperation(spec, path, method, operation) {
+        const responses = Object.entries(operation.responses)
+            .map(([status, raw]) => `<li><strong>${escapeHtml(status)}</strong> ${escapeHtml(resolve(spec, raw).description)}</li>`)
+            .join('');
+        const access = operation['x-role']
+            ? `Роль: ${operation['x-role']}, группа ограничения частоты: ${operation['x-rate-limit-group']}`
+            : 'Без API-ключа';
+
+        return `
+            <details class="operation">
+                <summary>
+                    <span class="method method-${method}">${method.toUpperCase()}</span>
+                    <code>${escapeHtml(path)}</code>
+                    <span>${escapeHtml(operation.summary)}</span>
+                </summary>
+                <div class="operation-body">
+                    ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+                    <p class="muted">${escapeHtml(access)} · operationId: <code>${escapeHtml(operation.operationId)}</code></p>
+                    ${fieldsTable(operationRows(spec, operation))}
+                    <h3>Ответы</h3>
+                    <ul class="responses">${responses}</ul>
+                </div>
+            </details>
+        `;
+    }
+
+    function render(spec) {
+        document.title = `${spec.info.title} — API ${spec.info.version}`;
+        $('#api-title').textContent = `${spec.info.title} · API ${spec.info.version}`;
+        $('#api-description').textContent = spec.info.description;
+
+        const groups = new Map(spec.tags.map(tag => [tag.name, { tag, items: [] }]));
+        for (const [path, methods] of Object.entries(spec.paths)) {
+            for (const method of METHODS) {
+                const operation = methods[method];
+                if (!operation) continue;
+                const tag = (operation.tags || [])[0];
+                if (groups.has(tag)) {
+                    groups.get(tag).items.push(renderOperation(spec, path, method, operation));
+                }
+            }
+        }
+
+        $('#operations').innerHTML = [...groups.values()]
+            .filter(group => group.items.length > 0)
+            .map(group => `
+                <section class="tag-group">
+                    <h2>${escapeHtml(group.tag.description)}</h2>
+                    ${group.items.join('')}
+                </section>
+            `)
+            .join('');
+    }
+
+    fetch('/api/openapi.json')
+        .then(response => response.json())
+        .then(render)
+        .catch(error => {
+            const notice = $('#notice');
+            notice.textContent = `Не удалось загрузить описание API: ${error.message}`;
+            notice.className = 'notice error';
+            notice.hidden = false;
+        });
+})();
@@ -0,0 +1,359 @@
+// Панель управления кэшем: обзор, история, поиск, проверка запроса и обслуживание.
+// Работает поверх REST API; API-ключ хранится в localStorage браузера
+(() => {
+    const KEY_STORAGE = 'ai-cache-api-key';
+
+    const $ = selector => document.querySelector(selector);
+
+    const state = {
+        history: { offset: 0, limit: 50, userId: '', sessionId: '' },
+        search: { q: '', cursor: null },
+        detailId: null
+    };
+
+    // ---- Запросы к API ----
+
+    async function api(path, { method = 'GET', body } = {}) {
+        const headers = {};
+        const key = localStorage.getItem(KEY_STORAGE);
+        if (key) headers['X-API-Key'] = key;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(path, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `Ошибка ${response.status}`);
+        }
+        return data;
+    }
+
+    // ---- Вывод ----
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Сниппеты поиска содержат подсветку <mark>; остальной текст экранируется
+    function snippetHtml(value) {
+        return escapeHtml(value)
+            .replace(/&lt;mark&gt;/g, '<mark>')
+            .replace(/&lt;\/mark&gt;/g, '</mark>');
+    }
+
+    function truncate(value, length = 120) {
+        const text = String(value ?? '');
+        return text.length > length ? `${text.slice(0, length)}…` : text;
+    }
+
+    function formatScore(value) {
+        return value === null || value === undefined ? '—' : Number(value).toFixed(3);
+    }
+
+    let noticeTimer = null;
+    function notify(message, type = 'info') {
+        const notice = $('#notice');
+        notice.textContent = message;
+        notice.className = `notice ${type}`;
+        notice.hidden = false;
+        clearTimeout(noticeTimer);
+        noticeTimer = setTimeout(() => { notice.hidden = true; }, 5000);
+    }
+
+    // Обертка обработчика: ошибка API показывается уведомлением
+    const guarded = handler => async (...args) => {
+        try {
+            await handler(...args);
+        } catch (error) {
+            notify(error.message, 'error');
+        }
+    };
+
+    function card(label, value) {
+        return `<div class="card"><div class="card-value">${escapeHtml(value)}</div><div class="card-label">${escapeHtml(label)}</div></div>`;
+    }
+
+    // ---- Обзор ----
+
+    async function loadOverview() {
+        const [{ stats }, { analytics }] = await Promise.all([
+            api('/api/cache/stats'),
+            api('/api/cache/analytics?top=10')
+        ]);
+
+        $('#stats').innerHTML = [
+            card('Разговоров', stats.totalConversations),
+            card('Ключевых слов', stats.totalKeywords),
+            card('Обращений к ответам', stats.totalAccesses),
+            card('Среднее использование', stats.avgUsage),
+            card('Максимум использований', stats.maxUsage ?? 0)
+        ].join('');
+
+        const totals = analytics.totals;
+        $('#analytics-totals').innerHTML = [
+            card('Запросов к кэшу', totals.lookups),
+            card('Попаданий', totals.hits),
+            card('Промахов', totals.misses),
+            card('Доля попаданий', totals.hitRate === null ? '—' : `${Math.round(totals.hitRate * 100)}%`),
+            card('Средняя задержка, мс', totals.avgLatencyMs ?? '—')
+        ].join('');
+
+        $('#top-missed').innerHTML = analytics.topMissed.length === 0
+            ? '<tr><td colspan="4" class="muted">Промахов нет</td></tr>'
+            : analytics.topMissed.map(row => `
+                <tr>
+                    <td>${escapeHtml(row.keywords || '—')}</td>
+                    <td>${escapeHtml(truncate(row.example))}</td>
+                    <td>${row.misses}</td>
+                    <td>${escapeHtml(row.lastSeen)}</td>
+                </tr>`).join('');
+    }
+
+    // ---- История ----
+
+    async function loadHistory() {
+        const { offset, limit, userId, sessionId } = state.history;
+        const params = new URLSearchParams({ offset, limit });
+        if (userId) params.set('userId', userId);
+        if (sessionId) params.set('sessionId', sessionId);
+
+        const { conversations } = await api(`/api/cache/history?${params}`);
+
+        $('#history-rows').innerHTML = conversations.length === 0
+            ? '<tr><td colspan="5" class="muted">Записей нет</td></tr>'
+            : conversations.map(row => `
+                <tr>
+                    <td>${escapeHtml(truncate(row.user_query, 80))}</td>
+                    <td>${escapeHtml(truncate(row.ai_response, 120))}</td>
+                    <td>${row.usage_count}</td>
+                    <td>${escapeHtml(row.created_at)}</td>
+                    <td><button type="button" class="link" data-open="${escapeHtml(row.id)}">Открыть</button></td>
+                </tr>`).join('');
+
+        $('#history-page').textContent = `Записи ${conversations.length ? offset + 1 : 0}–${offset + conversations.length}`;
+        $('#history-prev').disabled = offset === 0;
+        // Общее число записей API не возвращает: полная страница означает, что могут быть еще
+        $('#history-next').disabled = conversations.length < limit;
+    }
+
+    // ---- Поиск ----
+
+    async function loadSearch(append = false) {
+        const params = new URLSearchParams({ q: state.search.q, limit: 20 });
+        if (append && state.search.cursor) {
+            params.set('cursor', state.search.cursor);
+        }
+
+        const { results, nextCursor } = await api(`/api/cache/search?${params}`);
+        state.search.cursor = nextCursor;
+
+        const html = results.map(row => `
+            <article class="result">
+                <div class="result-query">${snippetHtml(row.query_snippet)}</div>
+                <div class="result-response">${snippetHtml(row.response_snippet)}</div>
+                <div class="result-meta">
+                    ${escapeHtml(row.created_at)} · использований: ${row.usage_count}
+                    <button type="button" class="link" data-open="${escapeHtml(row.id)}">Открыть</button>
+                </div>
+            </article>`).join('');
+
+        if (append) {
+            $('#search-results').insertAdjacentHTML('beforeend', html);
+        } else {
+            $('#search-results').innerHTML = html || '<p class="muted">Ничего не найдено</p>';
+        }
+        $('#search-more').hidden = !nextCursor;
+    }
+
+    // ---- Проверка запроса ----
+
+    async function testQuery(form) {
+        const minSimilarity = parseFloat(form.minSimilarity.value);
+        const result = await api('/api/cache/query/candidates', {
+            method: 'POST',
+            body: {
+                query: form.query.value,
+                minSimilarity,
+                limit: parseInt(form.limit.value)
+            }
+        });
+
+        const entities = result.entities.map(entity => `${entity.value}${entity.unit ? ` ${entity.unit}` : ''}`);
+        $('#test-summary').textContent = [
+            `Ключевые слова: ${result.keywords.join(', ') || '—'}`,
+            `Сущности: ${entities.join(', ') || '—'}`,
+            result.candidates.some(candidate => candidate.aboveThreshold)
+                ? 'Запрос получит ответ из кэша'
+                : 'Запрос не найдет ответа в кэше'
+        ].join(' · ');
+
+        $('#test-rows').innerHTML = result.candidates.length === 0
+            ? '<tr><td colspan="8" class="muted">Кандидатов нет</td></tr>'
+            : result.candidates.map(candidate => `
+                <tr class="${candidate.aboveThreshold ? '' : 'below'}">
+                    <td>${escapeHtml(truncate(candidate.query, 80))}</td>
+                    <td>${escapeHtml(candidate.matchType)} / ${escapeHtml(candidate.matchSignal)}</td>
+                    <td><span class="bar" style="--value: ${Math.min(candidate.similarity, 1)}"></span>${formatScore(candidate.similarity)}</td>
+                    <td>${formatScore(candidate.scores.keyword)}</td>
+                    <td>${formatScore(candidate.scores.semantic)}</td>
+                    <td>${formatScore(candidate.quality)}</td>
+                    <td>${formatScore(candidate.rankScore)}</td>
+                    <td><button type="button" class="link" data-open="${escapeHtml(candidate.conversationId)}">Открыть</button></td>
+                </tr>`).join('');
+    }
+
+    // ---- Детали разговора ----
+
+    async function openDetail(id) {
+        const { conversation } = await api(`/api/cache/conversation/${encodeURIComponent(id)}`);
+        state.detailId = id;
+
+        const keywords = conversation.keywords.map(keyword => `
+            <li>
+                <span class="keyword">${escapeHtml(keyword.word)}</span>
+                <span class="bar" style="--value: ${Math.max(0, Math.min(keyword.weight, 1))}"></span>
+                ${formatScore(keyword.weight)}
+            </li>`).join('');
+        const entities = (conversation.entities || [])
+            .map(entity => `${entity.value}${entity.unit ? ` ${entity.unit}` : ''}`)
+            .join(', ');
+
+        $('#detail-body').innerHTML = `
+            <dl class="details">
+                <dt>Запрос</dt><dd>${escapeHtml(conversation.user_query)}</dd>
+                <dt>Ответ</dt><dd><pre>${escapeHtml(conversation.ai_response)}</pre></dd>
+                <dt>Статус</dt><dd>${escapeHtml(conversation.status)} · версия ${conversation.version ?? 1}</dd>
+                <dt>Использований</dt><dd>${conversation.usage_count}</dd>
+                <dt>Оценки</dt><dd>👍 ${conversation.feedback_up} · 👎 ${conversation.feedback_down}</dd>
+                <dt>Создан</dt><dd>${escapeHtml(conversation.created_at)}</dd>
+                <dt>Последнее обращение</dt><dd>${escapeHtml(conversation.last_accessed_at || '—')}</dd>
+                <dt>Истекает</dt><dd>${escapeHtml(conversation.expires_at || 'бессрочно')}</dd>
+                <dt>Пользователь / сессия</dt><dd>${escapeHtml(conversation.user_id || '—')} / ${escapeHtml(conversation.session_id || '—')}</dd>
+                <dt>Сущности</dt><dd>${escapeHtml(entities || '—')}</dd>
+                <dt>Теги</dt><dd>${escapeHtml((conversation.tags || []).join(', ') || '—')}</dd>
+                <dt>Объединенные формулировки</dt><dd>${escapeHtml((conversation.aliases || []).map(alias => alias.user_query).join('; ') || '—')}</dd>
+                <dt>Metadata</dt><dd><pre>${escapeHtml(JSON.stringify(conversation.metadata, null, 2))}</pre></dd>
+            </dl>
+            <h3>Ключевые слова и веса</h3>
+            <ul class="keywords">${keywords || '<li class="muted">Нет ключевых слов</li>'}</ul>`;
+
+        $('#detail').showModal();
+    }
+
+    async function deleteDetail() {
+        if (!state.detailId || !confirm('Удалить этот разговор из кэша? Действие нельзя отменить.')) {
+            return;
+        }
+
+        const { deletedCount } = await api(`/api/cache/conversation/${encodeURIComponent(state.detailId)}`, { method: 'DELETE' });
+        $('#detail').close();
+        notify(deletedCount > 0 ? 'Разговор удален' : 'Разговор не найден', deletedCount > 0 ? 'success' : 'error');
+        await refreshActive();
+    }
+
+    // ---- Обслуживание ----
+
+    async function cleanup(form) {
+        const daysOld = parseInt(form.daysOld.value);
+        if (!confirm(`Удалить записи старше ${daysOld} дн., которые не использовались повторно?`)) {
+            return;
+        }
+
+        const { message } = await api('/api/cache/cleanup', { method: 'DELETE', body: { daysOld } });
+        notify(message, 'success');
+    }
+
+    // ---- Вкладки и события ----
+
+    function activeTab() {
+        return document.querySelector('.tab.active').dataset.tab;
+    }
+
+    async function refreshActive() {
+        const tab = activeTab();
+        if (tab === 'overview') await loadOverview();
+        if (tab === 'history') await loadHistory();
+        if (tab === 'search' && state.search.q) await loadSearch();
+    }
+
+    document.querySelectorAll('.tab').forEach(button => {
+        button.addEventListener('click', guarded(async () => {
+            document.querySelectorAll('.tab').forEach(tab => tab.classList.toggle('active', tab === button));
+            document.querySelectorAll('.panel').forEach(panel => {
+                panel.classList.toggle('active', panel.id === `tab-${button.dataset.tab}`);
+            });
+            await refreshActive();
+        }));
+    });
+
+    $('#key-form').addEventListener('submit', guarded(async event => {
+        event.preventDefault();
+        const key = $('#api-key').value.trim();
+        if (key) localStorage.setItem(KEY_STORAGE, key);
+        else localStorage.removeItem(KEY_STORAGE);
+        notify(key ? 'Ключ сохранен' : 'Ключ удален', 'success');
+        await refreshActive();
+    }));
+
+    $('#refresh-stats').addEventListener('click', guarded(loadOverview));
+
+    $('#history-form').addEventListener('submit', guarded(async event => {
+        event.preventDefault();
+        const form = event.target;
+        state.history = {
+            offset: 0,
+            limit: parseInt(form.limit.value),
+            userId: form.userId.value.trim(),
+            sessionId: form.sessionId.value.trim()
+        };
+        await loadHistory();
+    }));
+
+    $('#history-prev').addEventListener('click', guarded(async () => {
+        state.history.offset = Math.max(0, state.history.offset - state.history.limit);
+        await loadHistory();
+    }));
+
+    $('#history-next').addEventListener('click', guarded(async () => {
+        state.history.offset += state.history.limit;
+        await loadHistory();
+    }));
+
+    $('#search-form').addEventListener('submit', guarded(async event => {
+        event.preventDefault();
+        state.search = { q: event.target.q.value.trim(), cursor: null };
+        await loadSearch();
+    }));
+
+    $('#search-more').addEventListener('click', guarded(() => loadSearch(true)));
+
+    $('#test-form').addEventListener('submit', guarded(async event => {
+        event.preventDefault();
+        await testQuery(event.target);
+    }));
+
+    $('#cleanup-form').addEventListener('submit', guarded(async event => {
+        event.preventDefault();
+        await cleanup(event.target);
+    }));
+
+    // Кнопки «Открыть» в таблицах и результатах поиска
+    document.addEventListener('click', guarded(async event => {
+        const button = event.target.closest('[data-open]');
+        if (button) await openDetail(button.dataset.open);
+    }));
+
+    $('#detail-close').addEventListener('click', () => $('#detail').close());
+    $('#detail-delete').addEventListener('click', guarded(deleteDetail));
+
+    $('#api-key').value = localStorage.getItem(KEY_STORAGE) || '';
+    guarded(loadOverview)();
+})();
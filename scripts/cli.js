@@ -0,0 +1,180 @@
+// Командная строка для обслуживания кэша:
+//   init-db                                     — создание базы и применение всех миграций
+//   migrate status|up|rollback [--to номер] [--steps N] — управление миграциями схемы
+//   import <файл> [--format jsonl|csv] [--mode skip|overwrite|merge] [--dry-run] [--tenant имя]
+//   export [файл] [--format jsonl|csv] [--tenant имя]   — без файла выгрузка идет в stdout
+//   reindex [--tenant имя]                      — перестроение ключевых слов (с --tenant — только арендатора), поиска и эмбеддингов
+//   telegram-webhook set <url>|delete           — регистрация webhook бота Telegram с TELEGRAM_WEBHOOK_SECRET
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const DatabaseManager = require('../database/database');
+const { FORMATS, IMPORT_MODES, exportConversations, importConversations } = require('../services/cacheTransfer');
+const { TelegramClient } = require('../services/telegramClient');
+
+// Разбор аргументов: позиционные и --флаги (флаг без значения считается true)
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                args[argv[i].slice(2)] = true;
+            } else {
+                args[argv[i].slice(2)] = next;
+                i++;
+            }
+        } else {
+            args._.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+// Формат по флагу или расширению файла
+function resolveFormat(args, file) {
+    const format = args.format || (file && path.extname(file) === '.csv' ? 'csv' : 'jsonl');
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Формат должен быть одним из: ${FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+const commands = {
+    'init-db': async () => {
+        console.log('Схема базы данных в актуальном состоянии');
+    },
+
+    migrate: async (dbManager, args) => {
+        const action = args._[1] || 'status';
+        const migrator = dbManager.storage.migrator();
+        if (!migrator) {
+            throw new Error('Хранилище не использует миграции');
+        }
+        const to = args.to !== undefined ? parseInt(args.to) : undefined;
+        if (to !== undefined && isNaN(to)) {
+            throw new Error('Параметр --to должен быть номером миграции');
+        }
+
+        if (action === 'status') {
+            for (const migration of await migrator.status()) {
+                const state = migration.missing
+                    ? 'применена, файл отсутствует'
+                    : migration.applied ? `применена ${migration.appliedAt}` : 'ожидает';
+                console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}: ${state}`);
+            }
+        } else if (action === 'up') {
+            const applied = await migrator.up({ to });
+            console.log(applied.length ? `Применено миграций: ${applied.length}` : 'Новых миграций нет');
+        } else if (action === 'rollback') {
+            const steps = parseInt(args.steps || 1);
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('Параметр --steps должен быть положительным числом');
+            }
+            const rolledBack = await migrator.rollback({ steps, to });
+            console.log(`Откачено миграций: ${rolledBack.length}`);
+        } else {
+            throw new Error('Действие migrate должно быть одним из: status, up, rollback');
+        }
+    },
+
+    import: async (dbManager, args) => {
+        const file = args._[1];
+        if (!file) {
+            throw new Error('Укажите файл для импорта');
+        }
+
+        const mode = args.mode || 'skip';
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Режим должен быть одним из: ${IMPORT_MODES.join(', ')}`);
+        }
+
+        const report = await importConversations(dbManager, fs.createReadStream(file), {
+            tenant: args.tenant || DatabaseManager.DEFAULT_TENANT,
+            format: resolveFormat(args, file),
+            mode,
+            dryRun: args['dry-run'] === true
+        });
+        console.log(JSON.stringify(report, null, 2));
+    },
+
+    export: async (dbManager, args) => {
+        const file = args._[1];
+        const output = file ? fs.createWriteStream(file) : process.stdout;
+
+        const count = await exportConversations(dbManager, output, {
+            tenant: args.tenant || DatabaseManager.DEFAULT_TENANT,
+            format: resolveFormat(args, file)
+        });
+
+        if (file) {
+            await new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve())));
+            console.error(`Выгружено разговоров: ${count}`);
+        }
+    },
+
+    reindex: async (dbManager, args) => {
+        const result = await dbManager.reindexKeywords({ tenant: args.tenant || null });
+        console.log(`Переиндексировано разговоров: ${result.conversations}, ключевых слов: ${result.keywords}`);
+
+        const search = await dbManager.rebuildSearchIndex();
+        console.log(`Полнотекстовый индекс перестроен для разговоров: ${search.conversations}`);
+
+        const embeddings = await dbManager.reindexEmbeddings();
+        console.log(`Вычислено эмбеддингов: ${embeddings.conversations}`);
+    },
+
+    'telegram-webhook': async (dbManager, args) => {
+        const client = new TelegramClient();
+        if (!client.token) {
+            throw new Error('Не задан TELEGRAM_BOT_TOKEN');
+        }
+
+        const action = args._[1];
+        if (action === 'set') {
+            const url = args._[2];
+            if (!url) {
+                throw new Error('Укажите адрес webhook, например https://example.com/telegram/webhook');
+            }
+            if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+                throw new Error('Не задан TELEGRAM_WEBHOOK_SECRET: сервер не примет обновления без него');
+            }
+            await client.setWebhook(url, process.env.TELEGRAM_WEBHOOK_SECRET);
+            console.log(`Webhook зарегистрирован: ${url}`);
+        } else if (action === 'delete') {
+            await client.deleteWebhook();
+            console.log('Webhook удален');
+        } else {
+            throw new Error('Действие telegram-webhook должно быть одним из: set, delete');
+        }
+    }
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const command = commands[args._[0]];
+
+    if (!command) {
+        throw new Error(`Неизвестная команда. Доступны: ${Object.keys(commands).join(', ')}`);
+    }
+
+    // При выгрузке в stdout служебные сообщения не должны смешиваться с данными
+    if (args._[0] === 'export' && !args._[1]) {
+        console.log = console.error;
+    }
+
+    // Команда migrate управляет схемой сама, остальные работают с актуальной схемой
+    const dbManager = new DatabaseManager({ migrate: args._[0] !== 'migrate' });
+    try {
+        await dbManager.ready;
+        await command(dbManager, args);
+    } finally {
+        await dbManager.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('Ошибка:', error.message);
+    process.exit(1);
+});
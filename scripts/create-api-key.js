@@ -0,0 +1,41 @@
+// Выпуск API-ключа из командной строки, например для первого администратора арендатора:
+// npm run create-key -- --tenant acme --role admin --name "Основной ключ"
+require('dotenv').config();
+
+const DatabaseManager = require('../database/database');
+const { ROLES } = require('../middleware/auth');
+
+// Разбор аргументов вида --name value
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { tenant = DatabaseManager.DEFAULT_TENANT, role = 'admin', name = null } = parseArgs(process.argv.slice(2));
+
+    if (!ROLES.includes(role)) {
+        throw new Error(`Роль должна быть одной из: ${ROLES.join(', ')}`);
+    }
+
+    const dbManager = new DatabaseManager();
+    try {
+        await dbManager.ready;
+        const apiKey = await dbManager.createApiKey({ tenant, role, name });
+        console.log(`Арендатор: ${apiKey.tenant}, роль: ${apiKey.role}, id: ${apiKey.id}`);
+        console.log(`Ключ (сохраните, повторно он показан не будет): ${apiKey.key}`);
+    } finally {
+        await dbManager.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('Ошибка выпуска ключа:', error.message);
+    process.exit(1);
+});
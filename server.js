@@ -1,334 +1,1288 @@
-const express = require('express');
-const cors = require('cors');
-const bodyParser = require('body-parser');
-const path = require('path');
-require('dotenv').config();
-
-const DatabaseManager = require('./database/database');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Инициализация базы данных
-const dbManager = new DatabaseManager();
-
-// Middleware для обработки ошибок базы данных
-const handleDbError = (res, error, message = 'Ошибка базы данных') => {
-    console.error(message, error);
-    res.status(500).json({ 
-        error: message, 
-        details: error.message 
-    });
-};
-
-// API Routes
-
-// Получение кэшированного ответа
-app.post('/api/cache/query', async (req, res) => {
-    try {
-        const { query, userId, sessionId, minSimilarity = 0.3 } = req.body;
-        
-        if (!query || typeof query !== 'string') {
-            return res.status(400).json({ 
-                error: 'Параметр query обязателен и должен быть строкой' 
-            });
-        }
-
-        const similarConversations = await dbManager.findSimilarConversations(
-            query, 
-            5, 
-            minSimilarity
-        );
-
-        if (similarConversations.length > 0) {
-            const bestMatch = similarConversations[0];
-            
-            res.json({
-                found: true,
-                cacheHit: true,
-                similarity: bestMatch.similarity,
-                matchType: bestMatch.matchType,
-                response: bestMatch.ai_response,
-                conversationId: bestMatch.id,
-                usageCount: bestMatch.usage_count,
-                createdAt: bestMatch.created_at
-            });
-        } else {
-            res.json({
-                found: false,
-                cacheHit: false,
-                message: 'Похожих запросов в кэше не найдено'
-            });
-        }
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка поиска в кэше');
-    }
-});
-
-// Сохранение нового разговора в кэш
-app.post('/api/cache/save', async (req, res) => {
-    try {
-        const { query, response, userId, sessionId, metadata = {} } = req.body;
-        
-        if (!query || !response) {
-            return res.status(400).json({ 
-                error: 'Параметры query и response обязательны' 
-            });
-        }
-
-        const conversationId = await dbManager.saveConversation(
-            query, 
-            response, 
-            userId, 
-            sessionId, 
-            metadata
-        );
-
-        res.json({
-            success: true,
-            conversationId,
-            message: 'Разговор сохранен в кэш'
-        });
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка сохранения в кэш');
-    }
-});
-
-// Получение статистики кэша
-app.get('/api/cache/stats', async (req, res) => {
-    try {
-        const stats = await dbManager.getCacheStats();
-        res.json({
-            success: true,
-            stats
-        });
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка получения статистики');
-    }
-});
-
-// Получение истории разговоров
-app.get('/api/cache/history', async (req, res) => {
-    try {
-        const { limit = 50, offset = 0, userId, sessionId } = req.query;
-        
-        let query = `
-            SELECT id, user_query, ai_response, created_at, usage_count, query_hash
-            FROM conversations
-        `;
-        const params = [];
-        
-        const conditions = [];
-        if (userId) {
-            conditions.push('user_id = ?');
-            params.push(userId);
-        }
-        if (sessionId) {
-            conditions.push('session_id = ?');
-            params.push(sessionId);
-        }
-        
-        if (conditions.length > 0) {
-            query += ' WHERE ' + conditions.join(' AND ');
-        }
-        
-        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-        params.push(parseInt(limit), parseInt(offset));
-
-        dbManager.db.all(query, params, (err, rows) => {
-            if (err) {
-                handleDbError(res, err, 'Ошибка получения истории');
-                return;
-            }
-            
-            res.json({
-                success: true,
-                conversations: rows,
-                pagination: {
-                    limit: parseInt(limit),
-                    offset: parseInt(offset),
-                    count: rows.length
-                }
-            });
-        });
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка получения истории');
-    }
-});
-
-// Поиск по ключевым словам
-app.get('/api/cache/search', async (req, res) => {
-    try {
-        const { keyword, limit = 10 } = req.query;
-        
-        if (!keyword) {
-            return res.status(400).json({ 
-                error: 'Параметр keyword обязателен' 
-            });
-        }
-
-        const query = `
-            SELECT DISTINCT c.*, k.weight, k.keyword
-            FROM conversations c
-            JOIN query_keywords k ON c.id = k.conversation_id
-            WHERE k.keyword LIKE ?
-            ORDER BY k.weight DESC, c.usage_count DESC
-            LIMIT ?
-        `;
-
-        dbManager.db.all(query, [`%${keyword}%`, parseInt(limit)], (err, rows) => {
-            if (err) {
-                handleDbError(res, err, 'Ошибка поиска по ключевым словам');
-                return;
-            }
-            
-            res.json({
-                success: true,
-                results: rows,
-                keyword,
-                count: rows.length
-            });
-        });
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка поиска');
-    }
-});
-
-// Очистка старых записей
-app.delete('/api/cache/cleanup', async (req, res) => {
-    try {
-        const { daysOld = 30 } = req.body;
-        const deletedCount = await dbManager.cleanupOldRecords(daysOld);
-        
-        res.json({
-            success: true,
-            deletedCount,
-            message: `Удалено ${deletedCount} старых записей`
-        });
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка очистки кэша');
-    }
-});
-
-// Удаление конкретного разговора
-app.delete('/api/cache/conversation/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        dbManager.db.run(
-            'DELETE FROM conversations WHERE id = ?',
-            [id],
-            function(err) {
-                if (err) {
-                    handleDbError(res, err, 'Ошибка удаления разговора');
-                    return;
-                }
-                
-                res.json({
-                    success: true,
-                    deletedCount: this.changes,
-                    message: this.changes > 0 ? 'Разговор удален' : 'Разговор не найден'
-                });
-            }
-        );
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка удаления');
-    }
-});
-
-// Получение детальной информации о разговоре
-app.get('/api/cache/conversation/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        dbManager.db.get(
-            'SELECT * FROM conversations WHERE id = ?',
-            [id],
-            (err, conversation) => {
-                if (err) {
-                    handleDbError(res, err, 'Ошибка получения разговора');
-                    return;
-                }
-                
-                if (!conversation) {
-                    return res.status(404).json({
-                        error: 'Разговор не найден'
-                    });
-                }
-
-                // Получаем ключевые слова для этого разговора
-                dbManager.db.all(
-                    'SELECT keyword, weight FROM query_keywords WHERE conversation_id = ?',
-                    [id],
-                    (err, keywords) => {
-                        if (err) {
-                            console.error('Ошибка получения ключевых слов:', err);
-                            keywords = [];
-                        }
-
-                        res.json({
-                            success: true,
-                            conversation: {
-                                ...conversation,
-                                metadata: conversation.metadata ? JSON.parse(conversation.metadata) : {},
-                                keywords: keywords.map(k => ({ word: k.keyword, weight: k.weight }))
-                            }
-                        });
-                    }
-                );
-            }
-        );
-    } catch (error) {
-        handleDbError(res, error, 'Ошибка получения разговора');
-    }
-});
-
-// Главная страница
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Обработка 404
-app.use('*', (req, res) => {
-    res.status(404).json({ 
-        error: 'Эндпоинт не найден',
-        availableEndpoints: [
-            'POST /api/cache/query - Поиск в кэше',
-            'POST /api/cache/save - Сохранение в кэш',
-            'GET /api/cache/stats - Статистика кэша',
-            'GET /api/cache/history - История разговоров',
-            'GET /api/cache/search - Поиск по ключевым словам',
-            'DELETE /api/cache/cleanup - Очистка старых записей',
-            'DELETE /api/cache/conversation/:id - Удаление разговора',
-            'GET /api/cache/conversation/:id - Детали разговора'
-        ]
-    });
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\nПолучен сигнал SIGINT. Закрытие сервера...');
-    await dbManager.close();
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('\nПолучен сигнал SIGTERM. Закрытие сервера...');
-    await dbManager.close();
-    process.exit(0);
-});
-
-// Запуск сервера
-app.listen(PORT, () => {
-    console.log(`🚀 Сервер запущен на порту ${PORT}`);
-    console.log(`📊 Панель управления: http://localhost:${PORT}`);
-    console.log(`🔧 API документация: http://localhost:${PORT}/api`);
-});
-
-module.exports = app;
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const DatabaseManager = require('./database/database');
+const { QueryConflictError, SynonymConflictError, PiiRejectedError, DuplicateConversationError } = require('./database/database');
+const { LLMProvider, LLMProviderError } = require('./services/llmProvider');
+const ChatService = require('./services/chatService');
+const CacheEvictionScheduler = require('./services/cacheEviction');
+const DuplicateScanScheduler = require('./services/duplicateScanner');
+const { createAuthMiddleware, requireRole } = require('./middleware/auth');
+const { createRateLimit, sendRateLimitError } = require('./middleware/rateLimit');
+const { createValidator, sendValidationError } = require('./middleware/validate');
+const { createRequestContext } = require('./middleware/requestContext');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const openApiSpec = require('./services/openapi');
+const { RateLimiter, RateLimitError } = require('./services/rateLimiter');
+const { SseStream, wantsEventStream } = require('./services/sseStream');
+const { exportConversations, importConversations } = require('./services/cacheTransfer');
+const TelegramBot = require('./services/telegramBot');
+const { TelegramClient } = require('./services/telegramClient');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// CORS разрешен только для источников из CORS_ORIGINS (через запятую, * — для всех)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Идет остановка сервера: новые запросы не принимаются балансировщиком (/readyz отвечает 503),
+// начатые дорабатываются
+let shuttingDown = false;
+
+// Middleware
+app.use(createRequestContext({ logger, metrics }));
+app.use((req, res, next) => {
+    // Соединения keep-alive закрываются после ответа, чтобы остановка не ждала простаивающих клиентов
+    if (shuttingDown) {
+        res.set('Connection', 'close');
+    }
+    next();
+});
+app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins }));
+app.use(bodyParser.json());
+app.use(bodyParser.urlencoded({ extended: true }));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Инициализация базы данных
+const dbManager = new DatabaseManager({ logger, metrics });
+const chatService = new ChatService(dbManager, new LLMProvider({ logger }));
+const rateLimiter = new RateLimiter(dbManager.storage);
+const evictionScheduler = new CacheEvictionScheduler(dbManager, { rateLimiter });
+const duplicateScanner = new DuplicateScanScheduler(dbManager);
+
+// Сравнение секрета за постоянное время: хэши выравнивают длину строк
+const matchesSecret = (value, secret) => {
+    const digest = text => crypto.createHash('sha256').update(String(text)).digest();
+    return typeof value === 'string' && crypto.timingSafeEqual(digest(value), digest(secret));
+};
+
+// Проверки для оркестратора и балансировщика: процесс жив (/healthz) и готов принимать
+// запросы (/readyz) — база данных подготовлена и сервер не останавливается
+app.get('/healthz', (req, res) => {
+    res.json({
+        status: 'ok',
+        uptime: Math.round(process.uptime())
+    });
+});
+
+app.get('/readyz', (req, res) => {
+    const ready = dbManager.isReady && !shuttingDown;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        database: dbManager.isReady ? 'ready' : 'not_ready',
+        shuttingDown
+    });
+});
+
+// Метрики в формате Prometheus; при заданном METRICS_TOKEN нужен заголовок Authorization: Bearer
+const metricsToken = process.env.METRICS_TOKEN || '';
+app.get('/metrics', (req, res) => {
+    if (metricsToken) {
+        const header = req.get('authorization') || '';
+        if (!header.startsWith('Bearer ') || !matchesSecret(header.slice(7).trim(), metricsToken)) {
+            return res.status(401).json({
+                error: 'Требуется токен метрик в заголовке Authorization: Bearer'
+            });
+        }
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Пока миграции не применены, API отвечает 503: сервер уже слушает порт, чтобы проверки
+// /healthz и /readyz работали во время долгих миграций
+app.use(['/api', '/telegram'], (req, res, next) => {
+    if (dbManager.isReady) {
+        return next();
+    }
+    res.set('Retry-After', '5');
+    res.status(503).json({
+        error: 'Сервер еще не готов: база данных не подготовлена',
+        code: 'not_ready'
+    });
+});
+
+// Бот Telegram включается токеном; без секрета webhook не проверить, поэтому бот тогда не запускается
+const telegramSecret = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+let telegramBot = null;
+if (process.env.TELEGRAM_BOT_TOKEN && telegramSecret) {
+    telegramBot = new TelegramBot(dbManager, new TelegramClient());
+} else if (process.env.TELEGRAM_BOT_TOKEN) {
+    logger.warn('Задан TELEGRAM_BOT_TOKEN без TELEGRAM_WEBHOOK_SECRET: бот Telegram отключен');
+}
+
+// Описание API и страница документации доступны без ключа
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+app.get('/api', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'api.html'));
+});
+
+// Все остальные маршруты API требуют API-ключ
+app.use('/api', createAuthMiddleware(dbManager));
+
+// Ограничение частоты запросов по группам маршрутов: query, chat, write, read, admin
+const rateLimit = createRateLimit(rateLimiter);
+
+// Проверка тела, строки запроса и параметров пути по описанию операции в OpenAPI
+const validate = createValidator(openApiSpec);
+
+// Middleware для обработки ошибок базы данных
+const handleDbError = (res, error, message = 'Ошибка базы данных') => {
+    logger.error(message, { error });
+    res.status(500).json({ 
+        error: message, 
+        details: error.message 
+    });
+};
+
+// Конфликт с существующей записью: запрос другого разговора, похожий вопрос
+// или фраза словаря синонимов
+const sendConflict = (res, error) => {
+    res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        ...(error.conversationId && { conversationId: error.conversationId }),
+        ...(error.similarity !== undefined && { similarity: error.similarity }),
+        ...(error.synonymId && { synonymId: error.synonymId })
+    });
+};
+
+// Ответ с персональными данными не принят в кэш (PII_REJECT_ANSWERS)
+const sendPiiRejected = (res, error) => {
+    res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        types: error.types
+    });
+};
+
+// Величины, от которых зависит ответ, должны быть известны: названия ("current") или единицы
+// измерения ("A", "мм2"). Форму параметра проверяет описание OpenAPI, здесь — только значения
+const isKnownDependsOn = (dependsOn) => dependsOn === undefined || dbManager.resolveDependsOn(dependsOn) !== null;
+
+const unknownDependsOnError = [{
+    in: 'body',
+    name: 'dependsOn',
+    message: 'неизвестная величина или единица измерения, например ["current", "мм2"]'
+}];
+
+// Ошибка после начала потока передается событием error, до начала — обычным ответом
+const handleStreamError = (res, stream, error, message) => {
+    if (stream) {
+        logger.error(message, { error });
+        return stream.error(error.message, error.code);
+    }
+    if (error instanceof RateLimitError) {
+        return sendRateLimitError(res, error);
+    }
+    if (error instanceof LLMProviderError) {
+        logger.error('Ошибка запроса к модели', { error });
+        return res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            details: error.details
+        });
+    }
+    handleDbError(res, error, message);
+};
+
+// API Routes
+
+// Получение кэшированного ответа; с Accept: text/event-stream ответ передается потоком SSE
+app.post('/api/cache/query', requireRole('read'), rateLimit('query'), validate('queryCache'), async (req, res) => {
+    let stream = null;
+    try {
+        const { query, userId, sessionId, minSimilarity = 0.3, metadata, context, pacing } = req.body;
+
+        if (wantsEventStream(req)) {
+            stream = new SseStream(req, res, pacing);
+        }
+
+        const similarConversations = await dbManager.findSimilarConversations(
+            query, 
+            5, 
+            minSimilarity,
+            { context, metadata, tenant: req.auth.tenant, userId, sessionId }
+        );
+
+        if (similarConversations.length > 0) {
+            const bestMatch = similarConversations[0];
+            const match = {
+                found: true,
+                cacheHit: true,
+                similarity: bestMatch.similarity,
+                quality: bestMatch.quality,
+                matchType: bestMatch.matchType,
+                matchSignal: bestMatch.matchSignal,
+                scores: bestMatch.scores,
+                contextual: Boolean(bestMatch.context_hash),
+                conversationId: bestMatch.id,
+                usageCount: bestMatch.usage_count,
+                createdAt: bestMatch.created_at
+            };
+
+            if (stream) {
+                await stream.send('meta', match);
+                await stream.sendText(bestMatch.ai_response);
+                return stream.done({ found: true, conversationId: bestMatch.id });
+            }
+
+            res.json({
+                ...match,
+                response: bestMatch.ai_response
+            });
+        } else {
+            const miss = {
+                found: false,
+                cacheHit: false,
+                message: 'Похожих запросов в кэше не найдено'
+            };
+
+            if (stream) {
+                await stream.send('meta', miss);
+                return stream.done({ found: false });
+            }
+
+            res.json(miss);
+        }
+    } catch (error) {
+        handleStreamError(res, stream, error, 'Ошибка поиска в кэше');
+    }
+});
+
+// Лучшие кандидаты для запроса с оценками сходства; обращение не учитывается в статистике
+app.post('/api/cache/query/candidates', requireRole('read'), rateLimit('query'), validate('queryCandidates'), async (req, res) => {
+    try {
+        const { query, context, limit = 10, minSimilarity = 0.3, metadata } = req.body;
+
+        const candidates = await dbManager.explainQuery(query, {
+            limit,
+            context,
+            metadata,
+            tenant: req.auth.tenant
+        });
+
+        res.json({
+            success: true,
+            query,
+            minSimilarity,
+            entities: dbManager.extractEntities(query),
+            keywords: await dbManager.keywordsFor(query, req.auth.tenant),
+            candidates: candidates.map(candidate => ({
+                conversationId: candidate.id,
+                query: candidate.user_query,
+                similarity: candidate.similarity,
+                rankScore: candidate.rankScore ?? candidate.similarity,
+                quality: candidate.quality,
+                matchType: candidate.matchType,
+                matchSignal: candidate.matchSignal,
+                scores: candidate.scores,
+                // Вернул бы этот ответ /api/cache/query при заданном пороге
+                aboveThreshold: candidate.similarity >= minSimilarity
+            }))
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка проверки запроса');
+    }
+});
+
+// Чат через кэш: при промахе ответ запрашивается у модели и сохраняется.
+// С Accept: text/event-stream ответ модели передается по мере генерации
+app.post('/api/chat', requireRole('write'), rateLimit('chat'), validate('chat'), async (req, res) => {
+    let stream = null;
+    try {
+        const { query, userId, sessionId, minSimilarity = 0.3, matchMetadata, metadata = {}, tags, context, ttl, pacing } = req.body;
+
+        let streamed = false;
+        if (wantsEventStream(req)) {
+            stream = new SseStream(req, res, pacing);
+        }
+
+        const result = await chatService.ask({
+            query,
+            userId,
+            sessionId,
+            minSimilarity,
+            matchMetadata,
+            metadata,
+            tags,
+            context,
+            ttl,
+            tenant: req.auth.tenant,
+            // Промах проверяется по квоте model вызывающего, а учитывается только у того,
+            // чей промах отправил запрос к модели: ожидающие тот же ответ квоту не расходуют
+            beforeModelCall: () => rateLimiter.check(rateLimiter.callerOf(req), 'model'),
+            onModelCall: () => rateLimiter.record(rateLimiter.callerOf(req), req.auth.tenant, 'model'),
+            // Фрагменты ответа модели пересылаются клиенту сразу; после отключения клиента
+            // ответ дочитывается и сохраняется в кэш
+            onDelta: stream && ((text) => {
+                if (!streamed) {
+                    streamed = true;
+                    stream.send('meta', { cacheHit: false, coalesced: false });
+                }
+                stream.delta(text);
+            })
+        });
+
+        if (!stream) {
+            return res.json({
+                success: true,
+                ...result
+            });
+        }
+
+        const { response, model, usage, ...match } = result;
+        if (!streamed) {
+            await stream.send('meta', match);
+            await stream.sendText(response);
+        }
+        await stream.done({ cacheHit: result.cacheHit, conversationId: result.conversationId, model, usage });
+    } catch (error) {
+        handleStreamError(res, stream, error, 'Ошибка обработки запроса чата');
+    }
+});
+
+// Сохранение нового разговора в кэш
+app.post('/api/cache/save', requireRole('write'), rateLimit('write'), validate('saveConversation'), async (req, res) => {
+    try {
+        const { query, response, userId, sessionId, metadata = {}, tags, context, ttl, dependsOn, blockDuplicates } = req.body;
+
+        if (!isKnownDependsOn(dependsOn)) {
+            return sendValidationError(res, unknownDependsOnError);
+        }
+
+        // Квота save проверяется до записи, а расходуется только успешным сохранением:
+        // отказ (персональные данные, похожий вопрос) квоту не тратит
+        const caller = rateLimiter.callerOf(req);
+        await rateLimiter.check(caller, 'save');
+
+        const conversationId = await dbManager.saveConversation(
+            query, 
+            response, 
+            userId, 
+            sessionId, 
+            metadata,
+            { context, ttl, dependsOn, tags, blockDuplicates, tenant: req.auth.tenant, editedBy: req.auth.keyId }
+        );
+        await rateLimiter.record(caller, req.auth.tenant, 'save');
+
+        res.json({
+            success: true,
+            conversationId,
+            message: 'Разговор сохранен в кэш'
+        });
+    } catch (error) {
+        if (error instanceof RateLimitError) {
+            return sendRateLimitError(res, error);
+        }
+        if (error instanceof PiiRejectedError) {
+            return sendPiiRejected(res, error);
+        }
+        if (error instanceof DuplicateConversationError) {
+            return sendConflict(res, error);
+        }
+        handleDbError(res, error, 'Ошибка сохранения в кэш');
+    }
+});
+
+// Текущее потребление вызывающего: остаток запросов по группам маршрутов и использование квот
+app.get('/api/usage', requireRole('read'), rateLimit('read'), async (req, res) => {
+    try {
+        const usage = await rateLimiter.usage(rateLimiter.callerOf(req));
+        res.json({
+            success: true,
+            usage
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения потребления');
+    }
+});
+
+// Получение статистики кэша
+app.get('/api/cache/stats', requireRole('read'), rateLimit('read'), async (req, res) => {
+    try {
+        const stats = await dbManager.getCacheStats(req.auth.tenant);
+        res.json({
+            success: true,
+            stats
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения статистики');
+    }
+});
+
+// Аналитика обращений к кэшу: доля попаданий во времени, частые промахи, распределение сходства
+app.get('/api/cache/analytics', requireRole('read'), rateLimit('read'), validate('getAnalytics'), async (req, res) => {
+    try {
+        const { interval = 'day', from, to, top = 20 } = req.query;
+
+        const dates = {};
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value !== undefined) {
+                dates[name] = new Date(value).toISOString();
+            }
+        }
+
+        // По умолчанию — последние сутки по часам или последние 30 дней по дням
+        if (!dates.from) {
+            const periodMs = interval === 'hour' ? 24 * 3600 * 1000 : 30 * 24 * 3600 * 1000;
+            dates.from = new Date((dates.to ? new Date(dates.to) : new Date()).getTime() - periodMs).toISOString();
+        }
+
+        const analytics = await dbManager.getCacheAnalytics({
+            tenant: req.auth.tenant,
+            interval,
+            from: dates.from,
+            to: dates.to,
+            top
+        });
+
+        res.json({
+            success: true,
+            analytics
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения аналитики');
+    }
+});
+
+// Получение истории разговоров
+app.get('/api/cache/history', requireRole('read'), rateLimit('read'), validate('getHistory'), async (req, res) => {
+    try {
+        const { limit = 50, offset = 0, userId, sessionId } = req.query;
+
+        const rows = await dbManager.getHistory({
+            tenant: req.auth.tenant,
+            userId,
+            sessionId,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            conversations: rows,
+            pagination: {
+                limit,
+                offset,
+                count: rows.length
+            }
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения истории');
+    }
+});
+
+// Полнотекстовый поиск по запросам и ответам
+app.get('/api/cache/search', requireRole('read'), rateLimit('query'), validate('searchConversations'), async (req, res) => {
+    try {
+        const { q, keyword, userId, sessionId, from, to, metadata = {}, limit = 10, cursor } = req.query;
+        const text = q || keyword;
+
+        if (!text) {
+            return sendValidationError(res, [{ in: 'query', name: 'q', message: 'обязательный параметр' }]);
+        }
+
+        const dates = {};
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value !== undefined) {
+                dates[name] = new Date(value).toISOString();
+            }
+        }
+
+        let decodedCursor = null;
+        if (cursor) {
+            try {
+                decodedCursor = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            } catch (error) {
+                decodedCursor = null;
+            }
+            if (!decodedCursor || typeof decodedCursor.score !== 'number' || typeof decodedCursor.id !== 'string') {
+                return sendValidationError(res, [{ in: 'query', name: 'cursor', message: 'некорректный курсор' }]);
+            }
+        }
+
+        const { results, nextCursor } = await dbManager.searchConversations({
+            text,
+            tenant: req.auth.tenant,
+            userId,
+            sessionId,
+            from: dates.from,
+            to: dates.to,
+            metadata,
+            limit,
+            cursor: decodedCursor
+        });
+
+        res.json({
+            success: true,
+            results,
+            query: text,
+            count: results.length,
+            nextCursor: nextCursor
+                ? Buffer.from(JSON.stringify(nextCursor)).toString('base64url')
+                : null
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_SEARCH_QUERY') {
+            return res.status(400).json({
+                error: error.message,
+                details: error.details
+            });
+        }
+        handleDbError(res, error, 'Ошибка полнотекстового поиска');
+    }
+});
+
+// Очистка старых записей
+app.delete('/api/cache/cleanup', requireRole('admin'), rateLimit('admin'), validate('cleanupCache'), async (req, res) => {
+    try {
+        const { daysOld = 30 } = req.body;
+        const deletedCount = await dbManager.cleanupOldRecords(daysOld, req.auth.tenant);
+        
+        res.json({
+            success: true,
+            deletedCount,
+            message: `Удалено ${deletedCount} старых записей`
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка очистки кэша');
+    }
+});
+
+// Групповая инвалидация записей по тегам и условиям на metadata: например, после выхода
+// новой версии каталога или смены модели
+app.post('/api/cache/invalidate', requireRole('admin'), rateLimit('admin'), validate('invalidateCache'), async (req, res) => {
+    try {
+        const { tags = [], metadata = {}, action = 'expire', dryRun = false } = req.body;
+
+        // Без условий инвалидация затронула бы весь кэш арендатора
+        if (tags.length === 0 && Object.keys(metadata).length === 0) {
+            return sendValidationError(res, [{
+                in: 'body',
+                name: 'body',
+                message: 'укажите хотя бы один тег в tags или условие в metadata'
+            }]);
+        }
+
+        const { matched, affected } = await dbManager.invalidateConversations({
+            tenant: req.auth.tenant,
+            tags,
+            metadata,
+            action,
+            dryRun
+        });
+
+        let message = `Подходящих записей: ${matched}`;
+        if (!dryRun) {
+            message = action === 'delete' ? `Удалено записей: ${affected}` : `Срок действия истек у записей: ${affected}`;
+        }
+
+        res.json({
+            success: true,
+            action,
+            dryRun,
+            matched,
+            affected,
+            message
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка инвалидации кэша');
+    }
+});
+
+// Удаление конкретного разговора
+app.delete('/api/cache/conversation/:id', requireRole('admin'), rateLimit('admin'), validate('deleteConversation'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedCount = await dbManager.deleteConversation(id, req.auth.tenant);
+
+        res.json({
+            success: true,
+            deletedCount,
+            message: deletedCount > 0 ? 'Разговор удален' : 'Разговор не найден'
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка удаления разговора');
+    }
+});
+
+// Правка ответа, запроса, metadata или зависимых величин; прежняя версия сохраняется в истории
+app.patch('/api/cache/conversation/:id', requireRole('write'), rateLimit('write'), validate('editConversation'), async (req, res) => {
+    try {
+        const { query, response, metadata, dependsOn, tags } = req.body;
+
+        if ([query, response, metadata, dependsOn, tags].every(value => value === undefined)) {
+            return sendValidationError(res, [{
+                in: 'body',
+                name: 'body',
+                message: 'укажите хотя бы один из параметров query, response, metadata, dependsOn, tags'
+            }]);
+        }
+
+        if (!isKnownDependsOn(dependsOn)) {
+            return sendValidationError(res, unknownDependsOnError);
+        }
+
+        const conversation = await dbManager.editConversation(
+            req.params.id,
+            { query, response, metadata, dependsOn, tags },
+            { tenant: req.auth.tenant, editedBy: req.auth.keyId }
+        );
+
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Разговор не найден'
+            });
+        }
+
+        res.json({
+            success: true,
+            version: conversation.version,
+            message: 'Разговор обновлен'
+        });
+    } catch (error) {
+        if (error instanceof QueryConflictError) {
+            return sendConflict(res, error);
+        }
+        if (error instanceof PiiRejectedError) {
+            return sendPiiRejected(res, error);
+        }
+        handleDbError(res, error, 'Ошибка обновления разговора');
+    }
+});
+
+// Версии разговора, начиная с текущей
+app.get('/api/cache/conversation/:id/versions', requireRole('read'), rateLimit('read'), validate('listVersions'), async (req, res) => {
+    try {
+        const versions = await dbManager.listVersions(req.params.id, req.auth.tenant);
+
+        if (!versions) {
+            return res.status(404).json({
+                error: 'Разговор не найден'
+            });
+        }
+
+        res.json({
+            success: true,
+            versions
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения версий разговора');
+    }
+});
+
+// Откат разговора к прежней версии; откат сам становится новой версией
+app.post('/api/cache/conversation/:id/rollback', requireRole('write'), rateLimit('write'), validate('rollbackConversation'), async (req, res) => {
+    try {
+        const { version } = req.body;
+
+        const conversation = await dbManager.rollbackConversation(req.params.id, version, {
+            tenant: req.auth.tenant,
+            editedBy: req.auth.keyId
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Разговор или версия не найдены'
+            });
+        }
+
+        res.json({
+            success: true,
+            version: conversation.version,
+            message: `Разговор возвращен к версии ${version}`
+        });
+    } catch (error) {
+        if (error instanceof QueryConflictError) {
+            return sendConflict(res, error);
+        }
+        handleDbError(res, error, 'Ошибка отката разговора');
+    }
+});
+
+// Получение детальной информации о разговоре
+app.get('/api/cache/conversation/:id', requireRole('read'), rateLimit('read'), validate('getConversation'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const conversation = await dbManager.getConversation(id, req.auth.tenant);
+
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Разговор не найден'
+            });
+        }
+
+        res.json({
+            success: true,
+            conversation: {
+                ...conversation,
+                metadata: conversation.metadata ? JSON.parse(conversation.metadata) : {},
+                keywords: conversation.keywords.map(k => ({ word: k.keyword, weight: k.weight }))
+            }
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения разговора');
+    }
+});
+
+// Потоковая выгрузка кэша арендатора в JSONL или CSV
+app.get('/api/cache/export', requireRole('admin'), rateLimit('admin'), validate('exportCache'), async (req, res) => {
+    const { format = 'jsonl' } = req.query;
+
+    try {
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="cache-export.${format}"`);
+        await exportConversations(dbManager, res, { tenant: req.auth.tenant, format });
+        res.end();
+    } catch (error) {
+        // Клиент отключился: обход разговоров уже прекращен, отвечать некому
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            return logger.warn('Клиент отключился до окончания выгрузки кэша');
+        }
+        // После начала выгрузки статус уже отправлен, остается оборвать ответ
+        if (res.headersSent) {
+            logger.error('Ошибка выгрузки кэша', { error });
+            return res.destroy(error);
+        }
+        handleDbError(res, error, 'Ошибка выгрузки кэша');
+    }
+});
+
+// Потоковая загрузка JSONL или CSV из тела запроса с отчетом о результате
+app.post('/api/cache/import', requireRole('admin'), rateLimit('admin'), validate('importCache'), async (req, res) => {
+    try {
+        const { format = 'jsonl', mode = 'skip', dryRun = false } = req.query;
+
+        if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+            return res.status(415).json({
+                error: 'Тело импорта передается как application/x-ndjson или text/csv'
+            });
+        }
+
+        const report = await importConversations(dbManager, req, {
+            tenant: req.auth.tenant,
+            format,
+            mode,
+            dryRun
+        });
+
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка импорта в кэш');
+    }
+});
+
+// Оценка ответа пользователем
+app.post('/api/cache/conversation/:id/feedback', requireRole('write'), rateLimit('write'), validate('recordFeedback'), async (req, res) => {
+    try {
+        const { rating, comment = null, userId = null, sessionId = null } = req.body;
+
+        const feedback = await dbManager.recordFeedback(req.params.id, {
+            rating,
+            comment,
+            userId,
+            sessionId,
+            caller: req.auth.keyId ? `key:${req.auth.keyId}` : `ip:${req.ip}`,
+            tenant: req.auth.tenant
+        });
+
+        if (!feedback) {
+            return res.status(404).json({
+                error: 'Разговор не найден'
+            });
+        }
+
+        res.json({
+            success: true,
+            feedback,
+            message: feedback.status === 'quarantined'
+                ? 'Оценка сохранена, ответ отправлен в карантин'
+                : 'Оценка сохранена'
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка сохранения оценки');
+    }
+});
+
+// Ответы в карантине для проверки
+app.get('/api/admin/quarantine', requireRole('admin'), rateLimit('admin'), validate('listQuarantine'), async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+        const conversations = await dbManager.listQuarantined({
+            tenant: req.auth.tenant,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            conversations,
+            count: conversations.length
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения карантина');
+    }
+});
+
+// Возврат ответа из карантина без изменений
+app.post('/api/admin/quarantine/:id/restore', requireRole('admin'), rateLimit('admin'), validate('restoreQuarantined'), async (req, res) => {
+    try {
+        const restoredCount = await dbManager.restoreConversation(req.params.id, { tenant: req.auth.tenant });
+        res.json({
+            success: true,
+            restoredCount,
+            message: restoredCount > 0 ? 'Ответ возвращен в кэш' : 'Ответ в карантине не найден'
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка возврата из карантина');
+    }
+});
+
+// Замена ответа из карантина исправленным текстом
+app.post('/api/admin/quarantine/:id/replace', requireRole('admin'), rateLimit('admin'), validate('replaceQuarantined'), async (req, res) => {
+    try {
+        const { response } = req.body;
+
+        const restoredCount = await dbManager.restoreConversation(req.params.id, {
+            tenant: req.auth.tenant,
+            response,
+            editedBy: req.auth.keyId
+        });
+        res.json({
+            success: true,
+            restoredCount,
+            message: restoredCount > 0 ? 'Ответ заменен и возвращен в кэш' : 'Ответ в карантине не найден'
+        });
+    } catch (error) {
+        if (error instanceof PiiRejectedError) {
+            return sendPiiRejected(res, error);
+        }
+        handleDbError(res, error, 'Ошибка замены ответа');
+    }
+});
+
+// Группы почти одинаковых вопросов, найденные последним поиском
+app.get('/api/admin/duplicates', requireRole('admin'), rateLimit('admin'), validate('listDuplicates'), async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+        const clusters = await dbManager.listDuplicateClusters({
+            tenant: req.auth.tenant,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            clusters,
+            count: clusters.length
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения похожих разговоров');
+    }
+});
+
+// Поиск похожих разговоров арендатора без ожидания фонового прохода
+app.post('/api/admin/duplicates/scan', requireRole('admin'), rateLimit('admin'), validate('scanDuplicates'), async (req, res) => {
+    try {
+        const result = await dbManager.scanDuplicates({ tenant: req.auth.tenant });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка поиска похожих разговоров');
+    }
+});
+
+// Объединение группы в один разговор: по умолчанию в канонический группы объединяются
+// все остальные ее разговоры, response заменяет его ответ
+app.post('/api/admin/duplicates/:id/merge', requireRole('admin'), rateLimit('admin'), validate('mergeDuplicates'), async (req, res) => {
+    try {
+        const { response = null } = req.body;
+        const cluster = await dbManager.getDuplicateCluster(req.params.id, req.auth.tenant);
+
+        if (!cluster) {
+            return res.status(404).json({
+                error: 'Группа похожих разговоров не найдена'
+            });
+        }
+
+        const memberIds = cluster.conversations.map(conversation => conversation.id);
+        const canonicalId = req.body.canonicalId || cluster.canonical_id;
+        if (!memberIds.includes(canonicalId)) {
+            return sendValidationError(res, [{ in: 'body', name: 'canonicalId', message: 'разговор не входит в группу' }]);
+        }
+
+        const conversationIds = (req.body.conversationIds || memberIds).filter(id => id !== canonicalId);
+        const outside = conversationIds.filter(id => !memberIds.includes(id));
+        if (outside.length > 0) {
+            return sendValidationError(res, [{
+                in: 'body',
+                name: 'conversationIds',
+                message: `разговоры не входят в группу: ${outside.join(', ')}`
+            }]);
+        }
+        if (conversationIds.length === 0) {
+            return sendValidationError(res, [{ in: 'body', name: 'conversationIds', message: 'нечего объединять' }]);
+        }
+
+        const result = await dbManager.mergeConversations(canonicalId, conversationIds, {
+            tenant: req.auth.tenant,
+            response,
+            editedBy: req.auth.keyId
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Разговор не найден'
+            });
+        }
+
+        const { conversation } = result;
+        res.json({
+            success: true,
+            conversation: {
+                ...conversation,
+                metadata: conversation.metadata ? JSON.parse(conversation.metadata) : {},
+                keywords: conversation.keywords.map(k => ({ word: k.keyword, weight: k.weight }))
+            },
+            merged: result.merged,
+            message: 'Разговоры объединены'
+        });
+    } catch (error) {
+        if (error instanceof PiiRejectedError) {
+            return sendPiiRejected(res, error);
+        }
+        handleDbError(res, error, 'Ошибка объединения разговоров');
+    }
+});
+
+// Журнал удаления персональных данных: типы данных и число замен, без самих значений
+app.get('/api/admin/redactions', requireRole('admin'), rateLimit('admin'), validate('listRedactions'), async (req, res) => {
+    try {
+        const { conversationId, limit = 50, offset = 0 } = req.query;
+        const redactions = await dbManager.listRedactions({
+            tenant: req.auth.tenant,
+            conversationId,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            redactions,
+            count: redactions.length
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения журнала персональных данных');
+    }
+});
+
+// Словарь синонимов арендатора
+app.get('/api/admin/synonyms', requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    try {
+        const synonyms = await dbManager.listSynonyms(req.auth.tenant);
+        res.json({
+            success: true,
+            synonyms
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения словаря синонимов');
+    }
+});
+
+// Добавление слова или фразы с каноническим термином
+app.post('/api/admin/synonyms', requireRole('admin'), rateLimit('admin'), validate('addSynonym'), async (req, res) => {
+    try {
+        const { phrase, canonical } = req.body;
+
+        if (dbManager.normalizePhrase(phrase) === dbManager.normalizePhrase(canonical)) {
+            return sendValidationError(res, [{ in: 'body', name: 'canonical', message: 'совпадает с фразой' }]);
+        }
+
+        const synonym = await dbManager.addSynonym({ tenant: req.auth.tenant, phrase, canonical });
+        res.status(201).json({
+            success: true,
+            synonym,
+            message: 'Синоним добавлен; для уже сохраненных разговоров выполните переиндексацию'
+        });
+    } catch (error) {
+        if (error instanceof SynonymConflictError) {
+            return sendConflict(res, error);
+        }
+        handleDbError(res, error, 'Ошибка добавления синонима');
+    }
+});
+
+// Изменение фразы или канонического термина
+app.put('/api/admin/synonyms/:id', requireRole('admin'), rateLimit('admin'), validate('updateSynonym'), async (req, res) => {
+    try {
+        const { phrase, canonical } = req.body;
+
+        if (phrase === undefined && canonical === undefined) {
+            return sendValidationError(res, [{ in: 'body', name: 'body', message: 'укажите phrase и/или canonical' }]);
+        }
+
+        const synonym = await dbManager.updateSynonym(req.params.id, { tenant: req.auth.tenant, phrase, canonical });
+        if (!synonym) {
+            return res.status(404).json({
+                error: 'Синоним не найден'
+            });
+        }
+
+        res.json({
+            success: true,
+            synonym,
+            message: 'Синоним изменен; для уже сохраненных разговоров выполните переиндексацию'
+        });
+    } catch (error) {
+        if (error instanceof SynonymConflictError) {
+            return sendConflict(res, error);
+        }
+        handleDbError(res, error, 'Ошибка изменения синонима');
+    }
+});
+
+app.delete('/api/admin/synonyms/:id', requireRole('admin'), rateLimit('admin'), validate('deleteSynonym'), async (req, res) => {
+    try {
+        const deletedCount = await dbManager.deleteSynonym(req.params.id, req.auth.tenant);
+        res.json({
+            success: true,
+            deletedCount,
+            message: deletedCount > 0 ? 'Синоним удален' : 'Синоним не найден'
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка удаления синонима');
+    }
+});
+
+// Перестроение ключевых слов разговоров арендатора с текущим словарем синонимов
+app.post('/api/admin/synonyms/reindex', requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    try {
+        const result = await dbManager.reindexKeywords({ tenant: req.auth.tenant });
+        res.json({
+            success: true,
+            ...result,
+            message: `Переиндексировано разговоров: ${result.conversations}`
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка переиндексации');
+    }
+});
+
+// Потребление квот всеми вызывающими арендатора за текущие сутки и месяц
+app.get('/api/admin/usage', requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    try {
+        const usage = await rateLimiter.tenantUsage(req.auth.tenant);
+        res.json({
+            success: true,
+            usage
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения потребления');
+    }
+});
+
+// Список API-ключей арендатора
+app.get('/api/admin/keys', requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    try {
+        const keys = await dbManager.listApiKeys(req.auth.tenant);
+        res.json({
+            success: true,
+            keys
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка получения списка ключей');
+    }
+});
+
+// Выпуск API-ключа для арендатора администратора
+app.post('/api/admin/keys', requireRole('admin'), rateLimit('admin'), validate('createApiKey'), async (req, res) => {
+    try {
+        const { role, name = null } = req.body;
+
+        const apiKey = await dbManager.createApiKey({ tenant: req.auth.tenant, role, name });
+        res.status(201).json({
+            success: true,
+            apiKey,
+            message: 'Ключ выпущен. Сохраните его: повторно он показан не будет'
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка выпуска ключа');
+    }
+});
+
+// Отзыв API-ключа
+app.delete('/api/admin/keys/:id', requireRole('admin'), rateLimit('admin'), validate('revokeApiKey'), async (req, res) => {
+    try {
+        const revokedCount = await dbManager.revokeApiKey(req.params.id, req.auth.tenant);
+        res.json({
+            success: true,
+            revokedCount,
+            message: revokedCount > 0 ? 'Ключ отозван' : 'Ключ не найден или уже отозван'
+        });
+    } catch (error) {
+        handleDbError(res, error, 'Ошибка отзыва ключа');
+    }
+});
+
+// Обновления Telegram: сообщения, команды и нажатия кнопок оценки. Подлинность обновления
+// подтверждает заголовок с секретом, заданным при регистрации webhook
+app.post('/telegram/webhook', (req, res, next) => {
+    if (!telegramBot) {
+        return res.status(404).json({
+            error: 'Бот Telegram не настроен'
+        });
+    }
+    if (!matchesSecret(req.get('x-telegram-bot-api-secret-token'), telegramSecret)) {
+        return res.status(401).json({
+            error: 'Неверный секрет webhook'
+        });
+    }
+    next();
+}, validate('telegramWebhook'), async (req, res) => {
+    try {
+        await telegramBot.handleUpdate(req.body);
+    } catch (error) {
+        // Ошибка не возвращается Telegram: иначе он будет повторять то же обновление
+        logger.error('Ошибка обработки обновления Telegram', { error });
+    }
+    res.json({ ok: true });
+});
+
+// Главная страница
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Обработка 404
+app.use('*', (req, res) => {
+    res.status(404).json({ 
+        error: 'Эндпоинт не найден',
+        documentation: '/api',
+        availableEndpoints: [
+            'GET /api - Документация API',
+            'GET /api/openapi.json - Описание API в формате OpenAPI 3',
+            'POST /api/chat - Чат через кэш с запросом к модели при промахе',
+            'POST /api/cache/query - Поиск в кэше',
+            'POST /api/cache/query/candidates - Кандидаты для запроса с оценками сходства',
+            'POST /api/cache/save - Сохранение в кэш',
+            'GET /api/cache/stats - Статистика кэша',
+            'GET /api/cache/history - История разговоров',
+            'GET /api/cache/analytics - Аналитика попаданий и промахов',
+            'GET /api/cache/search - Полнотекстовый поиск по запросам и ответам',
+            'DELETE /api/cache/cleanup - Очистка старых записей',
+            'POST /api/cache/invalidate - Групповая инвалидация по тегам и metadata',
+            'DELETE /api/cache/conversation/:id - Удаление разговора',
+            'GET /api/cache/conversation/:id - Детали разговора',
+            'PATCH /api/cache/conversation/:id - Правка разговора с сохранением версии',
+            'GET /api/cache/conversation/:id/versions - Версии разговора',
+            'POST /api/cache/conversation/:id/rollback - Откат к прежней версии',
+            'GET /api/cache/export - Выгрузка кэша в JSONL или CSV',
+            'POST /api/cache/import - Загрузка кэша из JSONL или CSV',
+            'POST /api/cache/conversation/:id/feedback - Оценка ответа',
+            'GET /api/usage - Текущее потребление лимитов и квот',
+            'GET /api/admin/quarantine - Ответы в карантине',
+            'POST /api/admin/quarantine/:id/restore - Возврат ответа из карантина',
+            'POST /api/admin/quarantine/:id/replace - Замена ответа из карантина',
+            'GET /api/admin/duplicates - Группы похожих разговоров',
+            'POST /api/admin/duplicates/scan - Поиск похожих разговоров',
+            'POST /api/admin/duplicates/:id/merge - Объединение похожих разговоров',
+            'GET /api/admin/usage - Потребление квот вызывающими арендатора',
+            'GET /api/admin/redactions - Журнал удаления персональных данных',
+            'GET /api/admin/synonyms - Словарь синонимов',
+            'POST /api/admin/synonyms - Добавление синонима',
+            'PUT /api/admin/synonyms/:id - Изменение синонима',
+            'DELETE /api/admin/synonyms/:id - Удаление синонима',
+            'POST /api/admin/synonyms/reindex - Переиндексация с текущим словарем',
+            'GET /api/admin/keys - Список API-ключей',
+            'POST /api/admin/keys - Выпуск API-ключа',
+            'DELETE /api/admin/keys/:id - Отзыв API-ключа',
+            'POST /telegram/webhook - Обновления бота Telegram',
+            'GET /healthz - Проверка жизнеспособности процесса',
+            'GET /readyz - Готовность принимать запросы',
+            'GET /metrics - Метрики в формате Prometheus'
+        ]
+    });
+});
+
+// Сервер слушает порт сразу, API становится доступен после применения миграций
+const server = app.listen(PORT, () => {
+    logger.info('Сервер запущен', {
+        port: Number(PORT),
+        dashboard: `http://localhost:${PORT}`,
+        documentation: `http://localhost:${PORT}/api`
+    });
+});
+
+dbManager.ready
+    .then(() => {
+        evictionScheduler.start();
+        duplicateScanner.start();
+    })
+    .catch((error) => {
+        logger.error('Не удалось подготовить базу данных, сервер остановлен', { error });
+        process.exit(1);
+    });
+
+// Плавная остановка: /readyz начинает отвечать 503, сервер перестает принимать соединения,
+// начатые запросы (в том числе потоки SSE) дорабатываются не дольше SHUTDOWN_TIMEOUT_MS.
+// Затем останавливаются фоновые задачи и закрывается база
+const shutdownTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || 10000);
+let shutdownPromise = null;
+
+const shutdown = (signal) => {
+    if (shutdownPromise) {
+        return shutdownPromise;
+    }
+
+    shuttingDown = true;
+    logger.info('Получен сигнал остановки, завершение начатых запросов', {
+        signal,
+        inFlight: metrics.httpInFlight.get()
+    });
+
+    shutdownPromise = (async () => {
+        await new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                logger.warn('Запросы не завершились вовремя, соединения закрываются принудительно', {
+                    inFlight: metrics.httpInFlight.get(),
+                    timeoutMs: shutdownTimeoutMs
+                });
+                server.closeAllConnections();
+            }, shutdownTimeoutMs);
+            timer.unref();
+
+            server.close(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+            server.closeIdleConnections();
+        });
+
+        await evictionScheduler.stop();
+        await duplicateScanner.stop();
+        await dbManager.close();
+        logger.info('Сервер остановлен');
+        process.exit(0);
+    })();
+
+    return shutdownPromise;
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+module.exports = app;
@@ -0,0 +1,45 @@
+const PeriodicTask = require('./periodicTask');
+
+// Фоновое обслуживание кэша: удаление просроченных записей, вытеснение сверх лимитов
+// и очистка устаревших счетчиков ограничений частоты
+class CacheEvictionScheduler extends PeriodicTask {
+    constructor(dbManager, options = {}) {
+        const env = process.env;
+
+        super(dbManager, {
+            intervalMs: parseInt(options.intervalMs ?? env.CACHE_EVICTION_INTERVAL_MS ?? 300000),
+            errorMessage: 'Ошибка обслуживания кэша'
+        });
+        this.maxEntries = parseInt(options.maxEntries ?? env.CACHE_MAX_ENTRIES ?? 0);
+        this.maxBytes = parseInt(options.maxBytes ?? env.CACHE_MAX_BYTES ?? 0);
+        // Сколько дней хранится журнал обращений к кэшу, 0 — без ограничения
+        this.lookupRetentionDays = parseInt(options.lookupRetentionDays ?? env.ANALYTICS_RETENTION_DAYS ?? 90);
+        this.policy = options.policy || env.CACHE_EVICTION_POLICY || 'lru';
+        // Ограничитель частоты, счетчики которого очищаются вместе с кэшем
+        this.rateLimiter = options.rateLimiter || null;
+        if (!['lru', 'lfu', 'age'].includes(this.policy)) {
+            throw new Error(`Неизвестная политика вытеснения: ${this.policy}`);
+        }
+    }
+
+    // Один проход обслуживания
+    async run() {
+        const expired = await this.dbManager.purgeExpired();
+        const evicted = await this.dbManager.enforceLimits({
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            policy: this.policy
+        });
+        const orphans = await this.dbManager.purgeOrphans();
+        const lookups = await this.dbManager.purgeLookupLog(this.lookupRetentionDays);
+        const counters = this.rateLimiter ? await this.rateLimiter.purge() : 0;
+
+        if (expired > 0 || evicted > 0 || orphans > 0 || lookups > 0 || counters > 0) {
+            this.dbManager.logger.info('Обслуживание кэша', { expired, evicted, orphans, lookups, counters });
+        }
+
+        return { expired, evicted, orphans, lookups, counters };
+    }
+}
+
+module.exports = CacheEvictionScheduler;
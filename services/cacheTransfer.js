@@ -0,0 +1,313 @@
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const { parseTimestamp } = require('../database/storage/timestamp');
+
+const FORMATS = ['jsonl', 'csv'];
+const IMPORT_MODES = ['skip', 'overwrite', 'merge'];
+const STATUSES = ['active', 'quarantined'];
+
+// Тег: буквы, цифры и символы _ . : - (как в схеме Tag OpenAPI)
+const TAG_PATTERN = /^[\p{L}\p{N}_.:-]{1,64}$/u;
+
+// Колонки CSV; metadata и context_keywords — JSON, keywords — пары слово:вес через точку с запятой,
+// depends_on и tags — значения через точку с запятой
+const CSV_COLUMNS = [
+    'id', 'query', 'response', 'user_id', 'session_id', 'metadata', 'keywords', 'usage_count',
+    'language', 'context_hash', 'context_keywords', 'created_at', 'expires_at', 'depends_on', 'tags',
+    'status', 'quarantined_at'
+];
+
+// Строка базы -> запись обмена
+function toRecord(row) {
+    return {
+        id: row.id,
+        query: row.user_query,
+        response: row.ai_response,
+        userId: row.user_id,
+        sessionId: row.session_id,
+        metadata: row.metadata ? JSON.parse(row.metadata) : {},
+        keywords: row.keywords,
+        usageCount: row.usage_count,
+        language: row.language,
+        contextHash: row.context_hash,
+        contextKeywords: row.context_keywords ? JSON.parse(row.context_keywords) : null,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        dependsOn: row.depends_on ? JSON.parse(row.depends_on) : [],
+        tags: row.tags || [],
+        // Ответ из карантина после выгрузки и загрузки должен остаться в карантине
+        status: row.status,
+        quarantinedAt: row.quarantined_at
+    };
+}
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function recordToCsv(record) {
+    return [
+        record.id,
+        record.query,
+        record.response,
+        record.userId,
+        record.sessionId,
+        JSON.stringify(record.metadata),
+        record.keywords.map(k => `${k.keyword}:${k.weight}`).join(';'),
+        record.usageCount,
+        record.language,
+        record.contextHash,
+        record.contextKeywords ? JSON.stringify(record.contextKeywords) : '',
+        record.createdAt,
+        record.expiresAt,
+        record.dependsOn.join(';'),
+        record.tags.join(';'),
+        record.status,
+        record.quarantinedAt
+    ].map(escapeCsv).join(',') + '\n';
+}
+
+const closedError = () => Object.assign(new Error('Поток выгрузки закрыт до окончания записи'), {
+    code: 'ERR_STREAM_PREMATURE_CLOSE'
+});
+
+// Запись с учетом backpressure потока. Если получатель закрыт (клиент отключился во время
+// выгрузки), 'drain' уже не наступит: запись завершается ошибкой, и обход разговоров прекращается
+function write(output, chunk) {
+    if (output.destroyed) {
+        return Promise.reject(closedError());
+    }
+    if (output.write(chunk)) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const settle = (error) => {
+            output.off('drain', onDrain);
+            output.off('close', onClose);
+            output.off('error', settle);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onDrain = () => settle();
+        const onClose = () => settle(closedError());
+
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+        output.on('error', settle);
+    });
+}
+
+// Потоковая выгрузка разговоров арендатора в JSONL или CSV
+async function exportConversations(dbManager, output, { tenant, format = 'jsonl' } = {}) {
+    let count = 0;
+
+    if (format === 'csv') {
+        await write(output, CSV_COLUMNS.join(',') + '\n');
+    }
+
+    for await (const row of dbManager.iterateConversations(tenant)) {
+        const record = toRecord(row);
+        await write(output, format === 'csv' ? recordToCsv(record) : JSON.stringify(record) + '\n');
+        count++;
+    }
+
+    return count;
+}
+
+// Построчный разбор JSONL: { line, record } или { line, error }
+async function* parseJsonl(input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+
+    for await (const text of lines) {
+        line++;
+        if (!text.trim()) continue;
+
+        try {
+            yield { line, record: JSON.parse(text) };
+        } catch (error) {
+            yield { line, error: 'Некорректный JSON' };
+        }
+    }
+}
+
+// Потоковый разбор CSV (RFC 4180): кавычки, экранирование "" и переводы строк внутри полей
+async function* parseCsvRows(input) {
+    let field = '';
+    let row = [];
+    let quoted = false;
+    let pendingQuote = false;
+    // Многобайтовые символы могут оказаться на границе фрагментов
+    const decoder = new StringDecoder('utf8');
+
+    for await (const chunk of input) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                quoted = false;
+            }
+
+            if (quoted) {
+                if (char === '"') pendingQuote = true;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field.replace(/\r$/, ''));
+                yield row;
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field.replace(/\r$/, ''));
+        yield row;
+    }
+}
+
+async function* parseCsv(input) {
+    let header = null;
+    let line = 0;
+
+    for await (const fields of parseCsvRows(input)) {
+        line++;
+        if (!header) {
+            header = fields.map(name => name.trim());
+            continue;
+        }
+        if (fields.length === 1 && fields[0] === '') continue;
+
+        const values = Object.fromEntries(header.map((name, index) => [name, fields[index]]));
+        try {
+            yield {
+                line,
+                record: {
+                    id: values.id || undefined,
+                    query: values.query,
+                    response: values.response,
+                    userId: values.user_id || null,
+                    sessionId: values.session_id || null,
+                    metadata: values.metadata ? JSON.parse(values.metadata) : {},
+                    keywords: values.keywords
+                        ? values.keywords.split(';').filter(Boolean).map(pair => {
+                            const separator = pair.lastIndexOf(':');
+                            return { keyword: pair.slice(0, separator), weight: parseFloat(pair.slice(separator + 1)) };
+                        })
+                        : [],
+                    usageCount: values.usage_count ? parseInt(values.usage_count) : undefined,
+                    language: values.language || undefined,
+                    contextHash: values.context_hash || undefined,
+                    contextKeywords: values.context_keywords ? JSON.parse(values.context_keywords) : undefined,
+                    createdAt: values.created_at || undefined,
+                    expiresAt: values.expires_at || undefined,
+                    dependsOn: values.depends_on ? values.depends_on.split(';').filter(Boolean) : [],
+                    tags: values.tags ? values.tags.split(';').filter(Boolean) : [],
+                    status: values.status || undefined,
+                    quarantinedAt: values.quarantined_at || undefined
+                }
+            };
+        } catch (error) {
+            yield { line, error: 'Некорректный JSON в колонке metadata или context_keywords' };
+        }
+    }
+}
+
+// Проверка записи перед импортом; возвращает текст ошибки или null
+function validateRecord(record) {
+    if (!record || typeof record !== 'object') return 'Запись должна быть объектом';
+    if (!record.query || typeof record.query !== 'string') return 'Поле query обязательно';
+    if (!record.response || typeof record.response !== 'string') return 'Поле response обязательно';
+    if (record.metadata !== undefined && (typeof record.metadata !== 'object' || record.metadata === null)) {
+        return 'Поле metadata должно быть объектом';
+    }
+    if (record.keywords !== undefined && (!Array.isArray(record.keywords)
+        || record.keywords.some(k => !k || typeof k.keyword !== 'string' || typeof k.weight !== 'number' || isNaN(k.weight)))) {
+        return 'Поле keywords должно быть массивом { keyword, weight }';
+    }
+    if (record.usageCount !== undefined && (!Number.isInteger(record.usageCount) || record.usageCount < 0)) {
+        return 'Поле usageCount должно быть неотрицательным целым числом';
+    }
+    if (record.dependsOn !== undefined && (!Array.isArray(record.dependsOn)
+        || record.dependsOn.some(name => typeof name !== 'string'))) {
+        return 'Поле dependsOn должно быть массивом строк';
+    }
+    if (record.tags !== undefined && (!Array.isArray(record.tags)
+        || record.tags.some(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag)))) {
+        return 'Поле tags должно быть массивом тегов из букв, цифр и символов _ . : -';
+    }
+    if (record.status !== undefined && record.status !== null && !STATUSES.includes(record.status)) {
+        return `Поле status должно быть одним из: ${STATUSES.join(', ')}`;
+    }
+    for (const field of ['createdAt', 'expiresAt', 'quarantinedAt']) {
+        if (record[field] !== undefined && record[field] !== null && parseTimestamp(record[field]) === null) {
+            return `Поле ${field} должно быть датой ISO 8601, например 2024-05-01T12:00:00Z`;
+        }
+    }
+    return null;
+}
+
+// Потоковый импорт JSONL или CSV. Каждая запись пишется отдельной транзакцией,
+// поэтому запросы к кэшу во время импорта не ждут его окончания. При dryRun повторы запроса
+// внутри файла учитываются так же, как при настоящей загрузке
+async function importConversations(dbManager, input, { tenant, format = 'jsonl', mode = 'skip', dryRun = false } = {}) {
+    const report = {
+        dryRun,
+        mode,
+        total: 0,
+        inserted: 0,
+        overwritten: 0,
+        merged: 0,
+        skipped: 0,
+        invalid: 0,
+        errors: []
+    };
+
+    const entries = format === 'csv' ? parseCsv(input) : parseJsonl(input);
+    const seenHashes = new Set();
+
+    for await (const { line, record, error } of entries) {
+        report.total++;
+
+        const problem = error || validateRecord(record);
+        if (problem) {
+            report.invalid++;
+            if (report.errors.length < 100) report.errors.push({ line, error: problem });
+            continue;
+        }
+
+        try {
+            const action = await dbManager.importConversation(record, { tenant, mode, dryRun, seenHashes });
+            report[action]++;
+        } catch (importError) {
+            report.invalid++;
+            if (report.errors.length < 100) report.errors.push({ line, error: importError.message });
+        }
+    }
+
+    return report;
+}
+
+module.exports = {
+    FORMATS,
+    IMPORT_MODES,
+    exportConversations,
+    importConversations
+};
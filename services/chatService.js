@@ -0,0 +1,104 @@
+const { PiiRejectedError, DuplicateConversationError } = require('../database/database');
+
+// Чат через кэш: ответ из базы при попадании, запрос к модели при промахе
+class ChatService {
+    constructor(dbManager, provider) {
+        this.dbManager = dbManager;
+        this.provider = provider;
+        // Запросы к модели, которые уже выполняются, по хэшу запроса
+        this.pending = new Map();
+    }
+
+    // onDelta — необязательный обработчик фрагментов ответа модели при потоковой передаче.
+    // Для попаданий и объединенных промахов фрагменты не передаются: ответ приходит целиком.
+    // beforeModelCall вызывается при каждом промахе, в том числе объединенном, и может его
+    // запретить (проверка квоты вызывающего); onModelCall — только у вызывающего, чей промах
+    // действительно отправил запрос к модели (учет квоты). matchMetadata — условия на metadata
+    // кандидатов кэша; metadata и tags сохраняются вместе с ответом модели
+    async ask({ query, userId = null, sessionId = null, minSimilarity = 0.3, matchMetadata, metadata = {}, tags, context = [], ttl, tenant, onDelta, beforeModelCall, onModelCall }) {
+        const similarConversations = await this.dbManager.findSimilarConversations(query, 5, minSimilarity, {
+            context,
+            tenant,
+            userId,
+            sessionId,
+            metadata: matchMetadata
+        });
+
+        if (similarConversations.length > 0) {
+            const bestMatch = similarConversations[0];
+            return {
+                cacheHit: true,
+                similarity: bestMatch.similarity,
+                quality: bestMatch.quality,
+                matchType: bestMatch.matchType,
+                matchSignal: bestMatch.matchSignal,
+                scores: bestMatch.scores,
+                contextual: Boolean(bestMatch.context_hash),
+                response: bestMatch.ai_response,
+                conversationId: bestMatch.id,
+                usageCount: bestMatch.usage_count,
+                createdAt: bestMatch.created_at
+            };
+        }
+
+        if (beforeModelCall) {
+            await beforeModelCall();
+        }
+
+        // Одинаковые промахи ждут один и тот же запрос к модели. Между проверкой map и записью
+        // в нее нет await, поэтому запрос к модели отправляет ровно один из одинаковых промахов
+        const contextInfo = this.dbManager.resolveContext(query, context);
+        const queryHash = this.dbManager.generateQueryHash(query, contextInfo && contextInfo.hash, tenant);
+        if (this.pending.has(queryHash)) {
+            const result = await this.pending.get(queryHash);
+            return { ...result, coalesced: true };
+        }
+
+        const pendingRequest = this.fetchAndStore(query, userId, sessionId, metadata, { context, ttl, tenant, tags }, onDelta);
+        this.pending.set(queryHash, pendingRequest);
+
+        try {
+            const [result] = await Promise.all([pendingRequest, onModelCall && onModelCall()]);
+            return { ...result, coalesced: false };
+        } finally {
+            this.pending.delete(queryHash);
+        }
+    }
+
+    async fetchAndStore(query, userId, sessionId, metadata, options, onDelta) {
+        const turns = this.dbManager.conversationContext.normalizeTurns(options.context);
+        const completion = onDelta
+            ? await this.provider.stream(query, turns, onDelta)
+            : await this.provider.complete(query, turns);
+
+        let conversationId = null;
+        try {
+            conversationId = await this.dbManager.saveConversation(
+                query,
+                completion.content,
+                userId,
+                sessionId,
+                { ...metadata, model: completion.model },
+                options
+            );
+        } catch (error) {
+            // Ответ модели все равно возвращаем, даже если не удалось его закэшировать
+            if (error instanceof PiiRejectedError || error instanceof DuplicateConversationError) {
+                this.dbManager.logger.warn('Ответ модели не закэширован', { error });
+            } else {
+                this.dbManager.logger.error('Ошибка сохранения ответа модели в кэш', { error });
+            }
+        }
+
+        return {
+            cacheHit: false,
+            response: completion.content,
+            conversationId,
+            contextual: Boolean(this.dbManager.resolveContext(query, options.context)),
+            model: completion.model,
+            usage: completion.usage
+        };
+    }
+}
+
+module.exports = ChatService;
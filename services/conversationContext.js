@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Признаки уточняющего вопроса, смысл которого зависит от предыдущих реплик
+const FOLLOW_UP_STARTERS = /^(а|и|но|тогда|также|еще|ещё|then|and|also|what about|how about)(\s|,|$)/i;
+const FOLLOW_UP_REFERENCES = /(^|[^a-zа-яё])(он|она|оно|они|его|ее|её|их|ему|ей|им|него|нее|неё|нему|ней|них|этот|эта|эти|этого|этой|этим|такой|такая|такое|такие|туда|it|its|them|those|these)([^a-zа-яё]|$)/i;
+
+// Отпечаток контекста многоходового диалога
+class ConversationContext {
+    constructor(keywordExtractor, options = {}) {
+        this.keywordExtractor = keywordExtractor;
+        // Сколько последних реплик пользователя входит в отпечаток
+        this.turns = parseInt(options.turns ?? process.env.CONTEXT_TURNS ?? 2);
+        // Вопрос с таким числом ключевых слов или меньше считается уточняющим
+        this.followUpMaxKeywords = parseInt(options.followUpMaxKeywords ?? process.env.CONTEXT_FOLLOWUP_MAX_KEYWORDS ?? 2);
+        // Минимальное сходство (Жаккар) ключевых слов контекстов для совпадения
+        this.minSimilarity = parseFloat(options.minSimilarity ?? process.env.CONTEXT_MIN_SIMILARITY ?? 0.5);
+    }
+
+    // Приведение реплик к виду { role, content }; строки считаются репликами пользователя
+    normalizeTurns(context) {
+        if (!Array.isArray(context)) return [];
+
+        return context
+            .map(turn => (typeof turn === 'string' ? { role: 'user', content: turn } : turn))
+            .filter(turn => turn
+                && typeof turn.content === 'string'
+                && turn.content.trim().length > 0
+                && ['user', 'assistant'].includes(turn.role || 'user'))
+            .map(turn => ({ role: turn.role || 'user', content: turn.content }));
+    }
+
+    isFollowUp(query) {
+        const text = query.trim();
+        return FOLLOW_UP_STARTERS.test(text)
+            || FOLLOW_UP_REFERENCES.test(text)
+            || this.keywordExtractor.extract(text).length <= this.followUpMaxKeywords;
+    }
+
+    // Отпечаток: хэш и ключевые слова последних реплик пользователя.
+    // Для самостоятельного вопроса или пустого контекста возвращает null
+    resolve(query, context) {
+        const turns = this.normalizeTurns(context);
+        if (turns.length === 0 || !this.isFollowUp(query)) {
+            return null;
+        }
+
+        const userTurns = turns.filter(turn => turn.role === 'user').slice(-this.turns);
+        const keywords = [...new Set(userTurns.flatMap(turn => this.keywordExtractor.extract(turn.content)))].sort();
+        if (keywords.length === 0) {
+            return null;
+        }
+
+        return {
+            hash: crypto.createHash('md5').update(keywords.join(' ')).digest('hex'),
+            keywords
+        };
+    }
+
+    // Совместимость контекстов по доле общих ключевых слов
+    isCompatible(a, b) {
+        if (!a || !b) return false;
+        if (a.hash === b.hash) return true;
+
+        const setA = new Set(a.keywords);
+        const setB = new Set(b.keywords);
+        const intersection = [...setA].filter(keyword => setB.has(keyword)).length;
+        const union = new Set([...setA, ...setB]).size;
+
+        return union > 0 && intersection / union >= this.minSimilarity;
+    }
+}
+
+module.exports = ConversationContext;
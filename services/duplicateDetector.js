@@ -0,0 +1,78 @@
+// Поиск почти одинаковых вопросов по доле общих ключевых слов (коэффициент Жаккара):
+// "как сбросить пароль" и "как сбросить пароль?" или "сброс пароля" дают одни и те же слова,
+// но разные query_hash. Разговор описывается записью { id, keywords, context_hash, entities,
+// depends_on, usage_count, created_at }
+class DuplicateDetector {
+    constructor(entityExtractor, options = {}) {
+        this.entityExtractor = entityExtractor;
+        // Минимальная доля общих ключевых слов, при которой вопросы считаются одинаковыми
+        this.minSimilarity = parseFloat(options.duplicateSimilarity ?? process.env.DUPLICATE_SIMILARITY ?? 0.75);
+    }
+
+    similarity(keywordsA, keywordsB) {
+        const setA = new Set(keywordsA);
+        const setB = new Set(keywordsB);
+        const intersection = [...setA].filter(keyword => setB.has(keyword)).length;
+        const union = new Set([...setA, ...setB]).size;
+
+        return union > 0 ? intersection / union : 0;
+    }
+
+    // Одинаковые слова еще не делают вопросы одинаковыми: уточняющий вопрос из другого диалога
+    // или вопрос с другими числовыми значениями ("кабель на 16А" и "кабель на 32А") — разные
+    isCompatible(a, b) {
+        if ((a.context_hash || null) !== (b.context_hash || null)) {
+            return false;
+        }
+
+        return this.entityExtractor.conflicts(a.entities, b.entities, b.depends_on).length === 0
+            && this.entityExtractor.conflicts(b.entities, a.entities, a.depends_on).length === 0;
+    }
+
+    // Группы похожих разговоров: [{ canonicalId, members: [{ id, similarity }] }], в members
+    // входит и канонический. Канонический — самый используемый из еще не распределенных разговоров,
+    // в группу входят похожие именно на него, поэтому цепочка "A похож на B, B похож на C"
+    // не собирает в одну группу непохожие A и C
+    cluster(entries) {
+        const byKeyword = new Map();
+        for (const entry of entries) {
+            for (const keyword of new Set(entry.keywords)) {
+                if (!byKeyword.has(keyword)) byKeyword.set(keyword, []);
+                byKeyword.get(keyword).push(entry);
+            }
+        }
+
+        const ordered = [...entries].sort((a, b) => b.usage_count - a.usage_count
+            || String(a.created_at).localeCompare(String(b.created_at))
+            || a.id.localeCompare(b.id));
+        const assigned = new Set();
+        const clusters = [];
+
+        for (const leader of ordered) {
+            if (assigned.has(leader.id)) continue;
+
+            const candidates = new Set(leader.keywords.flatMap(keyword => byKeyword.get(keyword) || []));
+            const members = [];
+            for (const candidate of candidates) {
+                if (candidate.id === leader.id || assigned.has(candidate.id)) continue;
+
+                const similarity = this.similarity(leader.keywords, candidate.keywords);
+                if (similarity >= this.minSimilarity && this.isCompatible(leader, candidate)) {
+                    members.push({ id: candidate.id, similarity });
+                }
+            }
+            if (members.length === 0) continue;
+
+            assigned.add(leader.id);
+            members.forEach(member => assigned.add(member.id));
+            clusters.push({
+                canonicalId: leader.id,
+                members: [{ id: leader.id, similarity: 1 }, ...members.sort((a, b) => b.similarity - a.similarity)]
+            });
+        }
+
+        return clusters;
+    }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,24 @@
+const PeriodicTask = require('./periodicTask');
+
+// Фоновый поиск групп почти одинаковых вопросов; найденные группы администратор просматривает
+// и объединяет через /api/admin/duplicates
+class DuplicateScanScheduler extends PeriodicTask {
+    constructor(dbManager, options = {}) {
+        const env = process.env;
+
+        // 0 — только ручной запуск через POST /api/admin/duplicates/scan
+        super(dbManager, {
+            intervalMs: parseInt(options.intervalMs ?? env.DUPLICATE_SCAN_INTERVAL_MS ?? 3600000),
+            errorMessage: 'Ошибка поиска похожих разговоров'
+        });
+    }
+
+    // Один проход по всем арендаторам
+    async run() {
+        const result = await this.dbManager.scanDuplicates();
+        this.dbManager.logger.info('Поиск похожих разговоров', result);
+        return result;
+    }
+}
+
+module.exports = DuplicateScanScheduler;
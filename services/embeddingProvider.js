@@ -0,0 +1,149 @@
+// node-fetch v3 распространяется только как ES-модуль
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// FNV-1a: быстрый детерминированный хэш строки
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function normalize(vector) {
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+// Косинусное сходство двух векторов одинаковой размерности
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Сериализация вектора для хранения в BLOB
+function vectorToBuffer(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function bufferToVector(buffer) {
+    return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4));
+}
+
+// Локальные эмбеддинги: хэширование слов и символьных триграмм.
+// Не требует сети и дает одинаковый результат при каждом запуске
+class LocalEmbeddingProvider {
+    constructor(options = {}) {
+        this.dimensions = parseInt(options.dimensions ?? process.env.EMBEDDING_DIMENSIONS ?? 256);
+        this.model = `local-hash-${this.dimensions}`;
+    }
+
+    addFeature(vector, feature, weight) {
+        const hash = fnv1a(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        vector[hash % this.dimensions] += sign * weight;
+    }
+
+    async embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const tokens = text.toLowerCase().replace(/ё/g, 'е').split(/[^a-zа-я0-9]+/).filter(Boolean);
+
+        for (const token of tokens) {
+            this.addFeature(vector, `w:${token}`, 1.0);
+
+            const padded = `^${token}$`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                this.addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.5);
+            }
+        }
+
+        return normalize(vector);
+    }
+}
+
+// Эмбеддинги через OpenAI-совместимый эндпоинт /embeddings
+class HttpEmbeddingProvider {
+    constructor(options = {}) {
+        const env = process.env;
+
+        this.baseUrl = (options.baseUrl || env.EMBEDDING_BASE_URL || env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : (env.EMBEDDING_API_KEY || env.LLM_API_KEY);
+        this.model = options.model || env.EMBEDDING_MODEL || 'text-embedding-3-small';
+        this.timeoutMs = parseInt(options.timeoutMs ?? env.EMBEDDING_TIMEOUT_MS ?? 10000);
+    }
+
+    async embed(text) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}/embeddings`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ model: this.model, input: text }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Провайдер эмбеддингов вернул ошибку ${response.status}`);
+            }
+
+            const body = await response.json();
+            const embedding = body && body.data && body.data[0] && body.data[0].embedding;
+            if (!Array.isArray(embedding) || embedding.length === 0) {
+                throw new Error('Провайдер эмбеддингов вернул пустой вектор');
+            }
+
+            return embedding;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Провайдер эмбеддингов не ответил за ${this.timeoutMs} мс`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Выбор провайдера по настройке EMBEDDING_PROVIDER: local, http или none
+function createEmbeddingProvider(type = process.env.EMBEDDING_PROVIDER || 'local', options = {}) {
+    switch (type) {
+        case 'local':
+            return new LocalEmbeddingProvider(options);
+        case 'http':
+            return new HttpEmbeddingProvider(options);
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Неизвестный провайдер эмбеддингов: ${type}`);
+    }
+}
+
+module.exports = {
+    LocalEmbeddingProvider,
+    HttpEmbeddingProvider,
+    createEmbeddingProvider,
+    cosineSimilarity,
+    vectorToBuffer,
+    bufferToVector
+};
@@ -0,0 +1,192 @@
+// Единицы измерения: каноническое обозначение -> величина, множитель к базовой единице величины,
+// варианты написания и основы слов ("ампер" -> "ампера", "амперов"). Варианты из attached
+// распознаются вплотную к числу ("220в", "16а"), а через пробел — только если за ними не идет
+// слово ("на 25 а, для плиты"): иначе это предлог "в" или союз "а" ("16 а не 25")
+const UNITS = {
+    'mm²': { dimension: 'cross_section', scale: 1, aliases: ['мм2', 'мм²', 'кв.мм', 'кв. мм', 'кв мм', 'mm2', 'mm²', 'sq.mm', 'sqmm'], words: ['квадрат'] },
+    'm²': { dimension: 'area', scale: 1, aliases: ['м2', 'м²', 'кв.м', 'кв. м', 'кв м', 'm2', 'm²', 'sq.m'] },
+    mm: { dimension: 'length', scale: 0.001, aliases: ['мм', 'mm'], words: ['миллиметр'] },
+    cm: { dimension: 'length', scale: 0.01, aliases: ['см', 'cm'], words: ['сантиметр'] },
+    m: { dimension: 'length', scale: 1, aliases: ['м', 'm'], words: ['метр'] },
+    km: { dimension: 'length', scale: 1000, aliases: ['км', 'km'], words: ['километр'] },
+    W: { dimension: 'power', scale: 1, aliases: ['вт', 'w'], words: ['ватт'] },
+    kW: { dimension: 'power', scale: 1000, aliases: ['квт', 'kw'], words: ['киловатт'] },
+    Wh: { dimension: 'energy', scale: 1, aliases: ['вт*ч', 'вт·ч', 'втч', 'wh'] },
+    kWh: { dimension: 'energy', scale: 1000, aliases: ['квт*ч', 'квт·ч', 'квтч', 'квт/ч', 'kwh'] },
+    VA: { dimension: 'apparent_power', scale: 1, aliases: ['ва', 'va'] },
+    kVA: { dimension: 'apparent_power', scale: 1000, aliases: ['ква', 'kva'] },
+    V: { dimension: 'voltage', scale: 1, aliases: ['v'], attached: ['в'], words: ['вольт'] },
+    kV: { dimension: 'voltage', scale: 1000, aliases: ['кв', 'kv'], words: ['киловольт'] },
+    mA: { dimension: 'current', scale: 0.001, aliases: ['ма', 'ma'], words: ['миллиампер'] },
+    A: { dimension: 'current', scale: 1, aliases: ['a'], attached: ['а'], words: ['ампер'] },
+    kA: { dimension: 'current', scale: 1000, aliases: ['ка', 'ka'], words: ['килоампер'] },
+    'Ω': { dimension: 'resistance', scale: 1, aliases: ['ом', 'ohm', 'ω'] },
+    'kΩ': { dimension: 'resistance', scale: 1000, aliases: ['ком', 'kohm', 'kω'] },
+    'MΩ': { dimension: 'resistance', scale: 1e6, aliases: ['мом', 'mohm', 'mω'] },
+    Hz: { dimension: 'frequency', scale: 1, aliases: ['гц', 'hz'], words: ['герц'] },
+    kHz: { dimension: 'frequency', scale: 1000, aliases: ['кгц', 'khz'], words: ['килогерц'] },
+    '°C': { dimension: 'temperature', scale: 1, aliases: ['°c', '°с', '°'], words: ['градус'] },
+    '%': { dimension: 'percent', scale: 1, aliases: ['%'], words: ['процент'] },
+    // Число жил кабеля из записи вида 3x2.5
+    cores: { dimension: 'cores', scale: 1, aliases: [] }
+};
+
+// Величина числа без единицы измерения
+const NUMBER_DIMENSION = 'number';
+
+const NUMBER = '\\d+(?:[.,]\\d+)?';
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Извлечение числовых значений с единицами измерения ("2,5 мм2", "16А", "3х2.5") в виде сущностей
+// { value, unit } и проверка совместимости сущностей запроса и сохраненного ответа
+class EntityExtractor {
+    constructor() {
+        this.aliases = new Map();
+        const patterns = [];
+        const attached = [];
+
+        for (const [unit, info] of Object.entries(UNITS)) {
+            for (const alias of info.aliases) {
+                this.aliases.set(alias, unit);
+                patterns.push({ source: escapeRegExp(alias), length: alias.length });
+            }
+            for (const alias of info.attached || []) {
+                this.aliases.set(alias, unit);
+                attached.push(escapeRegExp(alias));
+            }
+            for (const word of info.words || []) {
+                patterns.push({ source: `${word}[а-я]*`, length: word.length + 1 });
+            }
+        }
+
+        // Более длинные варианты проверяются первыми: "мм2" раньше "мм", "мм" раньше "м"
+        const units = patterns
+            .sort((a, b) => b.length - a.length)
+            .map(pattern => pattern.source)
+            .join('|');
+
+        this.pattern = new RegExp(
+            `(?<![\\p{L}\\d.,])(${NUMBER})(?:\\s*[xх×*]\\s*(${NUMBER}))?`
+                + `(?:\\s*(${units})|(${attached.join('|')})|\\s+(${attached.join('|')})(?=[^\\p{L}\\d\\s]|\\s*$))?(?![\\p{L}\\d])`,
+            'gu'
+        );
+    }
+
+    // Каноническое обозначение единицы по написанию в тексте
+    normalizeUnit(text) {
+        if (this.aliases.has(text)) {
+            return this.aliases.get(text);
+        }
+
+        const match = Object.entries(UNITS).find(([, info]) =>
+            (info.words || []).some(word => text.startsWith(word)));
+        return match ? match[0] : null;
+    }
+
+    // Сущности текста в порядке появления без повторов: [{ value, unit }], unit null — число без единицы
+    extract(text) {
+        const normalized = text.toLowerCase().replace(/ё/g, 'е');
+        const entities = [];
+        const seen = new Set();
+        const add = (value, unit) => {
+            const entity = { value: Number(value.replace(',', '.')), unit };
+            const key = this.key(entity);
+            if (!seen.has(key)) {
+                seen.add(key);
+                entities.push(entity);
+            }
+        };
+
+        for (const match of normalized.matchAll(this.pattern)) {
+            const [, first, second, spacedUnit, attachedUnit, standaloneUnit] = match;
+            const unitText = spacedUnit || attachedUnit || standaloneUnit;
+            const unit = unitText ? this.normalizeUnit(unitText) : null;
+
+            if (second === undefined) {
+                add(first, unit);
+            } else if (unit === null || unit === 'mm²') {
+                // 3x2.5 — число жил и сечение кабеля
+                add(first, 'cores');
+                add(second, 'mm²');
+            } else {
+                add(first, unit);
+                add(second, unit);
+            }
+        }
+
+        return entities;
+    }
+
+    // Компактная запись сущности для ключевых слов: 16A, 2.5mm², 3
+    key(entity) {
+        return `${entity.value}${entity.unit || ''}`;
+    }
+
+    dimensionOf(entity) {
+        return entity.unit ? UNITS[entity.unit].dimension : NUMBER_DIMENSION;
+    }
+
+    // Величина по названию ("current") или по единице в любом написании ("A", "а", "мм2"); null, если неизвестна
+    resolveDimension(name) {
+        if (typeof name !== 'string') {
+            return null;
+        }
+
+        const text = name.trim();
+        const dimensions = new Set([NUMBER_DIMENSION, ...Object.values(UNITS).map(info => info.dimension)]);
+        if (dimensions.has(text)) {
+            return text;
+        }
+        if (UNITS[text]) {
+            return UNITS[text].dimension;
+        }
+
+        const unit = this.normalizeUnit(text.toLowerCase().replace(/ё/g, 'е'));
+        return unit ? UNITS[unit].dimension : null;
+    }
+
+    // Значения, приведенные к базовой единице, по величинам
+    valuesByDimension(entities) {
+        const result = new Map();
+        for (const entity of entities) {
+            const dimension = this.dimensionOf(entity);
+            const scale = entity.unit ? UNITS[entity.unit].scale : 1;
+            if (!result.has(dimension)) {
+                result.set(dimension, new Set());
+            }
+            // Округление убирает погрешность умножения: 0.5 кВт и 500 Вт равны
+            result.get(dimension).add(Math.round(entity.value * scale * 1e6) / 1e6);
+        }
+        return result;
+    }
+
+    // Величины, по которым запрос противоречит сохраненному ответу. Величина, которая есть
+    // в обоих текстах, должна совпадать по значениям. Для величин из dependsOn ответ верен
+    // только при тех же значениях, поэтому их отсутствие в запросе тоже считается противоречием.
+    // Число без единицы в запросе может быть значением величины с нераспознанной единицей
+    // ("на 25 а для плиты"): если величины нет в запросе, ее значение должно быть среди таких чисел
+    conflicts(queryEntities, cachedEntities, dependsOn = []) {
+        const query = this.valuesByDimension(queryEntities);
+        const cached = this.valuesByDimension(cachedEntities);
+        const unitless = query.get(NUMBER_DIMENSION);
+        const conflicting = [];
+
+        for (const [dimension, values] of cached) {
+            const queryValues = query.get(dimension);
+            if (!queryValues) {
+                const contradicted = unitless && [...values].every(value => !unitless.has(value));
+                if (contradicted || dependsOn.includes(dimension)) conflicting.push(dimension);
+                continue;
+            }
+            if (queryValues.size !== values.size || [...values].some(value => !queryValues.has(value))) {
+                conflicting.push(dimension);
+            }
+        }
+
+        return conflicting;
+    }
+}
+
+module.exports = EntityExtractor;
+module.exports.UNITS = UNITS;
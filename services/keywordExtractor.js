@@ -0,0 +1,87 @@
+const natural = require('natural');
+
+// Стоп-слова по языкам
+const STOP_WORDS = {
+    ru: new Set([
+        'и', 'в', 'во', 'на', 'с', 'со', 'по', 'для', 'от', 'до', 'как', 'что', 'это', 'или', 'но', 'а', 'же',
+        'уже', 'еще', 'только', 'даже', 'может', 'быть', 'все', 'всего', 'при', 'через', 'над',
+        'под', 'без', 'из', 'к', 'ко', 'о', 'об', 'про', 'за', 'перед', 'после', 'между', 'среди', 'ли', 'не',
+        'ни', 'да', 'нет', 'бы', 'то', 'так', 'там', 'тут', 'где', 'когда', 'чем', 'чтобы', 'если', 'какой',
+        'какая', 'какое', 'какие', 'каким', 'какую', 'какого', 'который', 'которая', 'которые', 'мне', 'меня',
+        'мой', 'моя', 'мои', 'нам', 'нас', 'наш', 'вам', 'вас', 'ваш', 'его', 'ее', 'их', 'они', 'она',
+        'оно', 'он', 'мы', 'вы', 'ты', 'этот', 'эта', 'эти', 'этого', 'этой', 'тот', 'та', 'те', 'того', 'был',
+        'была', 'было', 'были', 'есть', 'будет', 'нужно', 'надо', 'можно', 'очень', 'также', 'тоже', 'ну',
+        'вот', 'сколько', 'почему', 'зачем', 'чего', 'кто', 'куда', 'откуда', 'себя', 'свой', 'своя', 'свои'
+    ]),
+    en: new Set(natural.stopwords)
+};
+
+// Стеммеры по языкам
+const STEMMERS = {
+    ru: natural.PorterStemmerRu,
+    en: natural.PorterStemmer
+};
+
+const CYRILLIC = /[а-яё]/;
+const LATIN = /[a-z]/;
+
+// Извлечение ключевых слов с учетом языка запроса
+class KeywordExtractor {
+    constructor() {
+        this.tokenizer = new natural.RegexpTokenizer({ pattern: /[^a-zа-яё0-9_]+/i });
+    }
+
+    tokenize(text) {
+        return this.tokenizer
+            .tokenize(text.toLowerCase().replace(/ё/g, 'е'))
+            .filter(token => token.length > 0);
+    }
+
+    // Язык слова определяется по алфавиту
+    detectTokenLanguage(token) {
+        if (CYRILLIC.test(token)) return 'ru';
+        if (LATIN.test(token)) return 'en';
+        return null;
+    }
+
+    // Язык текста — тот, чьих букв в нем больше
+    detectLanguage(text) {
+        const lowered = text.toLowerCase();
+        const cyrillic = (lowered.match(/[а-яё]/g) || []).length;
+        const latin = (lowered.match(/[a-z]/g) || []).length;
+
+        if (cyrillic === 0 && latin === 0) return 'unknown';
+        return cyrillic >= latin ? 'ru' : 'en';
+    }
+
+    // Основа слова стеммером его языка; слова без букв возвращаются как есть
+    stem(token) {
+        const language = this.detectTokenLanguage(token);
+        return language ? STEMMERS[language].stem(token) : token;
+    }
+
+    // Ключевые слова: каждое слово обрабатывается стеммером своего языка
+    extract(text) {
+        const keywords = [];
+        const seen = new Set();
+
+        for (const token of this.tokenize(text)) {
+            if (token.length <= 2) continue;
+
+            const language = this.detectTokenLanguage(token);
+            if (language && STOP_WORDS[language].has(token)) continue;
+
+            // Стеммер может укоротить аббревиатуру ("узо" -> "уз"), тогда слово берется целиком
+            const stem = this.stem(token);
+            const keyword = stem.length > 2 ? stem : token;
+            if (seen.has(keyword)) continue;
+
+            seen.add(keyword);
+            keywords.push(keyword);
+        }
+
+        return keywords;
+    }
+}
+
+module.exports = KeywordExtractor;
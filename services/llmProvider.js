@@ -0,0 +1,277 @@
+// node-fetch v3 распространяется только как ES-модуль
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const defaultLogger = require('./logger');
+
+// Ошибка обращения к внешнему провайдеру модели
+class LLMProviderError extends Error {
+    constructor(message, { status = 502, code = 'LLM_ERROR', retryable = false, details } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.status = status;
+        this.code = code;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+// Клиент OpenAI-совместимого API (chat/completions)
+class LLMProvider {
+    constructor(options = {}) {
+        const env = process.env;
+
+        this.baseUrl = (options.baseUrl || env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : env.LLM_API_KEY;
+        this.model = options.model || env.LLM_MODEL || 'gpt-4o-mini';
+        this.systemPrompt = options.systemPrompt !== undefined ? options.systemPrompt : env.LLM_SYSTEM_PROMPT;
+        this.temperature = parseFloat(options.temperature ?? env.LLM_TEMPERATURE ?? 0.2);
+        this.timeoutMs = parseInt(options.timeoutMs ?? env.LLM_TIMEOUT_MS ?? 30000);
+        this.maxRetries = parseInt(options.maxRetries ?? env.LLM_MAX_RETRIES ?? 2);
+        this.retryDelayMs = parseInt(options.retryDelayMs ?? env.LLM_RETRY_DELAY_MS ?? 500);
+        this.logger = options.logger || defaultLogger;
+    }
+
+    // Формирование списка сообщений для модели с предыдущими репликами диалога
+    buildMessages(query, context = []) {
+        const messages = [];
+        if (this.systemPrompt) {
+            messages.push({ role: 'system', content: this.systemPrompt });
+        }
+        messages.push(...context);
+        messages.push({ role: 'user', content: query });
+        return messages;
+    }
+
+    // Получение ответа модели с повторными попытками
+    async complete(query, context = []) {
+        const messages = this.buildMessages(query, context);
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                return await this.request(messages);
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable || attempt === this.maxRetries) {
+                    break;
+                }
+
+                const delay = error.retryAfterMs || this.retryDelayMs * Math.pow(2, attempt);
+                this.logger.warn('Повтор запроса к модели', { delayMs: delay, attempt: attempt + 2, error });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Потоковое получение ответа: onDelta вызывается для каждого фрагмента текста.
+    // Повтор возможен, только пока клиенту не передано ни одного фрагмента
+    async stream(query, context = [], onDelta) {
+        const messages = this.buildMessages(query, context);
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            let delivered = false;
+            try {
+                return await this.requestStream(messages, (text) => {
+                    delivered = true;
+                    onDelta(text);
+                });
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable || delivered || attempt === this.maxRetries) {
+                    break;
+                }
+
+                const delay = error.retryAfterMs || this.retryDelayMs * Math.pow(2, attempt);
+                this.logger.warn('Повтор потокового запроса к модели', { delayMs: delay, attempt: attempt + 2, error });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Отправка запроса к chat/completions; таймер прерывает и чтение тела ответа
+    async send(messages, controller, extra = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        try {
+            return await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    messages,
+                    temperature: this.temperature,
+                    ...extra
+                }),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw this.transportError(error);
+        }
+    }
+
+    transportError(error) {
+        if (error.name === 'AbortError') {
+            return new LLMProviderError(`Модель не ответила за ${this.timeoutMs} мс`, {
+                status: 504,
+                code: 'LLM_TIMEOUT',
+                retryable: true
+            });
+        }
+        return new LLMProviderError('Провайдер модели недоступен', {
+            code: 'LLM_UNAVAILABLE',
+            retryable: true,
+            details: error.message
+        });
+    }
+
+    // Тело ответа текстом. Таймер и обрыв соединения могут прервать и чтение тела:
+    // это ошибка транспорта, которую можно повторить, а не пустой ответ
+    async readBody(response) {
+        try {
+            return await response.text();
+        } catch (error) {
+            throw this.transportError(error);
+        }
+    }
+
+    // Тело ответа с ошибкой: JSON с описанием или null, если провайдер вернул не JSON
+    parseErrorBody(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    httpError(response, body) {
+        const retryable = response.status === 429 || response.status >= 500;
+        const providerError = new LLMProviderError(`Провайдер модели вернул ошибку ${response.status}`, {
+            code: 'LLM_HTTP_ERROR',
+            retryable,
+            details: body && body.error ? body.error.message || body.error : undefined
+        });
+        const retryAfter = parseInt(response.headers.get('retry-after'));
+        if (!isNaN(retryAfter)) {
+            providerError.retryAfterMs = retryAfter * 1000;
+        }
+        return providerError;
+    }
+
+    // Один запрос к chat/completions с ограничением по времени
+    async request(messages) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        let text;
+        try {
+            response = await this.send(messages, controller);
+            text = await this.readBody(response);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw this.httpError(response, this.parseErrorBody(text));
+        }
+
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            throw new LLMProviderError('Провайдер модели вернул некорректный JSON', {
+                code: 'LLM_INVALID_RESPONSE',
+                details: error.message
+            });
+        }
+
+        const content = body && body.choices && body.choices[0] && body.choices[0].message
+            ? body.choices[0].message.content
+            : null;
+
+        if (typeof content !== 'string' || content.length === 0) {
+            throw new LLMProviderError('Провайдер модели вернул пустой ответ', {
+                code: 'LLM_EMPTY_RESPONSE'
+            });
+        }
+
+        return {
+            content,
+            model: body.model || this.model,
+            usage: body.usage || null
+        };
+    }
+
+    // Потоковый запрос (stream: true): разбор событий data: {...} до data: [DONE]
+    async requestStream(messages, onDelta) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await this.send(messages, controller, { stream: true });
+
+            if (!response.ok) {
+                throw this.httpError(response, this.parseErrorBody(await this.readBody(response)));
+            }
+
+            let content = '';
+            let model = this.model;
+            let usage = null;
+            let buffer = '';
+            // Многобайтовые символы могут оказаться на границе фрагментов
+            const decoder = new TextDecoder();
+
+            try {
+                for await (const chunk of response.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+
+                    for (const line of lines) {
+                        const data = line.replace(/\r$/, '');
+                        if (!data.startsWith('data:')) continue;
+
+                        const payload = data.slice(5).trim();
+                        if (payload === '[DONE]') continue;
+
+                        let event;
+                        try {
+                            event = JSON.parse(payload);
+                        } catch (error) {
+                            continue;
+                        }
+
+                        if (event.model) model = event.model;
+                        if (event.usage) usage = event.usage;
+                        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+                        if (delta && typeof delta.content === 'string' && delta.content.length > 0) {
+                            content += delta.content;
+                            onDelta(delta.content);
+                        }
+                    }
+                }
+            } catch (error) {
+                throw this.transportError(error);
+            }
+
+            if (content.length === 0) {
+                throw new LLMProviderError('Провайдер модели вернул пустой ответ', {
+                    code: 'LLM_EMPTY_RESPONSE'
+                });
+            }
+
+            return { content, model, usage };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = { LLMProvider, LLMProviderError };
@@ -0,0 +1,105 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Ошибка в виде полей JSON: у Error свойства не перечисляемые и JSON.stringify дает {}
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        stack: error.stack
+    };
+}
+
+// Структурированный журнал: одна запись — одна строка JSON { time, level, msg, ...поля }.
+// Поля контекста (requestId обработчика HTTP-запроса) добавляются ко всем записям, сделанным
+// внутри runWithContext, в том числе из DatabaseManager и хранилища, без явной передачи.
+// LOG_FORMAT=text — читаемый вывод для разработки, LOG_LEVEL — минимальный уровень
+class Logger {
+    constructor(options = {}) {
+        const env = process.env;
+
+        this.level = options.level || env.LOG_LEVEL || 'info';
+        if (!LEVELS[this.level]) {
+            throw new Error(`Неизвестный уровень журнала: ${this.level}. Допустимые значения: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        this.format = options.format || env.LOG_FORMAT || 'json';
+        this.fields = options.fields || {};
+        this.contexts = options.contexts || new AsyncLocalStorage();
+        this.output = options.output || process.stdout;
+    }
+
+    // Журнал с дополнительными постоянными полями, например { component: 'eviction' }
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            fields: { ...this.fields, ...fields },
+            contexts: this.contexts,
+            output: this.output
+        });
+    }
+
+    // Выполнение task с полями контекста, которые попадут во все записи внутри нее
+    runWithContext(fields, task) {
+        return this.contexts.run({ ...this.context(), ...fields }, task);
+    }
+
+    context() {
+        return this.contexts.getStore() || {};
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields, ...this.context() };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = serializeError(value);
+        }
+
+        this.output.write(this.format === 'text' ? this.toText(entry) : JSON.stringify(entry) + '\n');
+    }
+
+    // Строка для чтения глазами: время, уровень, сообщение, затем поля и стек ошибки
+    toText({ time, level, msg, ...fields }) {
+        let stack = '';
+        const rest = Object.entries(fields).map(([key, value]) => {
+            if (value && typeof value === 'object' && value.stack) {
+                stack = `\n${value.stack}`;
+                return `${key}=${JSON.stringify(value.message)}`;
+            }
+            return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+        });
+        return `${time} ${level.toUpperCase()} ${msg}${rest.length ? ` ${rest.join(' ')}` : ''}${stack}\n`;
+    }
+}
+
+// Общий журнал процесса; модули получают его через options.logger или берут этот
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = Object.keys(LEVELS);
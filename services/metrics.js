@@ -0,0 +1,200 @@
+// Метрики в текстовом формате Prometheus (exposition format 0.0.4) без внешних зависимостей:
+// счетчики, измерители и гистограммы с метками
+
+// Значение метки с экранированием обратной косой черты, кавычек и переводов строк
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatNumber = value => (value === Infinity ? '+Inf' : String(value));
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Ключ — значения меток через \u0000, значение — состояние ряда
+        this.series = new Map();
+    }
+
+    // Метки ряда в порядке labelNames; неизвестные метки — ошибка в коде
+    labelsOf(labels = {}) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Метка ${name} не объявлена у метрики ${this.name}`);
+            }
+        }
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    seriesOf(labels, create) {
+        const normalized = this.labelsOf(labels);
+        const key = Object.values(normalized).join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: normalized, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value = 1) {
+        this.seriesOf(labels, () => ({ value: 0 })).value += value;
+    }
+
+    renderSeries() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.seriesOf(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels, value = 1) {
+        this.seriesOf(labels, () => ({ value: 0 })).value += value;
+    }
+
+    dec(labels, value = 1) {
+        this.inc(labels, -value);
+    }
+
+    get(labels) {
+        const series = this.series.get(Object.values(this.labelsOf(labels)).join('\u0000'));
+        return series ? series.value : 0;
+    }
+
+    renderSeries() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+// Гистограмма с накопительными корзинами le, как у клиентов Prometheus
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesOf(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Замер длительности в секундах: const end = histogram.startTimer(); ...; end({ status })
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSeries() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// Границы корзин длительности в секундах: от миллисекунды до десяти секунд
+const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Метрики сервиса: HTTP-запросы, обращения к кэшу и запросы к базе данных
+class Metrics {
+    constructor() {
+        this.metrics = [];
+
+        this.httpRequests = this.register(new Counter(
+            'http_requests_total', 'Число HTTP-запросов по маршрутам и кодам ответа', ['method', 'route', 'status']
+        ));
+        this.httpDuration = this.register(new Histogram(
+            'http_request_duration_seconds', 'Длительность обработки HTTP-запросов', ['method', 'route'], DURATION_BUCKETS
+        ));
+        this.httpInFlight = this.register(new Gauge(
+            'http_requests_in_flight', 'HTTP-запросы, обработка которых еще не закончена'
+        ));
+        this.cacheLookups = this.register(new Counter(
+            'cache_lookups_total', 'Обращения к кэшу: попадания по типу совпадения и промахи', ['result', 'match_type']
+        ));
+        this.cacheSimilarity = this.register(new Histogram(
+            'cache_match_similarity', 'Сходство лучшего найденного ответа при попадании', ['match_type'],
+            [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1]
+        ));
+        this.dbQueryDuration = this.register(new Histogram(
+            'db_query_duration_seconds', 'Длительность запросов к базе данных по типу оператора', ['backend', 'statement'],
+            DURATION_BUCKETS
+        ));
+        this.dbQueryErrors = this.register(new Counter(
+            'db_query_errors_total', 'Запросы к базе данных, завершившиеся ошибкой', ['backend', 'statement']
+        ));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // Тип оператора SQL для метки: select, insert, update, delete, begin...
+    statementOf(sql) {
+        const match = /^\s*(\w+)/.exec(sql);
+        return match ? match[1].toLowerCase() : 'unknown';
+    }
+
+    // Замер запроса к базе: длительность и ошибки по типу оператора
+    async timeQuery(backend, sql, task) {
+        const labels = { backend, statement: this.statementOf(sql) };
+        const end = this.dbQueryDuration.startTimer(labels);
+        try {
+            return await task();
+        } catch (error) {
+            this.dbQueryErrors.inc(labels);
+            throw error;
+        } finally {
+            end();
+        }
+    }
+
+    // Текст для /metrics, Content-Type: text/plain; version=0.0.4
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+// Общие метрики процесса; модули получают их через options.metrics или берут эти
+const metrics = new Metrics();
+
+module.exports = metrics;
+module.exports.Metrics = Metrics;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
@@ -0,0 +1,1146 @@
+const { version } = require('../package.json');
+const { ROLES } = require('../middleware/auth');
+const { FORMATS, IMPORT_MODES } = require('./cacheTransfer');
+
+// Описание API в формате OpenAPI 3. По нему же middleware/validate.js проверяет параметры
+// запросов, поэтому ограничения на входные данные задаются здесь, а не в обработчиках маршрутов
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+
+const jsonBody = (schema, required = true) => ({ required, content: jsonContent(schema) });
+
+const success = (description, properties = {}) => ({
+    description,
+    content: jsonContent({
+        type: 'object',
+        properties: { success: { type: 'boolean', example: true }, ...properties }
+    })
+});
+
+// Ответы, общие для всех защищенных маршрутов
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+
+const queryParam = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+
+const conversationId = { $ref: '#/components/parameters/ConversationId' };
+
+const pagination = [
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 50 }, 'Число записей на странице'),
+    queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Смещение от начала списка')
+];
+
+const operation = (role, group, fields) => ({
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+    'x-role': role,
+    'x-rate-limit-group': group,
+    ...fields,
+    responses: {
+        ...fields.responses,
+        ...errors(401, 403, 429, 500)
+    }
+});
+
+const spec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Кэш ответов ИИ',
+        version,
+        description: 'Кэширование разговоров с моделью: поиск похожих запросов, сохранение ответов, '
+            + 'аналитика и администрирование. Все маршруты /api требуют API-ключ в заголовке '
+            + 'Authorization: Bearer или X-API-Key. Роль ключа (read, write, admin) и группа ограничения '
+            + 'частоты указаны у каждого метода.'
+    },
+    tags: [
+        { name: 'cache', description: 'Поиск и сохранение ответов' },
+        { name: 'conversations', description: 'Разговоры, версии и оценки' },
+        { name: 'analytics', description: 'Статистика, история и поиск' },
+        { name: 'transfer', description: 'Выгрузка и загрузка кэша' },
+        { name: 'admin', description: 'Администрирование арендатора' },
+        { name: 'telegram', description: 'Бот Telegram' },
+        { name: 'service', description: 'Проверки состояния и метрики' }
+    ],
+    paths: {
+        '/api/chat': {
+            post: operation('write', 'chat', {
+                tags: ['cache'],
+                operationId: 'chat',
+                summary: 'Чат через кэш',
+                description: 'Ответ из кэша при попадании, иначе запрос к модели с сохранением ответа. '
+                    + 'Условия matchMetadata отсеивают кандидатов кэша, как metadata в /api/cache/query; '
+                    + 'metadata сохраняется вместе с ответом модели и поиск не ограничивает. '
+                    + 'С Accept: text/event-stream ответ передается потоком SSE.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['query'],
+                    properties: {
+                        query: ref('Query'),
+                        userId: ref('UserId'),
+                        sessionId: ref('SessionId'),
+                        minSimilarity: ref('MinSimilarity'),
+                        matchMetadata: ref('MetadataConstraints'),
+                        metadata: ref('Metadata'),
+                        tags: ref('Tags'),
+                        context: ref('Context'),
+                        ttl: ref('Ttl'),
+                        pacing: ref('Pacing')
+                    }
+                }),
+                responses: {
+                    200: success('Ответ из кэша или от модели', {
+                        cacheHit: { type: 'boolean' },
+                        response: { type: 'string' },
+                        conversationId: { type: 'string' },
+                        similarity: { type: 'number' },
+                        model: { type: 'string' },
+                        usage: { type: 'object' }
+                    }),
+                    ...errors(400),
+                    502: { description: 'Ошибка провайдера модели', content: jsonContent(ref('Error')) }
+                }
+            })
+        },
+        '/api/cache/query': {
+            post: operation('read', 'query', {
+                tags: ['cache'],
+                operationId: 'queryCache',
+                summary: 'Поиск похожего ответа в кэше',
+                description: 'Условия metadata отсеивают кандидатов, в том числе точное совпадение. '
+                    + 'С Accept: text/event-stream ответ передается потоком SSE.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['query'],
+                    properties: {
+                        query: ref('Query'),
+                        userId: ref('UserId'),
+                        sessionId: ref('SessionId'),
+                        minSimilarity: ref('MinSimilarity'),
+                        metadata: ref('MetadataConstraints'),
+                        context: ref('Context'),
+                        pacing: ref('Pacing')
+                    }
+                }),
+                responses: {
+                    200: {
+                        description: 'Найденный ответ или промах',
+                        content: jsonContent(ref('QueryResult'))
+                    },
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/query/candidates': {
+            post: operation('read', 'query', {
+                tags: ['cache'],
+                operationId: 'queryCandidates',
+                summary: 'Кандидаты для запроса с оценками сходства',
+                description: 'Обращение не учитывается в статистике и аналитике.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['query'],
+                    properties: {
+                        query: ref('Query'),
+                        context: ref('Context'),
+                        limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+                        minSimilarity: ref('MinSimilarity'),
+                        metadata: ref('MetadataConstraints')
+                    }
+                }),
+                responses: {
+                    200: success('Кандидаты по убыванию сходства', {
+                        query: { type: 'string' },
+                        minSimilarity: { type: 'number' },
+                        entities: { type: 'array', items: ref('Entity') },
+                        keywords: { type: 'array', items: { type: 'object' } },
+                        candidates: { type: 'array', items: ref('Candidate') }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/save': {
+            post: operation('write', 'write', {
+                tags: ['cache'],
+                operationId: 'saveConversation',
+                summary: 'Сохранение разговора в кэш',
+                description: 'Повторное сохранение того же запроса обновляет запись и сохраняет прежнюю версию. '
+                    + 'Персональные данные в запросе и ответе заменяются заглушками ([PHONE], [EMAIL]...). '
+                    + 'С blockDuplicates новый вопрос, почти совпадающий с уже сохраненным, не сохраняется (409). '
+                    + 'Учитывается в квоте save.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['query', 'response'],
+                    properties: {
+                        query: ref('Query'),
+                        response: ref('Response'),
+                        userId: ref('UserId'),
+                        sessionId: ref('SessionId'),
+                        metadata: ref('Metadata'),
+                        tags: ref('Tags'),
+                        context: ref('Context'),
+                        ttl: ref('Ttl'),
+                        dependsOn: ref('DependsOn'),
+                        blockDuplicates: {
+                            type: 'boolean',
+                            description: 'Отказать, если похожий вопрос уже сохранен (по умолчанию DUPLICATE_BLOCK_SAVES)'
+                        }
+                    }
+                }),
+                responses: {
+                    200: success('Разговор сохранен', {
+                        conversationId: { type: 'string' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 409, 422)
+                }
+            })
+        },
+        '/api/usage': {
+            get: operation('read', 'read', {
+                tags: ['analytics'],
+                operationId: 'getUsage',
+                summary: 'Текущее потребление лимитов и квот вызывающего',
+                responses: {
+                    200: success('Остаток запросов по группам и использование квот', {
+                        usage: { type: 'object' }
+                    })
+                }
+            })
+        },
+        '/api/cache/stats': {
+            get: operation('read', 'read', {
+                tags: ['analytics'],
+                operationId: 'getStats',
+                summary: 'Статистика кэша',
+                responses: {
+                    200: success('Статистика арендатора', { stats: { type: 'object' } })
+                }
+            })
+        },
+        '/api/cache/analytics': {
+            get: operation('read', 'read', {
+                tags: ['analytics'],
+                operationId: 'getAnalytics',
+                summary: 'Аналитика попаданий и промахов',
+                description: 'По умолчанию — последние сутки по часам или последние 30 дней по дням.',
+                parameters: [
+                    queryParam('interval', { type: 'string', enum: ['hour', 'day'], default: 'day' }, 'Шаг временного ряда'),
+                    queryParam('from', { type: 'string', format: 'date-time' }, 'Начало периода, ISO 8601'),
+                    queryParam('to', { type: 'string', format: 'date-time' }, 'Конец периода, ISO 8601'),
+                    queryParam('top', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Число частых промахов')
+                ],
+                responses: {
+                    200: success('Доля попаданий во времени, частые промахи, распределение сходства', {
+                        analytics: { type: 'object' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/history': {
+            get: operation('read', 'read', {
+                tags: ['analytics'],
+                operationId: 'getHistory',
+                summary: 'История разговоров',
+                parameters: [
+                    ...pagination,
+                    queryParam('userId', { type: 'string' }, 'Только разговоры пользователя'),
+                    queryParam('sessionId', { type: 'string' }, 'Только разговоры сессии')
+                ],
+                responses: {
+                    200: success('Страница истории', {
+                        conversations: { type: 'array', items: ref('Conversation') },
+                        pagination: {
+                            type: 'object',
+                            properties: {
+                                limit: { type: 'integer' },
+                                offset: { type: 'integer' },
+                                count: { type: 'integer' }
+                            }
+                        }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/search': {
+            get: operation('read', 'query', {
+                tags: ['analytics'],
+                operationId: 'searchConversations',
+                summary: 'Полнотекстовый поиск по запросам и ответам',
+                description: 'Поддерживаются слова, "фразы", префиксы* и OR. Параметр keyword — устаревший синоним q.',
+                parameters: [
+                    queryParam('q', { type: 'string', minLength: 1 }, 'Поисковый запрос'),
+                    queryParam('keyword', { type: 'string', minLength: 1 }, 'Устаревший синоним q'),
+                    queryParam('userId', { type: 'string' }, 'Только разговоры пользователя'),
+                    queryParam('sessionId', { type: 'string' }, 'Только разговоры сессии'),
+                    queryParam('from', { type: 'string', format: 'date-time' }, 'Созданные не раньше, ISO 8601'),
+                    queryParam('to', { type: 'string', format: 'date-time' }, 'Созданные не позже, ISO 8601'),
+                    {
+                        name: 'metadata',
+                        in: 'query',
+                        style: 'deepObject',
+                        explode: true,
+                        description: 'Фильтры по полям metadata: metadata[поле]=значение',
+                        schema: {
+                            type: 'object',
+                            propertyNames: { pattern: '^[A-Za-z0-9_]+$' },
+                            additionalProperties: { type: 'string' }
+                        }
+                    },
+                    queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 10 }, 'Размер страницы'),
+                    queryParam('cursor', { type: 'string' }, 'Курсор следующей страницы из nextCursor')
+                ],
+                responses: {
+                    200: success('Результаты по убыванию релевантности', {
+                        results: { type: 'array', items: { type: 'object' } },
+                        query: { type: 'string' },
+                        count: { type: 'integer' },
+                        nextCursor: { type: 'string', nullable: true }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/cleanup': {
+            delete: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'cleanupCache',
+                summary: 'Очистка старых записей',
+                description: 'Удаляются записи старше указанного срока, которые ни разу не использовались повторно.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        daysOld: { type: 'integer', minimum: 1, default: 30 }
+                    }
+                }, false),
+                responses: {
+                    200: success('Записи удалены', {
+                        deletedCount: { type: 'integer' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/invalidate': {
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'invalidateCache',
+                summary: 'Групповая инвалидация по тегам и metadata',
+                description: 'Затрагивает записи с любым из тегов, metadata которых подходит под условия. '
+                    + 'Укажите tags, metadata или оба. expire завершает срок действия записей '
+                    + '(их удалит плановая очистка), delete удаляет сразу.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        tags: ref('Tags'),
+                        metadata: ref('MetadataConstraints'),
+                        action: { type: 'string', enum: ['expire', 'delete'], default: 'expire' },
+                        dryRun: { type: 'boolean', default: false, description: 'Только подсчитать записи' }
+                    }
+                }),
+                responses: {
+                    200: success('Результат инвалидации', {
+                        action: { type: 'string' },
+                        dryRun: { type: 'boolean' },
+                        matched: { type: 'integer' },
+                        affected: { type: 'integer' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/conversation/{id}': {
+            get: operation('read', 'read', {
+                tags: ['conversations'],
+                operationId: 'getConversation',
+                summary: 'Детали разговора',
+                parameters: [conversationId],
+                responses: {
+                    200: success('Разговор с ключевыми словами', { conversation: ref('Conversation') }),
+                    ...errors(404)
+                }
+            }),
+            patch: operation('write', 'write', {
+                tags: ['conversations'],
+                operationId: 'editConversation',
+                summary: 'Правка разговора с сохранением версии',
+                description: 'Укажите хотя бы одно поле. Изменение ответа сбрасывает оценки.',
+                parameters: [conversationId],
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        query: ref('Query'),
+                        response: ref('Response'),
+                        metadata: ref('Metadata'),
+                        dependsOn: ref('DependsOn'),
+                        tags: ref('Tags')
+                    }
+                }),
+                responses: {
+                    200: success('Разговор обновлен', {
+                        version: { type: 'integer' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 404, 409, 422)
+                }
+            }),
+            delete: operation('admin', 'admin', {
+                tags: ['conversations'],
+                operationId: 'deleteConversation',
+                summary: 'Удаление разговора',
+                parameters: [conversationId],
+                responses: {
+                    200: success('Результат удаления', {
+                        deletedCount: { type: 'integer' },
+                        message: { type: 'string' }
+                    })
+                }
+            })
+        },
+        '/api/cache/conversation/{id}/versions': {
+            get: operation('read', 'read', {
+                tags: ['conversations'],
+                operationId: 'listVersions',
+                summary: 'Версии разговора, начиная с текущей',
+                parameters: [conversationId],
+                responses: {
+                    200: success('Версии по убыванию номера', {
+                        versions: { type: 'array', items: { type: 'object' } }
+                    }),
+                    ...errors(404)
+                }
+            })
+        },
+        '/api/cache/conversation/{id}/rollback': {
+            post: operation('write', 'write', {
+                tags: ['conversations'],
+                operationId: 'rollbackConversation',
+                summary: 'Откат к прежней версии',
+                description: 'Откат сам становится новой версией.',
+                parameters: [conversationId],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['version'],
+                    properties: {
+                        version: { type: 'integer', minimum: 1 }
+                    }
+                }),
+                responses: {
+                    200: success('Разговор возвращен к версии', {
+                        version: { type: 'integer' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 404, 409)
+                }
+            })
+        },
+        '/api/cache/conversation/{id}/feedback': {
+            post: operation('write', 'write', {
+                tags: ['conversations'],
+                operationId: 'recordFeedback',
+                summary: 'Оценка ответа',
+                description: 'Ответ с низким качеством по накопленным оценкам отправляется в карантин. '
+                    + 'Голос один на API-ключ (без ключа — на адрес клиента); при FEEDBACK_VOTER_BY=user '
+                    + 'голоса ключа делятся по userId, без него — по sessionId. Повторная оценка заменяет прежнюю.',
+                parameters: [conversationId],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['rating'],
+                    properties: {
+                        rating: { type: 'string', enum: ['up', 'down'] },
+                        comment: { type: 'string', nullable: true, maxLength: 2000 },
+                        userId: { type: 'string', nullable: true },
+                        sessionId: { type: 'string', nullable: true }
+                    }
+                }),
+                responses: {
+                    200: success('Оценка сохранена', {
+                        feedback: { type: 'object' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 404)
+                }
+            })
+        },
+        '/api/cache/export': {
+            get: operation('admin', 'admin', {
+                tags: ['transfer'],
+                operationId: 'exportCache',
+                summary: 'Выгрузка кэша в JSONL или CSV',
+                parameters: [
+                    queryParam('format', { type: 'string', enum: FORMATS, default: 'jsonl' }, 'Формат выгрузки')
+                ],
+                responses: {
+                    200: {
+                        description: 'Файл выгрузки',
+                        content: {
+                            'application/x-ndjson': { schema: { type: 'string' } },
+                            'text/csv': { schema: { type: 'string' } }
+                        }
+                    },
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/cache/import': {
+            post: operation('admin', 'admin', {
+                tags: ['transfer'],
+                operationId: 'importCache',
+                summary: 'Загрузка кэша из JSONL или CSV',
+                parameters: [
+                    queryParam('format', { type: 'string', enum: FORMATS, default: 'jsonl' }, 'Формат тела запроса'),
+                    queryParam('mode', { type: 'string', enum: IMPORT_MODES, default: 'skip' }, 'Что делать с уже сохраненными запросами'),
+                    queryParam('dryRun', { type: 'boolean', default: false }, 'Только проверить записи, не сохраняя')
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/x-ndjson': { schema: { type: 'string' } },
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                },
+                responses: {
+                    200: success('Отчет о загрузке', { report: { type: 'object' } }),
+                    ...errors(400),
+                    415: { description: 'Неподдерживаемый тип тела запроса', content: jsonContent(ref('Error')) }
+                }
+            })
+        },
+        '/api/admin/quarantine': {
+            get: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'listQuarantine',
+                summary: 'Ответы в карантине',
+                parameters: pagination,
+                responses: {
+                    200: success('Ответы в карантине', {
+                        conversations: { type: 'array', items: ref('Conversation') },
+                        count: { type: 'integer' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/admin/quarantine/{id}/restore': {
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'restoreQuarantined',
+                summary: 'Возврат ответа из карантина без изменений',
+                parameters: [conversationId],
+                responses: {
+                    200: success('Результат возврата', {
+                        restoredCount: { type: 'integer' },
+                        message: { type: 'string' }
+                    })
+                }
+            })
+        },
+        '/api/admin/quarantine/{id}/replace': {
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'replaceQuarantined',
+                summary: 'Замена ответа из карантина',
+                parameters: [conversationId],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['response'],
+                    properties: {
+                        response: ref('Response')
+                    }
+                }),
+                responses: {
+                    200: success('Результат замены', {
+                        restoredCount: { type: 'integer' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 422)
+                }
+            })
+        },
+        '/api/admin/duplicates': {
+            get: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'listDuplicates',
+                summary: 'Группы похожих разговоров',
+                description: 'Результат последнего поиска (фонового, раз в DUPLICATE_SCAN_INTERVAL_MS, или ручного). '
+                    + 'Первым в группе идет канонический разговор.',
+                parameters: pagination,
+                responses: {
+                    200: success('Группы похожих разговоров', {
+                        clusters: { type: 'array', items: ref('DuplicateCluster') },
+                        count: { type: 'integer' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/admin/duplicates/scan': {
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'scanDuplicates',
+                summary: 'Поиск похожих разговоров арендатора',
+                responses: {
+                    200: success('Результат поиска', {
+                        clusters: { type: 'integer' },
+                        conversations: { type: 'integer' }
+                    })
+                }
+            })
+        },
+        '/api/admin/duplicates/{id}/merge': {
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'mergeDuplicates',
+                summary: 'Объединение похожих разговоров',
+                description: 'Запросы объединяемых разговоров становятся псевдонимами канонического и по-прежнему '
+                    + 'находятся поиском, счетчики использования складываются, теги объединяются.',
+                parameters: [{ $ref: '#/components/parameters/ClusterId' }],
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        canonicalId: { type: 'string', minLength: 1, description: 'Разговор, который остается (по умолчанию канонический группы)' },
+                        conversationIds: {
+                            type: 'array',
+                            minItems: 1,
+                            items: { type: 'string', minLength: 1 },
+                            description: 'Объединяемые разговоры группы (по умолчанию все остальные)'
+                        },
+                        response: ref('Response')
+                    }
+                }, false),
+                responses: {
+                    200: success('Разговоры объединены', {
+                        conversation: ref('Conversation'),
+                        merged: { type: 'integer' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 404, 422)
+                }
+            })
+        },
+        '/api/admin/usage': {
+            get: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'getTenantUsage',
+                summary: 'Потребление квот вызывающими арендатора',
+                responses: {
+                    200: success('Потребление за текущие сутки и месяц', { usage: { type: 'array', items: { type: 'object' } } })
+                }
+            })
+        },
+        '/api/admin/redactions': {
+            get: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'listRedactions',
+                summary: 'Журнал удаления персональных данных',
+                description: 'Какие типы данных и сколько раз заменены заглушками или почему запись отклонена. '
+                    + 'Сами значения не хранятся.',
+                parameters: [
+                    queryParam('conversationId', { type: 'string', minLength: 1 }, 'Только записи по разговору'),
+                    ...pagination
+                ],
+                responses: {
+                    200: success('Записи журнала, новые первыми', {
+                        redactions: { type: 'array', items: ref('Redaction') },
+                        count: { type: 'integer' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/admin/synonyms': {
+            get: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'listSynonyms',
+                summary: 'Словарь синонимов',
+                responses: {
+                    200: success('Синонимы арендатора', { synonyms: { type: 'array', items: ref('Synonym') } })
+                }
+            }),
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'addSynonym',
+                summary: 'Добавление синонима',
+                description: 'Для уже сохраненных разговоров выполните переиндексацию.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['phrase', 'canonical'],
+                    properties: {
+                        phrase: ref('SynonymText'),
+                        canonical: ref('SynonymText')
+                    }
+                }),
+                responses: {
+                    201: success('Синоним добавлен', {
+                        synonym: ref('Synonym'),
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 409)
+                }
+            })
+        },
+        '/api/admin/synonyms/{id}': {
+            put: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'updateSynonym',
+                summary: 'Изменение синонима',
+                description: 'Укажите phrase и/или canonical.',
+                parameters: [{ $ref: '#/components/parameters/SynonymId' }],
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        phrase: ref('SynonymText'),
+                        canonical: ref('SynonymText')
+                    }
+                }),
+                responses: {
+                    200: success('Синоним изменен', {
+                        synonym: ref('Synonym'),
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400, 404, 409)
+                }
+            }),
+            delete: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'deleteSynonym',
+                summary: 'Удаление синонима',
+                parameters: [{ $ref: '#/components/parameters/SynonymId' }],
+                responses: {
+                    200: success('Результат удаления', {
+                        deletedCount: { type: 'integer' },
+                        message: { type: 'string' }
+                    })
+                }
+            })
+        },
+        '/api/admin/synonyms/reindex': {
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'reindexSynonyms',
+                summary: 'Переиндексация с текущим словарем синонимов',
+                responses: {
+                    200: success('Число переиндексированных разговоров', {
+                        conversations: { type: 'integer' },
+                        message: { type: 'string' }
+                    })
+                }
+            })
+        },
+        '/api/admin/keys': {
+            get: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'listApiKeys',
+                summary: 'Список API-ключей',
+                responses: {
+                    200: success('Ключи арендатора без секретов', { keys: { type: 'array', items: { type: 'object' } } })
+                }
+            }),
+            post: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'createApiKey',
+                summary: 'Выпуск API-ключа',
+                description: 'Ключ показывается только в ответе на этот запрос.',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['role'],
+                    properties: {
+                        role: { type: 'string', enum: ROLES },
+                        name: { type: 'string', nullable: true, maxLength: 200 }
+                    }
+                }),
+                responses: {
+                    201: success('Ключ выпущен', {
+                        apiKey: { type: 'object' },
+                        message: { type: 'string' }
+                    }),
+                    ...errors(400)
+                }
+            })
+        },
+        '/api/admin/keys/{id}': {
+            delete: operation('admin', 'admin', {
+                tags: ['admin'],
+                operationId: 'revokeApiKey',
+                summary: 'Отзыв API-ключа',
+                parameters: [{ name: 'id', in: 'path', required: true, description: 'Идентификатор ключа', schema: { type: 'string' } }],
+                responses: {
+                    200: success('Результат отзыва', {
+                        revokedCount: { type: 'integer' },
+                        message: { type: 'string' }
+                    })
+                }
+            })
+        },
+        '/telegram/webhook': {
+            post: {
+                tags: ['telegram'],
+                operationId: 'telegramWebhook',
+                summary: 'Обновления бота Telegram',
+                description: 'Сообщения ищутся в кэше арендатора TELEGRAM_TENANT, чат служит сессией. '
+                    + 'Поддерживаются команды /start, /help, /stats и кнопки оценки ответа. '
+                    + 'Доступен, если заданы TELEGRAM_BOT_TOKEN и TELEGRAM_WEBHOOK_SECRET.',
+                security: [{ TelegramSecret: [] }],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['update_id'],
+                    properties: {
+                        update_id: { type: 'integer' },
+                        message: { type: 'object', description: 'Новое сообщение' },
+                        callback_query: { type: 'object', description: 'Нажатие кнопки оценки' }
+                    }
+                }),
+                responses: {
+                    200: { description: 'Обновление принято', content: jsonContent({ type: 'object', properties: { ok: { type: 'boolean' } } }) },
+                    ...errors(400, 401, 404)
+                }
+            }
+        },
+        '/api/openapi.json': {
+            get: {
+                tags: ['admin'],
+                operationId: 'getOpenApi',
+                summary: 'Это описание API',
+                security: [],
+                responses: {
+                    200: { description: 'Документ OpenAPI 3', content: jsonContent({ type: 'object' }) }
+                }
+            }
+        },
+        '/healthz': {
+            get: {
+                tags: ['service'],
+                operationId: 'getHealth',
+                summary: 'Проверка жизнеспособности процесса',
+                security: [],
+                responses: {
+                    200: {
+                        description: 'Процесс работает',
+                        content: jsonContent({
+                            type: 'object',
+                            properties: {
+                                status: { type: 'string', enum: ['ok'] },
+                                uptime: { type: 'integer', description: 'Время работы в секундах' }
+                            }
+                        })
+                    }
+                }
+            }
+        },
+        '/readyz': {
+            get: {
+                tags: ['service'],
+                operationId: 'getReadiness',
+                summary: 'Готовность принимать запросы',
+                description: 'Сервер готов, когда база данных подготовлена и не идет остановка.',
+                security: [],
+                responses: {
+                    200: { description: 'Сервер готов', content: jsonContent(ref('Readiness')) },
+                    503: { description: 'База данных не подготовлена или сервер останавливается', content: jsonContent(ref('Readiness')) }
+                }
+            }
+        },
+        '/metrics': {
+            get: {
+                tags: ['service'],
+                operationId: 'getMetrics',
+                summary: 'Метрики в формате Prometheus',
+                description: 'Запросы и длительность по маршрутам, попадания и промахи кэша, сходство найденных ответов, '
+                    + 'длительность запросов к базе данных. Если задан METRICS_TOKEN, нужен заголовок Authorization: Bearer.',
+                security: [{}, { MetricsToken: [] }],
+                responses: {
+                    200: { description: 'Метрики', content: { 'text/plain': { schema: { type: 'string' } } } },
+                    401: { description: 'Неверный токен метрик', content: jsonContent(ref('Error')) }
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            BearerAuth: { type: 'http', scheme: 'bearer' },
+            TelegramSecret: { type: 'apiKey', in: 'header', name: 'X-Telegram-Bot-Api-Secret-Token' },
+            MetricsToken: { type: 'http', scheme: 'bearer', description: 'Значение METRICS_TOKEN' }
+        },
+        parameters: {
+            ConversationId: {
+                name: 'id',
+                in: 'path',
+                required: true,
+                description: 'Идентификатор разговора',
+                schema: { type: 'string', minLength: 1 }
+            },
+            ClusterId: {
+                name: 'id',
+                in: 'path',
+                required: true,
+                description: 'Идентификатор группы похожих разговоров',
+                schema: { type: 'string', minLength: 1 }
+            },
+            SynonymId: {
+                name: 'id',
+                in: 'path',
+                required: true,
+                description: 'Идентификатор синонима',
+                schema: { type: 'string', minLength: 1 }
+            }
+        },
+        schemas: {
+            Query: { type: 'string', minLength: 1, description: 'Запрос пользователя' },
+            Response: { type: 'string', minLength: 1, description: 'Ответ модели' },
+            UserId: { type: 'string', description: 'Идентификатор пользователя' },
+            SessionId: { type: 'string', description: 'Идентификатор сессии' },
+            MinSimilarity: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                default: 0.3,
+                description: 'Минимальное сходство найденного запроса'
+            },
+            Metadata: { type: 'object', description: 'Произвольные поля записи; category влияет на время жизни' },
+            MetadataConstraints: {
+                type: 'object',
+                description: 'Условия на поля metadata: значение или список допустимых значений. '
+                    + 'Записи без поля не подходят; числа сравниваются со строками по тексту',
+                propertyNames: { pattern: '^[A-Za-z0-9_]+$' },
+                additionalProperties: {
+                    oneOf: [
+                        { type: 'string' },
+                        { type: 'number' },
+                        {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: 50,
+                            items: { oneOf: [{ type: 'string' }, { type: 'number' }] }
+                        }
+                    ]
+                },
+                example: { model: 'gpt-4o-mini', lang: ['ru', 'en'], catalogVersion: 7 }
+            },
+            Tags: {
+                type: 'array',
+                description: 'Теги записи для групповой инвалидации; приводятся к нижнему регистру',
+                maxItems: 20,
+                items: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 64,
+                    pattern: '^[\\p{L}\\p{N}_.:-]+$'
+                },
+                example: ['catalog:2024-06', 'pricing']
+            },
+            Context: {
+                type: 'array',
+                description: 'Предыдущие реплики диалога, от старых к новым',
+                items: {
+                    oneOf: [
+                        { type: 'string' },
+                        {
+                            type: 'object',
+                            required: ['content'],
+                            properties: {
+                                role: { type: 'string' },
+                                content: { type: 'string' }
+                            }
+                        }
+                    ]
+                }
+            },
+            Ttl: {
+                type: 'integer',
+                minimum: 0,
+                nullable: true,
+                description: 'Время жизни записи в секундах, 0 — бессрочно'
+            },
+            DependsOn: {
+                type: 'array',
+                description: 'Величины, от которых зависит ответ: названия ("current") или единицы измерения ("A", "мм2")',
+                items: { type: 'string', minLength: 1 },
+                example: ['current', 'мм2']
+            },
+            Pacing: {
+                type: 'object',
+                description: 'Темп потоковой передачи кэшированного ответа',
+                properties: {
+                    chunkSize: { type: 'integer', minimum: 1 },
+                    delayMs: { type: 'integer', minimum: 0, maximum: 10000 }
+                }
+            },
+            SynonymText: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 200,
+                pattern: '[\\p{L}\\p{N}]',
+                description: 'Слово или фраза с буквами или цифрами'
+            },
+            Entity: {
+                type: 'object',
+                properties: {
+                    value: { type: 'number' },
+                    unit: { type: 'string', nullable: true }
+                }
+            },
+            QueryResult: {
+                type: 'object',
+                properties: {
+                    found: { type: 'boolean' },
+                    cacheHit: { type: 'boolean' },
+                    response: { type: 'string' },
+                    similarity: { type: 'number' },
+                    quality: { type: 'number' },
+                    matchType: { type: 'string' },
+                    matchSignal: { type: 'string' },
+                    scores: { type: 'object' },
+                    contextual: { type: 'boolean' },
+                    conversationId: { type: 'string' },
+                    usageCount: { type: 'integer' },
+                    createdAt: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            },
+            Candidate: {
+                type: 'object',
+                properties: {
+                    conversationId: { type: 'string' },
+                    query: { type: 'string' },
+                    similarity: { type: 'number' },
+                    rankScore: { type: 'number' },
+                    quality: { type: 'number' },
+                    matchType: { type: 'string' },
+                    matchSignal: { type: 'string' },
+                    scores: { type: 'object' },
+                    aboveThreshold: { type: 'boolean' }
+                }
+            },
+            Conversation: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    user_query: { type: 'string' },
+                    ai_response: { type: 'string' },
+                    metadata: { type: 'object' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    aliases: { type: 'array', items: ref('Alias') },
+                    usage_count: { type: 'integer' },
+                    status: { type: 'string' },
+                    version: { type: 'integer' },
+                    created_at: { type: 'string' }
+                }
+            },
+            Alias: {
+                type: 'object',
+                description: 'Формулировка, объединенная с разговором',
+                properties: {
+                    id: { type: 'string' },
+                    user_query: { type: 'string' },
+                    usage_count: { type: 'integer', description: 'Использование до объединения' },
+                    merged_at: { type: 'string' },
+                    merged_by: { type: 'string', nullable: true }
+                }
+            },
+            DuplicateCluster: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    canonical_id: { type: 'string' },
+                    size: { type: 'integer' },
+                    usage_count: { type: 'integer' },
+                    created_at: { type: 'string' },
+                    conversations: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string' },
+                                user_query: { type: 'string' },
+                                ai_response: { type: 'string' },
+                                status: { type: 'string' },
+                                usage_count: { type: 'integer' },
+                                quality: { type: 'number' },
+                                similarity: { type: 'number', description: 'Доля общих ключевых слов с каноническим' },
+                                aliases: { type: 'integer' },
+                                created_at: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            Synonym: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    phrase: { type: 'string' },
+                    canonical: { type: 'string' },
+                    created_at: { type: 'string' },
+                    updated_at: { type: 'string' }
+                }
+            },
+            Redaction: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    conversation_id: { type: 'string', nullable: true },
+                    field: { type: 'string', enum: ['query', 'response'] },
+                    pii_type: { type: 'string', example: 'phone' },
+                    count: { type: 'integer' },
+                    action: { type: 'string', enum: ['redacted', 'rejected'] },
+                    source: { type: 'string', enum: ['save', 'edit', 'replace', 'merge', 'import'] },
+                    actor: { type: 'string', nullable: true, description: 'API-ключ автора изменения' },
+                    created_at: { type: 'string' }
+                }
+            },
+            Readiness: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['ready', 'not_ready'] },
+                    database: { type: 'string', enum: ['ready', 'not_ready'] },
+                    shuttingDown: { type: 'boolean' }
+                }
+            },
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: { type: 'string' },
+                    code: { type: 'string' },
+                    details: { type: 'string' }
+                }
+            },
+            ValidationError: {
+                type: 'object',
+                required: ['error', 'code', 'errors'],
+                properties: {
+                    error: { type: 'string' },
+                    code: { type: 'string', enum: ['invalid_request'] },
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                in: { type: 'string', enum: ['body', 'query', 'path'] },
+                                name: { type: 'string', example: 'context[1].content' },
+                                message: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        responses: {
+            400: { description: 'Некорректные параметры запроса', content: jsonContent(ref('ValidationError')) },
+            401: { description: 'Нет API-ключа, ключ недействителен или неверный секрет webhook', content: jsonContent(ref('Error')) },
+            403: { description: 'Недостаточно прав', content: jsonContent(ref('Error')) },
+            404: { description: 'Не найдено', content: jsonContent(ref('Error')) },
+            409: { description: 'Конфликт с существующей записью', content: jsonContent(ref('Error')) },
+            422: { description: 'Ответ содержит персональные данные и не сохраняется (PII_REJECT_ANSWERS)', content: jsonContent(ref('Error')) },
+            429: { description: 'Превышено ограничение частоты или квота', content: jsonContent(ref('Error')) },
+            500: { description: 'Внутренняя ошибка', content: jsonContent(ref('Error')) }
+        }
+    }
+};
+
+module.exports = spec;
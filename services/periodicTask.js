@@ -0,0 +1,61 @@
+// Фоновая задача, которая выполняется раз в intervalMs после подготовки базы.
+// Подкласс реализует run(); ошибка прохода пишется в журнал с errorMessage и не прерывает расписание
+class PeriodicTask {
+    constructor(dbManager, { intervalMs, errorMessage }) {
+        this.dbManager = dbManager;
+        // 0 — задача запускается только вручную через runOnce
+        this.intervalMs = intervalMs;
+        this.errorMessage = errorMessage;
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        if (this.intervalMs <= 0 || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+        // Таймер не должен удерживать процесс при завершении
+        this.timer.unref();
+        this.runOnce();
+    }
+
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        // Дожидаемся текущего прохода, чтобы не закрыть базу посреди транзакции
+        if (this.running) {
+            await this.running;
+        }
+    }
+
+    // Один проход; параллельные проходы не запускаются. Возвращает результат run() или null при ошибке
+    runOnce() {
+        if (this.running) {
+            return this.running;
+        }
+
+        this.running = (async () => {
+            try {
+                await this.dbManager.ready;
+                return await this.run();
+            } catch (error) {
+                this.dbManager.logger.error(this.errorMessage, { error });
+                return null;
+            } finally {
+                this.running = null;
+            }
+        })();
+
+        return this.running;
+    }
+
+    async run() {
+        throw new Error('Подкласс PeriodicTask должен реализовать run()');
+    }
+}
+
+module.exports = PeriodicTask;
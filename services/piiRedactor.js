@@ -0,0 +1,167 @@
+// Поиск персональных данных в тексте и замена их типизированными заглушками ([PHONE], [EMAIL]...).
+// Детектор — { type, pattern, validate? }: pattern — глобальное регулярное выражение,
+// validate(match, before) отбрасывает ложные совпадения (например, номер карты с неверной
+// контрольной суммой); before — текст перед совпадением
+
+// Контрольная сумма номера карты по алгоритму Луна
+const luhnValid = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+const STREET = '(?:ул\\.?|улица|пр-т|просп\\.?|проспект|пер\\.?|переулок|б-р|бульвар|ш\\.|шоссе|наб\\.?|набережная|пл\\.|площадь|мкр\\.?|микрорайон)';
+const BUILDING = '(?:д\\.?|дом)';
+const PART = '(?:к\\.|корп\\.?|корпус|стр\\.?|строение|кв\\.?|квартира|оф\\.?|офис)';
+// Номер дома: 5, 5а, 10к2, 12/3; дробное число ("пл. 2.5 мм2") номером дома не считается
+const NUMBER = '\\d+(?:[/\\p{L}]\\d*)?(?![.,]?\\d)';
+// Название улицы начинается с буквы, порядковый номер допускается только в форме "1-я"
+const STREET_NAME = '(?:\\d+-\\p{L}{1,2}\\s+)?\\p{L}[\\p{L}\\d.-]*';
+
+// Коды товаров и нормативов похожи на телефоны и номера карт: "артикул 4601234567890",
+// "код товара 4601234567890", "ТУ 3521-001-..."
+const CODE_MARKER = /(?<!\p{L})(?:артикул\p{L}*|арт\.|код(?:\s+товара)?|штрих-?код\p{L}*|ту|гост(?:\s+р)?|iso|sku|ean)\s*[:№#]?\s*$/iu;
+
+// Встроенные детекторы в порядке применения: номер карты раньше телефона, иначе его часть
+// была бы принята за телефон
+const BUILTIN_DETECTORS = {
+    email: {
+        type: 'email',
+        pattern: /[\p{L}\d._%+-]+@[\p{L}\d.-]+\.\p{L}{2,}/gu
+    },
+    card: {
+        type: 'card',
+        pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        // Номер по группам из четырех цифр похож на карту, даже если контрольная сумма не сходится.
+        // Контрольной суммы мало: ей удовлетворяет и штрихкод EAN-13, поэтому без групп по четыре
+        // нужна длина номера карты (15–19 цифр)
+        validate: (match, before) => {
+            if (CODE_MARKER.test(before)) {
+                return false;
+            }
+            if (/^\d{4}(?:[ -]\d{4}){3}$/.test(match)) {
+                return true;
+            }
+            const digits = match.replace(/\D/g, '');
+            const grouped = /^\d{4}(?:[ -]\d{4})+(?:[ -]\d{1,3})?$/.test(match);
+            return luhnValid(digits) && (grouped || (digits.length >= 15 && digits.length <= 19));
+        }
+    },
+    phone: {
+        type: 'phone',
+        // Номер телефона узнается по форме, а не по числу цифр: код страны (+7, +44), ведущая 8,
+        // код города в скобках или группы 3-3-2-2. +7 (900) 123-45-67, 8 900 123 45 67,
+        // 89001234567, (495) 123-45-67, 900 123-45-67, +44 20 7946 0958
+        pattern: new RegExp(
+            '(?<![\\d\\p{L}+])(?:'
+                + '\\+\\d{1,3}[\\s-]?(?:\\(\\d{1,5}\\)[\\s-]?)?\\d(?:[\\s-]?\\d){4,11}'
+                + '|8[\\s-]?(?:\\(\\d{3,5}\\)|\\d{3})[\\s-]?\\d{1,3}[\\s-]?\\d{2}[\\s-]?\\d{2}'
+                + '|\\(\\d{3,5}\\)[\\s-]?\\d{1,3}[\\s-]?\\d{2}[\\s-]?\\d{2}'
+                + '|\\d{3}[\\s-]\\d{3}[\\s-]\\d{2}[\\s-]\\d{2}'
+                + ')(?![\\d\\p{L}])',
+            'gu'
+        ),
+        validate: (match, before) => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 10 && digits <= 13 && !CODE_MARKER.test(before);
+        }
+    },
+    address: {
+        type: 'address',
+        // ул. Ленина, д. 5, кв. 12; улица Мира 10к2
+        pattern: new RegExp(
+            `(?<!\\p{L})${STREET}\\s+${STREET_NAME}(?:\\s+[\\p{L}.-]+){0,3}?,?\\s*(?:${BUILDING}\\s*)?${NUMBER}`
+                + `(?:(?:,\\s*|\\s+)${PART}\\s*${NUMBER})*`
+                + `|\\d+\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:Street|St\\.|Avenue|Ave\\.|Road|Rd\\.|Boulevard|Blvd\\.|Lane|Ln\\.)`,
+            'giu'
+        )
+    }
+};
+
+const DETECTOR_NAMES = Object.keys(BUILTIN_DETECTORS);
+
+// Заглушка в тексте: [PHONE], [EMAIL], [PASSPORT]
+const PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*\]/g;
+
+class PiiRedactor {
+    // options.detectors — имена встроенных детекторов, options.customPatterns — { тип: регулярное выражение }
+    constructor(options = {}) {
+        const env = process.env;
+
+        this.enabled = (options.enabled ?? env.PII_REDACTION ?? 'true') !== 'false';
+        // Ответ с персональными данными относится к конкретному пользователю: при включенном
+        // PII_REJECT_ANSWERS такой ответ не кэшируется вовсе, иначе данные в нем заменяются
+        this.rejectAnswers = (options.rejectAnswers ?? env.PII_REJECT_ANSWERS ?? 'false') === 'true';
+        this.detectors = [];
+
+        // Собственные шаблоны точнее встроенных, поэтому применяются первыми: номер паспорта
+        // не должен быть принят за телефон
+        const customPatterns = options.customPatterns || JSON.parse(env.PII_CUSTOM_PATTERNS || '{}');
+        for (const [type, source] of Object.entries(customPatterns)) {
+            this.register({ type, pattern: new RegExp(source, 'giu') });
+        }
+
+        const names = options.detectors
+            || (env.PII_DETECTORS ? env.PII_DETECTORS.split(',').map(name => name.trim()).filter(Boolean) : DETECTOR_NAMES);
+        for (const name of names) {
+            if (!BUILTIN_DETECTORS[name]) {
+                throw new Error(`Неизвестный детектор персональных данных: ${name}. Доступны: ${DETECTOR_NAMES.join(', ')}`);
+            }
+            this.register(BUILTIN_DETECTORS[name]);
+        }
+    }
+
+    // Добавление детектора; тип становится именем заглушки
+    register(detector) {
+        if (!/^[a-z][a-z0-9_]*$/i.test(detector.type)) {
+            throw new Error(`Тип персональных данных должен состоять из латинских букв, цифр и _: ${detector.type}`);
+        }
+        if (!detector.pattern.global) {
+            throw new Error(`Регулярное выражение детектора ${detector.type} должно быть глобальным`);
+        }
+        this.detectors.push(detector);
+        return this;
+    }
+
+    placeholder(type) {
+        return `[${type.toUpperCase()}]`;
+    }
+
+    // Замена найденных данных заглушками. Возвращает текст и число замен по типам: { phone: 2 }.
+    // Сами значения не возвращаются, чтобы они не попали в журнал
+    redact(text) {
+        const counts = {};
+        if (!this.enabled || typeof text !== 'string') {
+            return { text, counts };
+        }
+
+        let result = text;
+        for (const detector of this.detectors) {
+            result = result.replace(detector.pattern, (match, ...args) => {
+                const offset = args.find(arg => typeof arg === 'number');
+                if (detector.validate && !detector.validate(match, result.slice(0, offset))) {
+                    return match;
+                }
+                counts[detector.type] = (counts[detector.type] || 0) + 1;
+                return this.placeholder(detector.type);
+            });
+        }
+
+        return { text: result, counts };
+    }
+
+    // Текст без заглушек: они не должны становиться ключевыми словами
+    stripPlaceholders(text) {
+        return text.replace(PLACEHOLDER_PATTERN, ' ');
+    }
+}
+
+module.exports = PiiRedactor;
+module.exports.DETECTOR_NAMES = DETECTOR_NAMES;
@@ -0,0 +1,236 @@
+// Ограничения по умолчанию для групп маршрутов: емкость корзины токенов и пополнение в минуту.
+// capacity: 0 отключает ограничение группы
+const DEFAULT_LIMITS = {
+    query: { capacity: 60, perMinute: 60 },
+    chat: { capacity: 10, perMinute: 10 },
+    write: { capacity: 30, perMinute: 30 },
+    read: { capacity: 120, perMinute: 120 },
+    admin: { capacity: 30, perMinute: 30 }
+};
+
+// Квоты на сохранения и запросы к модели за сутки и месяц (UTC); 0 — без ограничения
+const DEFAULT_QUOTAS = {
+    save: { daily: 0, monthly: 0 },
+    model: { daily: 0, monthly: 0 }
+};
+
+// Через сколько часов простоя корзина гарантированно полна и ее запись можно удалить
+const IDLE_BUCKET_HOURS = 24;
+
+// Превышение ограничения частоты или квоты; передается клиенту как 429 с Retry-After
+class RateLimitError extends Error {
+    constructor(message, { code, retryAfter, limit, group, counter, period }) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.code = code;
+        this.retryAfter = retryAfter;
+        this.limit = limit;
+        this.group = group;
+        this.counter = counter;
+        this.period = period;
+    }
+}
+
+// Периоды квот для момента now: сутки и месяц по UTC
+function quotaPeriods(now = Date.now()) {
+    const date = new Date(now).toISOString();
+    return { daily: `day:${date.slice(0, 10)}`, monthly: `month:${date.slice(0, 7)}` };
+}
+
+// Начало следующего периода квоты
+function periodEnd(type, now = Date.now()) {
+    const date = new Date(now);
+    return type === 'daily'
+        ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+        : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+// Ограничение частоты запросов корзиной токенов для каждого вызывающего и группы маршрутов,
+// суточные и месячные квоты. Состояние хранится в хранилище и переживает перезапуск
+class RateLimiter {
+    constructor(storage, options = {}) {
+        const env = process.env;
+
+        this.storage = storage;
+        this.enabled = (options.enabled ?? env.RATE_LIMIT_ENABLED ?? 'true') !== 'false';
+        // Кто считается вызывающим: key — API-ключ, user — userId запроса, ip — адрес клиента
+        this.identity = options.identity || env.RATE_LIMIT_BY || 'key';
+        if (!['key', 'user', 'ip'].includes(this.identity)) {
+            throw new Error(`Неизвестный способ определения вызывающего: ${this.identity}`);
+        }
+
+        const limits = options.limits || JSON.parse(env.RATE_LIMITS || '{}');
+        this.limits = Object.fromEntries(Object.entries(DEFAULT_LIMITS)
+            .map(([group, defaults]) => [group, { ...defaults, ...limits[group] }]));
+
+        const quotas = options.quotas || JSON.parse(env.USAGE_QUOTAS || '{}');
+        this.quotas = Object.fromEntries(Object.entries(DEFAULT_QUOTAS)
+            .map(([counter, defaults]) => [counter, { ...defaults, ...quotas[counter] }]));
+    }
+
+    // Идентификатор вызывающего; без ключа или userId используется адрес клиента.
+    // userId приходит от клиента, поэтому учитывается только вместе с API-ключом: пользователи
+    // выделяются внутри ключа, а запрос без ключа не может сменить корзину, подставив другой userId
+    callerOf(req) {
+        const { keyId } = req.auth || {};
+        const userId = (req.body && req.body.userId) || req.query.userId;
+
+        if (this.identity === 'user' && userId && keyId) {
+            return `user:${keyId}:${userId}`;
+        }
+        if (this.identity !== 'ip' && keyId) {
+            return `key:${keyId}`;
+        }
+        return `ip:${req.ip}`;
+    }
+
+    // Количество токенов после пополнения с момента последнего обращения
+    refill(bucket, limit, now) {
+        if (!bucket) {
+            return limit.capacity;
+        }
+        const elapsedMinutes = Math.max(0, now - bucket.updated_at) / 60000;
+        return Math.min(limit.capacity, bucket.tokens + elapsedMinutes * limit.perMinute);
+    }
+
+    // Списание токена из корзины группы: { allowed, limit, remaining, retryAfter }
+    async take(caller, tenant, group, now = Date.now()) {
+        const limit = this.limits[group];
+        if (!this.enabled || !limit || !(limit.capacity > 0)) {
+            return { allowed: true, limit: null };
+        }
+
+        return this.storage.transaction(async () => {
+            const tokens = this.refill(await this.storage.getRateBucket(caller, group), limit, now);
+
+            if (tokens < 1) {
+                return {
+                    allowed: false,
+                    limit: limit.capacity,
+                    remaining: 0,
+                    retryAfter: limit.perMinute > 0 ? Math.ceil((1 - tokens) / limit.perMinute * 60) : null
+                };
+            }
+
+            await this.storage.putRateBucket(caller, tenant, group, tokens - 1, now);
+            return { allowed: true, limit: limit.capacity, remaining: Math.floor(tokens - 1) };
+        });
+    }
+
+    // Периоды, по которым квота счетчика ограничена: [] — квота не действует
+    limitedPeriods(counter, now) {
+        const quota = this.quotas[counter];
+        if (!this.enabled || !quota) {
+            return [];
+        }
+
+        const periods = quotaPeriods(now);
+        return Object.keys(periods)
+            .filter(type => quota[type] > 0)
+            .map(type => ({ type, period: periods[type], limit: quota[type] }));
+    }
+
+    // Проверка квоты без учета: RateLimitError, если квота уже исчерпана
+    async check(caller, counter, now = Date.now()) {
+        const limited = this.limitedPeriods(counter, now);
+        if (limited.length === 0) {
+            return;
+        }
+
+        const counts = await this.storage.getUsageCounters(caller, counter, limited.map(entry => entry.period));
+        for (const { type, period, limit } of limited) {
+            if ((counts.get(period) || 0) >= limit) {
+                throw new RateLimitError(
+                    `Исчерпана ${type === 'daily' ? 'суточная' : 'месячная'} квота ${counter}: ${limit}`,
+                    {
+                        code: 'quota_exceeded',
+                        retryAfter: Math.ceil((periodEnd(type, now) - now) / 1000),
+                        limit,
+                        counter,
+                        period: type
+                    }
+                );
+            }
+        }
+    }
+
+    // Учет без проверки: вызывается, когда сохранение или запрос к модели уже состоялись,
+    // чтобы неудачная попытка не расходовала квоту
+    async record(caller, tenant, counter, now = Date.now()) {
+        const limited = this.limitedPeriods(counter, now);
+        if (limited.length > 0) {
+            await this.storage.addUsageCounters(caller, tenant, counter, limited.map(entry => entry.period));
+        }
+    }
+
+    // Текущее потребление вызывающего: остаток токенов по группам и использование квот
+    async usage(caller, now = Date.now()) {
+        const periods = quotaPeriods(now);
+        const rateLimits = {};
+        const quotas = {};
+
+        for (const [group, limit] of Object.entries(this.limits)) {
+            if (!(limit.capacity > 0)) {
+                rateLimits[group] = { capacity: 0, perMinute: limit.perMinute, remaining: null };
+                continue;
+            }
+            const tokens = this.refill(await this.storage.getRateBucket(caller, group), limit, now);
+            rateLimits[group] = {
+                capacity: limit.capacity,
+                perMinute: limit.perMinute,
+                remaining: Math.floor(tokens),
+                // Через сколько секунд корзина снова будет полной
+                fullInSeconds: limit.perMinute > 0 ? Math.ceil((limit.capacity - tokens) / limit.perMinute * 60) : null
+            };
+        }
+
+        for (const [counter, quota] of Object.entries(this.quotas)) {
+            const counts = await this.storage.getUsageCounters(caller, counter, Object.values(periods));
+            quotas[counter] = Object.fromEntries(Object.keys(periods).map(type => {
+                const used = counts.get(periods[type]) || 0;
+                return [type, {
+                    limit: quota[type] || null,
+                    used,
+                    remaining: quota[type] > 0 ? Math.max(0, quota[type] - used) : null,
+                    resetsAt: new Date(periodEnd(type, now)).toISOString()
+                }];
+            }));
+        }
+
+        return { caller, enabled: this.enabled, rateLimits, quotas };
+    }
+
+    // Потребление квот всеми вызывающими арендатора за текущие сутки и месяц
+    async tenantUsage(tenant, now = Date.now()) {
+        const periods = quotaPeriods(now);
+        const rows = await this.storage.listUsageCounters(tenant, Object.values(periods));
+        const callers = new Map();
+
+        for (const row of rows) {
+            if (!callers.has(row.caller)) {
+                callers.set(row.caller, { caller: row.caller, quotas: {} });
+            }
+            const quotas = callers.get(row.caller).quotas;
+            const type = row.period === periods.daily ? 'daily' : 'monthly';
+            quotas[row.counter] = { ...quotas[row.counter], [type]: row.count };
+        }
+
+        return {
+            periods,
+            quotas: this.quotas,
+            callers: [...callers.values()]
+        };
+    }
+
+    // Удаление счетчиков прошедших периодов и записей давно простаивающих корзин
+    async purge(now = Date.now()) {
+        const periods = quotaPeriods(now);
+        return this.storage.purgeRateLimits({
+            periods: Object.values(periods),
+            idleBefore: now - IDLE_BUCKET_HOURS * 3600 * 1000
+        });
+    }
+}
+
+module.exports = { RateLimiter, RateLimitError, DEFAULT_LIMITS, DEFAULT_QUOTAS };
@@ -0,0 +1,93 @@
+// Клиент ожидает ответ потоком Server-Sent Events
+const wantsEventStream = (req) => (req.get('accept') || '').includes('text/event-stream');
+
+// Поток Server-Sent Events с событиями meta, delta, done и error.
+// После отключения клиента запись прекращается без ошибок
+class SseStream {
+    constructor(req, res, options = {}) {
+        const env = process.env;
+
+        this.res = res;
+        // Размер фрагмента кэшированного ответа в символах и пауза между фрагментами
+        this.chunkSize = Math.max(1, parseInt(options.chunkSize ?? env.SSE_CHUNK_SIZE ?? 24));
+        this.delayMs = Math.max(0, parseInt(options.delayMs ?? env.SSE_CHUNK_DELAY_MS ?? 0));
+        this.closed = false;
+        this.deltas = 0;
+
+        res.on('close', () => {
+            this.closed = true;
+        });
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        // Прокси не должны буферизовать поток
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+    }
+
+    // Отправка события; ожидает освобождения буфера при медленном клиенте
+    send(event, data) {
+        if (this.closed) {
+            return Promise.resolve(false);
+        }
+
+        const ok = this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (ok) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const done = () => {
+                this.res.off('drain', done);
+                this.res.off('close', done);
+                resolve(!this.closed);
+            };
+            this.res.on('drain', done);
+            this.res.on('close', done);
+        });
+    }
+
+    delta(text) {
+        return this.send('delta', { index: this.deltas++, text });
+    }
+
+    // Кэшированный ответ по фрагментам; разрыв по возможности приходится на пробел
+    async sendText(text) {
+        let position = 0;
+
+        while (position < text.length && !this.closed) {
+            let end = Math.min(position + this.chunkSize, text.length);
+            if (end < text.length) {
+                const space = text.lastIndexOf(' ', end);
+                if (space > position) end = space + 1;
+            }
+
+            await this.delta(text.slice(position, end));
+            position = end;
+
+            if (this.delayMs > 0 && position < text.length) {
+                await new Promise(resolve => setTimeout(resolve, this.delayMs));
+            }
+        }
+    }
+
+    async error(error, code) {
+        await this.send('error', { error, code });
+        this.end();
+    }
+
+    async done(data) {
+        await this.send('done', { ...data, chunks: this.deltas });
+        this.end();
+    }
+
+    end() {
+        if (!this.closed) {
+            this.res.end();
+        }
+    }
+}
+
+module.exports = { SseStream, wantsEventStream };
@@ -0,0 +1,58 @@
+// Словарь синонимов арендатора. Фразы сравниваются по основам слов, поэтому
+// "автоматического выключателя" совпадает с записью "автоматический выключатель"
+class SynonymDictionary {
+    constructor(keywordExtractor, entries = []) {
+        this.keywordExtractor = keywordExtractor;
+        this.size = 0;
+        // Первая основа фразы -> правила, более длинные фразы первыми
+        this.rules = new Map();
+
+        for (const { phrase, canonical } of entries) {
+            const stems = this.stems(phrase);
+            if (stems.length === 0) continue;
+
+            if (!this.rules.has(stems[0])) {
+                this.rules.set(stems[0], []);
+            }
+            this.rules.get(stems[0]).push({ stems, canonical });
+            this.size++;
+        }
+
+        for (const rules of this.rules.values()) {
+            rules.sort((a, b) => b.stems.length - a.stems.length);
+        }
+    }
+
+    stems(text) {
+        return this.keywordExtractor.tokenize(text).map(token => this.keywordExtractor.stem(token));
+    }
+
+    // Текст, в котором слова и фразы словаря заменены каноническими терминами.
+    // Результат — слова через пробел: он предназначен для извлечения ключевых слов, а не для показа
+    apply(text) {
+        if (this.size === 0) {
+            return text;
+        }
+
+        const tokens = this.keywordExtractor.tokenize(text);
+        const stems = tokens.map(token => this.keywordExtractor.stem(token));
+        const result = [];
+
+        for (let i = 0; i < tokens.length;) {
+            const rule = (this.rules.get(stems[i]) || [])
+                .find(candidate => candidate.stems.every((stem, offset) => stems[i + offset] === stem));
+
+            if (rule) {
+                result.push(rule.canonical);
+                i += rule.stems.length;
+            } else {
+                result.push(tokens[i]);
+                i++;
+            }
+        }
+
+        return result.join(' ');
+    }
+}
+
+module.exports = SynonymDictionary;
@@ -0,0 +1,161 @@
+const { DEFAULT_TENANT } = require('../database/database');
+
+// Предел длины сообщения в Telegram
+const MESSAGE_LIMIT = 4096;
+
+// Кнопки оценки: callback_data вида fb:up:<id разговора> (не длиннее 64 байт)
+const FEEDBACK_PREFIX = 'fb';
+
+const HELP_TEXT = [
+    'Задайте вопрос текстом — я поищу готовый ответ в базе.',
+    '',
+    'Команды:',
+    '/help — эта справка',
+    '/stats — статистика базы ответов',
+    '',
+    'Под каждым ответом есть кнопки 👍 и 👎: оценки помогают убирать неудачные ответы.'
+].join('\n');
+
+// Длинный ответ делится на сообщения по границам абзацев или строк, если это возможно
+const splitMessage = (text) => {
+    const parts = [];
+    let rest = text;
+    while (rest.length > MESSAGE_LIMIT) {
+        const window = rest.slice(0, MESSAGE_LIMIT);
+        const cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'));
+        const end = cut > MESSAGE_LIMIT / 2 ? cut : MESSAGE_LIMIT;
+        parts.push(rest.slice(0, end));
+        rest = rest.slice(end).replace(/^\n+/, '');
+    }
+    parts.push(rest);
+    return parts;
+};
+
+// Бот Telegram поверх кэша: сообщения превращаются в поиск ответа, чат Telegram служит сессией,
+// оценки с кнопок записываются как обычные оценки ответа. При промахе отправляется заготовленный ответ
+class TelegramBot {
+    constructor(dbManager, client, options = {}) {
+        const env = process.env;
+
+        this.dbManager = dbManager;
+        this.client = client;
+        this.tenant = options.tenant || env.TELEGRAM_TENANT || DEFAULT_TENANT;
+        this.minSimilarity = parseFloat(options.minSimilarity ?? env.TELEGRAM_MIN_SIMILARITY ?? 0.3);
+        this.fallbackMessage = options.fallbackMessage || env.TELEGRAM_FALLBACK_MESSAGE
+            || 'К сожалению, готового ответа на этот вопрос пока нет. Попробуйте сформулировать его иначе.';
+    }
+
+    // Обработка одного обновления из webhook; неизвестные типы обновлений пропускаются
+    async handleUpdate(update) {
+        if (update.callback_query) {
+            return this.handleCallback(update.callback_query);
+        }
+
+        const message = update.message;
+        if (!message || !message.chat) {
+            return;
+        }
+
+        const text = (message.text || '').trim();
+        if (!text) {
+            return this.client.sendMessage(message.chat.id, 'Отправьте вопрос текстом.');
+        }
+
+        if (text.startsWith('/')) {
+            return this.handleCommand(message, text);
+        }
+
+        return this.answer(message, text);
+    }
+
+    sessionOf(chatId) {
+        return `telegram:${chatId}`;
+    }
+
+    userOf(from) {
+        return from ? `telegram:${from.id}` : null;
+    }
+
+    async handleCommand(message, text) {
+        // /stats@имя_бота в группах равнозначна /stats
+        const command = text.split(/\s/)[0].split('@')[0].toLowerCase();
+
+        switch (command) {
+            case '/start': {
+                const name = message.from && message.from.first_name;
+                return this.client.sendMessage(message.chat.id, `${name ? `Здравствуйте, ${name}!` : 'Здравствуйте!'}\n\n${HELP_TEXT}`);
+            }
+            case '/help':
+                return this.client.sendMessage(message.chat.id, HELP_TEXT);
+            case '/stats': {
+                const stats = await this.dbManager.getCacheStats(this.tenant);
+                return this.client.sendMessage(message.chat.id, [
+                    'Статистика базы ответов:',
+                    `Ответов: ${stats.totalConversations}`,
+                    `Ключевых слов: ${stats.totalKeywords}`,
+                    `Обращений: ${stats.totalAccesses}`,
+                    `Использований в среднем: ${stats.avgUsage}, максимум: ${stats.maxUsage ?? 0}`
+                ].join('\n'));
+            }
+            default:
+                return this.client.sendMessage(message.chat.id, `Неизвестная команда ${command}.\n\n${HELP_TEXT}`);
+        }
+    }
+
+    async answer(message, text) {
+        const chatId = message.chat.id;
+        const matches = await this.dbManager.findSimilarConversations(text, 5, this.minSimilarity, {
+            tenant: this.tenant,
+            userId: this.userOf(message.from),
+            sessionId: this.sessionOf(chatId)
+        });
+
+        if (matches.length === 0) {
+            return this.client.sendMessage(chatId, this.fallbackMessage, {
+                reply_to_message_id: message.message_id
+            });
+        }
+
+        const bestMatch = matches[0];
+        const parts = splitMessage(bestMatch.ai_response);
+        for (let i = 0; i < parts.length; i++) {
+            const last = i === parts.length - 1;
+            await this.client.sendMessage(chatId, parts[i], {
+                ...(i === 0 && { reply_to_message_id: message.message_id }),
+                // Кнопки оценки — под последней частью ответа
+                ...(last && {
+                    reply_markup: {
+                        inline_keyboard: [[
+                            { text: '👍', callback_data: `${FEEDBACK_PREFIX}:up:${bestMatch.id}` },
+                            { text: '👎', callback_data: `${FEEDBACK_PREFIX}:down:${bestMatch.id}` }
+                        ]]
+                    }
+                })
+            });
+        }
+    }
+
+    async handleCallback(callback) {
+        const [prefix, rating, conversationId] = (callback.data || '').split(':');
+        if (prefix !== FEEDBACK_PREFIX || !['up', 'down'].includes(rating) || !conversationId) {
+            return this.client.answerCallbackQuery(callback.id);
+        }
+
+        const chatId = callback.message && callback.message.chat.id;
+        const feedback = await this.dbManager.recordFeedback(conversationId, {
+            rating,
+            userId: this.userOf(callback.from),
+            sessionId: chatId !== undefined ? this.sessionOf(chatId) : null,
+            tenant: this.tenant
+        });
+
+        await this.client.answerCallbackQuery(callback.id, feedback ? 'Спасибо за оценку!' : 'Ответ больше не доступен');
+
+        // Кнопки снимаются, чтобы одно сообщение не оценивали повторно
+        if (callback.message) {
+            await this.client.clearReplyMarkup(chatId, callback.message.message_id);
+        }
+    }
+}
+
+module.exports = TelegramBot;
@@ -0,0 +1,97 @@
+// node-fetch v3 распространяется только как ES-модуль
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// Ошибка вызова метода Bot API: сеть, таймаут или ответ ok: false
+class TelegramApiError extends Error {
+    constructor(message, { status = 502, code = 'TELEGRAM_ERROR', details } = {}) {
+        super(message);
+        this.name = 'TelegramApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Клиент Telegram Bot API. Базовый адрес настраивается (TELEGRAM_API_BASE_URL),
+// чтобы проверять бота на локальной заглушке вместо api.telegram.org
+class TelegramClient {
+    constructor(options = {}) {
+        const env = process.env;
+
+        this.token = options.token !== undefined ? options.token : env.TELEGRAM_BOT_TOKEN;
+        this.baseUrl = (options.baseUrl || env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+        this.timeoutMs = parseInt(options.timeoutMs ?? env.TELEGRAM_TIMEOUT_MS ?? 10000);
+    }
+
+    // Вызов метода Bot API с параметрами в JSON; возвращает поле result ответа
+    async call(method, params = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            let response;
+            try {
+                response = await fetch(`${this.baseUrl}/bot${this.token}/${method}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(params),
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new TelegramApiError(`Bot API не ответил за ${this.timeoutMs} мс`, {
+                        status: 504,
+                        code: 'TELEGRAM_TIMEOUT'
+                    });
+                }
+                throw new TelegramApiError('Bot API недоступен', {
+                    code: 'TELEGRAM_UNAVAILABLE',
+                    details: error.message
+                });
+            }
+
+            const body = await response.json().catch(() => null);
+            if (!response.ok || !body || !body.ok) {
+                throw new TelegramApiError(`Bot API вернул ошибку в ${method}: ${response.status}`, {
+                    code: 'TELEGRAM_HTTP_ERROR',
+                    details: body && body.description
+                });
+            }
+
+            return body.result;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    sendMessage(chatId, text, extra = {}) {
+        return this.call('sendMessage', { chat_id: chatId, text, ...extra });
+    }
+
+    answerCallbackQuery(callbackQueryId, text) {
+        return this.call('answerCallbackQuery', { callback_query_id: callbackQueryId, text });
+    }
+
+    // Снятие кнопок с сообщения после оценки
+    clearReplyMarkup(chatId, messageId) {
+        return this.call('editMessageReplyMarkup', {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: { inline_keyboard: [] }
+        });
+    }
+
+    setWebhook(url, secretToken) {
+        return this.call('setWebhook', {
+            url,
+            allowed_updates: ['message', 'callback_query'],
+            ...(secretToken && { secret_token: secretToken })
+        });
+    }
+
+    deleteWebhook() {
+        return this.call('deleteWebhook');
+    }
+}
+
+module.exports = { TelegramClient, TelegramApiError };
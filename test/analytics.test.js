@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+describe('аналитика обращений к кэшу', () => {
+    let dbManager;
+
+    beforeEach(async () => {
+        dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        await dbManager.saveConversation('Какой кабель нужен для розетки', 'ВВГнг 3x2.5');
+    });
+
+    afterEach(async () => {
+        await dbManager.close();
+    });
+
+    // Обращения записываются в журнал в фоне, поэтому ждем их записи перед чтением аналитики
+    async function lookup(...queries) {
+        for (const query of queries) {
+            await dbManager.findSimilarConversations(query, 5, 0.3);
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    it('считает попадания, промахи и их долю по периодам', async () => {
+        await lookup('Какой кабель нужен для розетки', 'кабель для розетки на кухне', 'Как заземлить щиток');
+
+        const analytics = await dbManager.getCacheAnalytics();
+        assert.deepEqual(
+            { ...analytics.totals, avgLatencyMs: undefined },
+            { lookups: 3, hits: 2, misses: 1, hitRate: 0.6667, avgLatencyMs: undefined }
+        );
+        assert.equal(analytics.hitRate.length, 1);
+        assert.equal(analytics.hitRate[0].lookups, 3);
+        assert.match(analytics.hitRate[0].bucket, /^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('разделяет попадания по типу совпадения и сходству', async () => {
+        await lookup('Какой кабель нужен для розетки', 'кабель для розетки на кухне');
+
+        const analytics = await dbManager.getCacheAnalytics();
+        assert.deepEqual(
+            analytics.hitsByMatchType.map(row => [row.matchType, row.matchSignal, row.count]),
+            [['exact', 'exact', 1], ['similar', 'keyword', 1]]
+        );
+        assert.equal(analytics.similarityDistribution.length, 10);
+        assert.equal(analytics.similarityDistribution[9].count, 1);
+        assert.equal(analytics.similarityDistribution.reduce((total, bucket) => total + bucket.count, 0), 2);
+    });
+
+    it('группирует промахи по ключевым словам и не хранит персональные данные', async () => {
+        await lookup('Как заземлить щиток', 'заземлить щиток как?', 'Позвоните +7 916 123-45-67 про счетчик');
+
+        const { topMissed } = await dbManager.getCacheAnalytics();
+        assert.equal(topMissed[0].keywords, 'заземл щиток');
+        assert.equal(topMissed[0].misses, 2);
+        assert.equal(topMissed[0].variants, 2);
+        assert.ok(topMissed.every(row => !row.example.includes('916')));
+    });
+
+    it('учитывает только обращения арендатора за выбранный период', async () => {
+        await dbManager.findSimilarConversations('Какой кабель нужен для розетки', 5, 0.3, { tenant: 'other' });
+        await lookup('Как заземлить щиток');
+
+        assert.equal((await dbManager.getCacheAnalytics()).totals.lookups, 1);
+        assert.equal((await dbManager.getCacheAnalytics({ tenant: 'other' })).totals.hits, 0);
+
+        const past = await dbManager.getCacheAnalytics({ interval: 'hour', from: '2000-01-01', to: '2000-01-02' });
+        assert.equal(past.totals.lookups, 0);
+        assert.equal(past.totals.hitRate, null);
+    });
+});
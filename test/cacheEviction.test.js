@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../database/database');
+const CacheEvictionScheduler = require('../services/cacheEviction');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+describe('срок жизни и вытеснение записей', () => {
+    let dbManager;
+
+    beforeEach(async () => {
+        dbManager = new DatabaseManager({
+            backend: 'memory',
+            logger,
+            defaultTtl: 3600,
+            ttlByCategory: { prices: 60, norms: 0 }
+        });
+        await dbManager.ready;
+    });
+
+    afterEach(async () => {
+        await dbManager.close();
+    });
+
+    // Три записи с разным временем создания: oldest создана раньше всех
+    async function seed() {
+        const ids = {};
+        for (const [name, day] of [['oldest', '01'], ['middle', '02'], ['newest', '03']]) {
+            await dbManager.importConversation({
+                id: `00000000-0000-4000-8000-0000000000${day}`,
+                query: `Вопрос про ${name}`,
+                response: `Ответ ${name}`,
+                createdAt: `2024-01-${day} 00:00:00`
+            });
+            ids[name] = `00000000-0000-4000-8000-0000000000${day}`;
+        }
+        return ids;
+    }
+
+    const remaining = async ids => {
+        const names = [];
+        for (const [name, id] of Object.entries(ids)) {
+            if (await dbManager.getConversation(id)) names.push(name);
+        }
+        return names;
+    };
+
+    it('выбирает срок жизни: явный, по категории, затем общий', async () => {
+        const explicit = await dbManager.saveConversation('Какой кабель нужен для розетки', 'ВВГнг 3x2.5', null, null, {}, { ttl: 0 });
+        const prices = await dbManager.saveConversation('Сколько стоит автомат', '500 руб', null, null, { category: 'prices' });
+        const norms = await dbManager.saveConversation('Какая высота розеток по нормам', '30 см', null, null, { category: 'norms' });
+        const other = await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE');
+
+        assert.equal((await dbManager.getConversation(explicit)).expires_at, null);
+        assert.equal((await dbManager.getConversation(norms)).expires_at, null);
+
+        const expiresIn = async id => (Date.parse(`${(await dbManager.getConversation(id)).expires_at}Z`) - Date.now()) / 1000;
+        assert.ok(Math.abs(await expiresIn(prices) - 60) < 5);
+        assert.ok(Math.abs(await expiresIn(other) - 3600) < 5);
+    });
+
+    it('не отдает просроченную запись и удаляет ее при очистке', async () => {
+        const id = await dbManager.saveConversation('Сколько стоит автомат', '500 руб');
+        await dbManager.storage.updateConversation(id, { expires_at: '2000-01-01 00:00:00' });
+
+        assert.deepEqual(await dbManager.findSimilarConversations('Сколько стоит автомат', 5, 0.3), []);
+        assert.equal(await dbManager.purgeExpired(), 1);
+        assert.equal(await dbManager.getConversation(id), null);
+        assert.equal(await dbManager.purgeExpired(), 0);
+    });
+
+    it('вытесняет самые старые записи по политике age', async () => {
+        const ids = await seed();
+        await dbManager.storage.recordUsage(ids.oldest);
+
+        assert.equal(await dbManager.enforceLimits({ maxEntries: 2, policy: 'age' }), 1);
+        assert.deepEqual(await remaining(ids), ['middle', 'newest']);
+    });
+
+    it('вытесняет давно не использованные записи по политике lru', async () => {
+        const ids = await seed();
+        await dbManager.storage.recordUsage(ids.oldest);
+
+        assert.equal(await dbManager.enforceLimits({ maxEntries: 2, policy: 'lru' }), 1);
+        assert.deepEqual(await remaining(ids), ['oldest', 'newest']);
+    });
+
+    it('вытесняет редко используемые записи по политике lfu', async () => {
+        const ids = await seed();
+        await dbManager.storage.recordUsage(ids.oldest);
+        await dbManager.storage.recordUsage(ids.middle);
+        await dbManager.storage.recordUsage(ids.middle);
+
+        assert.equal(await dbManager.enforceLimits({ maxEntries: 1, policy: 'lfu' }), 2);
+        assert.deepEqual(await remaining(ids), ['middle']);
+    });
+
+    it('отвергает неизвестную политику вытеснения', async () => {
+        await assert.rejects(dbManager.enforceLimits({ maxEntries: 1, policy: 'random' }), /Неизвестная политика вытеснения/);
+        assert.throws(() => new CacheEvictionScheduler(dbManager, { policy: 'random' }), /Неизвестная политика вытеснения/);
+    });
+
+    it('проход обслуживания удаляет просроченные записи и записи сверх лимита', async () => {
+        const ids = await seed();
+        await dbManager.storage.updateConversation(ids.newest, { expires_at: '2000-01-01 00:00:00' });
+
+        const scheduler = new CacheEvictionScheduler(dbManager, { maxEntries: 1, policy: 'age' });
+        const result = await scheduler.run();
+
+        assert.equal(result.expired, 1);
+        assert.equal(result.evicted, 1);
+        assert.deepEqual(await remaining(ids), ['middle']);
+    });
+});
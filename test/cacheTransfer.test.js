@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const DatabaseManager = require('../database/database');
+const { exportConversations, importConversations } = require('../services/cacheTransfer');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+const open = async () => {
+    const dbManager = new DatabaseManager({ backend: 'memory', logger });
+    await dbManager.ready;
+    return dbManager;
+};
+
+// Выгрузка в строку
+async function exportText(dbManager, format) {
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    await exportConversations(dbManager, output, { tenant: 'default', format });
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const importText = (dbManager, text, options = {}) =>
+    importConversations(dbManager, Readable.from([text]), { tenant: 'default', ...options });
+
+const jsonl = records => records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+describe('выгрузка и загрузка кэша', () => {
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        source = await open();
+        target = await open();
+    });
+
+    afterEach(async () => {
+        await source.close();
+        await target.close();
+    });
+
+    for (const format of ['jsonl', 'csv']) {
+        it(`переносит разговоры, теги и карантин через ${format}`, async () => {
+            const active = await source.saveConversation('Какой автомат нужен для плиты', 'C32, "характеристика C"', 'u1', null,
+                { category: 'breakers' }, { tags: ['kitchen'] });
+            const quarantined = await source.saveConversation('Можно ли скрутку в щитке', 'Нет');
+            await source.storage.updateConversation(quarantined, { status: 'quarantined', quarantined_at: '2024-05-01 12:00:00' });
+
+            const report = await importText(target, await exportText(source, format), { format });
+
+            assert.equal(report.inserted, 2);
+            assert.equal(report.invalid, 0);
+
+            const copy = await target.getConversation(active);
+            assert.equal(copy.ai_response, 'C32, "характеристика C"');
+            assert.deepEqual(JSON.parse(copy.metadata), { category: 'breakers' });
+            assert.deepEqual(copy.tags, ['kitchen']);
+
+            const copyQuarantined = await target.getConversation(quarantined);
+            assert.equal(copyQuarantined.status, 'quarantined');
+            assert.equal(copyQuarantined.quarantined_at, '2024-05-01 12:00:00');
+            assert.deepEqual(await target.findSimilarConversations('Можно ли скрутку в щитке', 5, 0.3), []);
+        });
+    }
+
+    it('в пробном запуске считает повторы внутри файла и ничего не пишет', async () => {
+        const record = { query: 'Как заземлить щиток', response: 'Шиной PE' };
+
+        const report = await importText(target, jsonl([record, record]), { dryRun: true });
+
+        assert.equal(report.inserted, 1);
+        assert.equal(report.skipped, 1);
+        assert.deepEqual(await target.findSimilarConversations('Как заземлить щиток', 5, 0.3), []);
+    });
+
+    it('отклоняет некорректные даты и приводит остальные к формату хранилища', async () => {
+        const report = await importText(target, jsonl([
+            { query: 'Сечение кабеля для духовки', response: '4 мм²', expiresAt: 'tomorrow' },
+            { query: 'Нужно ли УЗО в ванной', response: 'Да', createdAt: '2024-05-01T15:00:00+03:00', expiresAt: '2000-01-01T00:00:00Z' },
+            { id: 'kept', query: 'Чем зачистить провод', response: 'Стриппером', expiresAt: '2999-01-01' }
+        ]));
+
+        assert.equal(report.inserted, 2);
+        assert.equal(report.invalid, 1);
+        assert.equal(report.errors[0].line, 1);
+        assert.match(report.errors[0].error, /expiresAt/);
+
+        // Просроченная запись сохранена, но из кэша не отдается
+        const expired = await target.storage.findByQueryHash(target.generateQueryHash('Нужно ли УЗО в ванной', null, 'default'));
+        assert.equal(expired.created_at, '2024-05-01 12:00:00');
+        assert.equal(expired.expires_at, '2000-01-01 00:00:00');
+        assert.deepEqual(await target.findSimilarConversations('Нужно ли УЗО в ванной', 5, 0.3), []);
+
+        assert.equal((await target.getConversation('kept')).expires_at, '2999-01-01 00:00:00');
+        assert.equal((await target.findSimilarConversations('Чем зачистить провод', 5, 0.3)).length, 1);
+    });
+
+    it('сообщает о строках с некорректным JSON и обязательными полями', async () => {
+        const report = await importText(target, '{"query": "без ответа"}\nне json\n');
+
+        assert.equal(report.invalid, 2);
+        assert.deepEqual(report.errors.map(error => error.line), [1, 2]);
+    });
+});
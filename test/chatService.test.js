@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../database/database');
+const ChatService = require('../services/chatService');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+// Провайдер модели, ответы которого тест отпускает вручную
+class DeferredProvider {
+    constructor() {
+        this.calls = [];
+    }
+
+    complete(query) {
+        return new Promise((resolve, reject) => {
+            this.calls.push({
+                query,
+                resolve: content => resolve({ content, model: 'stub-model', usage: null }),
+                reject
+            });
+        });
+    }
+}
+
+// Дождаться, пока все ожидающие промахи дойдут до запроса к модели
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ChatService', () => {
+    let dbManager;
+    let provider;
+    let chat;
+
+    beforeEach(async () => {
+        dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        provider = new DeferredProvider();
+        chat = new ChatService(dbManager, provider);
+    });
+
+    afterEach(async () => {
+        await dbManager.close();
+    });
+
+    it('объединяет одинаковые одновременные промахи в один запрос к модели', async () => {
+        const first = chat.ask({ query: 'Какой автомат нужен для плиты' });
+        const second = chat.ask({ query: 'Какой автомат нужен для плиты' });
+        await settle();
+
+        assert.equal(provider.calls.length, 1);
+        provider.calls[0].resolve('Автомат на 32А');
+
+        const [leader, follower] = await Promise.all([first, second]);
+        assert.equal(leader.coalesced, false);
+        assert.equal(follower.coalesced, true);
+        assert.equal(follower.response, 'Автомат на 32А');
+        assert.equal(follower.conversationId, leader.conversationId);
+        assert.equal(chat.pending.size, 0);
+    });
+
+    it('отдает сохраненный ответ из кэша без запроса к модели', async () => {
+        const first = chat.ask({ query: 'Сечение кабеля для духовки' });
+        await settle();
+        provider.calls[0].resolve('6 мм²');
+        await first;
+
+        const result = await chat.ask({ query: 'Сечение кабеля для духовки' });
+
+        assert.equal(result.cacheHit, true);
+        assert.equal(result.response, '6 мм²');
+        assert.equal(provider.calls.length, 1);
+    });
+
+    it('ищет в кэше только ответы, подходящие под matchMetadata', async () => {
+        await dbManager.saveConversation('Какой кабель нужен для плиты', 'ВВГнг 3x6', null, null, { category: 'cable' });
+
+        const same = await chat.ask({ query: 'Какой кабель нужен для плиты', matchMetadata: { category: ['cable', 'wires'] } });
+        assert.equal(same.cacheHit, true);
+        assert.equal(same.response, 'ВВГнг 3x6');
+
+        const other = chat.ask({ query: 'Какой кабель нужен для плиты', matchMetadata: { category: 'breakers' } });
+        await settle();
+        assert.equal(provider.calls.length, 1);
+        provider.calls[0].resolve('Ответ модели');
+        assert.equal((await other).cacheHit, false);
+    });
+
+    it('проверяет квоту каждого промаха, а учитывает только отправленный запрос', async () => {
+        const checked = [];
+        const charged = [];
+        const hooks = caller => ({
+            beforeModelCall: async () => { checked.push(caller); },
+            onModelCall: async () => { charged.push(caller); }
+        });
+
+        const first = chat.ask({ query: 'Нужно ли УЗО в ванной', ...hooks('a') });
+        const second = chat.ask({ query: 'Нужно ли УЗО в ванной', ...hooks('b') });
+        await settle();
+        provider.calls[0].resolve('Да, на 30 мА');
+        await Promise.all([first, second]);
+
+        assert.deepEqual(checked.sort(), ['a', 'b']);
+        assert.deepEqual(charged, ['a']);
+    });
+
+    it('отказ в квоте не мешает остальным объединенным промахам', async () => {
+        const quotaError = Object.assign(new Error('Квота исчерпана'), { status: 429 });
+
+        const allowed = chat.ask({ query: 'Чем зачистить провод' });
+        const denied = chat.ask({
+            query: 'Чем зачистить провод',
+            beforeModelCall: async () => { throw quotaError; }
+        });
+
+        await assert.rejects(denied, quotaError);
+        await settle();
+        provider.calls[0].resolve('Стриппером');
+        assert.equal((await allowed).response, 'Стриппером');
+        assert.equal(provider.calls.length, 1);
+    });
+
+    it('передает ошибку модели всем объединенным промахам и не запоминает ее', async () => {
+        const failure = new Error('Модель недоступна');
+
+        const first = chat.ask({ query: 'Как подключить реле' });
+        const second = chat.ask({ query: 'Как подключить реле' });
+        await settle();
+        provider.calls[0].reject(failure);
+
+        await assert.rejects(first, failure);
+        await assert.rejects(second, failure);
+        assert.equal(chat.pending.size, 0);
+
+        const retry = chat.ask({ query: 'Как подключить реле' });
+        await settle();
+        assert.equal(provider.calls.length, 2);
+        provider.calls[1].resolve('По схеме');
+        assert.equal((await retry).coalesced, false);
+    });
+});
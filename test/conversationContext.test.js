@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ConversationContext = require('../services/conversationContext');
+const KeywordExtractor = require('../services/keywordExtractor');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const kitchen = ['Какой кабель нужен для розетки на кухне'];
+const bathroom = ['Какой кабель нужен для освещения в ванной'];
+
+describe('ConversationContext', () => {
+    const context = new ConversationContext(new KeywordExtractor());
+
+    it('учитывает контекст только для уточняющих вопросов', () => {
+        assert.ok(context.resolve('А какое сечение?', kitchen));
+        assert.ok(context.resolve('Сколько он стоит', kitchen));
+        assert.equal(context.resolve('Какой кабель нужен для электроплиты', kitchen), null);
+        assert.equal(context.resolve('А какое сечение?', []), null);
+    });
+
+    it('строит отпечаток по последним репликам пользователя', () => {
+        const turns = [
+            'Как заземлить щиток',
+            { role: 'assistant', content: 'Шиной PE' },
+            ...kitchen
+        ];
+        const short = new ConversationContext(new KeywordExtractor(), { turns: 1 });
+
+        assert.deepEqual(short.resolve('А какое сечение?', turns), short.resolve('А какое сечение?', kitchen));
+        assert.notDeepEqual(context.resolve('А какое сечение?', turns), context.resolve('А какое сечение?', kitchen));
+    });
+
+    it('считает совместимыми контексты с большой долей общих слов', () => {
+        const base = context.resolve('А какое сечение?', kitchen);
+        const similar = context.resolve('А какое сечение?', ['Какой кабель нужен для розетки на кухне дома']);
+        const other = context.resolve('А какое сечение?', bathroom);
+
+        assert.ok(context.isCompatible(base, similar));
+        assert.ok(!context.isCompatible(base, other));
+        assert.ok(!context.isCompatible(base, null));
+    });
+});
+
+describe('Кэш уточняющих вопросов', () => {
+    it('отдает ответ, сохраненный с тем же контекстом диалога', async () => {
+        const dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        try {
+            const first = await dbManager.saveConversation('А какое сечение?', '2.5 мм²', null, null, {}, { context: kitchen });
+            const second = await dbManager.saveConversation('А какое сечение?', '1.5 мм²', null, null, {}, { context: bathroom });
+            assert.notEqual(first, second);
+
+            const answer = async context =>
+                (await dbManager.findSimilarConversations('А какое сечение?', 5, 0.3, { context }))
+                    .map(match => [match.ai_response, match.matchType]);
+
+            assert.deepEqual(await answer(kitchen), [['2.5 мм²', 'exact']]);
+            assert.deepEqual(await answer(bathroom), [['1.5 мм²', 'exact']]);
+            assert.deepEqual(await answer(['Какой кабель нужен для розетки на кухне дома']), [['2.5 мм²', 'similar']]);
+            assert.deepEqual(await answer(['Как заземлить щиток']), []);
+            assert.deepEqual(await answer([]), []);
+        } finally {
+            await dbManager.close();
+        }
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/database');
+const { DuplicateConversationError } = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+for (const backend of ['memory', 'sqlite']) {
+    describe(`похожие разговоры и объединение, хранилище ${backend}`, () => {
+        let dbPath;
+        let dbManager;
+        let short;
+        let long;
+
+        beforeEach(async () => {
+            dbPath = path.join(os.tmpdir(), `ai-cache-duplicates-${process.pid}-${Date.now()}.db`);
+            dbManager = new DatabaseManager({ backend, path: dbPath, logger });
+            await dbManager.ready;
+
+            short = await dbManager.saveConversation('Какой автомат нужен для электроплиты', 'C32', null, null, {}, { tags: ['кухня'] });
+            long = await dbManager.saveConversation('Какой автомат нужен для электроплиты дома', 'C32 или C40', null, null, {}, { tags: ['плита'] });
+            await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE');
+            await dbManager.saveConversation('Какой автомат нужен для электроплиты', 'C25', null, null, {}, { tenant: 'other' });
+        });
+
+        afterEach(async () => {
+            await dbManager.close();
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        it('группирует похожие вопросы только внутри арендатора', async () => {
+            assert.deepEqual(await dbManager.scanDuplicates(), { clusters: 1, conversations: 2 });
+
+            const [cluster] = await dbManager.listDuplicateClusters();
+            assert.deepEqual(cluster.conversations.map(row => row.id).sort(), [short, long].sort());
+            assert.equal(cluster.conversations[0].similarity, 1);
+            assert.deepEqual(await dbManager.listDuplicateClusters({ tenant: 'other' }), []);
+        });
+
+        it('превращает запросы объединенных разговоров в псевдонимы канонического', async () => {
+            await dbManager.storage.recordUsage(long);
+
+            const result = await dbManager.mergeConversations(short, [long], { editedBy: 'admin' });
+            assert.equal(result.merged, 1);
+            assert.equal(await dbManager.getConversation(long), null);
+
+            const canonical = result.conversation;
+            assert.equal(canonical.usage_count, 3);
+            assert.deepEqual(canonical.tags, ['кухня', 'плита']);
+            assert.deepEqual(canonical.aliases.map(alias => [alias.user_query, alias.merged_by]), [
+                ['Какой автомат нужен для электроплиты дома', 'admin']
+            ]);
+
+            const [match] = await dbManager.findSimilarConversations('Какой автомат нужен для электроплиты дома', 5, 0.3);
+            assert.equal(match.id, short);
+            assert.equal(match.matchType, 'exact');
+            assert.equal(match.matchSignal, 'alias');
+
+            assert.deepEqual(await dbManager.scanDuplicates(), { clusters: 0, conversations: 0 });
+        });
+
+        it('заменяет ответ канонического разговора новой версией', async () => {
+            const { conversation } = await dbManager.mergeConversations(short, [long], { response: 'C32, для индукционной плиты C40' });
+
+            assert.equal(conversation.ai_response, 'C32, для индукционной плиты C40');
+            const versions = await dbManager.listVersions(short);
+            assert.deepEqual(versions.map(row => [row.version, row.change_type]), [[2, undefined], [1, 'merge']]);
+        });
+
+        it('не трогает разговоры другого арендатора и неизвестный канонический разговор', async () => {
+            const [foreign] = await dbManager.findSimilarConversations('Какой автомат нужен для электроплиты', 5, 0.3, { tenant: 'other' });
+
+            const result = await dbManager.mergeConversations(short, [foreign.id]);
+            assert.equal(result.merged, 0);
+            assert.ok(await dbManager.getConversation(foreign.id, 'other'));
+
+            assert.equal(await dbManager.mergeConversations('missing', [long]), null);
+            assert.ok(await dbManager.getConversation(long));
+        });
+
+        it('отказывает в сохранении почти такого же вопроса при blockDuplicates', async () => {
+            await assert.rejects(
+                dbManager.saveConversation('Какой автомат нужен дома для электроплиты', 'C40', null, null, {}, { blockDuplicates: true }),
+                error => error instanceof DuplicateConversationError && error.status === 409
+            );
+        });
+    });
+}
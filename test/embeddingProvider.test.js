@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+const {
+    LocalEmbeddingProvider,
+    createEmbeddingProvider,
+    cosineSimilarity,
+    vectorToBuffer,
+    bufferToVector
+} = require('../services/embeddingProvider');
+
+function createManager(embeddingProvider) {
+    return new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }), embeddingProvider });
+}
+
+describe('LocalEmbeddingProvider', () => {
+    it('возвращает одинаковый нормированный вектор для одного текста', async () => {
+        const provider = new LocalEmbeddingProvider({ dimensions: 64 });
+        const first = await provider.embed('Сечение провода');
+        const second = await provider.embed('сечение провода');
+
+        assert.equal(first.length, 64);
+        assert.deepEqual(first, second);
+        assert.ok(Math.abs(cosineSimilarity(first, first) - 1) < 1e-9);
+        assert.equal(provider.model, 'local-hash-64');
+    });
+
+    it('сохраняет вектор в BLOB без потери размерности', async () => {
+        const vector = await new LocalEmbeddingProvider({ dimensions: 16 }).embed('провод');
+        const restored = bufferToVector(vectorToBuffer(vector));
+
+        assert.equal(restored.length, 16);
+        assert.ok(cosineSimilarity(vector, restored) > 0.9999);
+    });
+
+    it('не сравнивает векторы разной размерности', () => {
+        assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+    });
+
+    it('отключается настройкой none и отвергает неизвестный провайдер', () => {
+        assert.equal(createEmbeddingProvider('none'), null);
+        assert.throws(() => createEmbeddingProvider('magic'), /Неизвестный провайдер эмбеддингов/);
+    });
+});
+
+describe('Гибридный поиск', () => {
+    it('находит вопрос без общих ключевых слов по эмбеддингам', async () => {
+        const dbManager = createManager(new LocalEmbeddingProvider());
+        await dbManager.ready;
+        try {
+            const id = await dbManager.saveConversation('Какое сечение провода для электроплиты', 'ВВГнг 3x6');
+
+            const [match] = await dbManager.findSimilarConversations('электроплиточный проводник', 5, 0.1);
+            assert.equal(match.id, id);
+            assert.equal(match.matchSignal, 'semantic');
+            assert.equal(match.scores.keyword, 0);
+
+            const [hybrid] = await dbManager.findSimilarConversations('провод для электроплиты', 5, 0.1);
+            assert.equal(hybrid.matchSignal, 'hybrid');
+            assert.ok(hybrid.scores.semantic > 0);
+
+            assert.deepEqual(await dbManager.findSimilarConversations('погода завтра', 5, 0.1), []);
+        } finally {
+            await dbManager.close();
+        }
+    });
+
+    it('без эмбеддингов ранжирует только по ключевым словам', async () => {
+        const dbManager = createManager(null);
+        await dbManager.ready;
+        try {
+            await dbManager.saveConversation('Какое сечение провода для электроплиты', 'ВВГнг 3x6');
+
+            const [match] = await dbManager.findSimilarConversations('сечение проводки электроплита', 5, 0.1);
+            assert.equal(match.matchSignal, 'keyword');
+            assert.equal(match.similarity, match.scores.keyword);
+        } finally {
+            await dbManager.close();
+        }
+    });
+
+    it('переиндексирует только разговоры без вектора текущей модели', async () => {
+        const dbManager = createManager(null);
+        await dbManager.ready;
+        try {
+            await dbManager.saveConversation('Какое сечение провода для электроплиты', 'ВВГнг 3x6');
+            assert.deepEqual(await dbManager.reindexEmbeddings(), { conversations: 0 });
+
+            dbManager.embeddingProvider = new LocalEmbeddingProvider();
+            assert.deepEqual(await dbManager.reindexEmbeddings(), { conversations: 1, model: 'local-hash-256' });
+            assert.deepEqual(await dbManager.reindexEmbeddings(), { conversations: 0, model: 'local-hash-256' });
+        } finally {
+            await dbManager.close();
+        }
+    });
+});
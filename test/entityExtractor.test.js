@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EntityExtractor = require('../services/entityExtractor');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const extractor = new EntityExtractor();
+
+describe('EntityExtractor', () => {
+    it('распознает единицы в разных написаниях', () => {
+        assert.deepEqual(extractor.extract('кабель 2,5 мм2 на 16А'), [
+            { value: 2.5, unit: 'mm²' },
+            { value: 16, unit: 'A' }
+        ]);
+        assert.deepEqual(extractor.extract('ВВГ 3х2.5'), [
+            { value: 3, unit: 'cores' },
+            { value: 2.5, unit: 'mm²' }
+        ]);
+        assert.deepEqual(extractor.extract('плита 7 кВт от сети 220в'), [
+            { value: 7, unit: 'kW' },
+            { value: 220, unit: 'V' }
+        ]);
+    });
+
+    it('считает отдельные "а" и "в" единицей, только если за ними нет слова', () => {
+        assert.deepEqual(extractor.extract('автомат 25 А'), [{ value: 25, unit: 'A' }]);
+        assert.deepEqual(extractor.extract('розетка на 220 в, в ванной'), [{ value: 220, unit: 'V' }]);
+        assert.deepEqual(extractor.extract('16 а не 25'), [{ value: 16, unit: null }, { value: 25, unit: null }]);
+    });
+
+    it('приводит значения к базовой единице величины', () => {
+        assert.deepEqual(extractor.conflicts(extractor.extract('0.5 кВт'), extractor.extract('500 Вт')), []);
+        assert.deepEqual(extractor.conflicts(extractor.extract('16А'), extractor.extract('32А')), ['current']);
+    });
+
+    it('противоречие: другое значение величины, в том числе без распознанной единицы', () => {
+        const cached = extractor.extract('какой автомат нужен на 16А для плиты');
+
+        assert.deepEqual(extractor.conflicts(extractor.extract('какой автомат нужен на 25А для плиты'), cached), ['current']);
+        assert.deepEqual(extractor.conflicts(extractor.extract('какой автомат нужен на 25 А для плиты'), cached), ['current']);
+        assert.deepEqual(extractor.conflicts(extractor.extract('какой автомат нужен на 16 А для плиты'), cached), []);
+        assert.deepEqual(extractor.conflicts(extractor.extract('какой автомат нужен для плиты'), cached), []);
+    });
+
+    it('требует величины из dependsOn в запросе', () => {
+        const cached = extractor.extract('кабель для плиты 7 кВт');
+
+        assert.deepEqual(extractor.conflicts(extractor.extract('кабель для плиты'), cached, ['power']), ['power']);
+        assert.deepEqual(extractor.conflicts(extractor.extract('кабель для плиты'), cached), []);
+    });
+
+    it('кэш не отдает ответ про 16А на вопрос про 25А или 25 А', async () => {
+        const dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        try {
+            await dbManager.saveConversation('какой автомат нужен на 16А для плиты', 'C16');
+
+            for (const query of ['какой автомат нужен на 25А для плиты', 'какой автомат нужен на 25 А для плиты']) {
+                assert.deepEqual(await dbManager.findSimilarConversations(query, 5, 0.3), [], query);
+            }
+            const [match] = await dbManager.findSimilarConversations('какой автомат нужен на 16 А для плиты', 5, 0.3);
+            assert.equal(match.ai_response, 'C16');
+        } finally {
+            await dbManager.close();
+        }
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+describe('оценки ответов', () => {
+    let dbManager;
+    let id;
+
+    const open = async (options = {}) => {
+        dbManager = new DatabaseManager({
+            backend: 'memory',
+            logger: new Logger({ level: 'error' }),
+            feedbackMinVotes: 3,
+            feedbackQuarantineThreshold: 0.3,
+            ...options
+        });
+        await dbManager.ready;
+        id = await dbManager.saveConversation('Какой автомат нужен для плиты', 'C32');
+    };
+
+    afterEach(async () => {
+        await dbManager.close();
+    });
+
+    describe('FEEDBACK_VOTER_BY=key', () => {
+        beforeEach(() => open());
+
+        it('один ключ не набирает нескольких голосов, меняя userId', async () => {
+            let result;
+            for (const userId of ['u1', 'u2', 'u3', 'u4']) {
+                result = await dbManager.recordFeedback(id, { rating: 'down', userId, caller: 'key:k1' });
+            }
+
+            assert.equal(result.feedbackDown, 1);
+            assert.equal(result.status, 'active');
+        });
+
+        it('повторная оценка заменяет прежнюю', async () => {
+            await dbManager.recordFeedback(id, { rating: 'down', caller: 'key:k1' });
+            const result = await dbManager.recordFeedback(id, { rating: 'up', caller: 'key:k1' });
+
+            assert.equal(result.feedbackUp, 1);
+            assert.equal(result.feedbackDown, 0);
+        });
+
+        it('отправляет в карантин при низком качестве и достаточном числе голосов', async () => {
+            await dbManager.recordFeedback(id, { rating: 'down', caller: 'key:k1' });
+            const early = await dbManager.recordFeedback(id, { rating: 'down', caller: 'key:k2' });
+            assert.equal(early.status, 'active');
+
+            const result = await dbManager.recordFeedback(id, { rating: 'down', caller: 'ip:10.0.0.1' });
+            assert.equal(result.status, 'quarantined');
+            assert.deepEqual(await dbManager.findSimilarConversations('Какой автомат нужен для плиты', 5, 0.3), []);
+        });
+
+        it('возвращает null для неизвестного разговора и чужого арендатора', async () => {
+            assert.equal(await dbManager.recordFeedback('missing', { rating: 'up', caller: 'key:k1' }), null);
+            assert.equal(await dbManager.recordFeedback(id, { rating: 'up', caller: 'key:k1', tenant: 'other' }), null);
+        });
+    });
+
+    describe('FEEDBACK_VOTER_BY=user', () => {
+        beforeEach(() => open({ feedbackVoterBy: 'user' }));
+
+        it('делит голоса ключа по пользователям только внутри ключа', async () => {
+            await dbManager.recordFeedback(id, { rating: 'up', userId: 'u1', caller: 'key:k1' });
+            await dbManager.recordFeedback(id, { rating: 'up', userId: 'u1', caller: 'key:k1' });
+            await dbManager.recordFeedback(id, { rating: 'up', userId: 'u2', caller: 'key:k1' });
+            // Тот же userId с другого ключа — другой голосующий и не заменяет голос первого ключа
+            const result = await dbManager.recordFeedback(id, { rating: 'down', userId: 'u1', caller: 'key:k2' });
+
+            assert.equal(result.feedbackUp, 2);
+            assert.equal(result.feedbackDown, 1);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+for (const backend of ['memory', 'sqlite']) {
+    describe(`групповая инвалидация, хранилище ${backend}`, () => {
+        let dbPath;
+        let dbManager;
+        let ids;
+
+        beforeEach(async () => {
+            dbPath = path.join(os.tmpdir(), `ai-cache-invalidation-${process.pid}-${Date.now()}.db`);
+            dbManager = new DatabaseManager({ backend, path: dbPath, logger });
+            await dbManager.ready;
+
+            ids = {
+                prices: await dbManager.saveConversation('Сколько стоит автомат', '500 руб', null, null,
+                    { category: 'prices', year: 2024 }, { tags: ['Прайс', 'автоматы'] }),
+                oldPrices: await dbManager.saveConversation('Сколько стоит кабель', '100 руб за метр', null, null,
+                    { category: 'prices', year: 2023 }, { tags: ['прайс'] }),
+                norms: await dbManager.saveConversation('Какая высота розеток по нормам', '30 см', null, null,
+                    { category: 'norms' }, { tags: ['пуэ'] }),
+                foreign: await dbManager.saveConversation('Сколько стоит щиток', '3000 руб', null, null,
+                    { category: 'prices' }, { tags: ['прайс'], tenant: 'other' })
+            };
+        });
+
+        afterEach(async () => {
+            await dbManager.close();
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        const present = async () => {
+            const names = [];
+            for (const [name, id] of Object.entries(ids)) {
+                if (await dbManager.getConversation(id, name === 'foreign' ? 'other' : undefined)) names.push(name);
+            }
+            return names;
+        };
+
+        it('выбирает записи по любому из тегов без учета регистра', async () => {
+            const result = await dbManager.invalidateConversations({ tags: ['ПРАЙС', 'пуэ'], dryRun: true });
+            assert.deepEqual(result, { matched: 3, affected: 0 });
+        });
+
+        it('выбирает записи по условиям metadata, сравнивая числа как строки', async () => {
+            assert.equal((await dbManager.invalidateConversations({ metadata: { category: 'prices' }, dryRun: true })).matched, 2);
+            assert.equal((await dbManager.invalidateConversations({ metadata: { year: '2024' }, dryRun: true })).matched, 1);
+            assert.equal((await dbManager.invalidateConversations({ metadata: { year: [2023, 2024] }, dryRun: true })).matched, 2);
+            assert.equal((await dbManager.invalidateConversations({ tags: ['пуэ'], metadata: { category: 'prices' }, dryRun: true })).matched, 0);
+        });
+
+        it('по умолчанию завершает срок действия, и записи перестают отдаваться', async () => {
+            const result = await dbManager.invalidateConversations({ tags: ['прайс'] });
+            assert.deepEqual(result, { matched: 2, affected: 2 });
+
+            assert.deepEqual(await dbManager.findSimilarConversations('Сколько стоит автомат', 5, 0.3), []);
+            assert.equal((await dbManager.findSimilarConversations('Какая высота розеток по нормам', 5, 0.3)).length, 1);
+            assert.equal((await dbManager.findSimilarConversations('Сколько стоит щиток', 5, 0.3, { tenant: 'other' })).length, 1);
+
+            assert.equal(await dbManager.purgeExpired(), 2);
+            assert.deepEqual(await present(), ['norms', 'foreign']);
+        });
+
+        it('удаляет записи сразу при действии delete', async () => {
+            const result = await dbManager.invalidateConversations({ metadata: { category: 'prices' }, action: 'delete' });
+            assert.deepEqual(result, { matched: 2, affected: 2 });
+            assert.deepEqual(await present(), ['norms', 'foreign']);
+        });
+
+        it('ничего не меняет в пробном запуске и отвергает неизвестное действие', async () => {
+            await dbManager.invalidateConversations({ tags: ['прайс'], action: 'delete', dryRun: true });
+            assert.deepEqual(await present(), ['prices', 'oldPrices', 'norms', 'foreign']);
+
+            await assert.rejects(dbManager.invalidateConversations({ tags: ['прайс'], action: 'archive' }), /Неизвестное действие инвалидации/);
+        });
+    });
+}
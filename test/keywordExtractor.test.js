@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const KeywordExtractor = require('../services/keywordExtractor');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const extractor = new KeywordExtractor();
+
+describe('KeywordExtractor', () => {
+    it('убирает русские стоп-слова и приводит слова к основе', () => {
+        assert.deepEqual(extractor.extract('Какой кабель нужен для розетки'), ['кабел', 'нуж', 'розетк']);
+        assert.deepEqual(extractor.extract('кабели'), extractor.extract('кабель'));
+    });
+
+    it('обрабатывает каждое слово стеммером его языка', () => {
+        assert.deepEqual(extractor.extract('Which cable for the kitchen sockets'), ['cabl', 'kitchen', 'socket']);
+        assert.deepEqual(extractor.extract('Кабель NYM для kitchen'), ['кабел', 'nym', 'kitchen']);
+    });
+
+    it('сохраняет аббревиатуры, которые стеммер укоротил бы', () => {
+        assert.deepEqual(extractor.extract('Нужно ли УЗО'), ['узо']);
+    });
+
+    it('не различает е и ё', () => {
+        assert.deepEqual(extractor.extract('счётчик'), extractor.extract('счетчик'));
+    });
+
+    it('определяет язык текста по преобладающему алфавиту', () => {
+        assert.equal(extractor.detectLanguage('Какой кабель нужен'), 'ru');
+        assert.equal(extractor.detectLanguage('Which cable'), 'en');
+    });
+
+    it('находит сохраненный ответ по вопросу в другой словоформе', async () => {
+        const dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        try {
+            const id = await dbManager.saveConversation('Какой кабель нужен для розетки', 'ВВГнг 3x2.5');
+            assert.equal((await dbManager.getConversation(id)).language, 'ru');
+
+            const [match] = await dbManager.findSimilarConversations('какие кабели для розетки', 5, 0.3);
+            assert.equal(match.id, id);
+            assert.equal(match.matchType, 'similar');
+        } finally {
+            await dbManager.close();
+        }
+    });
+});
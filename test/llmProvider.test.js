@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { LLMProvider, LLMProviderError } = require('../services/llmProvider');
+const { Logger } = require('../services/logger');
+
+const logger = new Logger({ level: 'error' });
+
+function completion(content) {
+    return JSON.stringify({ model: 'stub-model', choices: [{ message: { content } }], usage: { total_tokens: 3 } });
+}
+
+// Заглушка chat/completions: каждый запрос обрабатывает очередной обработчик из handlers,
+// последний обработчик повторяется
+describe('LLMProvider', () => {
+    let server;
+    let baseUrl;
+    let handlers;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push(JSON.parse(body));
+                const handler = handlers[Math.min(requests.length, handlers.length) - 1];
+                handler(req, res);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        handlers = [];
+        requests = [];
+    });
+
+    function provider(options = {}) {
+        return new LLMProvider({
+            baseUrl,
+            apiKey: 'test-key',
+            model: 'stub-model',
+            systemPrompt: '',
+            timeoutMs: 200,
+            maxRetries: 2,
+            retryDelayMs: 1,
+            logger,
+            ...options
+        });
+    }
+
+    it('возвращает ответ модели и передает контекст диалога', async () => {
+        handlers = [(req, res) => res.end(completion('Ответ'))];
+
+        const result = await provider().complete('Вопрос', [{ role: 'assistant', content: 'Раньше' }]);
+
+        assert.deepEqual(result, { content: 'Ответ', model: 'stub-model', usage: { total_tokens: 3 } });
+        assert.deepEqual(requests[0].messages, [
+            { role: 'assistant', content: 'Раньше' },
+            { role: 'user', content: 'Вопрос' }
+        ]);
+    });
+
+    it('повторяет запрос после ошибки 5xx и 429', async () => {
+        handlers = [
+            (req, res) => { res.statusCode = 503; res.end('{"error": {"message": "перегрузка"}}'); },
+            (req, res) => { res.statusCode = 429; res.end('not json'); },
+            (req, res) => res.end(completion('После повтора'))
+        ];
+
+        const result = await provider().complete('Вопрос');
+
+        assert.equal(result.content, 'После повтора');
+        assert.equal(requests.length, 3);
+    });
+
+    it('не повторяет запрос после ошибки 4xx', async () => {
+        handlers = [(req, res) => { res.statusCode = 400; res.end('{"error": {"message": "плохой запрос"}}'); }];
+
+        await assert.rejects(provider().complete('Вопрос'), error => {
+            assert.ok(error instanceof LLMProviderError);
+            assert.equal(error.code, 'LLM_HTTP_ERROR');
+            assert.equal(error.retryable, false);
+            assert.equal(error.details, 'плохой запрос');
+            return true;
+        });
+        assert.equal(requests.length, 1);
+    });
+
+    it('прекращает повторы после maxRetries', async () => {
+        handlers = [(req, res) => { res.statusCode = 500; res.end(); }];
+
+        await assert.rejects(provider({ maxRetries: 1 }).complete('Вопрос'), { code: 'LLM_HTTP_ERROR', retryable: true });
+        assert.equal(requests.length, 2);
+    });
+
+    it('считает отсутствие ответа таймаутом и повторяет запрос', async () => {
+        handlers = [
+            () => {},
+            (req, res) => res.end(completion('Со второй попытки'))
+        ];
+
+        const result = await provider().complete('Вопрос');
+
+        assert.equal(result.content, 'Со второй попытки');
+        assert.equal(requests.length, 2);
+    });
+
+    it('считает обрыв чтения тела по таймеру таймаутом', async () => {
+        handlers = [(req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('{"choices": [');
+        }];
+
+        await assert.rejects(provider({ maxRetries: 1 }).complete('Вопрос'), error => {
+            assert.equal(error.code, 'LLM_TIMEOUT');
+            assert.equal(error.status, 504);
+            assert.equal(error.retryable, true);
+            return true;
+        });
+        assert.equal(requests.length, 2);
+    });
+
+    it('не повторяет некорректный и пустой ответ', async () => {
+        handlers = [(req, res) => res.end('<html>')];
+        await assert.rejects(provider().complete('Вопрос'), { code: 'LLM_INVALID_RESPONSE', retryable: false });
+        assert.equal(requests.length, 1);
+
+        handlers = [(req, res) => res.end(completion(''))];
+        requests = [];
+        await assert.rejects(provider().complete('Вопрос'), { code: 'LLM_EMPTY_RESPONSE' });
+        assert.equal(requests.length, 1);
+    });
+
+    it('собирает потоковый ответ из фрагментов', async () => {
+        handlers = [(req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write('data: {"model": "stub-model", "choices": [{"delta": {"content": "Пер"}}]}\n\n');
+            res.write('data: {"choices": [{"delta": {"content": "вый"}}]}\n\ndata: [DONE]\n\n');
+            res.end();
+        }];
+        const deltas = [];
+
+        const result = await provider().stream('Вопрос', [], text => deltas.push(text));
+
+        assert.deepEqual(deltas, ['Пер', 'вый']);
+        assert.equal(result.content, 'Первый');
+        assert.equal(requests[0].stream, true);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger } = require('../services/logger');
+
+// Журнал, записи которого собираются в массив строк
+function capture(options = {}) {
+    const lines = [];
+    const logger = new Logger({ output: { write: line => lines.push(line) }, ...options });
+    return { lines, logger };
+}
+
+describe('Logger', () => {
+    it('пишет записи не ниже заданного уровня по одной строке JSON', () => {
+        const { lines, logger } = capture({ level: 'warn' });
+
+        logger.info('пропущено');
+        logger.warn('Медленный запрос', { durationMs: 250 });
+
+        assert.equal(lines.length, 1);
+        const entry = JSON.parse(lines[0]);
+        assert.equal(entry.level, 'warn');
+        assert.equal(entry.msg, 'Медленный запрос');
+        assert.equal(entry.durationMs, 250);
+        assert.ok(!isNaN(Date.parse(entry.time)));
+    });
+
+    it('сериализует ошибки с кодом, статусом и стеком', () => {
+        const { lines, logger } = capture();
+        const error = Object.assign(new Error('нет доступа'), { code: 'forbidden', status: 403 });
+
+        logger.error('Ошибка', { error });
+
+        const { error: logged } = JSON.parse(lines[0]);
+        assert.equal(logged.message, 'нет доступа');
+        assert.equal(logged.code, 'forbidden');
+        assert.equal(logged.status, 403);
+        assert.match(logged.stack, /нет доступа/);
+    });
+
+    it('добавляет поля дочернего журнала и контекста ко всем записям', async () => {
+        const { lines, logger } = capture();
+        const child = logger.child({ component: 'eviction' });
+
+        await logger.runWithContext({ requestId: 'r1' }, async () => {
+            await Promise.resolve();
+            child.info('Обслуживание кэша');
+        });
+        child.info('Вне контекста');
+
+        const entries = lines.map(line => JSON.parse(line));
+        assert.deepEqual(entries.map(entry => [entry.component, entry.requestId]), [['eviction', 'r1'], ['eviction', undefined]]);
+    });
+
+    it('в текстовом формате выводит поля после сообщения', () => {
+        const { lines, logger } = capture({ format: 'text' });
+
+        logger.info('Запуск', { port: 3000, backend: 'sqlite' });
+        assert.match(lines[0], /^\S+ INFO Запуск port=3000 backend=sqlite\n$/);
+    });
+
+    it('отвергает неизвестный уровень', () => {
+        assert.throws(() => new Logger({ level: 'verbose' }), /Неизвестный уровень журнала: verbose/);
+    });
+});
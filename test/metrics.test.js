@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { Metrics, Counter, Gauge, Histogram } = require('../services/metrics');
+const { Logger } = require('../services/logger');
+const { createRequestContext } = require('../middleware/requestContext');
+
+describe('метрики Prometheus', () => {
+    it('выводит счетчик с экранированными метками', () => {
+        const counter = new Counter('requests_total', 'Запросы', ['path']);
+        counter.inc({ path: '/a"b\\c' });
+        counter.inc({ path: '/a"b\\c' }, 2);
+
+        assert.equal(counter.render(), [
+            '# HELP requests_total Запросы',
+            '# TYPE requests_total counter',
+            'requests_total{path="/a\\"b\\\\c"} 3'
+        ].join('\n'));
+    });
+
+    it('отвергает метку, не объявленную у метрики', () => {
+        const gauge = new Gauge('in_flight', 'В работе');
+        assert.throws(() => gauge.inc({ route: '/' }), /Метка route не объявлена у метрики in_flight/);
+
+        gauge.inc();
+        gauge.inc();
+        gauge.dec();
+        assert.equal(gauge.get(), 1);
+    });
+
+    it('раскладывает наблюдения гистограммы по накопительным корзинам', () => {
+        const histogram = new Histogram('duration_seconds', 'Длительность', ['route'], [1, 0.1]);
+        histogram.observe({ route: '/' }, 0.05);
+        histogram.observe({ route: '/' }, 0.5);
+        histogram.observe({ route: '/' }, 5);
+
+        assert.deepEqual(histogram.renderSeries(), [
+            'duration_seconds_bucket{route="/",le="0.1"} 1',
+            'duration_seconds_bucket{route="/",le="1"} 2',
+            'duration_seconds_bucket{route="/",le="+Inf"} 3',
+            'duration_seconds_sum{route="/"} 5.55',
+            'duration_seconds_count{route="/"} 3'
+        ]);
+    });
+
+    it('считает ошибки запросов к базе по типу оператора', async () => {
+        const metrics = new Metrics();
+
+        assert.equal(await metrics.timeQuery('sqlite', '  SELECT 1', async () => 1), 1);
+        await assert.rejects(metrics.timeQuery('sqlite', 'insert into t values (1)', async () => {
+            throw new Error('сбой');
+        }), /сбой/);
+
+        const text = metrics.render();
+        assert.match(text, /db_query_errors_total\{backend="sqlite",statement="insert"\} 1/);
+        assert.match(text, /db_query_duration_seconds_count\{backend="sqlite",statement="select"\} 1/);
+    });
+});
+
+describe('контекст HTTP-запроса', () => {
+    // Запрос и ответ Express в объеме, нужном middleware
+    function exchange(headers = {}) {
+        const req = {
+            method: 'GET',
+            path: '/api/cache/conversation/42',
+            baseUrl: '',
+            route: { path: '/api/cache/conversation/:id' },
+            get: name => headers[name.toLowerCase()]
+        };
+        const res = new EventEmitter();
+        res.headers = {};
+        res.statusCode = 200;
+        res.writableFinished = true;
+        res.set = (name, value) => {
+            res.headers[name] = value;
+        };
+        return { req, res };
+    }
+
+    function setup() {
+        const lines = [];
+        const logger = new Logger({ level: 'info', output: { write: line => lines.push(JSON.parse(line)) } });
+        const metrics = new Metrics();
+        return { lines, logger, metrics, middleware: createRequestContext({ logger, metrics }) };
+    }
+
+    it('передает requestId в записи журнала, сделанные при обработке', () => {
+        const { lines, logger, middleware } = setup();
+        const { req, res } = exchange({ 'x-request-id': 'req-1' });
+
+        middleware(req, res, () => logger.info('Внутри обработчика'));
+        res.emit('finish');
+
+        assert.equal(res.headers['X-Request-Id'], 'req-1');
+        assert.deepEqual(lines.map(line => [line.msg, line.requestId]), [
+            ['Внутри обработчика', 'req-1'],
+            ['HTTP-запрос', 'req-1']
+        ]);
+        assert.equal(lines[1].route, '/api/cache/conversation/:id');
+    });
+
+    it('заменяет недопустимый идентификатор запроса своим', () => {
+        const { middleware } = setup();
+        const { req, res } = exchange({ 'x-request-id': 'bad id\n' });
+
+        middleware(req, res, () => {});
+        assert.match(res.headers['X-Request-Id'], /^[0-9a-f-]{36}$/);
+    });
+
+    it('учитывает запрос в метриках по шаблону маршрута один раз', () => {
+        const { metrics, middleware } = setup();
+        const { req, res } = exchange();
+
+        middleware(req, res, () => {});
+        assert.equal(metrics.httpInFlight.get(), 1);
+        res.emit('finish');
+        res.emit('close');
+
+        assert.equal(metrics.httpInFlight.get(), 0);
+        assert.match(metrics.render(), /http_requests_total\{method="GET",route="\/api\/cache\/conversation\/:id",status="200"\} 1\n/);
+    });
+});
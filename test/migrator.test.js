@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../database/migrator');
+const SqliteStorage = require('../database/storage/sqliteStorage');
+const { Logger } = require('../services/logger');
+
+const logger = new Logger({ level: 'error' });
+
+// Миграции-заготовки: каждая создает свою таблицу и удаляет ее при откате
+const migrationSource = table => `
+module.exports = {
+    up: storage => storage.dbRun('CREATE TABLE ${table} (id INTEGER PRIMARY KEY)'),
+    down: storage => storage.dbRun('DROP TABLE ${table}')
+};
+`;
+
+describe('Migrator', () => {
+    let directory;
+    let storage;
+    let migrator;
+
+    const writeMigration = (file, source) => fs.writeFileSync(path.join(directory, file), source);
+
+    const tables = async () => (await storage.dbAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 't_%' ORDER BY name"))
+        .map(row => row.name);
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cache-migrations-'));
+        writeMigration('001_first.js', migrationSource('t_first'));
+        writeMigration('002_second.js', migrationSource('t_second'));
+        writeMigration('003_third.js', migrationSource('t_third'));
+        writeMigration('README.md', 'не миграция');
+
+        storage = new SqliteStorage({ path: ':memory:', logger });
+        await storage.init({ migrate: false });
+        migrator = new Migrator(storage, directory, logger);
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('применяет миграции по порядку номеров до указанной версии', async () => {
+        assert.deepEqual(await migrator.up({ to: 2 }), [1, 2]);
+        assert.deepEqual(await tables(), ['t_first', 't_second']);
+
+        const status = await migrator.status();
+        assert.deepEqual(status.map(row => [row.version, row.name, row.applied]), [
+            [1, 'first', true],
+            [2, 'second', true],
+            [3, 'third', false]
+        ]);
+        assert.ok(status[0].appliedAt);
+        assert.equal(status[2].appliedAt, null);
+
+        assert.deepEqual(await migrator.up(), [3]);
+        assert.deepEqual(await migrator.up(), []);
+    });
+
+    it('откатывает последние миграции по числу шагов или до версии', async () => {
+        await migrator.up();
+
+        assert.deepEqual(await migrator.rollback(), [3]);
+        assert.deepEqual(await tables(), ['t_first', 't_second']);
+
+        assert.deepEqual(await migrator.rollback({ to: 0 }), [2, 1]);
+        assert.deepEqual(await tables(), []);
+        assert.ok((await migrator.status()).every(row => !row.applied));
+    });
+
+    it('не записывает миграцию, если она завершилась ошибкой', async () => {
+        writeMigration('004_broken.js', `
+module.exports = {
+    up: async storage => {
+        await storage.dbRun('CREATE TABLE t_broken (id INTEGER PRIMARY KEY)');
+        await storage.dbRun('INSERT INTO t_missing VALUES (1)');
+    },
+    down: storage => storage.dbRun('DROP TABLE t_broken')
+};
+`);
+
+        await assert.rejects(migrator.up(), /t_missing/);
+
+        const status = await migrator.status();
+        assert.deepEqual(status.filter(row => row.applied).map(row => row.version), [1, 2, 3]);
+        assert.ok(!(await tables()).includes('t_broken'));
+    });
+
+    it('помечает примененную миграцию без файла и не откатывает ее', async () => {
+        await migrator.up();
+        fs.rmSync(path.join(directory, '003_third.js'));
+
+        const status = await migrator.status();
+        assert.deepEqual(status[2], { version: 3, name: 'third', applied: true, appliedAt: status[2].appliedAt, missing: true });
+        await assert.rejects(migrator.rollback(), /Файл миграции 3 не найден/);
+    });
+
+    it('отвергает повторяющиеся номера и миграции без down', () => {
+        writeMigration('002_again.js', migrationSource('t_again'));
+        assert.throws(() => migrator.load(), /Повторяющийся номер миграции: 2/);
+
+        fs.rmSync(path.join(directory, '002_again.js'));
+        writeMigration('004_no_down.js', 'module.exports = { up: async () => {} };');
+        assert.throws(() => migrator.load(), /должна экспортировать функции up и down/);
+    });
+});
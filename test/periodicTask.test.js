@@ -0,0 +1,126 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PeriodicTask = require('../services/periodicTask');
+const DuplicateScanScheduler = require('../services/duplicateScanner');
+const CacheEvictionScheduler = require('../services/cacheEviction');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+// Журнал, который запоминает записи вместо вывода
+function recordingLogger() {
+    const entries = [];
+    const logger = {
+        entries,
+        debug() {},
+        info(msg, fields) { entries.push({ level: 'info', msg, fields }); },
+        warn(msg, fields) { entries.push({ level: 'warn', msg, fields }); },
+        error(msg, fields) { entries.push({ level: 'error', msg, fields }); }
+    };
+    return logger;
+}
+
+// Задача, проходы которой тест завершает вручную
+class ManualTask extends PeriodicTask {
+    constructor(dbManager, intervalMs = 0) {
+        super(dbManager, { intervalMs, errorMessage: 'Ошибка задачи' });
+        this.runs = [];
+    }
+
+    run() {
+        return new Promise((resolve, reject) => this.runs.push({ resolve, reject }));
+    }
+}
+
+describe('PeriodicTask', () => {
+    let task;
+
+    afterEach(async () => {
+        for (const run of task.runs || []) run.resolve();
+        await task.stop();
+    });
+
+    it('не запускает параллельный проход, пока идет текущий', async () => {
+        task = new ManualTask({ ready: Promise.resolve(), logger: recordingLogger() });
+
+        const first = task.runOnce();
+        const second = task.runOnce();
+        assert.equal(first, second);
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(task.runs.length, 1);
+        task.runs[0].resolve('готово');
+        assert.equal(await first, 'готово');
+        assert.equal(task.running, null);
+    });
+
+    it('пишет ошибку прохода в журнал и возвращает null', async () => {
+        const logger = recordingLogger();
+        task = new ManualTask({ ready: Promise.resolve(), logger });
+
+        const pass = task.runOnce();
+        await new Promise(resolve => setImmediate(resolve));
+        task.runs[0].reject(new Error('сбой'));
+
+        assert.equal(await pass, null);
+        assert.equal(logger.entries[0].msg, 'Ошибка задачи');
+        assert.equal(logger.entries[0].fields.error.message, 'сбой');
+    });
+
+    it('stop дожидается текущего прохода', async () => {
+        task = new ManualTask({ ready: Promise.resolve(), logger: recordingLogger() }, 60000);
+        task.start();
+        assert.ok(task.timer);
+        await new Promise(resolve => setImmediate(resolve));
+
+        let stopped = false;
+        const stopping = task.stop().then(() => { stopped = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(stopped, false);
+        assert.equal(task.timer, null);
+
+        task.runs[0].resolve();
+        await stopping;
+        assert.equal(stopped, true);
+    });
+
+    it('при нулевом интервале не запускается по расписанию', () => {
+        task = new ManualTask({ ready: Promise.resolve(), logger: recordingLogger() }, 0);
+        task.start();
+        assert.equal(task.timer, null);
+        assert.equal(task.runs.length, 0);
+    });
+});
+
+describe('фоновые задачи кэша', () => {
+    let dbManager;
+    let task = {};
+
+    afterEach(async () => {
+        await task.stop();
+        await dbManager.close();
+    });
+
+    it('поиск похожих разговоров находит группу', async () => {
+        dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        await dbManager.saveConversation('Какой автомат нужен для электроплиты', 'C32');
+        await dbManager.saveConversation('Какой автомат нужен для электроплиты?!', 'C32');
+        await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE');
+
+        task = new DuplicateScanScheduler(dbManager, { intervalMs: 0 });
+        assert.deepEqual(await task.runOnce(), { clusters: 1, conversations: 2 });
+    });
+
+    it('обслуживание кэша вытесняет записи сверх лимита', async () => {
+        dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+        await dbManager.saveConversation('Какой автомат нужен для плиты', 'C32');
+        await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE');
+
+        task = new CacheEvictionScheduler(dbManager, { intervalMs: 0, maxEntries: 1, policy: 'age' });
+        const result = await task.runOnce();
+        assert.equal(result.evicted, 1);
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PiiRedactor = require('../services/piiRedactor');
+
+const redactor = new PiiRedactor({ enabled: true, customPatterns: {} });
+const redact = text => redactor.redact(text).text;
+
+describe('PiiRedactor', () => {
+    it('заменяет телефоны в распространенных написаниях', () => {
+        for (const phone of ['+7 (900) 123-45-67', '8 900 123 45 67', '89001234567', '(495) 123-45-67', '900 123-45-67', '+44 20 7946 0958']) {
+            assert.equal(redact(`звоните ${phone} днем`), 'звоните [PHONE] днем', phone);
+        }
+    });
+
+    it('не принимает за телефон размеры, цены и коды', () => {
+        for (const text of ['кабель 3x2.5 мм2 длиной 100 м', 'цена 12 500 руб.', 'ТУ 3521-001-12345678-2010', 'артикул 4601234567', 'ГОСТ Р 50571.5.52-2011']) {
+            assert.equal(redact(text), text);
+        }
+    });
+
+    it('заменяет номер карты по контрольной сумме или группам по четыре', () => {
+        assert.equal(redact('карта 4111 1111 1111 1111'), 'карта [CARD]');
+        assert.equal(redact('карта 4111111111111111'), 'карта [CARD]');
+        assert.equal(redact('amex 378282246310005'), 'amex [CARD]');
+        assert.equal(redact('карта 1234 5678 9012 3456'), 'карта [CARD]');
+    });
+
+    it('не трогает штрихкоды и коды товаров, даже если сходится контрольная сумма', () => {
+        for (const text of ['арт. 4601234567890', 'код товара 4601234567890', 'штрихкод 4601234567890', 'EAN 4601234567890', '4601234567890']) {
+            assert.equal(redact(text), text);
+        }
+    });
+
+    it('заменяет email и адрес, но не техническую запись с сокращениями', () => {
+        assert.equal(redact('пишите на ivan.petrov@mail.ru'), 'пишите на [EMAIL]');
+        assert.equal(redact('приезжайте: ул. Ленина, д. 5, кв. 12'), 'приезжайте: [ADDRESS]');
+        assert.equal(redact('улица Мира 10к2'), '[ADDRESS]');
+        assert.equal(redact('пл. 2.5 мм2 для розеток'), 'пл. 2.5 мм2 для розеток');
+    });
+
+    it('считает замены по типам и применяет собственные детекторы первыми', () => {
+        const custom = new PiiRedactor({ enabled: true, customPatterns: { passport: '\\b\\d{4}\\s?\\d{6}\\b' } });
+
+        assert.deepEqual(custom.redact('паспорт 4510 123456, тел. +7 900 123-45-67'), {
+            text: 'паспорт [PASSPORT], тел. [PHONE]',
+            counts: { passport: 1, phone: 1 }
+        });
+    });
+
+    it('отключается и проверяет имена детекторов', () => {
+        const disabled = new PiiRedactor({ enabled: 'false' });
+        assert.equal(disabled.redact('+7 900 123-45-67').text, '+7 900 123-45-67');
+
+        assert.throws(() => new PiiRedactor({ detectors: ['fax'], customPatterns: {} }), /fax/);
+        assert.throws(() => new PiiRedactor({ customPatterns: { 'bad type': '\\d+' } }), /bad type/);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../database/database');
+const { RateLimiter, RateLimitError } = require('../services/rateLimiter');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const NOW = Date.UTC(2024, 4, 31, 23, 0, 0);
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('RateLimiter', () => {
+    let dbManager;
+
+    beforeEach(async () => {
+        dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+    });
+
+    afterEach(async () => {
+        await dbManager.close();
+    });
+
+    const limiter = (options = {}) => new RateLimiter(dbManager.storage, { enabled: 'true', ...options });
+
+    describe('ограничение частоты', () => {
+        it('отказывает после исчерпания корзины и пополняет ее со временем', async () => {
+            const rateLimiter = limiter({ limits: { query: { capacity: 2, perMinute: 2 } } });
+
+            assert.deepEqual(await rateLimiter.take('key:k1', 'default', 'query', NOW), { allowed: true, limit: 2, remaining: 1 });
+            assert.equal((await rateLimiter.take('key:k1', 'default', 'query', NOW)).remaining, 0);
+
+            const denied = await rateLimiter.take('key:k1', 'default', 'query', NOW);
+            assert.deepEqual(denied, { allowed: false, limit: 2, remaining: 0, retryAfter: 30 });
+
+            assert.equal((await rateLimiter.take('key:k2', 'default', 'query', NOW)).allowed, true);
+            assert.equal((await rateLimiter.take('key:k1', 'default', 'query', NOW + MINUTE / 2)).allowed, true);
+        });
+
+        it('не ограничивает группу с нулевой емкостью и выключенный ограничитель', async () => {
+            const rateLimiter = limiter({ limits: { query: { capacity: 0 } } });
+            assert.deepEqual(await rateLimiter.take('key:k1', 'default', 'query', NOW), { allowed: true, limit: null });
+
+            const disabled = limiter({ enabled: 'false', limits: { query: { capacity: 1 } } });
+            await disabled.take('key:k1', 'default', 'query', NOW);
+            assert.equal((await disabled.take('key:k1', 'default', 'query', NOW)).allowed, true);
+        });
+    });
+
+    describe('квоты', () => {
+        it('отказывает после исчерпания суточной квоты до начала следующих суток', async () => {
+            const rateLimiter = limiter({ quotas: { save: { daily: 2 } } });
+
+            for (let i = 0; i < 2; i++) {
+                await rateLimiter.check('key:k1', 'save', NOW);
+                await rateLimiter.record('key:k1', 'default', 'save', NOW);
+            }
+
+            await assert.rejects(rateLimiter.check('key:k1', 'save', NOW), error => {
+                assert.ok(error instanceof RateLimitError);
+                assert.equal(error.status, 429);
+                assert.equal(error.code, 'quota_exceeded');
+                assert.equal(error.period, 'daily');
+                assert.equal(error.limit, 2);
+                assert.equal(error.retryAfter, 3600);
+                return true;
+            });
+
+            await rateLimiter.check('key:k2', 'save', NOW);
+            await rateLimiter.check('key:k1', 'save', NOW + DAY);
+        });
+
+        it('считает месячную квоту по календарному месяцу UTC', async () => {
+            const rateLimiter = limiter({ quotas: { model: { monthly: 1 } } });
+
+            await rateLimiter.record('key:k1', 'default', 'model', NOW - 10 * DAY);
+            await assert.rejects(rateLimiter.check('key:k1', 'model', NOW), { code: 'quota_exceeded', period: 'monthly' });
+            await rateLimiter.check('key:k1', 'model', NOW + 2 * 3600 * 1000);
+        });
+
+        it('не расходует квоту проверкой без учета', async () => {
+            const rateLimiter = limiter({ quotas: { save: { daily: 1 } } });
+
+            await rateLimiter.check('key:k1', 'save', NOW);
+            await rateLimiter.check('key:k1', 'save', NOW);
+
+            const { quotas } = await rateLimiter.usage('key:k1', NOW);
+            assert.equal(quotas.save.daily.used, 0);
+            assert.equal(quotas.save.daily.remaining, 1);
+            assert.equal(quotas.save.daily.resetsAt, '2024-06-01T00:00:00.000Z');
+        });
+
+        it('показывает потребление вызывающих арендатора и удаляет счетчики прошедших периодов', async () => {
+            const rateLimiter = limiter({ quotas: { save: { daily: 5, monthly: 50 } } });
+
+            await rateLimiter.record('key:k1', 'acme', 'save', NOW);
+            await rateLimiter.record('key:k1', 'acme', 'save', NOW);
+            await rateLimiter.record('key:k2', 'globex', 'save', NOW);
+
+            const { callers } = await rateLimiter.tenantUsage('acme', NOW);
+            assert.deepEqual(callers, [{ caller: 'key:k1', quotas: { save: { daily: 2, monthly: 2 } } }]);
+
+            assert.ok(await rateLimiter.purge(NOW + DAY) > 0);
+            const { quotas } = await rateLimiter.usage('key:k1', NOW);
+            assert.equal(quotas.save.daily.used, 0);
+        });
+    });
+
+    describe('определение вызывающего', () => {
+        const request = ({ keyId, userId } = {}) => ({
+            auth: keyId ? { keyId } : undefined,
+            body: userId ? { userId } : {},
+            query: {},
+            ip: '10.0.0.1'
+        });
+
+        it('различает пользователей только внутри API-ключа', () => {
+            const rateLimiter = limiter({ identity: 'user' });
+
+            assert.equal(rateLimiter.callerOf(request({ keyId: 'k1', userId: 'u1' })), 'user:k1:u1');
+            assert.equal(rateLimiter.callerOf(request({ keyId: 'k1' })), 'key:k1');
+            assert.equal(rateLimiter.callerOf(request({ userId: 'u1' })), 'ip:10.0.0.1');
+        });
+
+        it('учитывает ключ или адрес клиента в зависимости от настройки', () => {
+            assert.equal(limiter({ identity: 'key' }).callerOf(request({ keyId: 'k1', userId: 'u1' })), 'key:k1');
+            assert.equal(limiter({ identity: 'ip' }).callerOf(request({ keyId: 'k1' })), 'ip:10.0.0.1');
+            assert.throws(() => limiter({ identity: 'session' }), /Неизвестный способ определения вызывающего/);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+for (const backend of ['memory', 'sqlite']) {
+    describe(`полнотекстовый поиск, хранилище ${backend}`, () => {
+        let dbPath;
+        let dbManager;
+        let cable;
+        let ground;
+        let breaker;
+
+        const search = async (text, options = {}) =>
+            (await dbManager.searchConversations({ text, ...options })).results.map(row => row.id);
+
+        beforeEach(async () => {
+            dbPath = path.join(os.tmpdir(), `ai-cache-search-${process.pid}-${Date.now()}.db`);
+            dbManager = new DatabaseManager({ backend, path: dbPath, logger });
+            await dbManager.ready;
+
+            cable = await dbManager.saveConversation('Какой кабель нужен для розетки', 'ВВГнг 3x2.5 медный', 'u1', 's1', { category: 'cable' });
+            ground = await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE через кабель заземления', 'u2', 's2', { category: 'ground' });
+            breaker = await dbManager.saveConversation('Автомат для стиральной машины', 'Дифавтомат 16А', 'u1', 's1', { category: 'breaker' });
+            await dbManager.saveConversation('Какой кабель нужен для розетки', 'Ответ другого арендатора', null, null, {}, { tenant: 'other' });
+        });
+
+        afterEach(async () => {
+            await dbManager.close();
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        it('ищет по запросам и ответам, выше ставя совпадение в запросе', async () => {
+            assert.deepEqual(await search('кабель'), [cable, ground]);
+            assert.deepEqual(await search('кабель розетки'), [cable]);
+        });
+
+        it('поддерживает OR, фразы в кавычках и префиксы', async () => {
+            assert.deepEqual((await search('щиток OR машины')).sort(), [ground, breaker].sort());
+            assert.deepEqual(await search('"кабель заземления"'), [ground]);
+            assert.deepEqual(await search('"заземления кабель"'), []);
+            assert.deepEqual(await search('авто*'), [breaker]);
+        });
+
+        it('фильтрует по metadata, пользователю и арендатору', async () => {
+            assert.deepEqual(await search('кабель', { metadata: { category: 'ground' } }), [ground]);
+            assert.deepEqual(await search('кабель', { userId: 'u1' }), [cable]);
+            assert.equal((await search('кабель', { tenant: 'other' })).length, 1);
+            assert.ok(!(await search('кабель', { tenant: 'other' })).includes(cable));
+        });
+
+        it('отдает результаты страницами по курсору и выделяет найденные слова', async () => {
+            const first = await dbManager.searchConversations({ text: 'кабель', limit: 1 });
+            assert.deepEqual(first.results.map(row => row.id), [cable]);
+            assert.equal(first.results[0].query_snippet, 'Какой <mark>кабель</mark> нужен для розетки');
+            assert.deepEqual(first.results[0].metadata, { category: 'cable' });
+            assert.ok(first.nextCursor);
+
+            const second = await dbManager.searchConversations({ text: 'кабель', limit: 1, cursor: first.nextCursor });
+            assert.deepEqual(second.results.map(row => row.id), [ground]);
+            assert.equal(second.nextCursor, null);
+        });
+
+        it('не выполняет поиск по строке без слов', async () => {
+            assert.deepEqual(await dbManager.searchConversations({ text: '  "" * ' }), { results: [], nextCursor: null });
+        });
+    });
+}
@@ -0,0 +1,291 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+// Свободный порт для сервера: занимаем порт 0 и сразу отпускаем
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Сервер приложения в отдельном процессе: он начинает слушать порт при подключении модуля
+async function startServer(env) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, ...env, PORT: String(port) },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) {
+            throw new Error(`Сервер завершился с кодом ${child.exitCode}`);
+        }
+        const ready = await fetch(`${baseUrl}/readyz`).then(res => res.ok, () => false);
+        if (ready) {
+            return { child, baseUrl };
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    child.kill('SIGTERM');
+    throw new Error('Сервер не стал готов');
+}
+
+describe('HTTP API', () => {
+    const dbPath = path.join(os.tmpdir(), `ai-cache-server-${process.pid}-${Date.now()}.db`);
+    const keys = {};
+    let app;
+
+    before(async () => {
+        // Ключи выпускаются до запуска сервера в той же базе SQLite
+        const dbManager = new DatabaseManager({
+            backend: 'sqlite',
+            path: dbPath,
+            logger: new Logger({ level: 'error' }),
+            embeddingProvider: null
+        });
+        await dbManager.ready;
+        for (const [name, tenant, role] of [
+            ['admin', 'acme', 'admin'],
+            ['writer', 'acme', 'write'],
+            ['reader', 'acme', 'read'],
+            ['other', 'globex', 'admin']
+        ]) {
+            keys[name] = await dbManager.createApiKey({ tenant, role, name });
+        }
+        await dbManager.close();
+
+        app = await startServer({
+            STORAGE_BACKEND: 'sqlite',
+            SQLITE_PATH: dbPath,
+            EMBEDDING_PROVIDER: 'none',
+            AUTH_ENABLED: 'true',
+            RATE_LIMIT_ENABLED: 'false',
+            CACHE_EVICTION_INTERVAL_MS: '0',
+            DUPLICATE_SCAN_INTERVAL_MS: '0',
+            LOG_LEVEL: 'error'
+        });
+    });
+
+    after(async () => {
+        if (app) {
+            const exited = new Promise(resolve => app.child.once('exit', resolve));
+            app.child.kill('SIGTERM');
+            await exited;
+        }
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    // Запрос к API с ключом из keys; key = null — без ключа
+    function request(method, url, { key = 'admin', body, headers = {} } = {}) {
+        return fetch(`${app.baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(key && { Authorization: `Bearer ${keys[key] ? keys[key].key : key}` }),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+    }
+
+    async function save(query, response, key = 'admin') {
+        const res = await request('POST', '/api/cache/save', { key, body: { query, response } });
+        assert.equal(res.status, 200);
+        return (await res.json()).conversationId;
+    }
+
+    // События потока SSE в порядке получения
+    async function readEvents(res) {
+        const text = await res.text();
+        return text.split('\n\n').filter(Boolean).map(block => {
+            const [, event] = block.match(/^event: (.+)$/m);
+            const [, data] = block.match(/^data: (.+)$/m);
+            return { event, data: JSON.parse(data) };
+        });
+    }
+
+    describe('API-ключи и арендаторы', () => {
+        it('отклоняет запрос без ключа или с неизвестным ключом', async () => {
+            const missing = await request('GET', '/api/cache/stats', { key: null });
+            assert.equal(missing.status, 401);
+
+            const unknown = await request('GET', '/api/cache/stats', { key: 'eab_unknown' });
+            assert.equal(unknown.status, 401);
+        });
+
+        it('принимает ключ в заголовке X-API-Key', async () => {
+            const res = await request('GET', '/api/cache/stats', { key: null, headers: { 'X-API-Key': keys.reader.key } });
+            assert.equal(res.status, 200);
+        });
+
+        it('проверяет роль ключа', async () => {
+            const denied = await request('POST', '/api/cache/save', { key: 'reader', body: { query: 'Как заземлить щиток', response: 'Шиной PE' } });
+            assert.equal(denied.status, 403);
+
+            await save('Как заземлить щиток', 'Шиной PE', 'writer');
+
+            const admin = await request('GET', '/api/admin/keys', { key: 'writer' });
+            assert.equal(admin.status, 403);
+        });
+
+        it('не показывает разговоры другого арендатора', async () => {
+            const id = await save('Какой кабель нужен для розетки', 'ВВГнг 3x2.5');
+
+            const own = await request('POST', '/api/cache/query', { key: 'reader', body: { query: 'Какой кабель нужен для розетки' } });
+            assert.equal((await own.json()).conversationId, id);
+
+            const foreign = await request('POST', '/api/cache/query', { key: 'other', body: { query: 'Какой кабель нужен для розетки' } });
+            assert.equal((await foreign.json()).found, false);
+
+            const byId = await request('GET', `/api/cache/conversation/${id}`, { key: 'other' });
+            assert.equal(byId.status, 404);
+        });
+
+        it('выпускает ключ своему арендатору и перестает принимать отозванный', async () => {
+            const created = await request('POST', '/api/admin/keys', { body: { role: 'read', name: 'временный' } });
+            assert.equal(created.status, 201);
+            const { apiKey } = await created.json();
+            assert.equal(apiKey.tenant, 'acme');
+
+            assert.equal((await request('GET', '/api/cache/stats', { key: apiKey.key })).status, 200);
+
+            const foreignRevoke = await request('DELETE', `/api/admin/keys/${apiKey.id}`, { key: 'other' });
+            assert.equal((await foreignRevoke.json()).revokedCount, 0);
+
+            const revoked = await request('DELETE', `/api/admin/keys/${apiKey.id}`);
+            assert.equal((await revoked.json()).revokedCount, 1);
+            assert.equal((await request('GET', '/api/cache/stats', { key: apiKey.key })).status, 401);
+        });
+    });
+
+    describe('потоковая передача ответа', () => {
+        const stream = body => request('POST', '/api/cache/query', {
+            key: 'reader',
+            body,
+            headers: { Accept: 'text/event-stream' }
+        });
+
+        it('передает кэшированный ответ фрагментами после meta', async () => {
+            const response = 'Для розетки на кухне нужен медный кабель ВВГнг-LS 3x2.5 и автомат на 16А';
+            const id = await save('Какой кабель нужен для розетки на кухне', response);
+
+            const res = await stream({ query: 'Какой кабель нужен для розетки на кухне', pacing: { chunkSize: 10 } });
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+            const events = await readEvents(res);
+            const deltas = events.filter(item => item.event === 'delta');
+            assert.equal(events[0].event, 'meta');
+            assert.equal(events[0].data.conversationId, id);
+            assert.ok(deltas.length > 1);
+            assert.deepEqual(deltas.map(item => item.data.index), deltas.map((item, index) => index));
+            assert.equal(deltas.map(item => item.data.text).join(''), response);
+            assert.deepEqual(events[events.length - 1], {
+                event: 'done',
+                data: { found: true, conversationId: id, chunks: deltas.length }
+            });
+        });
+
+        it('сообщает о промахе событиями meta и done', async () => {
+            const events = await readEvents(await stream({ query: 'Как подключить солнечную панель' }));
+
+            assert.deepEqual(events.map(item => item.event), ['meta', 'done']);
+            assert.equal(events[0].data.found, false);
+            assert.deepEqual(events[1].data, { found: false, chunks: 0 });
+        });
+
+        it('без заголовка Accept отвечает обычным JSON', async () => {
+            const res = await request('POST', '/api/cache/query', { key: 'reader', body: { query: 'Как подключить солнечную панель' } });
+            assert.match(res.headers.get('content-type'), /^application\/json/);
+            assert.equal((await res.json()).found, false);
+        });
+    });
+
+    describe('панель управления', () => {
+        it('отдает страницу панели и ее скрипты без API-ключа', async () => {
+            const page = await fetch(`${app.baseUrl}/`);
+            assert.equal(page.status, 200);
+            assert.match(page.headers.get('content-type'), /^text\/html/);
+            assert.match(await page.text(), /app\.js/);
+
+            const script = await fetch(`${app.baseUrl}/app.js`);
+            assert.equal(script.status, 200);
+            assert.match(script.headers.get('content-type'), /javascript/);
+        });
+
+        it('показывает кандидатов ниже порога и не учитывает проверку в статистике', async () => {
+            const id = await save('Какой автомат нужен для стиральной машины', 'Дифавтомат 16А');
+            const usageCount = async () =>
+                (await (await request('GET', `/api/cache/conversation/${id}`, { key: 'reader' })).json()).conversation.usage_count;
+            const before = await usageCount();
+
+            const res = await request('POST', '/api/cache/query/candidates', {
+                key: 'reader',
+                body: { query: 'автомат для машины', minSimilarity: 0.99 }
+            });
+            assert.equal(res.status, 200);
+            const body = await res.json();
+
+            const candidate = body.candidates.find(item => item.conversationId === id);
+            assert.ok(candidate);
+            assert.equal(candidate.aboveThreshold, false);
+            assert.ok(candidate.similarity > 0 && candidate.similarity < 0.99);
+            assert.equal(candidate.matchType, 'similar');
+            assert.ok(body.keywords.length > 0);
+
+            assert.equal(await usageCount(), before);
+        });
+    });
+
+    describe('описание API', () => {
+        it('отдает описание OpenAPI без API-ключа', async () => {
+            const res = await fetch(`${app.baseUrl}/api/openapi.json`);
+            assert.equal(res.status, 200);
+
+            const spec = await res.json();
+            assert.equal(spec.openapi, '3.0.3');
+            assert.equal(spec.paths['/api/cache/save'].post.operationId, 'saveConversation');
+        });
+
+        it('отвечает 400 на запрос, не соответствующий описанию', async () => {
+            const res = await request('POST', '/api/cache/save', { body: { query: 'Как заземлить щиток', ttl: 'долго' } });
+            assert.equal(res.status, 400);
+
+            const body = await res.json();
+            assert.equal(body.code, 'invalid_request');
+            assert.deepEqual(body.errors.map(error => error.name), ['response', 'ttl']);
+        });
+    });
+
+    describe('проверки состояния и метрики', () => {
+        it('отвечает на проверки живости и готовности без API-ключа', async () => {
+            const health = await fetch(`${app.baseUrl}/healthz`);
+            assert.equal((await health.json()).status, 'ok');
+
+            const ready = await fetch(`${app.baseUrl}/readyz`);
+            assert.deepEqual(await ready.json(), { status: 'ready', database: 'ready', shuttingDown: false });
+        });
+
+        it('возвращает переданный X-Request-Id и учитывает запросы в метриках', async () => {
+            const res = await request('GET', '/api/cache/stats', { key: 'reader', headers: { 'X-Request-Id': 'trace-42' } });
+            assert.equal(res.headers.get('x-request-id'), 'trace-42');
+
+            const metrics = await fetch(`${app.baseUrl}/metrics`);
+            assert.match(metrics.headers.get('content-type'), /^text\/plain/);
+            assert.match(await metrics.text(), /http_requests_total\{method="GET",route="\/api\/cache\/stats",status="200"\} \d+/);
+        });
+    });
+});
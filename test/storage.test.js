@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+// Одни и те же случаи для каждого встроенного хранилища; postgres требует сервера и здесь не проверяется
+for (const backend of ['memory', 'sqlite']) {
+    describe(`хранилище ${backend}`, () => {
+        let dbPath;
+        let dbManager;
+
+        beforeEach(async () => {
+            dbPath = path.join(os.tmpdir(), `ai-cache-test-${process.pid}-${Date.now()}.db`);
+            dbManager = new DatabaseManager({ backend, path: dbPath, logger });
+            await dbManager.ready;
+        });
+
+        afterEach(async () => {
+            await dbManager.close();
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        it('сохраняет разговор и отдает его по точному совпадению', async () => {
+            const id = await dbManager.saveConversation('Какой кабель нужен для розетки', 'ВВГнг 3x2.5', 'u1', 's1', { category: 'cable' });
+
+            const saved = await dbManager.getConversation(id);
+            assert.equal(saved.ai_response, 'ВВГнг 3x2.5');
+            assert.equal(saved.user_id, 'u1');
+            assert.deepEqual(JSON.parse(saved.metadata), { category: 'cable' });
+
+            const [match] = await dbManager.findSimilarConversations('Какой кабель нужен для розетки', 5, 0.3);
+            assert.equal(match.id, id);
+            assert.equal(match.matchType, 'exact');
+        });
+
+        it('находит похожий разговор по ключевым словам только своего арендатора', async () => {
+            const id = await dbManager.saveConversation('Какой кабель нужен для розетки', 'ВВГнг 3x2.5');
+            await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE');
+
+            const matches = await dbManager.findSimilarConversations('кабель для розетки на кухне', 5, 0.3);
+            assert.deepEqual(matches.map(match => match.id), [id]);
+            assert.equal(matches[0].matchType, 'similar');
+            assert.equal(matches[0].matchSignal, 'keyword');
+
+            const foreign = await dbManager.findSimilarConversations('кабель для розетки на кухне', 5, 0.3, { tenant: 'other' });
+            assert.deepEqual(foreign, []);
+        });
+
+        it('откатывает все изменения транзакции при ошибке', async () => {
+            let id;
+            const failure = new Error('откат');
+
+            await assert.rejects(dbManager.storage.transaction(async () => {
+                id = await dbManager.saveConversation('Нужно ли УЗО в ванной', 'Да, на 30 мА');
+                assert.ok(await dbManager.storage.getConversation(id));
+                throw failure;
+            }), failure);
+
+            assert.equal(await dbManager.getConversation(id), null);
+            assert.deepEqual(await dbManager.findSimilarConversations('Нужно ли УЗО в ванной', 5, 0.3), []);
+
+            // После отката хранилище продолжает принимать записи
+            const next = await dbManager.saveConversation('Нужно ли УЗО в ванной', 'Да, на 30 мА');
+            assert.ok(await dbManager.getConversation(next));
+        });
+
+        it('учитывает одну оценку на голосующего', async () => {
+            const id = await dbManager.saveConversation('Чем зачистить провод', 'Стриппером');
+
+            await dbManager.recordFeedback(id, { rating: 'up', userId: 'u1' });
+            await dbManager.recordFeedback(id, { rating: 'down', userId: 'u1' });
+            const result = await dbManager.recordFeedback(id, { rating: 'up', caller: 'key:k1' });
+
+            assert.equal(result.feedbackUp, 1);
+            assert.equal(result.feedbackDown, 1);
+        });
+
+        it('применяет и откатывает миграции', { skip: backend === 'memory' && 'структура создается в конструкторе' }, async () => {
+            const migrator = dbManager.storage.migrator();
+            const versions = migrator.load().map(migration => migration.version);
+
+            let status = await migrator.status();
+            assert.ok(status.every(row => row.applied));
+
+            const rolledBack = await migrator.rollback({ to: 0 });
+            assert.deepEqual(rolledBack, [...versions].reverse());
+            status = await migrator.status();
+            assert.ok(status.every(row => !row.applied));
+
+            assert.deepEqual(await migrator.up(), versions);
+            const id = await dbManager.saveConversation('Какой автомат нужен для плиты', 'На 32А');
+            assert.ok(await dbManager.getConversation(id));
+        });
+    });
+}
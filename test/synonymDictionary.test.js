@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SynonymDictionary = require('../services/synonymDictionary');
+const KeywordExtractor = require('../services/keywordExtractor');
+const DatabaseManager = require('../database/database');
+const { SynonymConflictError } = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+describe('SynonymDictionary', () => {
+    const extractor = new KeywordExtractor();
+
+    it('заменяет фразу в любой словоформе каноническим термином', () => {
+        const dictionary = new SynonymDictionary(extractor, [{ phrase: 'автоматический выключатель', canonical: 'автомат' }]);
+
+        assert.equal(dictionary.apply('Какого автоматического выключателя хватит'), 'какого автомат хватит');
+    });
+
+    it('предпочитает более длинную фразу', () => {
+        const dictionary = new SynonymDictionary(extractor, [
+            { phrase: 'дифференциальный', canonical: 'диф' },
+            { phrase: 'дифференциальный автомат', canonical: 'дифавтомат' }
+        ]);
+
+        assert.equal(dictionary.apply('дифференциальный автомат'), 'дифавтомат');
+        assert.equal(dictionary.apply('дифференциальный ток'), 'диф ток');
+    });
+
+    it('возвращает текст без изменений при пустом словаре', () => {
+        assert.equal(new SynonymDictionary(extractor).apply('Какой автомат?'), 'Какой автомат?');
+    });
+});
+
+describe('синонимы в поиске', () => {
+    let dbManager;
+
+    beforeEach(async () => {
+        dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger({ level: 'error' }) });
+        await dbManager.ready;
+    });
+
+    afterEach(async () => {
+        await dbManager.close();
+    });
+
+    const similarity = async (query, tenant) =>
+        (await dbManager.findSimilarConversations(query, 5, 0.3, { tenant })).map(match => match.similarity)[0] || 0;
+
+    it('сопоставляет запрос с синонимом сохраненному ответу', async () => {
+        await dbManager.saveConversation('Какой автомат нужен для плиты', 'C32');
+        const before = await similarity('Какой автоматический выключатель нужен для плиты');
+
+        await dbManager.addSynonym({ phrase: 'Автоматический  Выключатель', canonical: 'автомат' });
+        await dbManager.addSynonym({ phrase: 'АВ', canonical: 'автомат' });
+
+        assert.ok(await similarity('Какой автоматический выключатель нужен для плиты') > before);
+        assert.ok(await similarity('Какого автоматического выключателя нужно для плиты') > before);
+        assert.ok(await similarity('Какой АВ нужен для плиты') > before);
+    });
+
+    it('применяет словарь к сохраненным разговорам после переиндексации', async () => {
+        await dbManager.saveConversation('Какой автоматический выключатель нужен для плиты', 'C32');
+        await dbManager.addSynonym({ phrase: 'автоматический выключатель', canonical: 'автомат' });
+        const before = await similarity('Какой автомат нужен для плиты');
+
+        await dbManager.reindexKeywords();
+
+        assert.ok(await similarity('Какой автомат нужен для плиты') > before);
+    });
+
+    it('держит словари арендаторов раздельно', async () => {
+        await dbManager.saveConversation('Какой автомат нужен для плиты', 'C32', null, null, {}, { tenant: 'acme' });
+        await dbManager.saveConversation('Какой автомат нужен для плиты', 'C32', null, null, {}, { tenant: 'globex' });
+        await dbManager.addSynonym({ tenant: 'acme', phrase: 'АВ', canonical: 'автомат' });
+
+        assert.ok(await similarity('Какой АВ нужен для плиты', 'acme') > await similarity('Какой АВ нужен для плиты', 'globex'));
+        assert.deepEqual(await dbManager.listSynonyms('globex'), []);
+    });
+
+    it('не допускает повторяющиеся фразы в словаре арендатора', async () => {
+        const first = await dbManager.addSynonym({ phrase: 'АВ', canonical: 'автомат' });
+        const second = await dbManager.addSynonym({ phrase: 'УЗО', canonical: 'узо' });
+        await dbManager.addSynonym({ tenant: 'other', phrase: 'ав', canonical: 'автомат' });
+
+        await assert.rejects(dbManager.addSynonym({ phrase: ' ав ', canonical: 'выключатель' }),
+            error => error instanceof SynonymConflictError && error.synonymId === first.id);
+        await assert.rejects(dbManager.updateSynonym(second.id, { phrase: 'ав' }),
+            error => error instanceof SynonymConflictError && error.synonymId === first.id);
+
+        assert.equal(await dbManager.updateSynonym('missing', { phrase: 'вру' }), null);
+        assert.equal((await dbManager.updateSynonym(second.id, { canonical: 'Дифзащита' })).canonical, 'дифзащита');
+    });
+});
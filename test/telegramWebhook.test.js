@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const TOKEN = 'test-token';
+const SECRET = 'test-secret';
+
+// Свободный порт для сервера: занимаем порт 0 и сразу отпускаем
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Сервер приложения в отдельном процессе: он начинает слушать порт при подключении модуля
+async function startServer(env) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, ...env, PORT: String(port) },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) {
+            throw new Error(`Сервер завершился с кодом ${child.exitCode}`);
+        }
+        const ready = await fetch(`${baseUrl}/readyz`).then(res => res.ok, () => false);
+        if (ready) {
+            return { child, baseUrl };
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    child.kill('SIGTERM');
+    throw new Error('Сервер не стал готов');
+}
+
+describe('POST /telegram/webhook', () => {
+    let botApi;
+    let calls;
+    let failBotApi;
+    let app;
+
+    before(async () => {
+        // Заглушка Bot API: запоминает вызванные методы и их параметры
+        botApi = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+                calls.push({ token, method, params: JSON.parse(body) });
+                res.setHeader('Content-Type', 'application/json');
+                if (failBotApi) {
+                    res.statusCode = 400;
+                    return res.end(JSON.stringify({ ok: false, description: 'Bad Request: chat not found' }));
+                }
+                res.end(JSON.stringify({ ok: true, result: { message_id: 100 } }));
+            });
+        });
+        await new Promise(resolve => botApi.listen(0, '127.0.0.1', resolve));
+
+        app = await startServer({
+            STORAGE_BACKEND: 'memory',
+            EMBEDDING_PROVIDER: 'none',
+            AUTH_ENABLED: 'false',
+            RATE_LIMIT_ENABLED: 'false',
+            CACHE_EVICTION_INTERVAL_MS: '0',
+            DUPLICATE_SCAN_INTERVAL_MS: '0',
+            LOG_LEVEL: 'error',
+            TELEGRAM_BOT_TOKEN: TOKEN,
+            TELEGRAM_WEBHOOK_SECRET: SECRET,
+            TELEGRAM_API_BASE_URL: `http://127.0.0.1:${botApi.address().port}`,
+            TELEGRAM_TENANT: 'default',
+            TELEGRAM_FALLBACK_MESSAGE: 'Ответа пока нет'
+        });
+    });
+
+    after(async () => {
+        if (app) {
+            const exited = new Promise(resolve => app.child.once('exit', resolve));
+            app.child.kill('SIGTERM');
+            await exited;
+        }
+        await new Promise(resolve => botApi.close(resolve));
+    });
+
+    beforeEach(() => {
+        calls = [];
+        failBotApi = false;
+    });
+
+    function webhook(update, secret = SECRET) {
+        return fetch(`${app.baseUrl}/telegram/webhook`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(secret !== null && { 'X-Telegram-Bot-Api-Secret-Token': secret })
+            },
+            body: JSON.stringify(update)
+        });
+    }
+
+    async function save(query, response) {
+        const res = await fetch(`${app.baseUrl}/api/cache/save`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, response })
+        });
+        assert.equal(res.status, 200);
+        return (await res.json()).conversationId;
+    }
+
+    const message = (text, extra = {}) => ({
+        update_id: 1,
+        message: { message_id: 7, chat: { id: 42 }, from: { id: 5, first_name: 'Иван' }, text, ...extra }
+    });
+
+    it('отклоняет обновление без секрета или с неверным секретом', async () => {
+        const missing = await webhook(message('Привет'), null);
+        assert.equal(missing.status, 401);
+
+        const wrong = await webhook(message('Привет'), 'other-secret');
+        assert.equal(wrong.status, 401);
+
+        assert.deepEqual(calls, []);
+    });
+
+    it('отвечает сохраненным ответом с кнопками оценки при попадании', async () => {
+        const id = await save('Какой автомат нужен для плиты', 'Автомат на 32А');
+
+        const res = await webhook(message('Какой автомат нужен для плиты'));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { ok: true });
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].token, TOKEN);
+        assert.equal(calls[0].method, 'sendMessage');
+        assert.equal(calls[0].params.chat_id, 42);
+        assert.equal(calls[0].params.text, 'Автомат на 32А');
+        assert.equal(calls[0].params.reply_to_message_id, 7);
+        assert.deepEqual(calls[0].params.reply_markup.inline_keyboard[0].map(button => button.callback_data), [
+            `fb:up:${id}`,
+            `fb:down:${id}`
+        ]);
+    });
+
+    it('отвечает заготовленным сообщением при промахе', async () => {
+        const res = await webhook(message('Сколько стоит монтаж тёплого пола'));
+
+        assert.equal(res.status, 200);
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].method, 'sendMessage');
+        assert.equal(calls[0].params.text, 'Ответа пока нет');
+        assert.equal(calls[0].params.reply_markup, undefined);
+    });
+
+    it('записывает оценку с кнопки и снимает кнопки с сообщения', async () => {
+        const id = await save('Нужно ли УЗО в ванной', 'Да, на 30 мА');
+        const callback = {
+            update_id: 2,
+            callback_query: {
+                id: 'cb-1',
+                from: { id: 5 },
+                data: `fb:up:${id}`,
+                message: { message_id: 100, chat: { id: 42 } }
+            }
+        };
+
+        const res = await webhook(callback);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(calls.map(call => call.method), ['answerCallbackQuery', 'editMessageReplyMarkup']);
+        assert.equal(calls[0].params.callback_query_id, 'cb-1');
+        assert.equal(calls[0].params.text, 'Спасибо за оценку!');
+        assert.deepEqual(calls[1].params, { chat_id: 42, message_id: 100, reply_markup: { inline_keyboard: [] } });
+
+        // Повторное нажатие того же пользователя не добавляет второй голос
+        await webhook({ ...callback, update_id: 3 });
+        const { conversation } = await (await fetch(`${app.baseUrl}/api/cache/conversation/${id}`)).json();
+        assert.equal(conversation.feedback_up, 1);
+    });
+
+    it('сообщает о недоступном ответе и только подтверждает чужие кнопки', async () => {
+        const res = await webhook({
+            update_id: 4,
+            callback_query: { id: 'cb-2', from: { id: 5 }, data: 'fb:up:missing', message: { message_id: 101, chat: { id: 42 } } }
+        });
+        assert.equal(res.status, 200);
+        assert.equal(calls[0].params.text, 'Ответ больше не доступен');
+
+        calls = [];
+        await webhook({ update_id: 5, callback_query: { id: 'cb-3', from: { id: 5 }, data: 'other' } });
+        assert.deepEqual(calls.map(call => [call.method, call.params.text]), [['answerCallbackQuery', undefined]]);
+    });
+
+    it('подтверждает обновление, даже если Bot API вернул ошибку', async () => {
+        failBotApi = true;
+
+        const res = await webhook(message('/help'));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { ok: true });
+        assert.equal(calls.length, 1);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const spec = require('../services/openapi');
+const { createValidator } = require('../middleware/validate');
+
+const validate = createValidator(spec);
+
+// Прогон middleware на запросе: { status, body } ответа 400 или { next: true }
+function run(operationId, { body, query = {}, params = {} } = {}) {
+    const req = { body, query, params };
+    let result = { next: false };
+    const res = {
+        status(status) {
+            result.status = status;
+            return this;
+        },
+        json(payload) {
+            result.body = payload;
+            return this;
+        }
+    };
+
+    validate(operationId)(req, res, () => {
+        result = { next: true };
+    });
+    return { ...result, req };
+}
+
+describe('проверка запросов по OpenAPI', () => {
+    it('пропускает корректное тело запроса', () => {
+        const { next } = run('saveConversation', {
+            body: { query: 'Как заземлить щиток', response: 'Шиной PE', ttl: null, tags: ['щиток'], metadata: { category: 'ground' } }
+        });
+        assert.equal(next, true);
+    });
+
+    it('перечисляет все ошибки тела с путями к полям', () => {
+        const { status, body } = run('saveConversation', {
+            body: { query: '', ttl: -1, tags: ['ok', 'не тег'] }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'invalid_request');
+        assert.deepEqual(body.errors.map(error => [error.in, error.name]), [
+            ['body', 'response'],
+            ['body', 'query'],
+            ['body', 'ttl'],
+            ['body', 'tags[1]']
+        ]);
+        assert.match(body.error, /query: не может быть пустым/);
+    });
+
+    it('требует тело запроса, если оно обязательно', () => {
+        const { status, body } = run('saveConversation', { body: undefined });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(error => error.name), ['query', 'response']);
+    });
+
+    it('приводит параметры строки запроса к типам из описания', () => {
+        const { next, req } = run('getHistory', { query: { limit: '20', offset: '0', userId: 'u1' } });
+
+        assert.equal(next, true);
+        assert.deepEqual(req.query, { limit: 20, offset: 0, userId: 'u1' });
+    });
+
+    it('отклоняет параметры строки запроса вне допустимых значений', () => {
+        const { status, body } = run('getHistory', { query: { limit: '1000', offset: 'abc' } });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(error => [error.in, error.name]), [['query', 'limit'], ['query', 'offset']]);
+    });
+
+    it('отказывает при неизвестной операции', () => {
+        assert.throws(() => validate('unknownOperation'), /Операция unknownOperation не описана в OpenAPI/);
+    });
+
+    it('разрешает все ссылки $ref описания', () => {
+        const missing = [];
+        const visit = node => {
+            if (!node || typeof node !== 'object') return;
+            if (typeof node.$ref === 'string') {
+                const target = node.$ref.replace(/^#\//, '').split('/').reduce((current, key) => current && current[key], spec);
+                if (!target) missing.push(node.$ref);
+            }
+            Object.values(node).forEach(visit);
+        };
+
+        visit(spec);
+        assert.deepEqual(missing, []);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/database');
+const { QueryConflictError } = require('../database/database');
+const { Logger } = require('../services/logger');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const logger = new Logger({ level: 'error' });
+
+for (const backend of ['memory', 'sqlite']) {
+    describe(`версии разговоров, хранилище ${backend}`, () => {
+        let dbPath;
+        let dbManager;
+
+        beforeEach(async () => {
+            dbPath = path.join(os.tmpdir(), `ai-cache-versions-${process.pid}-${Date.now()}.db`);
+            dbManager = new DatabaseManager({ backend, path: dbPath, logger });
+            await dbManager.ready;
+        });
+
+        afterEach(async () => {
+            await dbManager.close();
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        const cached = async query => (await dbManager.findSimilarConversations(query, 5, 0.3)).map(match => match.ai_response);
+
+        it('сохраняет прежнее содержимое в истории при правке', async () => {
+            const id = await dbManager.saveConversation('Какой автомат нужен для плиты', 'C25', null, null, { category: 'breakers' });
+            await dbManager.editConversation(id, { response: 'C32' }, { editedBy: 'admin' });
+            await dbManager.editConversation(id, { metadata: { category: 'kitchen' } });
+
+            const versions = await dbManager.listVersions(id);
+            assert.deepEqual(versions.map(row => [row.version, row.current, row.ai_response, row.metadata.category]), [
+                [3, true, 'C32', 'kitchen'],
+                [2, false, 'C32', 'breakers'],
+                [1, false, 'C25', 'breakers']
+            ]);
+            assert.equal(versions[2].change_type, 'edit');
+            assert.equal(versions[2].changed_by, 'admin');
+            assert.equal(versions[1].created_at, versions[2].replaced_at);
+        });
+
+        it('откатывает разговор к прежней версии новой версией', async () => {
+            const id = await dbManager.saveConversation('Какой автомат нужен для плиты', 'C25');
+            await dbManager.editConversation(id, { query: 'Какой автомат нужен для индукционной плиты', response: 'C32' });
+            assert.deepEqual(await cached('Какой автомат нужен для индукционной плиты'), ['C32']);
+
+            const restored = await dbManager.rollbackConversation(id, 1, { editedBy: 'admin' });
+            assert.equal(restored.version, 3);
+            assert.equal(restored.user_query, 'Какой автомат нужен для плиты');
+            assert.equal(restored.ai_response, 'C25');
+
+            // Хэш и ключевые слова пересчитаны для восстановленного запроса
+            const [exact] = await dbManager.findSimilarConversations('Какой автомат нужен для плиты', 5, 0.3);
+            assert.equal(exact.matchType, 'exact');
+
+            const versions = await dbManager.listVersions(id);
+            assert.equal(versions.length, 3);
+            assert.equal(versions[1].change_type, 'rollback');
+            assert.equal(versions[1].ai_response, 'C32');
+        });
+
+        it('сбрасывает оценки при смене ответа и сохраняет при правке metadata', async () => {
+            const id = await dbManager.saveConversation('Какой автомат нужен для плиты', 'C25');
+            await dbManager.recordFeedback(id, { rating: 'down', userId: 'u1' });
+
+            await dbManager.editConversation(id, { metadata: { checked: true } });
+            assert.equal((await dbManager.getConversation(id)).feedback_down, 1);
+
+            await dbManager.editConversation(id, { response: 'C32' });
+            assert.equal((await dbManager.getConversation(id)).feedback_down, 0);
+        });
+
+        it('не дает правкой получить запрос другого разговора', async () => {
+            const first = await dbManager.saveConversation('Какой автомат нужен для плиты', 'C32');
+            const second = await dbManager.saveConversation('Как заземлить щиток', 'Шиной PE');
+
+            await assert.rejects(
+                dbManager.editConversation(second, { query: 'Какой автомат нужен для плиты' }),
+                error => error instanceof QueryConflictError && error.conversationId === first
+            );
+            assert.equal((await dbManager.getConversation(second)).version, 1);
+        });
+
+        it('возвращает null для неизвестного разговора или версии и для чужого арендатора', async () => {
+            const id = await dbManager.saveConversation('Какой автомат нужен для плиты', 'C25');
+
+            assert.equal(await dbManager.rollbackConversation(id, 7), null);
+            assert.equal(await dbManager.listVersions(id, 'other'), null);
+            assert.equal(await dbManager.rollbackConversation(id, 1, { tenant: 'other' }), null);
+            assert.equal((await dbManager.rollbackConversation(id, 1)).version, 1);
+        });
+    });
+}